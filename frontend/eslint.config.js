@@ -26,4 +26,11 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Vitest runs the suite in Node with chrome stubbed in test/setup.js.
+    files: ['test/**/*.js'],
+    languageOptions: {
+      globals: { ...globals.node, ...globals.vitest, chrome: 'readonly' },
+    },
+  },
 ])
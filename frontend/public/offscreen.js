@@ -1,11 +1,82 @@
+/* global Tesseract */
 /**
- * Offscreen document for clipboard write (used when copying snip image without user gesture).
+ * Offscreen document for clipboard write (used when copying snip image without user gesture)
+ * and for Image Snip OCR with the bundled Tesseract engine (ocr/, loaded by offscreen.html).
  * navigator.clipboard often requires focus, so we fall back to document.execCommand('copy') with an img element.
  */
+
+let ocrWorkerPromise = null;
+let pendingJobs = 0;
+
+/** Close once nothing is running; the background re-creates the document on the next request. */
+function closeWhenIdle() {
+  if (pendingJobs === 0) window.close();
+}
+
+/** Tesseract worker using only the files shipped with the extension (no CDN, works offline). */
+function getOcrWorker() {
+  if (!ocrWorkerPromise) {
+    ocrWorkerPromise = Tesseract.createWorker('eng', Tesseract.OEM.LSTM_ONLY, {
+      workerPath: chrome.runtime.getURL('ocr/worker.min.js'),
+      corePath: chrome.runtime.getURL('ocr/core'),
+      langPath: chrome.runtime.getURL('ocr/lang'),
+      workerBlobURL: false,
+      cacheMethod: 'none',
+      gzip: true,
+    }).catch((err) => {
+      ocrWorkerPromise = null;
+      throw err;
+    });
+  }
+  return ocrWorkerPromise;
+}
+
+/** Recognised text, keeping only lines the engine is reasonably sure about; paragraphs separated by a blank line. */
+async function recognizeText(imageDataUrl, minConfidence) {
+  const worker = await getOcrWorker();
+  const { data } = await worker.recognize(imageDataUrl, {}, { text: true, blocks: true });
+  if (!Array.isArray(data.blocks)) return data.text || '';
+  const paragraphs = [];
+  for (const block of data.blocks) {
+    for (const paragraph of block.paragraphs || []) {
+      const lines = (paragraph.lines || [])
+        .filter((line) => line.confidence >= minConfidence)
+        .map((line) => line.text.trim())
+        .filter(Boolean);
+      if (lines.length > 0) paragraphs.push(lines.join('\n'));
+    }
+  }
+  return paragraphs.join('\n\n');
+}
+
+chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+  if (message.target !== 'offscreen' || message.type !== 'ocr-snip-image') {
+    return;
+  }
+  const { imageDataUrl, minConfidence = 0 } = message.data || {};
+  pendingJobs += 1;
+  (async () => {
+    try {
+      if (!imageDataUrl || typeof imageDataUrl !== 'string') {
+        throw new Error('Missing image data');
+      }
+      const text = await recognizeText(imageDataUrl, minConfidence);
+      sendResponse({ success: true, text });
+    } catch (err) {
+      sendResponse({ success: false, error: err instanceof Error ? err.message : String(err) });
+    } finally {
+      pendingJobs -= 1;
+      closeWhenIdle();
+    }
+  })();
+  return true;
+});
+
 chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
   if (message.target !== 'offscreen' || message.type !== 'copy-snip-image') {
     return;
   }
+  pendingJobs += 1;
   const { imageDataUrl, sourceText } = message.data || {};
   (async () => {
     try {
@@ -50,7 +121,8 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
     } catch (err) {
       sendResponse({ success: false, error: err instanceof Error ? err.message : String(err) });
     } finally {
-      window.close();
+      pendingJobs -= 1;
+      closeWhenIdle();
     }
   })();
   return true;
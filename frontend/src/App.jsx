@@ -10,6 +10,7 @@ import { UpgradeModal } from './components/UpgradeModal';
 import { useAuth } from './hooks/useAuth';
 import { isSupabaseConfigured, supabaseUrl, supabaseAnonKey } from './config/supabase-config.js';
 import { addConnectedDoc, getConnectedDocs, removeConnectedDoc } from './lib/connectedDocsService.js';
+import { getActiveProject } from './lib/storage.js';
 import docSourcedLogo from './assets/DocSourced-logo.png';
 import './App.css';
 
@@ -95,8 +96,10 @@ function App() {
 
   const handleDocumentSelected = useCallback(async (doc) => {
     if (isSupabaseConfigured && supabaseUser) {
+      // A doc connected while a project is active goes into that project.
+      const projectId = (await getActiveProject().catch(() => null))?.id ?? null;
       try {
-        await addConnectedDoc(doc.id, doc.name || 'Untitled');
+        await addConnectedDoc(doc.id, doc.name || 'Untitled', projectId);
       } catch (e) {
         if (e?.code === 'DOC_LIMIT_REACHED') {
           try {
@@ -104,7 +107,7 @@ function App() {
             // Free tier: allow "replace" — remove existing doc and add the one they just picked.
             if (connected.length === 1) {
               await removeConnectedDoc(connected[0].id);
-              await addConnectedDoc(doc.id, doc.name || 'Untitled');
+              await addConnectedDoc(doc.id, doc.name || 'Untitled', projectId);
               // Fall through to setSelectedDoc below
             } else if (connected.length > 1) {
               setUpgradeModal({ open: true, reason: 'doc_limit' });
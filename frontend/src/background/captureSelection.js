@@ -1,16 +1,47 @@
 /**
  * Capture selected text and page info from the active tab using chrome.scripting.
  * Used when the user clicks "Text Snip" from the context menu.
+ * PDFs are read from the bundled PDF viewer (pdfTabs.js), which also reports the page number.
+ * On video pages the source links to the current playback time (videoMoment.js).
+ * Formatted selections also carry richText (selectionRichText.js) for "keep formatting" inserts, and
+ * selections of a data table carry the table (selectionTable.js) so it goes in as a native table.
+ * Formulas are pictured from the page (snipMath.js); with math or code blocks selectedText is rebuilt from
+ * richText (TeX between $…$, code lines as written) because the selection's own text garbles both.
+ * textAnchor locates the selection on the page for "Open source at highlight" (sourceLookup.js).
  */
 
+import { getKeepFormatting, getNoteInDoc } from '../lib/storage.js';
+import { getPageCitationMetadata } from './pageMetadata.js';
+import { extractSelectionRichText } from './selectionRichText.js';
+import { getPageTable } from './selectionTable.js';
+import { captureMathImages } from './snipMath.js';
+import { richTextToPlain, richTextMath } from '../lib/richText.js';
+import { isPdfViewerTab, isNativePdfTab, openInPdfViewer, getPdfViewerSelection } from './pdfTabs.js';
+import { getVideoMoment, timestampedVideoUrl, videoMomentLine } from './videoMoment.js';
+import { captureTextAnchor } from './sourceLookup.js';
+
+/** Shown when a PDF in Chrome's own viewer was reopened in ours; the user selects again there. */
+export const PDF_REOPENED_MESSAGE = 'This PDF was opened in the DocSourced PDF viewer. Select the text again there, then use Text Snip.';
+
 /**
- * Get the current selection text from a tab (run in page context).
- * @param {number} tabId
- * @returns {Promise<{ selectedText: string, pageUrl: string, pageTitle: string }>}
+ * Get the current selection text and citation metadata from a tab (run in page context).
+ * pageNumber is only set for PDFs. A PDF still in Chrome's viewer is reopened in ours and
+ * the call throws PDF_REOPENED_MESSAGE. When a video has been played, pageUrl is the timestamped
+ * link and a "Video at m:ss" line ends selectedText; with nothing selected the caption shown
+ * at that time becomes the quote.
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<{ selectedText: string, pageUrl: string, pageTitle: string, timestamp: string, author: string, publishedDate: string, siteName: string, doi: string, canonicalUrl: string, pageNumber?: string, richText?: import('../lib/richText.js').RichText | null, table?: import('../lib/snipTable.js').SnipTable | null, textAnchor?: import('../lib/textAnchor.js').TextAnchor | null, keepFormatting?: boolean, noteInDoc?: boolean }>}
  */
 export async function getSelectionAndPageInfo(tab) {
   const timestamp = new Date().toISOString();
-  const pageUrl = tab.url || '';
+  if (isPdfViewerTab(tab)) {
+    return { ...(await getPdfViewerSelection(tab.id)), timestamp, noteInDoc: await getNoteInDoc() };
+  }
+  if (await isNativePdfTab(tab)) {
+    await openInPdfViewer(tab.id, tab.url);
+    throw new Error(PDF_REOPENED_MESSAGE);
+  }
+  let pageUrl = tab.url || '';
   const pageTitle = tab.title || 'Untitled';
 
   const injection = {
@@ -19,12 +50,43 @@ export async function getSelectionAndPageInfo(tab) {
   };
 
   const [result] = await chrome.scripting.executeScript(injection);
-  const selectedText = result?.result ?? '';
+  let selectedText = result?.result ?? '';
+  let richText = null;
+  let table = null;
+  let textAnchor = null;
+  if (selectedText) {
+    textAnchor = await captureTextAnchor(tab.id, selectedText);
+    try {
+      const [rich] = await chrome.scripting.executeScript({ target: { tabId: tab.id }, func: extractSelectionRichText });
+      richText = rich?.result ?? null;
+    } catch (_) {}
+    table = await getPageTable(tab.id);
+  }
+  if (richText && (richTextMath(richText).length > 0 || richText.paragraphs.some((p) => p.code))) {
+    selectedText = richTextToPlain(richText);
+    await captureMathImages(tab.id, tab.windowId ?? null, richText);
+  }
+  const metadata = await getPageCitationMetadata(tab.id);
+  const video = await getVideoMoment(tab.id);
+  if (video) {
+    // The quote may be the caption, which is not on the page to scroll to; the timestamp is the anchor.
+    textAnchor = null;
+    pageUrl = timestampedVideoUrl(pageUrl, video.time);
+    const quote = selectedText || video.caption;
+    if (quote) selectedText = quote + '\n' + videoMomentLine(video);
+    if (richText) richText.paragraphs.push({ runs: [{ text: videoMomentLine(video) }] });
+  }
 
   return {
     selectedText,
     pageUrl,
     pageTitle,
     timestamp,
+    ...metadata,
+    richText,
+    table,
+    textAnchor,
+    keepFormatting: await getKeepFormatting(),
+    noteInDoc: await getNoteInDoc(),
   };
 }
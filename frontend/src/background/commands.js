@@ -0,0 +1,122 @@
+/**
+ * Keyboard shortcuts (manifest "commands"): Text Snip, Image Snip, Undo Last Insert and Format References
+ * without opening the side panel. Bindings are changed by the user at chrome://extensions/shortcuts;
+ * the side panel lists the current ones (chrome.commands.getAll).
+ * Results are reported with notifications, as for the context menu.
+ */
+
+import { getSelectedDocumentId, getLastTextSnipSection, getCitationStylePreference } from '../lib/storage.js';
+import { getSiteRules, findSiteRule } from '../lib/siteRules.js';
+import { withTokenRetry } from './auth.js';
+import { getDocumentOutline, formatReferences } from './googleDocs.js';
+import { flattenOutline } from '../lib/docsOutline.js';
+import { getSelectionAndPageInfo } from './captureSelection.js';
+import { plugHighlightIntoDoc, plugHighlightAtSection } from './plugHighlightIntoDoc.js';
+import { startSnipMode, clearSnipInsertIndex } from './snipFlow.js';
+import { undoInsert } from './undoInsertStack.js';
+import { getSnipsMetadata } from './snipUsage.js';
+import { showNotification } from './notifications.js';
+import { log } from './logger.js';
+
+/** Command names as declared in public/manifest.json. */
+export const COMMANDS = {
+  TEXT_SNIP: 'text-snip',
+  IMAGE_SNIP: 'image-snip',
+  UNDO_LAST_INSERT: 'undo-last-insert',
+  FORMAT_REFERENCES: 'format-references',
+};
+
+/**
+ * Text Snip from the shortcut: insert at the section last chosen in the side panel for this document
+ * (falling back to the end when that heading is gone); without one, or when a site rule covers the page,
+ * behave like the context menu.
+ * @param {chrome.tabs.Tab} tab
+ */
+async function textSnip(tab) {
+  const selection = await getSelectionAndPageInfo(tab);
+  if (!selection.selectedText?.trim()) {
+    showNotification('No text selected', 'Select some text on the page, then press the Text Snip shortcut.');
+    return;
+  }
+  const documentId = await getSelectedDocumentId();
+  const label = documentId ? await getLastTextSnipSection(documentId) : null;
+  const rule = findSiteRule(await getSiteRules().catch(() => []), selection.pageUrl);
+  if (!label || rule) {
+    await plugHighlightIntoDoc(selection, tab.id);
+    return;
+  }
+  const outline = await withTokenRetry((token) => getDocumentOutline(documentId, token));
+  const sections = flattenOutline(outline, { withStarts: true });
+  const section = sections.find((s) => s.label === label) || sections[sections.length - 1];
+  const res = await plugHighlightAtSection(selection, section.target, section.label);
+  if (res.success) {
+    showNotification(
+      res.queued ? 'Saved for later' : 'Plugged in',
+      res.queued
+        ? 'Could not reach Google Docs. The highlight is in Pending inserts and will be added automatically.'
+        : `Highlight added (${section.label}).`
+    );
+  } else if (res.error === 'snip_limit_reached') {
+    showNotification('Snip limit reached', 'You\'ve reached your monthly limit. Upgrade to add more.');
+  } else if (res.error === 'not_authenticated') {
+    showNotification('Sign in required', 'Open DocSourced and sign in to your account.');
+  } else {
+    showNotification('Could not plug in', res.error || 'Something went wrong. Try again.');
+  }
+}
+
+async function undoLastInsert() {
+  const documentId = await getSelectedDocumentId();
+  if (!documentId) {
+    showNotification('No document selected', 'Open the DocSourced extension and select a Google Doc to connect.');
+    return;
+  }
+  const res = await undoInsert(documentId);
+  if (res?.success) {
+    showNotification('Undone', 'The last insert was removed from your Google Doc.');
+  } else {
+    showNotification('Could not undo', res?.error || 'Nothing to undo for this document.');
+  }
+}
+
+async function formatDocumentReferences() {
+  const documentId = await getSelectedDocumentId();
+  if (!documentId) {
+    showNotification('No document selected', 'Open the DocSourced extension and select a Google Doc to connect.');
+    return;
+  }
+  const style = (await getCitationStylePreference()) || undefined;
+  const res = await withTokenRetry((token) => formatReferences(documentId, token, getSnipsMetadata, { style }));
+  if (res?.success) {
+    showNotification('Format References', res.message || 'References were formatted.');
+  } else {
+    showNotification('Could not format references', res?.error || 'Something went wrong. Try again.');
+  }
+}
+
+/**
+ * Handle chrome.commands.onCommand. All errors are caught and shown as a notification.
+ * @param {string} command
+ * @param {chrome.tabs.Tab} [tab] - active tab when the shortcut was pressed
+ */
+export async function onCommand(command, tab) {
+  try {
+    if (!tab?.id) {
+      [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    }
+    if (command === COMMANDS.TEXT_SNIP) {
+      if (tab?.id) await textSnip(tab);
+    } else if (command === COMMANDS.IMAGE_SNIP) {
+      if (!tab?.id) return;
+      await clearSnipInsertIndex();
+      await startSnipMode(tab.id);
+    } else if (command === COMMANDS.UNDO_LAST_INSERT) {
+      await undoLastInsert();
+    } else if (command === COMMANDS.FORMAT_REFERENCES) {
+      await formatDocumentReferences();
+    }
+  } catch (err) {
+    log.bg.warn(`command ${command} failed`, err);
+    showNotification('DocSourced', err instanceof Error ? err.message : 'Something went wrong. Try again.');
+  }
+}
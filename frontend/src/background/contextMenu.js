@@ -1,34 +1,51 @@
 /**
- * Context menu: "Text Snip" — only when text is selected.
+ * Context menu: "Text Snip" and "Text Snip with note…" — only when text is selected.
  * On click: capture selection, page URL/title, timestamp; send to insertion flow.
+ * "with note" first asks for a quick note in the page; #words in it become the snip's tags.
  */
 
 import { getSelectionAndPageInfo } from './captureSelection.js';
 import { plugHighlightIntoDoc } from './plugHighlightIntoDoc.js';
 import { showNotification } from './notifications.js';
+import { parseQuickNote } from '../lib/snipAnnotation.js';
 
 const MENU_ID = 'eznote-plug-it-in';
+const NOTE_MENU_ID = 'eznote-plug-it-in-note';
 
 /**
- * Create the "Text Snip" context menu (selection context only).
+ * Create the "Text Snip" context menus (selection context only).
  */
 export function createContextMenu() {
   chrome.contextMenus.removeAll(() => {
-    chrome.contextMenus.create(
-      {
-        id: MENU_ID,
-        title: 'Text Snip',
-        contexts: ['selection'],
-      },
-      () => {
-        if (chrome.runtime.lastError) {
-          console.error('DocSourced: context menu create failed', chrome.runtime.lastError);
-        }
+    const onCreated = () => {
+      if (chrome.runtime.lastError) {
+        console.error('DocSourced: context menu create failed', chrome.runtime.lastError);
       }
-    );
+    };
+    chrome.contextMenus.create({ id: MENU_ID, title: 'Text Snip', contexts: ['selection'] }, onCreated);
+    chrome.contextMenus.create({ id: NOTE_MENU_ID, title: 'Text Snip with note…', contexts: ['selection'] }, onCreated);
   });
 }
 
+/**
+ * Ask for the snip's note in the page (window.prompt). Resolves to the typed text, null when the user
+ * cancelled, or undefined when the page cannot show a prompt (chrome:// and extension pages).
+ * @param {number} tabId
+ * @returns {Promise<string | null | undefined>}
+ */
+async function promptForNote(tabId) {
+  try {
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: (message) => window.prompt(message, ''),
+      args: ['Note for this snip (optional). Add tags with #, e.g. "key definition #methods"'],
+    });
+    return result?.result ?? null;
+  } catch (_) {
+    return undefined;
+  }
+}
+
 /**
  * Handle context menu click: capture selection from tab, then plug into Doc.
  * All errors are caught so no uncaught promise rejection can occur.
@@ -36,7 +53,7 @@ export function createContextMenu() {
  * @param {chrome.tabs.Tab} [tab]
  */
 export async function onContextMenuClick(info, tab) {
-  if (info.menuItemId !== MENU_ID || !tab?.id) return;
+  if ((info.menuItemId !== MENU_ID && info.menuItemId !== NOTE_MENU_ID) || !tab?.id) return;
 
   try {
     const selection = await getSelectionAndPageInfo(tab);
@@ -44,6 +61,15 @@ export async function onContextMenuClick(info, tab) {
       showNotification('No text selected', 'Select some text on the page, then right‑click and choose "Text Snip".');
       return;
     }
+    if (info.menuItemId === NOTE_MENU_ID) {
+      const input = await promptForNote(tab.id);
+      if (input === null) return;
+      if (input === undefined) {
+        showNotification('Text Snip', 'This page cannot ask for a note. The snip is added without one; use the side panel to add a note.');
+      } else {
+        Object.assign(selection, parseQuickNote(input));
+      }
+    }
     await plugHighlightIntoDoc(selection, tab.id);
   } catch (err) {
     console.error('DocSourced: plug it in failed', err);
@@ -0,0 +1,107 @@
+/**
+ * Insert at the live cursor: find where the user's cursor is in the connected doc when it's open in a tab.
+ * The Docs-side bridge (content/docsCursorBridge.js) types a unique marker at the cursor; we read the
+ * document through the Docs API until the saved marker shows up, remove it, and return the marker's index.
+ * Callers insert there with the same Docs API calls as the section picker.
+ */
+
+import { withTokenRetry } from './auth.js';
+import { getDocumentText, removeTextMarker } from './googleDocs.js';
+import { log } from './logger.js';
+
+const MARKER_POLL_MS = 400;
+/** Docs usually saves typed text within a second or two; give up (and append instead) after this. */
+const MARKER_TIMEOUT_MS = 8000;
+/** A marker saved after we gave up on it is removed once more after this. */
+const MARKER_LATE_CLEANUP_MS = 15000;
+/** Bridge errors (content/docsCursorBridge.js) for which nothing was typed, so there is nothing to clean up. */
+const NOT_TYPED_ERRORS = ['no_editor', 'selection', 'not_typed'];
+
+async function findDocTab(documentId) {
+  try {
+    const tabs = await chrome.tabs.query({ url: 'https://docs.google.com/document/d/' + documentId + '/*' });
+    return tabs?.find((t) => t.active) ?? tabs?.[0] ?? null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/** Remove the marker, logging instead of throwing: the caller has already fallen back to appending. */
+async function clearMarker(documentId, marker) {
+  try {
+    await withTokenRetry((token) => removeTextMarker(documentId, token, marker));
+  } catch (err) {
+    log.bg.warn('Could not remove the cursor marker', err);
+  }
+}
+
+/** Give up on a marker that may have been typed: clear it now, and again later in case Docs saves it late. */
+function abandonMarker(documentId, marker) {
+  setTimeout(() => clearMarker(documentId, marker), MARKER_LATE_CLEANUP_MS);
+  return clearMarker(documentId, marker);
+}
+
+async function tabIsOpen(tabId) {
+  try {
+    await chrome.tabs.get(tabId);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Insertion index at the user's cursor in an open tab of the doc. When the cursor is inside a paragraph, the
+ * paragraph is split there, so the snip goes in as new paragraphs between its two halves.
+ * Brings the doc tab to the front. Resolves to null when the doc isn't open, has a selection, or the marker
+ * can't be found (e.g. the cursor is in a table, or the tab is closed) — callers then append as usual.
+ * The marker is removed on every path, including a late save after we stopped looking.
+ * @param {string} documentId
+ * @returns {Promise<number | null>}
+ */
+export async function resolveCursorInsertIndex(documentId) {
+  if (!documentId) return null;
+  const docTab = await findDocTab(documentId);
+  if (!docTab?.id) return null;
+
+  const marker = `{{docsourced:${crypto.randomUUID().slice(0, 8)}}}`;
+  let marked;
+  try {
+    await chrome.tabs.update(docTab.id, { active: true });
+    if (docTab.windowId != null) await chrome.windows.update(docTab.windowId, { focused: true });
+    await new Promise((r) => setTimeout(r, 150));
+    marked = await chrome.tabs.sendMessage(docTab.id, { type: 'MARK_CURSOR', marker });
+  } catch (err) {
+    // The tab closed or navigated away, possibly after the marker was typed.
+    log.bg.warn('Could not mark the cursor', err);
+    await abandonMarker(documentId, marker);
+    return null;
+  }
+  if (marked?.ok !== true) {
+    if (!NOT_TYPED_ERRORS.includes(marked?.error)) await abandonMarker(documentId, marker);
+    return null;
+  }
+
+  let index = null;
+  try {
+    index = await withTokenRetry(async (token) => {
+      const deadline = Date.now() + MARKER_TIMEOUT_MS;
+      for (;;) {
+        const { text } = await getDocumentText(documentId, token);
+        const at = text.indexOf(marker);
+        if (at !== -1) {
+          const lineEnd = text.indexOf('\n', at);
+          const splits = lineEnd > at + marker.length;
+          await removeTextMarker(documentId, token, marker, splits ? at : null);
+          return at;
+        }
+        if (Date.now() >= deadline || !(await tabIsOpen(docTab.id))) return null;
+        await new Promise((r) => setTimeout(r, MARKER_POLL_MS));
+      }
+    });
+  } catch (err) {
+    log.bg.warn('Cursor position lookup failed', err);
+  }
+  if (index === null) await abandonMarker(documentId, marker);
+  return index;
+}
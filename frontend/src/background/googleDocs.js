@@ -9,8 +9,14 @@ import {
   insertHighlightAtPosition as insertHighlightAtPositionLib,
   insertImageWithSource as insertImageLib,
   insertImageWithSourceAtPosition as insertImageWithSourceAtPositionLib,
+  insertSnipBatch as insertSnipBatchLib,
   getDocumentSections as getDocumentSectionsLib,
+  getDocumentOutline as getDocumentOutlineLib,
   deleteInsertRange as deleteInsertRangeLib,
+  getDocumentText as getDocumentTextLib,
+  getDocumentSnipRefs as getDocumentSnipRefsLib,
+  hasSnipNamedRange as hasSnipNamedRangeLib,
+  removeTextMarker as removeTextMarkerLib,
 } from '../lib/docsInsert.js';
 import { formatReferences as formatReferencesLib } from '../lib/formatReferences.js';
 
@@ -87,7 +93,13 @@ export const insertHighlightToDoc = insertHighlightLib;
 export const insertHighlightAtPosition = insertHighlightAtPositionLib;
 export const insertImageWithSource = insertImageLib;
 export const insertImageWithSourceAtPosition = insertImageWithSourceAtPositionLib;
+export const insertSnipBatch = insertSnipBatchLib;
 export const getDocumentSections = getDocumentSectionsLib;
+export const getDocumentOutline = getDocumentOutlineLib;
 export const deleteInsertRange = deleteInsertRangeLib;
+export const getDocumentText = getDocumentTextLib;
+export const getDocumentSnipRefs = getDocumentSnipRefsLib;
+export const hasSnipNamedRange = hasSnipNamedRangeLib;
+export const removeTextMarker = removeTextMarkerLib;
 export const fetchDocsList = fetchDocsListLib;
 export const formatReferences = formatReferencesLib;
@@ -81,9 +81,10 @@ export async function ensureResearchSnipsFolder(accessToken) {
  * @param {Blob} imageBlob
  * @param {string} [filename]
  * @param {string} [parentFolderId] - Research Snips folder id (optional)
+ * @param {{ signal?: AbortSignal }} [options] - signal: abort the upload request
  * @returns {Promise<{ fileId: string, imageUrl: string }>}
  */
-export async function uploadImageToDrive(accessToken, imageBlob, filename = 'eznote-snip.png', parentFolderId = null) {
+export async function uploadImageToDrive(accessToken, imageBlob, filename = 'eznote-snip.png', parentFolderId = null, { signal } = {}) {
   const boundary = '-------' + Math.random().toString(36).slice(2, 12);
   const meta = {
     name: filename,
@@ -112,6 +113,7 @@ export async function uploadImageToDrive(accessToken, imageBlob, filename = 'ezn
       'Content-Type': 'multipart/related; boundary=' + boundary,
     },
     body,
+    signal,
   });
 
   if (res.status === 401) throw new Error('SESSION_EXPIRED');
@@ -0,0 +1,354 @@
+/**
+ * Durable outbox for text and image inserts that failed because of the network, a 5xx or a rate limit.
+ * Items live in chrome.storage.local and are retried with exponential backoff; a chrome.alarms alarm
+ * wakes the service worker for the next attempt, so pending inserts survive it being suspended.
+ * The side panel lists them ("Pending inserts") and can retry or discard each one.
+ * An item's section is kept by label and looked up again when it is sent, since the document may have
+ * changed in between. A full outbox refuses new items rather than dropping old ones.
+ */
+
+import { withTokenRetry } from './auth.js';
+import { ensureResearchSnipsFolder, uploadImageToDrive } from './googleDrive.js';
+import {
+  getDocumentOutline,
+  hasSnipNamedRange,
+  insertHighlightAtPosition,
+  insertImageWithSourceAtPosition,
+} from './googleDocs.js';
+import { recordSnipAndCheckLimit, recordImageSnipAndCheckLimit } from './snipUsage.js';
+import { pushUndoInsert } from './undoInsertStack.js';
+import { uploadMathImages } from './snipMath.js';
+import { showNotification } from './notifications.js';
+import { log } from './logger.js';
+import { isInsertTarget, targetTabId } from '../lib/docsOutline.js';
+import { resolveTraySection } from '../lib/snipTray.js';
+
+const OUTBOX_KEY = 'eznote_insert_outbox';
+export const OUTBOX_ALARM = 'eznote_insert_outbox_retry';
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 30 * 60 * 1000;
+const MAX_ATTEMPTS = 8;
+const MAX_ITEMS = 25;
+const LABEL_LEN = 60;
+
+/** Shown instead of "Saved for later" when the outbox already holds MAX_ITEMS inserts. */
+export const OUTBOX_FULL_MESSAGE = `Pending inserts is full (${MAX_ITEMS}). Retry or discard some of them, then snip again.`;
+
+/**
+ * @typedef {{ type: 'text' | 'image', params: object }} PendingRecord - snips_history RPC still to call (usage not yet recorded)
+ * @typedef {{
+ *   id: string,
+ *   kind: 'text' | 'image',
+ *   documentId: string,
+ *   section: import('../lib/snipTray.js').TraySection | null,
+ *   data: { selectedText?: string, pageUrl?: string, pageTitle?: string, timestamp?: string, imageDataUrl?: string, imageUrl?: string, imageWidthPt?: number, imageHeightPt?: number, ocrText?: string, insertAs?: string, videoMoment?: string, richText?: object | null, table?: object | null, keepFormatting?: boolean, note?: string, noteInDoc?: boolean },
+ *   snipId: string | null,
+ *   record: PendingRecord | null,
+ *   status: 'pending' | 'sending' | 'failed',
+ *   attempts: number,
+ *   nextAttemptAt: number,
+ *   lastError: string | null,
+ *   createdAt: number,
+ * }} OutboxItem
+ */
+
+const RETRYABLE_ERROR = /failed to fetch|network ?error|load failed|timed? ?out|rate limit|quota|too many requests|backend error|internal error|unavailable|try again later|\b(429|5\d\d)\b/i;
+
+/**
+ * Whether a failed Docs/Drive/Supabase call is worth retrying later (offline, 5xx, 429).
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+export function isRetryableError(err) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+  if (err instanceof TypeError) return true; // fetch() rejects with TypeError when the network is unreachable
+  const msg = err instanceof Error ? err.message : String(err ?? '');
+  if (msg === 'SESSION_EXPIRED' || msg.includes('Sign in required')) return false;
+  return RETRYABLE_ERROR.test(msg);
+}
+
+function getStorage() {
+  return chrome.storage?.local ?? null;
+}
+
+/** @returns {Promise<OutboxItem[]>} */
+async function readOutbox() {
+  const storage = getStorage();
+  if (!storage) return [];
+  const data = await storage.get(OUTBOX_KEY);
+  return Array.isArray(data[OUTBOX_KEY]) ? data[OUTBOX_KEY] : [];
+}
+
+// Serialise read-modify-write so an enqueue during a retry pass cannot be lost.
+let queue = Promise.resolve();
+
+/**
+ * @template T
+ * @param {(items: OutboxItem[]) => T | Promise<T>} fn - may mutate items in place
+ * @returns {Promise<T>}
+ */
+function updateOutbox(fn) {
+  const run = queue.then(async () => {
+    const items = await readOutbox();
+    const result = await fn(items);
+    const storage = getStorage();
+    if (storage) await storage.set({ [OUTBOX_KEY]: items });
+    return result;
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+function backoffDelay(attempts) {
+  const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+  return delay + Math.round(Math.random() * delay * 0.2);
+}
+
+/** Point the alarm at the earliest pending retry, or clear it when nothing is waiting. */
+async function scheduleNextAttempt() {
+  if (!chrome.alarms) return;
+  const items = await readOutbox();
+  const due = items.filter((i) => i.status !== 'failed').map((i) => i.nextAttemptAt);
+  if (due.length === 0) {
+    await chrome.alarms.clear(OUTBOX_ALARM);
+    return;
+  }
+  // Alarms fire no sooner than 30s after creation in packed extensions; that is fine for a retry.
+  await chrome.alarms.create(OUTBOX_ALARM, { when: Math.max(Date.now() + 1000, Math.min(...due)) });
+}
+
+/**
+ * Queue a failed insert for retry. Image items must carry the screenshot (imageDataUrl) unless it
+ * was already uploaded (imageUrl). Without a section label (cursor inserts) the item goes to the end
+ * of the first tab when it is sent, as "At the end" in the section picker.
+ * @param {Pick<OutboxItem, 'kind' | 'documentId' | 'data'> & { section?: { label?: string | null, target?: unknown } | null, snipId?: string | null, record?: PendingRecord | null, error?: unknown }} entry
+ * @returns {Promise<boolean>} false when the outbox is full and the item was not queued (OUTBOX_FULL_MESSAGE)
+ */
+export async function enqueueInsert(entry) {
+  const now = Date.now();
+  const { label, target } = entry.section ?? {};
+  /** @type {OutboxItem} */
+  const item = {
+    id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    kind: entry.kind === 'image' ? 'image' : 'text',
+    documentId: String(entry.documentId),
+    section: label && isInsertTarget(target) ? { label, target } : null,
+    data: entry.data ?? {},
+    snipId: entry.snipId ?? null,
+    record: entry.record ?? null,
+    status: 'pending',
+    attempts: 1,
+    nextAttemptAt: now + backoffDelay(1),
+    lastError: entry.error == null ? null : entry.error instanceof Error ? entry.error.message : String(entry.error),
+    createdAt: now,
+  };
+  const queued = await updateOutbox((items) => {
+    if (items.length >= MAX_ITEMS) return false;
+    items.push(item);
+    return true;
+  });
+  if (!queued) {
+    log.bg.warn('outbox: full, insert not queued', item.lastError);
+    return false;
+  }
+  await scheduleNextAttempt();
+  return true;
+}
+
+function describe(item) {
+  if (item.kind === 'image') return 'Image: ' + (item.data.pageTitle || 'Untitled');
+  const text = (item.data.selectedText || '').replace(/\s+/g, ' ').trim();
+  return text.length > LABEL_LEN ? text.slice(0, LABEL_LEN - 1) + '…' : text || '(empty)';
+}
+
+/**
+ * Outbox summaries for the side panel (oldest first; no image data).
+ * @returns {Promise<Array<{ id: string, kind: string, label: string, documentId: string, status: string, attempts: number, nextAttemptAt: number, lastError: string | null, createdAt: number }>>}
+ */
+export async function getOutboxItems() {
+  const items = await readOutbox();
+  return items.map((i) => ({
+    id: i.id,
+    kind: i.kind,
+    label: describe(i),
+    documentId: i.documentId,
+    status: i.status,
+    attempts: i.attempts,
+    nextAttemptAt: i.nextAttemptAt,
+    lastError: i.lastError,
+    createdAt: i.createdAt,
+  }));
+}
+
+/**
+ * Remove an item without inserting it.
+ * @param {string} itemId
+ */
+export async function discardOutboxItem(itemId) {
+  await updateOutbox((items) => {
+    const pos = items.findIndex((i) => i.id === itemId);
+    if (pos !== -1) items.splice(pos, 1);
+  });
+  await scheduleNextAttempt();
+}
+
+/** Save progress (upload done, usage recorded) so a later attempt does not repeat it. */
+function saveProgress(itemId, patch) {
+  return updateOutbox((items) => {
+    const item = items.find((i) => i.id === itemId);
+    if (item) Object.assign(item, patch, { data: { ...item.data, ...(patch.data || {}) } });
+  });
+}
+
+/** Usage RPC answers that retrying will not fix. */
+const PERMANENT_USAGE_ERRORS = {
+  snip_limit_reached: 'Monthly snip limit reached.',
+  not_authenticated: 'Sign in to your account to finish this insert.',
+};
+
+async function recordUsage(item) {
+  if (!item.record) return item.snipId;
+  const usage = item.record.type === 'image'
+    ? await recordImageSnipAndCheckLimit({ ...item.record.params, drive_url: item.data.imageUrl ?? '' })
+    : await recordSnipAndCheckLimit(item.record.params);
+  if (usage.error) throw new Error(PERMANENT_USAGE_ERRORS[usage.error] || usage.error);
+  const snipId = usage.snip_id ?? null;
+  await saveProgress(item.id, { record: null, snipId });
+  item.record = null;
+  item.snipId = snipId;
+  return snipId;
+}
+
+/**
+ * One delivery attempt: upload (images), record usage if still pending, insert, add to undo history.
+ * The insert is a single batchUpdate, so it is in the document whole or not at all. An item whose snip
+ * already has its SNIP_REF_ range there got in on an earlier attempt (whose answer was lost, or the
+ * service worker stopped before the item was removed) and is not inserted again; its snip id is a new
+ * snips_history record, so no other insert has that range.
+ * @param {OutboxItem} item
+ */
+async function deliver(item) {
+  const { documentId } = item;
+  const range = await withTokenRetry(async (token) => {
+    const { target } = resolveTraySection(await getDocumentOutline(documentId, token), item.section);
+    if (item.snipId && (await hasSnipNamedRange(documentId, token, item.snipId, targetTabId(target)))) return null;
+    if (item.kind === 'image') {
+      if (!item.data.imageUrl) {
+        const blob = await fetch(item.data.imageDataUrl).then((r) => r.blob());
+        const folderId = await ensureResearchSnipsFolder(token);
+        const { fileId, imageUrl } = await uploadImageToDrive(token, blob, `eznote-snip-${item.createdAt}.png`, folderId);
+        const url = imageUrl || (fileId ? `https://drive.google.com/uc?export=view&id=${fileId}` : '');
+        item.data = { ...item.data, imageUrl: url, imageDataUrl: undefined };
+        await saveProgress(item.id, { data: { imageUrl: url, imageDataUrl: undefined } });
+      }
+      const snipId = await recordUsage(item);
+      const imageData = {
+        imageUrl: item.data.imageUrl,
+        imageWidthPt: item.data.imageWidthPt,
+        imageHeightPt: item.data.imageHeightPt,
+        pageUrl: item.data.pageUrl ?? '',
+        pageTitle: item.data.pageTitle ?? '',
+        timestamp: item.data.timestamp,
+        ocrText: item.data.ocrText,
+        insertAs: item.data.insertAs,
+        videoMoment: item.data.videoMoment,
+        note: item.data.note,
+        noteInDoc: item.data.noteInDoc,
+        snipId,
+      };
+      return insertImageWithSourceAtPosition(documentId, token, imageData, target);
+    }
+    const snipId = await recordUsage(item);
+    if (item.data.keepFormatting && item.data.richText) {
+      // Keep the uploaded formula links so a retry does not upload them again.
+      await uploadMathImages(token, item.data.richText);
+      await saveProgress(item.id, { data: { richText: item.data.richText } });
+    }
+    return insertHighlightAtPosition(documentId, token, { ...item.data, snipId }, target);
+  });
+  if (!range) return;
+  await pushUndoInsert({
+    documentId,
+    startIndex: range.startIndex,
+    endIndex: range.endIndex,
+    snipId: range.snipId ?? item.snipId,
+    tabId: range.tabId,
+    beforeParagraph: range.beforeParagraph,
+    kind: item.kind,
+    payload: item.kind === 'image'
+      ? { imageUrl: item.data.imageUrl, imageWidthPt: item.data.imageWidthPt, imageHeightPt: item.data.imageHeightPt, pageUrl: item.data.pageUrl, pageTitle: item.data.pageTitle, ocrText: item.data.ocrText, insertAs: item.data.insertAs, videoMoment: item.data.videoMoment, note: item.data.note, noteInDoc: item.data.noteInDoc }
+      : { selectedText: item.data.selectedText, pageUrl: item.data.pageUrl, pageTitle: item.data.pageTitle, timestamp: item.data.timestamp, richText: item.data.richText, table: item.data.table, keepFormatting: item.data.keepFormatting, note: item.data.note, noteInDoc: item.data.noteInDoc },
+  });
+}
+
+let processing = null;
+
+/**
+ * Attempt every item that is due (or the given item, or all non-failed items when force is set).
+ * Concurrent calls share one pass.
+ * @param {{ itemId?: string, force?: boolean }} [options]
+ * @returns {Promise<void>}
+ */
+export function processOutbox(options = {}) {
+  if (processing) return processing.then(() => (options.itemId || options.force ? processOutbox(options) : undefined));
+  processing = (async () => {
+    const now = Date.now();
+    const picked = await updateOutbox((items) => {
+      const due = items.filter((i) => {
+        if (options.itemId) return i.id === options.itemId;
+        // 'sending' items were interrupted (service worker stopped mid-attempt); pick them up again.
+        return i.status !== 'failed' && (options.force || i.nextAttemptAt <= now || i.status === 'sending');
+      });
+      for (const i of due) i.status = 'sending';
+      return due.map((i) => ({ ...i }));
+    });
+
+    let delivered = 0;
+    for (const item of picked) {
+      try {
+        await deliver(item);
+        await updateOutbox((items) => {
+          const pos = items.findIndex((i) => i.id === item.id);
+          if (pos !== -1) items.splice(pos, 1);
+        });
+        delivered += 1;
+      } catch (err) {
+        const message = err instanceof Error ? err.message : String(err);
+        const retry = !Object.values(PERMANENT_USAGE_ERRORS).includes(message) && isRetryableError(err);
+        log.bg.warn('outbox: insert attempt failed', message);
+        await updateOutbox((items) => {
+          const stored = items.find((i) => i.id === item.id);
+          if (!stored) return;
+          stored.attempts += 1;
+          stored.lastError = message;
+          stored.status = retry && stored.attempts < MAX_ATTEMPTS ? 'pending' : 'failed';
+          stored.nextAttemptAt = Date.now() + backoffDelay(stored.attempts);
+        });
+      }
+    }
+    if (delivered > 0) {
+      showNotification('Pending inserts', delivered === 1 ? 'A pending insert was added to your Google Doc.' : `${delivered} pending inserts were added to your Google Doc.`);
+    }
+    await scheduleNextAttempt();
+  })().finally(() => {
+    processing = null;
+  });
+  return processing;
+}
+
+/**
+ * Retry one item (or every pending/failed item when itemId is omitted) now, resetting failed items.
+ * Returns once the attempt has been started; progress is visible through the stored outbox.
+ * @param {string} [itemId]
+ */
+export async function retryOutboxNow(itemId) {
+  await updateOutbox((items) => {
+    for (const i of items) {
+      if (itemId && i.id !== itemId) continue;
+      if (i.status === 'failed') i.attempts = 0;
+      if (i.status !== 'sending') i.status = 'pending';
+      i.nextAttemptAt = Date.now();
+    }
+  });
+  processOutbox({ itemId, force: !itemId }).catch((err) => log.bg.warn('outbox: retry failed', err));
+}
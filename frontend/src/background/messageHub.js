@@ -1,357 +1,496 @@
 /**
  * Central message router: popup and content scripts send structured actions;
  * background handles auth, token retry, and API calls. All Google API access is here.
+ *
+ * Message types, their payload schemas and timeouts are declared in lib/messageProtocol.js; this module only
+ * registers a handler per type. dispatchMessage validates the request and the handler's answer and applies the
+ * type's timeout, so handlers can assume a well-formed payload and simply throw on unexpected failures.
  */
 
 import { getValidToken, getTokenInteractive, withTokenRetry, disconnect, clearAuthState } from './auth.js';
-import { getSelectedDocumentId, getSelectedDocumentName, setSelectedDocument } from '../lib/storage.js';
+import { getSelectedDocumentId, getSelectedDocumentName, setSelectedDocument, getCitationStylePreference, getNoteInDoc } from '../lib/storage.js';
 import {
   fetchDocsList,
   fetchDocPreview,
   resolveBlockImageUrls,
   getDocumentSections,
+  getDocumentOutline,
   insertHighlightAtPosition,
   insertImageWithSourceAtPosition,
-  deleteInsertRange,
   formatReferences,
 } from './googleDocs.js';
 import { createNewDoc } from './googleDrive.js';
 import { getSelectionAndPageInfo } from './captureSelection.js';
-import { recordSnipAndCheckLimit, getSnipUsage, getSnipsMetadata } from './snipUsage.js';
-import { pushUndoInsert, popUndoInsert, canUndoInsert } from './undoInsertStack.js';
+import { plugHighlightAtSection } from './plugHighlightIntoDoc.js';
+import { plugSelectionFromTab } from './contextMenu.js';
+import {
+  startSnipMode,
+  handleSnipBounds,
+  handleSnipImage,
+  setSnipInsertIndex,
+  clearSnipInsertIndex,
+  setSnipOverlayActive,
+  getSnipOverlayActive,
+  cancelSnip,
+} from './snipFlow.js';
+import { getSnipUsage, getSnipsMetadata } from './snipUsage.js';
+import { pushUndoInsert, undoInsert, redoInsert, getInsertHistory } from './undoInsertStack.js';
+import { getOutboxItems, retryOutboxNow, discardOutboxItem } from './insertOutbox.js';
+import {
+  getSnipTray,
+  addTextSnipToTray,
+  updateSnipTrayItem,
+  moveSnipTrayItem,
+  removeSnipTrayItem,
+  clearSnipTray,
+  commitSnipTray,
+} from './snipTray.js';
+import { documentIdFromDocsUrl, findSnipAtSelection, openSnipSource } from './sourceLookup.js';
+import { runOperation, isCancelledError, onOperationPortConnect } from './operations.js';
 import { log } from './logger.js';
+import {
+  MESSAGE_ERROR,
+  messageError,
+  getMessageDefinition,
+  messageTimeout,
+  expectsReply,
+  validateRequest,
+  validateResponse,
+} from '../lib/messageProtocol.js';
+
+const errorMessage = (err) => (err instanceof Error ? err.message : String(err));
+
+/** Snip actions answer { ok: true } or { error }, as the side panel and overlay expect. */
+const snipAction = (promise) => promise.then(() => ({ ok: true }), (err) => ({ error: String(err) }));
+
+async function selectedDocumentOrError() {
+  const documentId = await getSelectedDocumentId();
+  return documentId ? { documentId } : { error: { success: false, error: 'No document selected' } };
+}
 
 /**
- * Handle a message and return a result for sendResponse, or start async work and return no response.
- * @param {object} msg - { type, ...payload }
- * @param {chrome.runtime.MessageSender} sender
- * @returns {Promise<{ sendResponse: true, response: any } | { sendResponse: false }>}
+ * Handlers by message type: (msg, sender, context) => response. Payloads were already checked against the type's
+ * schema; context.requestId is set when the side panel runs an operation type over the operation port.
+ * @type {Record<string, (msg: any, sender: chrome.runtime.MessageSender, context: { requestId?: string }) => Promise<any>>}
  */
-export async function handleMessage(msg, sender) {
-  const type = msg?.type;
-
+const HANDLERS = {
   // --- Auth ---
-  if (type === 'AUTH_GET_STATUS') {
+  async AUTH_GET_STATUS() {
     const token = await getValidToken();
     const documentId = await getSelectedDocumentId();
     const documentName = await getSelectedDocumentName();
     return {
-      sendResponse: true,
-      response: {
-        connected: !!token,
-        documentId: documentId || null,
-        documentName: documentName || null,
-      },
+      connected: !!token,
+      documentId: documentId || null,
+      documentName: documentName || null,
     };
-  }
+  },
 
-  if (type === 'AUTH_CONNECT') {
+  async AUTH_CONNECT(msg) {
     const redirectUri = typeof chrome?.identity?.getRedirectURL === 'function' ? chrome.identity.getRedirectURL('oauth2') : '';
     try {
       await clearAuthState();
-      const webClientId = msg.webClientId || '';
-      await getTokenInteractive({ interactive: true, webClientId });
-      return { sendResponse: true, response: { success: true } };
+      await getTokenInteractive({ interactive: true, webClientId: msg.webClientId || '' });
+      return { success: true };
     } catch (err) {
       log.bg.warn('AUTH_CONNECT failed', err);
-      return {
-        sendResponse: true,
-        response: {
-          success: false,
-          error: err instanceof Error ? err.message : String(err),
-          redirectUri,
-        },
-      };
+      return { success: false, error: errorMessage(err), redirectUri };
     }
-  }
+  },
 
-  if (type === 'AUTH_DISCONNECT') {
+  async AUTH_DISCONNECT() {
     await disconnect();
-    return { sendResponse: true, response: { success: true } };
-  }
+    return { success: true };
+  },
 
   // --- Docs list & selection ---
-  if (type === 'DOCS_LIST') {
-    try {
-      const docs = await withTokenRetry((token) => fetchDocsList(token));
-      return { sendResponse: true, response: { success: true, docs } };
-    } catch (err) {
-      log.bg.warn('DOCS_LIST failed', err);
-      return {
-        sendResponse: true,
-        response: {
-          success: false,
-          error: err instanceof Error ? err.message : String(err) },
-      };
-    }
-  }
+  async DOCS_LIST() {
+    const docs = await withTokenRetry((token) => fetchDocsList(token));
+    return { success: true, docs };
+  },
+
+  async DOCS_SET_SELECTED(msg) {
+    await setSelectedDocument(msg.documentId, msg.documentName || '');
+    return { success: true };
+  },
+
+  async DOCS_CREATE(msg) {
+    const name = (msg.name ?? 'Untitled').trim() || 'Untitled';
+    const doc = await withTokenRetry((token) => createNewDoc(token, name));
+    await setSelectedDocument(doc.id, doc.name);
+    return { success: true, doc: { id: doc.id, name: doc.name } };
+  },
+
+  // --- Text Snip: get selection from tab ---
+  async GET_PLUG_SELECTION(msg) {
+    const tab = await chrome.tabs.get(msg.tabId);
+    const selection = await getSelectionAndPageInfo(tab);
+    return {
+      success: true,
+      selection: {
+        selectedText: selection.selectedText,
+        pageUrl: selection.pageUrl,
+        pageTitle: selection.pageTitle,
+        timestamp: selection.timestamp,
+        author: selection.author,
+        publishedDate: selection.publishedDate,
+        siteName: selection.siteName,
+        doi: selection.doi,
+        canonicalUrl: selection.canonicalUrl,
+        pageNumber: selection.pageNumber ?? '',
+        richText: selection.richText ?? null,
+        table: selection.table ?? null,
+        keepFormatting: selection.keepFormatting !== false,
+        noteInDoc: selection.noteInDoc === true,
+        textAnchor: selection.textAnchor ?? null,
+      },
+    };
+  },
+
+  // --- Text Snip: get document sections for placement ---
+  async DOCS_GET_SECTIONS() {
+    const { documentId, error } = await selectedDocumentOrError();
+    if (error) return error;
+    const sections = await withTokenRetry((token) => getDocumentSections(documentId, token));
+    return { success: true, sections };
+  },
 
-  if (type === 'DOCS_SET_SELECTED') {
-    const { documentId, documentName } = msg;
-    if (!documentId) {
-      return { sendResponse: true, response: { success: false, error: 'Missing documentId' } };
+  // --- Section picker: outline with nested headings, document tabs and paragraphs ---
+  async DOCS_GET_OUTLINE(msg) {
+    const { documentId, error } = msg.documentId ? { documentId: msg.documentId } : await selectedDocumentOrError();
+    if (error) return error;
+    const outline = await withTokenRetry((token) => getDocumentOutline(documentId, token));
+    return { success: true, outline };
+  },
+
+  // --- Text Snip: insert at chosen section ---
+  PLUG_IT_IN_AT_SECTION(msg) {
+    return plugHighlightAtSection(msg.selectionData, msg.insertIndex, msg.sectionLabel);
+  },
+
+  // --- Reinsert a snip (text or image) from Snip History / the snip library at section ---
+  async REINSERT_SNIP_AT_SECTION(msg) {
+    const { snip, insertIndex } = msg;
+    const isImage = snip.snippet_type === 'image';
+    if (isImage ? !snip.drive_url : !String(snip.content || '').trim()) {
+      return { success: false, error: 'Missing snip or insertIndex' };
     }
-    await setSelectedDocument(documentId, documentName || '');
-    return { sendResponse: true, response: { success: true } };
-  }
+    const { documentId, error } = await selectedDocumentOrError();
+    if (error) return error;
+    // Same snip id as the original insert, so Format References in this doc resolves the same record. Undo
+    // removes this copy's SNIP_REF_ range by its id (deleteInsertRange), so the original keeps its range.
+    const snipId = snip.id ?? null;
+    const common = {
+      pageUrl: snip.source_url || '',
+      pageTitle: snip.page_title || '',
+      note: snip.note || '',
+      noteInDoc: !!snip.note && (await getNoteInDoc()),
+    };
+    const payload = isImage
+      ? { imageUrl: snip.drive_url, imageWidthPt: 200, imageHeightPt: 150, ...common }
+      : { selectedText: snip.content, timestamp: '', richText: null, table: null, keepFormatting: false, ...common };
+    const range = await withTokenRetry((token) =>
+      isImage
+        ? insertImageWithSourceAtPosition(documentId, token, { ...payload, snipId }, insertIndex)
+        : insertHighlightAtPosition(documentId, token, { ...payload, snipId }, insertIndex)
+    );
+    await pushUndoInsert({
+      documentId,
+      startIndex: range.startIndex,
+      endIndex: range.endIndex,
+      snipId: range.snipId,
+      tabId: range.tabId,
+      beforeParagraph: range.beforeParagraph,
+      kind: isImage ? 'image' : 'text',
+      payload,
+    });
+    return { success: true };
+  },
+
+  PLUG_IT_IN(msg, sender) {
+    const tabId = msg.tabId ?? sender.tab?.id;
+    if (!tabId) return { error: 'No tab' };
+    return snipAction(plugSelectionFromTab(tabId));
+  },
+
+  // --- Image Snip: overlay, region and PDF viewer ---
+  START_SNIP(msg, sender) {
+    const tabId = msg.tabId ?? sender.tab?.id;
+    if (!tabId) return { error: 'No tab' };
+    clearSnipInsertIndex();
+    return snipAction(startSnipMode(tabId));
+  },
+
+  SNIP_START_WITH_SECTION(msg, sender) {
+    const tabId = msg.tabId ?? sender.tab?.id;
+    if (!tabId) return { ok: false, error: 'Missing tab or insertIndex' };
+    return snipAction(setSnipInsertIndex(msg.insertIndex, msg.annotation ?? null, msg.sectionLabel ?? null).then(() => startSnipMode(tabId)));
+  },
+
+  async SNIP_OVERLAY_CREATED(msg, sender) {
+    if (sender.tab?.id) await setSnipOverlayActive(true, sender.tab.id);
+  },
+
+  SNIP_BOUNDS(msg, sender) {
+    setSnipOverlayActive(false);
+    const tabId = sender.tab?.id;
+    if (!tabId) return { error: 'No tab or bounds' };
+    return snipAction(handleSnipBounds(tabId, msg.bounds, sender.tab?.windowId ?? null, {
+      pageUrl: msg.pageUrl,
+      pageTitle: msg.pageTitle,
+    }));
+  },
+
+  // Region snip from the bundled PDF viewer: the viewer renders the region itself (no tab capture).
+  PDF_REGION_SNIP(msg, sender) {
+    setSnipOverlayActive(false);
+    const tabId = sender.tab?.id ?? msg.tabId;
+    if (!tabId) return { error: 'No tab or image' };
+    return snipAction(handleSnipImage(tabId, { type: 'CROPPED_IMAGE', ...msg.image }, {
+      pageUrl: msg.pageUrl,
+      pageTitle: msg.pageTitle,
+      citation: msg.citation,
+    }));
+  },
+
+  async SNIP_CANCEL() {
+    await cancelSnip();
+    return { ok: true };
+  },
+
+  async GET_SNIP_STATE() {
+    return { active: await getSnipOverlayActive() };
+  },
 
-  if (type === 'DOCS_CREATE') {
-    const name = typeof msg.name === 'string' ? msg.name.trim() : 'Untitled';
+  async SNIP_OVERLAY_CLOSED() {
+    await setSnipOverlayActive(false);
+  },
+
+  // --- Format References (Pro): replace SNIP_REF_ inline sources with citations + bibliography in chosen style ---
+  async FORMAT_REFERENCES(msg, sender, { requestId } = {}) {
+    const { documentId, error } = await selectedDocumentOrError();
+    if (error) return error;
+    const style = msg.style || (await getCitationStylePreference()) || undefined;
     try {
-      const doc = await withTokenRetry((token) => createNewDoc(token, name || 'Untitled'));
-      await setSelectedDocument(doc.id, doc.name);
-      return { sendResponse: true, response: { success: true, doc: { id: doc.id, name: doc.name } } };
+      return await runOperation('FORMAT_REFERENCES', (op) =>
+        withTokenRetry((token) => formatReferences(documentId, token, getSnipsMetadata, {
+          style,
+          signal: op.signal,
+          onProgress: (stage) => op.progress(stage, { cancellable: stage === 'reading' || stage === 'citations' }),
+        })), { requestId });
     } catch (err) {
-      log.bg.warn('DOCS_CREATE failed', err);
-      return {
-        sendResponse: true,
-        response: { success: false, error: err instanceof Error ? err.message : String(err) },
-      };
+      if (isCancelledError(err)) return { success: false, cancelled: true, error: 'Format References was cancelled. The document was not changed.' };
+      throw err;
     }
-  }
+  },
 
-  // --- Text Snip: get selection from tab ---
-  if (type === 'GET_PLUG_SELECTION') {
-    const tabId = msg.tabId;
-    if (!tabId) {
-      return { sendResponse: true, response: { success: false, error: 'No tab' } };
-    }
+  // --- Snip usage (for popup: used/limit/allowed) ---
+  async GET_SNIP_USAGE() {
     try {
-      const tab = await chrome.tabs.get(tabId);
-      const selection = await getSelectionAndPageInfo(tab);
-      return {
-        sendResponse: true,
-        response: {
-          success: true,
-          selection: {
-            selectedText: selection.selectedText,
-            pageUrl: selection.pageUrl,
-            pageTitle: selection.pageTitle,
-            timestamp: selection.timestamp,
-          },
-        },
-      };
+      return await getSnipUsage();
     } catch (err) {
-      log.bg.warn('GET_PLUG_SELECTION failed', err);
-      return {
-        sendResponse: true,
-        response: { success: false, error: err instanceof Error ? err.message : String(err) },
-      };
+      log.bg.warn('GET_SNIP_USAGE failed', err);
+      return { error: errorMessage(err), allowed: true };
     }
-  }
+  },
 
-  // --- Text Snip: get document sections for placement ---
-  if (type === 'DOCS_GET_SECTIONS') {
+  // --- Insert history: undo / redo / revert ---
+  async GET_UNDO_STATE() {
+    const none = { available: false, redoAvailable: false, inserts: [] };
+    const documentId = await getSelectedDocumentId();
+    if (!documentId) return none;
     try {
-      const documentId = await getSelectedDocumentId();
-      if (!documentId) {
-        return { sendResponse: true, response: { success: false, error: 'No document selected' } };
-      }
-      const sections = await withTokenRetry((token) => getDocumentSections(documentId, token));
-      return { sendResponse: true, response: { success: true, sections } };
+      const { inserts, redo } = await getInsertHistory(documentId);
+      return { available: inserts.length > 0, redoAvailable: redo.length > 0, inserts };
     } catch (err) {
-      log.bg.warn('DOCS_GET_SECTIONS failed', err);
-      return {
-        sendResponse: true,
-        response: { success: false, error: err instanceof Error ? err.message : String(err) },
-      };
+      log.bg.warn('GET_UNDO_STATE failed', err);
+      return none;
     }
-  }
+  },
 
-  // --- Text Snip: insert at chosen section ---
-  if (type === 'PLUG_IT_IN_AT_SECTION') {
-    const { selectionData, insertIndex } = msg;
-    if (!selectionData || typeof insertIndex !== 'number') {
-      return {
-        sendResponse: true,
-        response: { success: false, error: 'Missing selectionData or insertIndex' },
-      };
-    }
+  async UNDO_LAST_INSERT() {
+    const { documentId, error } = await selectedDocumentOrError();
+    return error || undoInsert(documentId);
+  },
+
+  async REVERT_INSERT(msg) {
+    const { documentId, error } = await selectedDocumentOrError();
+    return error || undoInsert(documentId, msg.entryId);
+  },
+
+  async REDO_INSERT() {
+    const { documentId, error } = await selectedDocumentOrError();
+    return error || redoInsert(documentId);
+  },
+
+  // --- Pending inserts (offline outbox) ---
+  async GET_OUTBOX() {
     try {
-      const documentId = await getSelectedDocumentId();
-      if (!documentId) {
-        return { sendResponse: true, response: { success: false, error: 'No document selected' } };
-      }
-      const usage = await recordSnipAndCheckLimit({
-        content: selectionData.selectedText ?? '',
-        source_url: selectionData.pageUrl ?? '',
-        target_doc_id: documentId,
-        page_title: selectionData.pageTitle ?? '',
-        domain: selectionData.pageUrl ? (() => {
-          try {
-            const u = new URL(selectionData.pageUrl);
-            return (u.hostname || '').replace(/^www\./i, '');
-          } catch (_) { return ''; }
-        })() : '',
-      });
-      if (usage.error === 'snip_limit_reached') {
-        return {
-          sendResponse: true,
-          response: { success: false, error: 'snip_limit_reached', limit: usage.limit },
-        };
-      }
-      if (usage.error) {
-        return {
-          sendResponse: true,
-          response: {
-            success: false,
-            error: usage.error === 'not_authenticated' ? 'not_authenticated' : usage.error,
-            limit: usage.limit,
-          },
-        };
-      }
-      const snipId = usage.snip_id ?? null;
-      const range = await withTokenRetry((token) =>
-        insertHighlightAtPosition(documentId, token, { ...selectionData, snipId }, insertIndex, { getSnipsMetadata })
-      );
-      pushUndoInsert({ documentId, startIndex: range.startIndex, endIndex: range.endIndex, snipId });
-      return { sendResponse: true, response: { success: true } };
+      return { items: await getOutboxItems() };
     } catch (err) {
-      log.bg.warn('PLUG_IT_IN_AT_SECTION failed', err);
-      return {
-        sendResponse: true,
-        response: { success: false, error: err instanceof Error ? err.message : String(err) },
-      };
+      log.bg.warn('GET_OUTBOX failed', err);
+      return { items: [], error: errorMessage(err) };
     }
-  }
+  },
 
-  // --- Reinsert image from Snip History at section ---
-  if (type === 'REINSERT_IMAGE_AT_SECTION') {
-    const { driveUrl, insertIndex, pageUrl = '', pageTitle = '', snipId = null } = msg;
-    if (!driveUrl || typeof insertIndex !== 'number') {
-      return {
-        sendResponse: true,
-        response: { success: false, error: 'Missing driveUrl or insertIndex' },
-      };
-    }
+  async OUTBOX_RETRY(msg) {
+    await retryOutboxNow(msg.itemId || undefined);
+    return { success: true };
+  },
+
+  async OUTBOX_DISCARD(msg) {
+    await discardOutboxItem(msg.itemId);
+    return { success: true };
+  },
+
+  // --- Snip tray: staged snips, inserted together in one batchUpdate ---
+  async GET_SNIP_TRAY() {
+    return { success: true, items: await getSnipTray() };
+  },
+
+  async SNIP_TRAY_ADD_TEXT(msg) {
+    const count = await addTextSnipToTray(msg.selectionData, msg.section ?? null);
+    return { success: true, count };
+  },
+
+  async SNIP_TRAY_UPDATE(msg) {
+    await updateSnipTrayItem(msg.itemId, { text: msg.text, note: msg.note, section: msg.section });
+    return { success: true };
+  },
+
+  async SNIP_TRAY_MOVE(msg) {
+    await moveSnipTrayItem(msg.itemId, msg.delta);
+    return { success: true };
+  },
+
+  async SNIP_TRAY_REMOVE(msg) {
+    await removeSnipTrayItem(msg.itemId);
+    return { success: true };
+  },
+
+  async SNIP_TRAY_CLEAR() {
+    await clearSnipTray();
+    return { success: true };
+  },
+
+  async SNIP_TRAY_COMMIT(msg, sender, { requestId } = {}) {
     try {
-      const documentId = await getSelectedDocumentId();
-      if (!documentId) {
-        return { sendResponse: true, response: { success: false, error: 'No document selected' } };
-      }
-      const imageData = {
-        imageUrl: driveUrl,
-        imageWidthPt: 200,
-        imageHeightPt: 150,
-        pageUrl,
-        pageTitle,
-        snipId: snipId ?? null,
-      };
-      const range = await withTokenRetry((token) =>
-        insertImageWithSourceAtPosition(documentId, token, imageData, insertIndex, { getSnipsMetadata })
-      );
-      pushUndoInsert({ documentId, startIndex: range.startIndex, endIndex: range.endIndex, snipId: range.snipId });
-      return { sendResponse: true, response: { success: true } };
+      return await runOperation('SNIP_TRAY_COMMIT', (op) => commitSnipTray(op), { requestId });
     } catch (err) {
-      log.bg.warn('REINSERT_IMAGE_AT_SECTION failed', err);
-      return {
-        sendResponse: true,
-        response: { success: false, error: err instanceof Error ? err.message : String(err) },
-      };
+      if (isCancelledError(err)) return { success: false, cancelled: true, error: 'Cancelled. The snips are still in the tray.' };
+      throw err;
     }
-  }
+  },
+
+  // --- Sources: "Open source at highlight" ---
+  async FIND_SNIP_AT_SELECTION(msg, sender) {
+    const documentId = documentIdFromDocsUrl(sender.tab?.url);
+    if (!documentId) return { success: false, error: 'Not a Google Doc' };
+    return { success: true, snipId: await findSnipAtSelection(documentId, msg.text) };
+  },
+
+  OPEN_SNIP_SOURCE(msg) {
+    return openSnipSource(msg.snipId);
+  },
 
-  // --- Format References (Pro): replace SNIP_REF_ inline sources with superscript refs + Sources list ---
-  if (type === 'FORMAT_REFERENCES') {
+  // --- Doc preview (answered with a DOC_PREVIEW_RESULT broadcast) ---
+  async GET_DOC_PREVIEW() {
+    let payload;
     try {
       const documentId = await getSelectedDocumentId();
       if (!documentId) {
-        return { sendResponse: true, response: { success: false, error: 'No document selected' } };
+        payload = { error: 'No document selected' };
+      } else {
+        const result = await withTokenRetry(async (token) => {
+          const preview = await fetchDocPreview(documentId, token);
+          await resolveBlockImageUrls(preview.blocks, token);
+          return preview;
+        });
+        payload = { title: result.title, blocks: result.blocks };
       }
-      const result = await withTokenRetry((token) =>
-        formatReferences(documentId, token, getSnipsMetadata)
-      );
-      return { sendResponse: true, response: result };
     } catch (err) {
-      log.bg.warn('FORMAT_REFERENCES failed', err);
-      return {
-        sendResponse: true,
-        response: {
-          success: false,
-          error: err instanceof Error ? err.message : String(err),
-        },
-      };
+      payload = { error: err instanceof Error ? err.message : 'Failed to load preview' };
     }
+    try {
+      chrome.runtime.sendMessage({ type: 'DOC_PREVIEW_RESULT', ...payload });
+    } catch (_) {}
+  },
+};
+
+/**
+ * Validate a message, run its handler within the type's timeout and validate the answer.
+ * Never throws: protocol failures and handler errors come back as structured errors (lib/messageProtocol.js).
+ * @param {object} msg - { type, ...payload }
+ * @param {chrome.runtime.MessageSender} [sender]
+ * @param {{ requestId?: string }} [context] - requestId: started over the operation port (no timeout)
+ * @returns {Promise<any>} the response to send back
+ */
+export async function dispatchMessage(msg, sender = {}, context = {}) {
+  const invalid = validateRequest(msg);
+  if (invalid) {
+    log.bg.warn(invalid.error);
+    return invalid;
   }
+  const { type } = msg;
+  const handler = HANDLERS[type];
+  if (!handler) return messageError(MESSAGE_ERROR.UNKNOWN_TYPE, `No handler for ${type}`);
 
-  // --- Snip usage (for popup: used/limit/allowed) ---
-  if (type === 'GET_SNIP_USAGE') {
-    try {
-      const usage = await getSnipUsage();
-      return { sendResponse: true, response: usage };
-    } catch (err) {
-      log.bg.warn('GET_SNIP_USAGE failed', err);
-      return {
-        sendResponse: true,
-        response: { error: err instanceof Error ? err.message : String(err), allowed: true },
-      };
+  const timeoutMs = context.requestId ? 0 : messageTimeout(type);
+  let timeoutId;
+  const timedOut = new Promise((resolve) => {
+    if (timeoutMs > 0) {
+      timeoutId = setTimeout(() => {
+        log.bg.warn(`${type} timed out after ${timeoutMs} ms`);
+        resolve(messageError(MESSAGE_ERROR.TIMEOUT, 'Request timed out. Please reopen the extension and try again.'));
+      }, timeoutMs);
     }
+  });
+  let response;
+  try {
+    response = await Promise.race([Promise.resolve().then(() => handler(msg, sender, context)), timedOut]);
+  } catch (err) {
+    log.bg.warn(`${type} failed`, err);
+    return messageError(MESSAGE_ERROR.HANDLER_FAILED, errorMessage(err));
+  } finally {
+    clearTimeout(timeoutId);
   }
 
-  // --- Undo Last Insert ---
-  if (type === 'GET_UNDO_STATE') {
-    const documentId = await getSelectedDocumentId();
-    const available = documentId ? canUndoInsert(documentId) : false;
-    return { sendResponse: true, response: { available } };
+  const badResponse = validateResponse(type, response);
+  if (badResponse) {
+    log.bg.error(badResponse.error, response);
+    return badResponse;
   }
+  return response;
+}
 
-  if (type === 'UNDO_LAST_INSERT') {
-    let entry = null;
-    try {
-      const documentId = await getSelectedDocumentId();
-      if (!documentId) {
-        return { sendResponse: true, response: { success: false, error: 'No document selected' } };
-      }
-      entry = popUndoInsert();
-      if (!entry || entry.documentId !== documentId) {
-        return {
-          sendResponse: true,
-          response: { success: false, error: 'Nothing to undo for this document' },
-        };
-      }
-      const result = await withTokenRetry((token) =>
-        deleteInsertRange(documentId, token, entry.startIndex, entry.endIndex, entry.snipId ?? undefined)
-      );
-      if (result.success === false) {
-        pushUndoInsert(entry);
-        return { sendResponse: true, response: { success: false, error: result.error } };
-      }
-      return { sendResponse: true, response: { success: true } };
-    } catch (err) {
-      log.bg.warn('UNDO_LAST_INSERT failed', err);
-      if (entry) pushUndoInsert(entry);
-      return {
-        sendResponse: true,
-        response: { success: false, error: err instanceof Error ? err.message : String(err) },
-      };
-    }
+/**
+ * chrome.runtime.onMessage listener for the service worker. Messages addressed to another page (`target`:
+ * offscreen document, PDF viewer) and replies other listeners wait for are left alone.
+ * @returns {boolean} true while a response is pending
+ */
+export function onRuntimeMessage(msg, sender, sendResponse) {
+  if (msg?.target) return false;
+  const def = getMessageDefinition(msg?.type);
+  if (def && !HANDLERS[msg.type]) return false;
+  if (def && !expectsReply(msg.type)) {
+    dispatchMessage(msg, sender);
+    return false;
   }
-
-  // --- Doc preview (async broadcast; no sendResponse) ---
-  if (type === 'GET_DOC_PREVIEW') {
-    (async () => {
-      let payload;
-      try {
-        const documentId = await getSelectedDocumentId();
-        if (!documentId) {
-          payload = { error: 'No document selected' };
-        } else {
-          const result = await withTokenRetry(async (token) => {
-            const preview = await fetchDocPreview(documentId, token);
-            await resolveBlockImageUrls(preview.blocks, token);
-            return preview;
-          });
-          payload = { title: result.title, blocks: result.blocks };
-        }
-      } catch (err) {
-        payload = { error: err instanceof Error ? err.message : 'Failed to load preview' };
-      }
-      try {
-        chrome.runtime.sendMessage({ type: 'DOC_PREVIEW_RESULT', ...payload });
-      } catch (_) {}
-    })();
-    return { sendResponse: false };
+  if (!def) {
+    const unknown = validateRequest(msg);
+    log.bg.warn(unknown.error);
+    sendResponse(unknown);
+    return false;
   }
+  dispatchMessage(msg, sender).then((response) => {
+    try {
+      sendResponse(response);
+    } catch (_) {}
+  });
+  return true;
+}
 
-  return null;
+/** chrome.runtime.onConnect listener: the operation port (background/operations.js). */
+export function onRuntimeConnect(port) {
+  onOperationPortConnect(port, dispatchMessage);
 }
@@ -0,0 +1,59 @@
+/**
+ * Offline text recognition for Image Snips. The bundled Tesseract (WASM) engine and English model
+ * run in the offscreen document (public/offscreen.js); nothing leaves the browser.
+ */
+
+import { getOcrMode } from '../lib/storage.js';
+import { ensureOffscreenDocument, sendToOffscreen } from './offscreenDocument.js';
+import { log } from './logger.js';
+
+/** First run loads the engine and model (a few MB), so allow for more than one recognise pass. */
+const OCR_TIMEOUT_MS = 90000;
+/** Words below this confidence (0-100) are mostly noise from icons and borders. */
+const MIN_CONFIDENCE = 40;
+/** Stored and inserted text is capped; long pages are still searchable by their first part. */
+export const MAX_OCR_TEXT_LENGTH = 20000;
+
+/**
+ * Tidy engine output: unify line endings, drop control characters, collapse runs of blank lines.
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeOcrText(text) {
+  const cleaned = String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .split('')
+    .filter((ch) => ch === '\n' || ch === '\t' || (ch >= ' ' && ch !== '\u007F' && ch !== '\uFFFC'))
+    .join('');
+  return cleaned
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+    .slice(0, MAX_OCR_TEXT_LENGTH);
+}
+
+/**
+ * Run OCR on an Image Snip when the user has turned it on.
+ * Never throws: OCR is optional, so any failure means "no text" and the snip goes in as an image.
+ * @param {string} imageDataUrl - PNG data URL of the cropped snip
+ * @returns {Promise<{ mode: 'off' | 'image' | 'image_text' | 'text', text: string }>}
+ */
+export async function recognizeSnipText(imageDataUrl) {
+  const mode = await getOcrMode().catch(() => 'off');
+  if (mode === 'off' || !imageDataUrl) return { mode, text: '' };
+  try {
+    if (!(await ensureOffscreenDocument())) return { mode, text: '' };
+    const res = await Promise.race([
+      sendToOffscreen('ocr-snip-image', { imageDataUrl, minConfidence: MIN_CONFIDENCE }),
+      new Promise((resolve) => setTimeout(() => resolve({ success: false, error: 'OCR timed out' }), OCR_TIMEOUT_MS)),
+    ]);
+    if (!res?.success) {
+      log.bg.warn('OCR failed', res?.error);
+      return { mode, text: '' };
+    }
+    return { mode, text: normalizeOcrText(res.text) };
+  } catch (err) {
+    log.bg.warn('OCR failed', err?.message || err);
+    return { mode, text: '' };
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * The extension's single offscreen document (public/offscreen.html): clipboard writes for Image Snip
+ * "Copy to clipboard" and the bundled OCR engine, which needs a page to start its Web Worker.
+ */
+
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
+
+let offscreenDocumentCreating = null;
+
+/**
+ * Create the offscreen document unless it is already open.
+ * @returns {Promise<boolean>} false when the offscreen API is not available
+ */
+export async function ensureOffscreenDocument() {
+  if (typeof chrome.offscreen === 'undefined') return false;
+  const url = chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH);
+  let exists = false;
+  if (chrome.runtime.getContexts) {
+    const existing = await chrome.runtime.getContexts({
+      contextTypes: ['OFFSCREEN_DOCUMENT'],
+      documentUrls: [url],
+    });
+    exists = existing.length > 0;
+  }
+  if (!exists && typeof self.clients !== 'undefined') {
+    const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    exists = clientList.some((c) => c.url === url);
+  }
+  if (exists) return true;
+  if (offscreenDocumentCreating) return offscreenDocumentCreating;
+  offscreenDocumentCreating = chrome.offscreen.createDocument({
+    url: OFFSCREEN_DOCUMENT_PATH,
+    reasons: ['CLIPBOARD', 'WORKERS'],
+    justification: 'Copy snip image to clipboard when user chooses Copy to clipboard, and run offline text recognition on Image Snips.',
+  });
+  try {
+    await offscreenDocumentCreating;
+    return true;
+  } finally {
+    offscreenDocumentCreating = null;
+  }
+}
+
+/**
+ * Send a message to the offscreen document and wait for its reply.
+ * @param {string} type
+ * @param {object} data
+ * @returns {Promise<{ success: boolean, error?: string } & Record<string, unknown>>}
+ */
+export function sendToOffscreen(type, data) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ target: 'offscreen', type, data }, (res) => {
+      if (chrome.runtime.lastError) {
+        resolve({ success: false, error: chrome.runtime.lastError.message });
+      } else {
+        resolve(res || { success: false });
+      }
+    });
+  });
+}
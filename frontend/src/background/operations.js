@@ -0,0 +1,149 @@
+/**
+ * Long-running operations (Format References, Image Snip): progress stages and cancellation.
+ * Side panels connect a port named OPERATION_PORT (lib/messageProtocol.js). Every port hears the progress of every
+ * running operation, so a snip started from the overlay shows up in the panel too; a port can also start an
+ * operation message type itself (no timeout: the progress keeps it alive) and cancel any running operation.
+ * An open port also keeps the service worker alive while the work runs.
+ */
+
+import {
+  OPERATION_PORT,
+  OPERATION_CANCELLED,
+  MESSAGE_ERROR,
+  messageError,
+  operationStage,
+  isOperationType,
+  validateRequest,
+} from '../lib/messageProtocol.js';
+import { log } from './logger.js';
+
+/** @type {Set<chrome.runtime.Port>} */
+const ports = new Set();
+/** @type {Map<string, Operation>} */
+const running = new Map();
+
+/**
+ * @typedef {{ id: string, type: string, requestId: string | null, stage: string | null, label: string, fraction: number, cancellable: boolean, status: 'running' | 'done' | 'failed' | 'cancelled' }} OperationState
+ * @typedef {{ id: string, type: string, signal: AbortSignal, progress: (stage: string, options?: { cancellable?: boolean }) => void, throwIfCancelled: () => void }} Operation
+ */
+
+function post(port, message) {
+  try {
+    port.postMessage(message);
+  } catch (_) {
+    ports.delete(port);
+  }
+}
+
+function broadcast(state) {
+  for (const port of ports) post(port, { kind: 'operation', operation: state });
+}
+
+/** True for the error a cancelled operation stops with (also an aborted fetch). */
+export function isCancelledError(err) {
+  return err instanceof Error && err.message === OPERATION_CANCELLED;
+}
+
+/**
+ * Run fn as an operation of the given type (a key of OPERATION_STAGES). fn reports stages with op.progress and
+ * checks op.throwIfCancelled (or passes op.signal on) where stopping is still safe; after a stage with
+ * cancellable: false, cancel requests are ignored.
+ * @template T
+ * @param {string} type
+ * @param {(op: Operation) => Promise<T>} fn
+ * @param {{ requestId?: string | null }} [options] - the port request that started it
+ * @returns {Promise<T>} fn's result; rejects with OPERATION_CANCELLED when it was cancelled
+ */
+export async function runOperation(type, fn, { requestId = null } = {}) {
+  const controller = new AbortController();
+  /** @type {OperationState} */
+  const state = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    requestId,
+    stage: null,
+    ...operationStage(type, null),
+    cancellable: true,
+    status: 'running',
+  };
+  const op = {
+    id: state.id,
+    type,
+    signal: controller.signal,
+    progress(stage, { cancellable } = {}) {
+      if (cancellable === false) state.cancellable = false;
+      Object.assign(state, { stage, ...operationStage(type, stage) });
+      broadcast({ ...state });
+    },
+    throwIfCancelled() {
+      controller.signal.throwIfAborted();
+    },
+    cancel() {
+      if (!state.cancellable || controller.signal.aborted) return false;
+      controller.abort(new Error(OPERATION_CANCELLED));
+      return true;
+    },
+  };
+  running.set(op.id, { op, state });
+  broadcast({ ...state });
+  try {
+    const result = await fn(op);
+    state.status = controller.signal.aborted ? 'cancelled' : 'done';
+    return result;
+  } catch (err) {
+    state.status = isCancelledError(err) ? 'cancelled' : 'failed';
+    throw err;
+  } finally {
+    running.delete(op.id);
+    broadcast({ ...state, fraction: state.status === 'done' ? 1 : state.fraction });
+  }
+}
+
+/**
+ * Ask a running operation to stop.
+ * @param {string} operationId
+ * @returns {boolean} false when it is not running or past the point where it can stop
+ */
+export function cancelOperation(operationId) {
+  const entry = running.get(operationId);
+  if (!entry) return false;
+  const cancelled = entry.op.cancel();
+  if (cancelled) log.bg.info(`${entry.state.type} cancelled`);
+  return cancelled;
+}
+
+/**
+ * chrome.runtime.onConnect listener. Port messages:
+ * - { kind: 'start', requestId, message }: run an operation message type; answered with { kind: 'result', requestId, response }
+ * - { kind: 'cancel', operationId }
+ * @param {chrome.runtime.Port} port
+ * @param {(msg: object, sender: chrome.runtime.MessageSender, context: { requestId: string }) => Promise<any>} dispatch -
+ *   messageHub.dispatchMessage
+ */
+export function onOperationPortConnect(port, dispatch) {
+  if (port.name !== OPERATION_PORT) return;
+  ports.add(port);
+  for (const { state } of running.values()) post(port, { kind: 'operation', operation: { ...state } });
+  port.onDisconnect.addListener(() => {
+    ports.delete(port);
+  });
+  port.onMessage.addListener((msg) => {
+    if (msg?.kind === 'cancel' && typeof msg.operationId === 'string') {
+      cancelOperation(msg.operationId);
+      return;
+    }
+    if (msg?.kind !== 'start' || typeof msg.requestId !== 'string') return;
+    const { requestId, message } = msg;
+    const invalid = validateRequest(message);
+    const notAnOperation = !invalid && !isOperationType(message.type)
+      ? messageError(MESSAGE_ERROR.INVALID_REQUEST, `${message.type} cannot run as an operation`)
+      : null;
+    if (invalid || notAnOperation) {
+      post(port, { kind: 'result', requestId, response: invalid || notAnOperation });
+      return;
+    }
+    dispatch(message, port.sender ?? {}, { requestId }).then((response) => {
+      if (ports.has(port)) post(port, { kind: 'result', requestId, response });
+    });
+  });
+}
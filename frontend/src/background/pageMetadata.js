@@ -0,0 +1,133 @@
+/**
+ * Citation metadata from the source page: author, publish date, site name, DOI and canonical URL.
+ * extractCitationMetadata runs in the page via chrome.scripting, so it must stay self-contained
+ * (no references to module scope). Sources, most specific first: citation_* (Highwire/Google
+ * Scholar) meta tags, Dublin Core, JSON-LD Article/ScholarlyArticle, OpenGraph, plain meta tags.
+ */
+
+/**
+ * Run in page context. Returns empty strings for fields that are not found.
+ * @returns {{ author: string, publishedDate: string, siteName: string, doi: string, canonicalUrl: string }}
+ */
+export function extractCitationMetadata() {
+  const metaAll = (names) => {
+    const out = [];
+    for (const name of names) {
+      const sel = `meta[name="${name}" i], meta[property="${name}" i]`;
+      document.querySelectorAll(sel).forEach((m) => {
+        const v = (m.getAttribute('content') || '').trim();
+        if (v && !out.includes(v)) out.push(v);
+      });
+    }
+    return out;
+  };
+  const meta = (names) => metaAll(names)[0] || '';
+
+  // JSON-LD: first Article-like node (top level, arrays and @graph).
+  const ARTICLE_TYPES = ['Article', 'ScholarlyArticle', 'NewsArticle', 'BlogPosting', 'Report', 'TechArticle'];
+  let ld = null;
+  const isArticle = (node) => {
+    const t = node && node['@type'];
+    const types = Array.isArray(t) ? t : [t];
+    return types.some((x) => ARTICLE_TYPES.includes(x));
+  };
+  const visit = (node) => {
+    if (ld || !node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    if (isArticle(node)) {
+      ld = node;
+      return;
+    }
+    if (node['@graph']) visit(node['@graph']);
+  };
+  document.querySelectorAll('script[type="application/ld+json"]').forEach((s) => {
+    try {
+      visit(JSON.parse(s.textContent || ''));
+    } catch (_) {}
+  });
+  const ldName = (v) => {
+    if (!v) return [];
+    if (typeof v === 'string') return [v.trim()];
+    if (Array.isArray(v)) return v.flatMap(ldName);
+    if (typeof v === 'object' && typeof v.name === 'string') return [v.name.trim()];
+    return [];
+  };
+
+  let authors = metaAll(['citation_author']);
+  if (authors.length === 0) authors = metaAll(['dc.creator', 'dcterms.creator']);
+  if (authors.length === 0 && ld) authors = ldName(ld.author);
+  if (authors.length === 0) authors = metaAll(['article:author', 'author']).filter((a) => !/^https?:\/\//i.test(a));
+
+  let publishedDate = meta(['citation_publication_date', 'citation_date', 'citation_online_date', 'dc.date', 'dcterms.date', 'dcterms.issued']);
+  if (!publishedDate && ld) publishedDate = typeof ld.datePublished === 'string' ? ld.datePublished : '';
+  if (!publishedDate) publishedDate = meta(['article:published_time', 'date', 'pubdate']);
+  // citation_* dates are often "2021/03/04"; normalise to ISO-style separators.
+  publishedDate = publishedDate.trim().replace(/^(\d{4})\/(\d{1,2})(?:\/(\d{1,2}))?/, (_, y, m, d) => (d ? `${y}-${m}-${d}` : `${y}-${m}`));
+
+  let siteName = meta(['citation_journal_title', 'citation_conference_title', 'citation_publisher', 'dc.publisher', 'dcterms.publisher']);
+  if (!siteName && ld) siteName = ldName(ld.publisher)[0] || '';
+  if (!siteName) siteName = meta(['og:site_name', 'application-name']);
+
+  let doi = meta(['citation_doi', 'prism.doi', 'dc.identifier', 'dcterms.identifier']);
+  doi = doi.replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:\s*)/i, '').trim();
+  if (!/^10\.\d{4,}\//.test(doi)) doi = '';
+
+  const canonicalLink = document.querySelector('link[rel="canonical"]');
+  let canonicalUrl = canonicalLink ? canonicalLink.href || '' : '';
+  if (!canonicalUrl) canonicalUrl = meta(['og:url']);
+  if (!/^https?:\/\//i.test(canonicalUrl)) canonicalUrl = '';
+
+  return {
+    author: authors.join('; '),
+    publishedDate,
+    siteName: siteName.trim(),
+    doi,
+    canonicalUrl,
+  };
+}
+
+/** Empty metadata, used when the page cannot be scripted (chrome://, Web Store, PDF viewer). */
+export const EMPTY_CITATION_METADATA = {
+  author: '',
+  publishedDate: '',
+  siteName: '',
+  doi: '',
+  canonicalUrl: '',
+};
+
+/**
+ * Read citation metadata from a tab. Never throws; returns EMPTY_CITATION_METADATA on failure.
+ * @param {number} tabId
+ * @returns {Promise<{ author: string, publishedDate: string, siteName: string, doi: string, canonicalUrl: string }>}
+ */
+export async function getPageCitationMetadata(tabId) {
+  if (!tabId) return { ...EMPTY_CITATION_METADATA };
+  try {
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: extractCitationMetadata,
+    });
+    return { ...EMPTY_CITATION_METADATA, ...(result?.result || {}) };
+  } catch (_) {
+    return { ...EMPTY_CITATION_METADATA };
+  }
+}
+
+/**
+ * Map page metadata to the snake_case params used by recordSnipAndCheckLimit / recordImageSnipAndCheckLimit.
+ * pageNumber (PDF snips only) is the page, or range of pages, the snip was taken from.
+ * @param {{ author?: string, publishedDate?: string, siteName?: string, doi?: string, canonicalUrl?: string, pageNumber?: string }} [m]
+ */
+export function toSnipMetadataParams(m = {}) {
+  return {
+    author: m.author ?? '',
+    published_date: m.publishedDate ?? '',
+    site_name: m.siteName ?? '',
+    doi: m.doi ?? '',
+    canonical_url: m.canonicalUrl ?? '',
+    page_number: m.pageNumber ?? '',
+  };
+}
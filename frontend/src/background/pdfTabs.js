@@ -0,0 +1,92 @@
+/**
+ * PDF support: Chrome's built-in PDF viewer cannot be scripted, so PDF tabs are reopened in the
+ * extension's bundled PDF.js viewer (pdf-viewer.html, src/pdfViewer/). Text selection and region
+ * snips there are answered by the viewer page itself, including the page number of the snip.
+ */
+
+const PDF_VIEWER_PATH = 'pdf-viewer.html';
+const PDF_VIEWER_TIMEOUT_MS = 10000;
+
+/**
+ * True when the tab shows our PDF viewer.
+ * @param {{ url?: string }} tab
+ */
+export function isPdfViewerTab(tab) {
+  return typeof tab?.url === 'string' && tab.url.startsWith(chrome.runtime.getURL(PDF_VIEWER_PATH));
+}
+
+/**
+ * True when the tab shows a PDF in Chrome's own viewer (URL ends in .pdf or the document is a PDF).
+ * @param {{ id?: number, url?: string }} tab
+ * @returns {Promise<boolean>}
+ */
+export async function isNativePdfTab(tab) {
+  if (!tab?.id || typeof tab.url !== 'string' || !/^(https?|file):/i.test(tab.url)) return false;
+  try {
+    if (/\.pdf$/i.test(new URL(tab.url).pathname)) return true;
+  } catch (_) {
+    return false;
+  }
+  try {
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: () => document.contentType,
+    });
+    return result?.result === 'application/pdf';
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Reopen a PDF tab in the bundled viewer.
+ * @param {number} tabId
+ * @param {string} pdfUrl
+ * @param {{ startSnip?: boolean }} [options] - startSnip: begin a region snip as soon as the PDF is shown
+ */
+export async function openInPdfViewer(tabId, pdfUrl, options = {}) {
+  const params = new URLSearchParams({ file: pdfUrl });
+  if (options.startSnip) params.set('snip', '1');
+  await chrome.tabs.update(tabId, { url: `${chrome.runtime.getURL(PDF_VIEWER_PATH)}?${params}` });
+}
+
+/**
+ * Send a request to the viewer page open in tabId. Resolves with its reply, or { success: false, error } when
+ * the viewer does not answer (still loading, or closed).
+ * @param {number} tabId
+ * @param {string} type
+ * @param {object} [data]
+ */
+function sendToPdfViewer(tabId, type, data = {}) {
+  return new Promise((resolve) => {
+    const timeoutId = setTimeout(() => resolve({ success: false, error: 'The PDF viewer did not respond.' }), PDF_VIEWER_TIMEOUT_MS);
+    chrome.runtime.sendMessage({ target: 'pdf-viewer', tabId, type, data }, (res) => {
+      clearTimeout(timeoutId);
+      if (chrome.runtime.lastError) {
+        resolve({ success: false, error: 'The PDF is still loading. Try again in a moment.' });
+      } else {
+        resolve(res || { success: false, error: 'The PDF viewer did not respond.' });
+      }
+    });
+  });
+}
+
+/**
+ * Current text selection in the viewer, with the page number(s) it is on and the PDF's citation metadata.
+ * @param {number} tabId
+ * @returns {Promise<{ selectedText: string, pageUrl: string, pageTitle: string, pageNumber: string, author: string, publishedDate: string, siteName: string, doi: string, canonicalUrl: string }>}
+ */
+export async function getPdfViewerSelection(tabId) {
+  const res = await sendToPdfViewer(tabId, 'PDF_GET_SELECTION');
+  if (!res.success) throw new Error(res.error || 'Could not read the PDF selection.');
+  return res.selection;
+}
+
+/**
+ * Start region selection in the viewer; it answers later with a PDF_REGION_SNIP message.
+ * @param {number} tabId
+ */
+export async function startPdfRegionSnip(tabId) {
+  const res = await sendToPdfViewer(tabId, 'PDF_START_REGION_SNIP');
+  if (!res.success) throw new Error(res.error || 'Could not start snipping in the PDF.');
+}
@@ -1,16 +1,23 @@
 /**
  * "Text Snip": insert selected text (and source/timestamp) into the connected Google Doc.
- * When the doc is open in a tab, tries to paste at cursor first; otherwise appends via API.
+ * When the doc is open in a tab, inserts below the user's cursor there (docsCursor.js); otherwise appends via API.
+ * A site rule for the page (siteRouting.js) picks the document and section instead.
  * Note: The monthly snip limit applies only to "Image Snip" (screenshots). This flow
  * records the text in snips_history for Format References but does not count toward the limit.
  */
 
-import { getSelectedDocumentId } from '../lib/storage.js';
+import { getSelectedDocumentId, setLastTextSnipSection } from '../lib/storage.js';
 import { withTokenRetry } from './auth.js';
-import { insertHighlightToDoc } from './googleDocs.js';
+import { insertHighlightToDoc, insertHighlightAtPosition } from './googleDocs.js';
 import { showNotification } from './notifications.js';
-import { buildPlugPlainText, tryPasteAtCursorInDocTab } from './pasteAtCursor.js';
-import { recordSnipAndCheckLimit, getSnipsMetadata } from './snipUsage.js';
+import { resolveCursorInsertIndex } from './docsCursor.js';
+import { resolveSiteRoute } from './siteRouting.js';
+import { recordSnipAndCheckLimit } from './snipUsage.js';
+import { toSnipMetadataParams } from './pageMetadata.js';
+import { pushUndoInsert } from './undoInsertStack.js';
+import { enqueueInsert, isRetryableError, OUTBOX_FULL_MESSAGE } from './insertOutbox.js';
+import { log } from './logger.js';
+import { uploadMathImages, richTextMathTex } from './snipMath.js';
 
 function friendlyError(err) {
   const msg = err instanceof Error ? err.message : String(err);
@@ -24,18 +31,29 @@ function friendlyError(err) {
 }
 
 /**
- * Plug the captured highlight into the connected Google Doc.
- * If sourceTabId is provided and the doc is open in another tab, pastes at cursor there; else appends via API.
- * @param {{ selectedText: string, pageUrl: string, pageTitle: string, timestamp: string }} data
- * @param {number} [sourceTabId] - tab where the user selected text (for clipboard + paste-at-cursor)
+ * What is kept of a Text Snip for undo/redo, the outbox and the snip tray (no citation metadata).
+ * @param {object} data - selection data as sent to plugHighlightIntoDoc / plugHighlightAtSection
  */
-export async function plugHighlightIntoDoc(data, sourceTabId) {
-  const documentId = await getSelectedDocumentId();
-  if (!documentId) {
-    showNotification('No document selected', 'Open the DocSourced extension and select a Google Doc to connect.');
-    return;
-  }
+export function textSnipPayload(data) {
+  return {
+    selectedText: data.selectedText ?? '',
+    pageUrl: data.pageUrl ?? '',
+    pageTitle: data.pageTitle ?? '',
+    timestamp: data.timestamp ?? '',
+    richText: data.richText ?? null,
+    table: data.table ?? null,
+    keepFormatting: !!data.keepFormatting,
+    note: data.note ?? '',
+    noteInDoc: !!data.noteInDoc,
+  };
+}
 
+/**
+ * snips_history parameters of a Text Snip (recordSnipAndCheckLimit).
+ * @param {object} data - selection data, with the note and tags
+ * @param {string} documentId
+ */
+export function textSnipRecordParams(data, documentId) {
   const pageUrl = data.pageUrl ?? '';
   const domain = (() => {
     try {
@@ -44,45 +62,175 @@ export async function plugHighlightIntoDoc(data, sourceTabId) {
       return (u.hostname || '').replace(/^www\./i, '');
     } catch (_) { return ''; }
   })();
-  const usage = await recordSnipAndCheckLimit({
+  return {
     content: data.selectedText ?? '',
     source_url: pageUrl,
     target_doc_id: documentId,
     page_title: data.pageTitle ?? '',
     domain,
-  });
+    ...toSnipMetadataParams(data),
+    math_tex: richTextMathTex(data.richText),
+    note: data.note ?? '',
+    tags: data.tags ?? [],
+    text_anchor: data.textAnchor ?? null,
+  };
+}
+
+/**
+ * Plug the captured highlight into the connected Google Doc, or the document and section of the page's site rule.
+ * If sourceTabId is provided and the doc is open in a tab, inserts at the cursor there (unless the rule names a
+ * section); else appends via API.
+ * @param {{ selectedText: string, pageUrl: string, pageTitle: string, timestamp: string, author?: string, publishedDate?: string, siteName?: string, doi?: string, canonicalUrl?: string, note?: string, tags?: string[], noteInDoc?: boolean }} data
+ * @param {number} [sourceTabId] - tab where the user selected text; set when the snip may go to the cursor
+ * @returns {Promise<boolean>} true when the highlight was added or saved in Pending inserts (failures are notified)
+ */
+export async function plugHighlightIntoDoc(data, sourceTabId) {
+  const pageUrl = data.pageUrl ?? '';
+  let route = null;
+  try {
+    route = await resolveSiteRoute(pageUrl, sourceTabId);
+  } catch (err) {
+    log.bg.warn('Site rule lookup failed', err);
+    showNotification('Could not plug in', friendlyError(err));
+    return false;
+  }
+  if (route?.cancelled) return false;
+
+  const documentId = route ? route.documentId : await getSelectedDocumentId();
+  if (!documentId) {
+    showNotification('No document selected', 'Open the DocSourced extension and select a Google Doc to connect.');
+    return false;
+  }
+
+  const usage = await recordSnipAndCheckLimit(textSnipRecordParams(data, documentId));
   if (usage.error === 'snip_limit_reached') {
     showNotification('Snip limit reached', 'You\'ve reached your monthly limit. Upgrade to add more.');
-    return;
+    return false;
   }
   if (usage.error === 'not_authenticated') {
     showNotification('Sign in required', 'Open DocSourced and sign in to your account to use Image Snip.');
-    return;
+    return false;
   }
   if (usage.error) {
     showNotification('Could not plug in', usage.error);
-    return;
+    return false;
   }
 
   const snipId = usage.snip_id ?? null;
-  const plainText = buildPlugPlainText(data);
-  if (sourceTabId) {
-    const pasted = await tryPasteAtCursorInDocTab(documentId, sourceTabId, plainText);
-    if (pasted) {
-      showNotification('Plugged in', 'Added at cursor in your open doc.');
-      return;
-    }
-  }
+  const target = route?.target ?? (sourceTabId ? await resolveCursorInsertIndex(documentId) : null);
 
+  const payload = textSnipPayload(data);
   try {
-    await withTokenRetry((token) => insertHighlightToDoc(documentId, token, { ...data, snipId }, { getSnipsMetadata }));
-    showNotification('Plugged in', 'Highlight was added to your connected Google Doc.');
+    const range = await withTokenRetry(async (token) => {
+      if (data.keepFormatting) await uploadMathImages(token, data.richText);
+      return target !== null
+        ? insertHighlightAtPosition(documentId, token, { ...data, snipId }, target)
+        : insertHighlightToDoc(documentId, token, { ...data, snipId });
+    });
+    await pushUndoInsert({
+      documentId,
+      startIndex: range.startIndex,
+      endIndex: range.endIndex,
+      snipId,
+      tabId: range.tabId,
+      beforeParagraph: range.beforeParagraph,
+      kind: 'text',
+      payload,
+    });
+    showNotification(
+      'Plugged in',
+      route?.target != null
+        ? `Added to ${route.documentName} (${route.label}).`
+        : target !== null
+          ? 'Added at your cursor in the open doc.'
+          : route ? `Added to the end of ${route.documentName}.` : 'Highlight was added to your connected Google Doc.'
+    );
+    return true;
   } catch (err) {
     const msg = err instanceof Error ? err.message : String(err);
     if (msg.includes('Sign in required')) {
       showNotification('Sign in required', 'Open the DocSourced extension and click "Connect Google Docs" to sign in.');
-      return;
+      return false;
+    }
+    if (isRetryableError(err)) {
+      // A rule's section is found again by label; a cursor position will be stale, so that goes to the end.
+      const section = route?.target != null ? { label: route.label, target: route.target } : null;
+      if (!(await enqueueInsert({ kind: 'text', documentId, section, data: payload, snipId, error: err }))) {
+        showNotification('Could not plug in', OUTBOX_FULL_MESSAGE);
+        return false;
+      }
+      showNotification('Saved for later', 'Could not reach Google Docs. The highlight is in Pending inserts and will be added automatically.');
+      return true;
     }
     showNotification('Could not plug in', friendlyError(err));
+    return false;
+  }
+}
+
+/**
+ * Text Snip at a chosen insertion point (side panel section picker, keyboard shortcut).
+ * The section label is remembered per document so the shortcut can insert there again.
+ * @param {object} selectionData - from getSelectionAndPageInfo: { selectedText, pageUrl, pageTitle, timestamp, ...citation metadata },
+ *   plus the note and tags added in the side panel
+ * @param {import('../lib/docsOutline.js').InsertTarget} insertIndex - from the document outline (getDocumentOutline / getDocumentSections)
+ * @param {string} [sectionLabel] - label of that insertion point; a queued retry looks it up again (without one it goes to the end)
+ * @returns {Promise<{ success: boolean, queued?: boolean, error?: string, limit?: number }>} queued: in Pending inserts after a network failure
+ */
+export async function plugHighlightAtSection(selectionData, insertIndex, sectionLabel) {
+  let documentId = null;
+  let recordParams = null;
+  let snipId = null;
+  const textPayload = textSnipPayload(selectionData);
+  try {
+    documentId = await getSelectedDocumentId();
+    if (!documentId) {
+      return { success: false, error: 'No document selected' };
+    }
+    recordParams = textSnipRecordParams(selectionData, documentId);
+    const usage = await recordSnipAndCheckLimit(recordParams);
+    recordParams = null;
+    if (usage.error === 'snip_limit_reached') {
+      return { success: false, error: 'snip_limit_reached', limit: usage.limit };
+    }
+    if (usage.error) {
+      return {
+        success: false,
+        error: usage.error === 'not_authenticated' ? 'not_authenticated' : usage.error,
+        limit: usage.limit,
+      };
+    }
+    snipId = usage.snip_id ?? null;
+    const range = await withTokenRetry(async (token) => {
+      if (selectionData.keepFormatting) await uploadMathImages(token, selectionData.richText);
+      return insertHighlightAtPosition(documentId, token, { ...selectionData, snipId }, insertIndex);
+    });
+    await pushUndoInsert({
+      documentId,
+      startIndex: range.startIndex,
+      endIndex: range.endIndex,
+      snipId,
+      tabId: range.tabId,
+      beforeParagraph: range.beforeParagraph,
+      kind: 'text',
+      payload: textPayload,
+    });
+    if (sectionLabel) await setLastTextSnipSection(documentId, sectionLabel).catch(() => {});
+    return { success: true };
+  } catch (err) {
+    log.bg.warn('Text Snip at section failed', err);
+    if (documentId && isRetryableError(err)) {
+      // Keep the snip: queue it (and the usage record, if that call failed too) for retry.
+      const queued = await enqueueInsert({
+        kind: 'text',
+        documentId,
+        section: { label: sectionLabel, target: insertIndex },
+        data: textPayload,
+        snipId,
+        record: recordParams ? { type: 'text', params: recordParams } : null,
+        error: err,
+      });
+      return queued ? { success: true, queued: true } : { success: false, error: OUTBOX_FULL_MESSAGE };
+    }
+    return { success: false, error: err instanceof Error ? err.message : String(err) };
   }
 }
@@ -0,0 +1,158 @@
+/**
+ * Scrolling Image Snip: capture a region taller than the viewport (or the whole page) by scrolling
+ * the tab, taking one captureVisibleTab tile per screen and stitching the tiles on an OffscreenCanvas.
+ *
+ * Sticky elements are switched to position:relative for the whole capture and fixed elements are
+ * hidden after the first tile, so headers and toolbars appear once instead of in every tile.
+ * The page functions run via chrome.scripting and must stay self-contained; state between calls is
+ * kept on window.__eznoteScrollCapture (the extension's isolated world persists across injections).
+ */
+
+/** Tallest region we capture, in CSS px; longer selections are cut off at this height. */
+const MAX_CAPTURE_HEIGHT = 20000;
+/** Canvas side and area limits; the stitched image is scaled down to fit (area keeps memory in check). */
+const MAX_CANVAS_SIZE = 32000;
+const MAX_CANVAS_AREA = 32 * 1000 * 1000;
+/** captureVisibleTab is limited to 2 calls per second. */
+const CAPTURE_INTERVAL_MS = 550;
+
+/** Page: remember scroll position, unstick sticky elements, mark fixed ones. */
+function preparePage() {
+  const prev = window.__eznoteScrollCapture;
+  if (!prev) {
+    const state = { scrollX: window.scrollX, scrollY: window.scrollY, saved: [], fixed: [], fixedHidden: false };
+    document.querySelectorAll('body *').forEach((el) => {
+      const pos = getComputedStyle(el).position;
+      if (pos === 'sticky' || pos === '-webkit-sticky') {
+        state.saved.push({ el, prop: 'position', value: el.style.getPropertyValue('position'), priority: el.style.getPropertyPriority('position') });
+        el.style.setProperty('position', 'relative', 'important');
+      } else if (pos === 'fixed') {
+        state.fixed.push(el);
+      }
+    });
+    window.__eznoteScrollCapture = state;
+  }
+  const doc = document.documentElement;
+  return {
+    viewportWidth: doc.clientWidth || window.innerWidth,
+    viewportHeight: window.innerHeight,
+    scrollHeight: Math.max(doc.scrollHeight, document.body ? document.body.scrollHeight : 0),
+    scrollY: window.scrollY,
+  };
+}
+
+/** Page: scroll to y (hiding fixed elements when asked) and resolve with the actual scroll offset once painted. */
+function scrollPageTo(y, hideFixed) {
+  const state = window.__eznoteScrollCapture;
+  if (state && hideFixed && !state.fixedHidden) {
+    for (const el of state.fixed) {
+      state.saved.push({ el, prop: 'visibility', value: el.style.getPropertyValue('visibility'), priority: el.style.getPropertyPriority('visibility') });
+      el.style.setProperty('visibility', 'hidden', 'important');
+    }
+    state.fixedHidden = true;
+  }
+  window.scrollTo(state ? state.scrollX : window.scrollX, y);
+  return new Promise((resolve) => {
+    requestAnimationFrame(() => requestAnimationFrame(() => resolve(window.scrollY)));
+  });
+}
+
+/** Page: undo preparePage/scrollPageTo. */
+function restorePage() {
+  const state = window.__eznoteScrollCapture;
+  if (!state) return;
+  for (let i = state.saved.length - 1; i >= 0; i--) {
+    const { el, prop, value, priority } = state.saved[i];
+    if (value) el.style.setProperty(prop, value, priority);
+    else el.style.removeProperty(prop);
+  }
+  window.scrollTo(state.scrollX, state.scrollY);
+  delete window.__eznoteScrollCapture;
+}
+
+async function runInPage(tabId, func, args = []) {
+  const [result] = await chrome.scripting.executeScript({ target: { tabId }, func, args });
+  return result?.result;
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/** PNG/JPEG blob as a data: URL (FileReader is not available in the service worker). */
+export async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+  }
+  return `data:${blob.type || 'image/png'};base64,${btoa(binary)}`;
+}
+
+/**
+ * Capture a page region by scrolling. bounds.x/width are viewport CSS px; bounds.y/height are page CSS px.
+ * Returns the same shape as the overlay's CROP_IMAGE result.
+ * @param {number} tabId
+ * @param {number | null} windowId
+ * @param {{ x: number, y: number, width: number, height: number }} bounds
+ * @returns {Promise<{ base64: string, width: number, height: number }>}
+ */
+export async function captureScrollingRegion(tabId, windowId, bounds) {
+  const info = await runInPage(tabId, preparePage);
+  if (!info) throw new Error('Could not prepare the page for capture.');
+  try {
+    const top = Math.max(0, Math.round(bounds.y));
+    const bottom = Math.min(info.scrollHeight, top + Math.min(Math.round(bounds.height), MAX_CAPTURE_HEIGHT));
+    const left = Math.max(0, Math.round(bounds.x));
+    const width = Math.max(1, Math.min(Math.round(bounds.width), info.viewportWidth - left));
+    const height = Math.max(1, bottom - top);
+    const maxScroll = Math.max(0, info.scrollHeight - info.viewportHeight);
+
+    /** @type {Array<{ bitmap: ImageBitmap, scrollY: number }>} */
+    const tiles = [];
+    let y = Math.min(top, maxScroll);
+    let lastCaptureAt = 0;
+    for (;;) {
+      const scrollY = await runInPage(tabId, scrollPageTo, [y, tiles.length > 0]);
+      const wait = CAPTURE_INTERVAL_MS - (Date.now() - lastCaptureAt);
+      if (wait > 0) await sleep(wait);
+      const dataUrl = await chrome.tabs.captureVisibleTab(windowId ?? undefined, { format: 'png' });
+      lastCaptureAt = Date.now();
+      const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+      tiles.push({ bitmap, scrollY: typeof scrollY === 'number' ? scrollY : y });
+      const covered = tiles[tiles.length - 1].scrollY + info.viewportHeight;
+      if (covered >= bottom || y >= maxScroll) break;
+      y = Math.min(covered, maxScroll);
+    }
+
+    // Device pixels per CSS px, measured from the first tile.
+    const dpr = tiles[0].bitmap.width / info.viewportWidth || 1;
+    const scale = Math.min(dpr, MAX_CANVAS_SIZE / height, MAX_CANVAS_SIZE / width, Math.sqrt(MAX_CANVAS_AREA / (width * height)));
+    const canvas = new OffscreenCanvas(Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+    const ctx = canvas.getContext('2d');
+    // Later tiles overwrite the overlap with earlier ones; draw only the part of each tile inside the region.
+    for (const { bitmap, scrollY } of tiles) {
+      const from = Math.max(top, scrollY);
+      const to = Math.min(bottom, scrollY + info.viewportHeight);
+      if (to > from) {
+        ctx.drawImage(
+          bitmap,
+          left * dpr,
+          (from - scrollY) * dpr,
+          width * dpr,
+          (to - from) * dpr,
+          0,
+          (from - top) * scale,
+          width * scale,
+          (to - from) * scale
+        );
+      }
+      bitmap.close();
+    }
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    return { base64: await blobToDataUrl(blob), width: canvas.width, height: canvas.height };
+  } finally {
+    await runInPage(tabId, restorePage).catch(() => {});
+  }
+}
@@ -0,0 +1,214 @@
+/**
+ * Rich-text capture for Text Snips: the selection as paragraphs of styled runs (see lib/richText.js).
+ * extractSelectionRichText runs in the page via chrome.scripting, so it must stay self-contained.
+ * It reads the live DOM (computed styles), not a cloned fragment, so formatting applied by CSS
+ * classes counts as well as <b>/<em>/<code> tags.
+ *
+ * Math (MathJax 2/3, KaTeX, MathML) becomes one run per formula carrying its TeX source (or MathML);
+ * the rendered elements are kept on window.__eznoteMathElements so snipMath.js can screenshot them.
+ * Code blocks keep their indentation and report their language when the page marks it.
+ */
+
+/**
+ * Run in page context. Returns null when nothing is selected or the selection has no formatting
+ * worth keeping (plain paragraphs only), so callers can fall back to the plain-text snip.
+ * @returns {{ paragraphs: Array<{ runs: Array<{ text: string, bold?: boolean, italic?: boolean, underline?: boolean, strike?: boolean, code?: boolean, link?: string, math?: { tex: string, mathml: string, display: boolean, element: number } }>, heading?: number, list?: { ordered: boolean, level: number }, code?: boolean, language?: string }> } | null}
+ */
+export function extractSelectionRichText() {
+  const MAX_PARAGRAPHS = 2000;
+  const MAX_MATH = 30;
+  const MATH_SELECTOR = 'mjx-container, .MathJax_Display, .MathJax, .MathJax_SVG, .MathJax_CHTML, .katex-display, .katex, .mwe-math-element, math';
+  const DISPLAY_MATH_SELECTOR = '.katex-display, .MathJax_Display, mjx-container[display="true"], math[display="block"]';
+  const sel = window.getSelection();
+  if (!sel || sel.rangeCount === 0 || sel.isCollapsed) return null;
+
+  const isBlock = (el) => {
+    const display = getComputedStyle(el).display;
+    return display !== 'contents' && !display.startsWith('inline');
+  };
+  const blockOf = (el) => {
+    let cur = el;
+    while (cur && cur !== document.body && !isBlock(cur)) cur = cur.parentElement;
+    return cur || document.body;
+  };
+  const linkOf = (el) => {
+    const a = el.closest('a[href]');
+    return a && /^(https?:|mailto:)/i.test(a.href) ? a.href : '';
+  };
+  const styleOf = (el) => {
+    const cs = getComputedStyle(el);
+    const deco = cs.textDecorationLine || cs.textDecoration || '';
+    const style = {};
+    if (Number(cs.fontWeight) >= 600 || cs.fontWeight === 'bold') style.bold = true;
+    if (cs.fontStyle === 'italic' || cs.fontStyle === 'oblique') style.italic = true;
+    if (/underline/.test(deco) && !el.closest('a[href]')) style.underline = true;
+    if (/line-through/.test(deco)) style.strike = true;
+    if (el.closest('code, kbd, samp, pre, tt') || /monospace/i.test(cs.fontFamily)) style.code = true;
+    const link = linkOf(el);
+    if (link) style.link = link;
+    return style;
+  };
+  const languageOf = (el) => {
+    // The block, its ancestors up to the <pre>, the wrapper around it and the <code> inside it.
+    const pre = el.closest('pre');
+    const candidates = [];
+    for (let cur = el; cur && cur !== document.body; cur = cur.parentElement) {
+      candidates.push(cur);
+      if (cur === pre) break;
+    }
+    if (pre?.parentElement) candidates.push(pre.parentElement);
+    const code = pre?.querySelector('code');
+    if (code) candidates.push(code);
+    for (const cur of candidates) {
+      const attr = cur.getAttribute('data-lang') || cur.getAttribute('data-language');
+      if (attr) return attr.trim().toLowerCase().slice(0, 30);
+      const className = typeof cur.className === 'string' ? cur.className : '';
+      const match = /(?:^|\s)(?:language|lang|highlight-source)-([\w+#.-]+)/.exec(className);
+      if (match) return match[1].toLowerCase().slice(0, 30);
+    }
+    return '';
+  };
+  // TeX source of a rendered formula, from wherever the renderer left it.
+  const texOf = (el) => {
+    const annotation = el.querySelector('annotation[encoding="application/x-tex"], annotation[encoding="TeX"]');
+    if (annotation?.textContent.trim()) return annotation.textContent.trim();
+    const TEX_ATTR = '[data-tex], [data-latex]';
+    const withAttr = [el, el.parentElement].find((e) => e?.matches(TEX_ATTR)) || el.querySelector(TEX_ATTR);
+    const attr = withAttr?.getAttribute('data-tex') || withAttr?.getAttribute('data-latex');
+    if (attr) return attr.trim();
+    // MathJax 2 keeps the source in <script type="math/tex"> after the rendered frame.
+    const frame = el.matches('.MathJax_Display') ? el.querySelector('.MathJax, .MathJax_SVG, .MathJax_CHTML') || el : el;
+    const script = (frame.id && document.getElementById(frame.id.replace(/-Frame$/, '')))
+      || (el.nextElementSibling?.matches('script[type^="math/tex"]') ? el.nextElementSibling : null);
+    if (script?.tagName === 'SCRIPT' && script.textContent.trim()) return script.textContent.trim();
+    const img = el.querySelector('img[alt]');
+    const math = el.matches('math') ? el : el.querySelector('math');
+    const alt = math?.getAttribute('alttext') || (el.matches('.mwe-math-element') ? img?.getAttribute('alt') : '');
+    // Wikipedia wraps its TeX in {\displaystyle ...}.
+    return alt ? alt.trim().replace(/^\{\\(?:display|text)style\s*([\s\S]*)\}$/, '$1').trim() : '';
+  };
+  const mathElements = [];
+  const mathRun = (el) => {
+    const math = el.matches('math') ? el : el.querySelector('math');
+    const tex = texOf(el);
+    const display = el.matches(DISPLAY_MATH_SELECTOR) || !!el.querySelector(DISPLAY_MATH_SELECTOR) || (!!math && math.getAttribute('display') === 'block');
+    const mathml = math ? math.outerHTML.slice(0, 20000) : '';
+    let text = tex ? (display ? `$$${tex}$$` : `$${tex}$`) : (math?.textContent || el.textContent || '').replace(/\s+/g, ' ').trim();
+    if (!text) text = '[formula]';
+    mathElements.push(el);
+    return { text, math: { tex, mathml, display, element: mathElements.length - 1 } };
+  };
+
+  const paragraphContext = (block) => {
+    const ctx = {};
+    const heading = block.closest('h1, h2, h3, h4, h5, h6');
+    if (heading) ctx.heading = Number(heading.tagName.slice(1));
+    const li = block.closest('li');
+    if (li) {
+      let level = -1;
+      for (let p = li.parentElement; p; p = p.parentElement) {
+        if (p.tagName === 'UL' || p.tagName === 'OL') level += 1;
+      }
+      const list = li.closest('ul, ol');
+      ctx.list = { ordered: list?.tagName === 'OL', level: Math.max(0, Math.min(level, 8)) };
+    }
+    if (block.closest('pre')) {
+      ctx.code = true;
+      const language = languageOf(block);
+      if (language) ctx.language = language;
+    }
+    return ctx;
+  };
+
+  const paragraphs = [];
+  let current = null;
+  let currentBlock = null;
+  const startParagraph = (block) => {
+    current = { runs: [], ...paragraphContext(block) };
+    currentBlock = block;
+    paragraphs.push(current);
+  };
+  const addText = (text, style) => {
+    if (!text) return;
+    const last = current.runs[current.runs.length - 1];
+    const same = last && !last.math && ['bold', 'italic', 'underline', 'strike', 'code', 'link'].every((k) => (last[k] || '') === (style[k] || ''));
+    if (same) last.text += text;
+    else current.runs.push({ text, ...style });
+  };
+
+  for (let r = 0; r < sel.rangeCount && paragraphs.length < MAX_PARAGRAPHS; r += 1) {
+    const range = sel.getRangeAt(r);
+    const root = range.commonAncestorContainer.nodeType === Node.ELEMENT_NODE
+      ? range.commonAncestorContainer
+      : range.commonAncestorContainer.parentElement;
+    if (!root) continue;
+    // A selection inside a formula is the whole (outermost) formula.
+    let start = root.closest(MATH_SELECTOR);
+    while (start?.parentElement?.closest(MATH_SELECTOR)) start = start.parentElement.closest(MATH_SELECTOR);
+    const walker = document.createTreeWalker(start || root, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+    let mathRoot = null;
+    for (let node = walker.currentNode; node; node = walker.nextNode()) {
+      if (paragraphs.length >= MAX_PARAGRAPHS) break;
+      if (mathRoot && mathRoot.contains(node)) continue;
+      if (!range.intersectsNode(node)) continue;
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        if (node.tagName === 'BR' && current) startParagraph(currentBlock);
+        if (node.matches(MATH_SELECTOR) && mathElements.length < MAX_MATH && node.getClientRects().length > 0) {
+          mathRoot = node;
+          const run = mathRun(node);
+          const block = blockOf(node.parentElement || node);
+          if (!current || block !== currentBlock || run.math.display) startParagraph(block);
+          current.runs.push(run);
+          // Display math is a paragraph of its own.
+          if (run.math.display) currentBlock = null;
+        }
+        continue;
+      }
+      const parent = node.parentElement;
+      if (!parent || parent.closest('script, style, noscript, template') || parent.getClientRects().length === 0) continue;
+      // Line numbers, copy buttons and the like are not part of the selection's text.
+      if (getComputedStyle(parent).userSelect === 'none') continue;
+      let text = node.data;
+      if (node === range.endContainer) text = text.slice(0, range.endOffset);
+      if (node === range.startContainer) text = text.slice(range.startOffset);
+      if (!text) continue;
+      const block = blockOf(parent);
+      if (!current || block !== currentBlock) startParagraph(block);
+      const style = styleOf(parent);
+      if (current.code) {
+        // Preformatted: keep spacing, one paragraph per line.
+        text.split('\n').forEach((line, i) => {
+          if (i > 0) startParagraph(block);
+          addText(line, style);
+        });
+      } else {
+        addText(text.replace(/\s+/g, ' '), style);
+      }
+    }
+  }
+
+  // Trim paragraph edges and double spaces across run boundaries; drop empty paragraphs (except in code).
+  const cleaned = [];
+  for (const p of paragraphs) {
+    if (!p.code) {
+      let prevEndsSpace = true;
+      for (const run of p.runs) {
+        if (prevEndsSpace && !run.math) run.text = run.text.replace(/^ +/, '');
+        if (run.text) prevEndsSpace = !run.math && run.text.endsWith(' ');
+      }
+      for (let i = p.runs.length - 1; i >= 0; i -= 1) {
+        if (p.runs[i].math) break;
+        p.runs[i].text = p.runs[i].text.replace(/ +$/, '');
+        if (p.runs[i].text) break;
+      }
+    }
+    p.runs = p.runs.filter((run) => run.text);
+    if (p.runs.length > 0 || (p.code && cleaned.length > 0)) cleaned.push(p);
+  }
+  while (cleaned.length > 0 && cleaned[cleaned.length - 1].runs.length === 0) cleaned.pop();
+  if (cleaned.length === 0) return null;
+
+  const formatted = cleaned.some((p) => p.heading || p.list || p.code || p.runs.some((run) => run.bold || run.italic || run.underline || run.strike || run.code || run.link || run.math));
+  window.__eznoteMathElements = mathElements;
+  return formatted ? { paragraphs: cleaned } : null;
+}
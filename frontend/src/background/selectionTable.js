@@ -0,0 +1,174 @@
+/**
+ * Table snips: find the data table a Text Snip selection or an Image Snip region covers, so it can go
+ * into the doc as a native table (lib/snipTable.js) instead of flattened text or a screenshot.
+ * extractPageTable runs in the page via chrome.scripting, so it must stay self-contained.
+ */
+
+/**
+ * Run in page context. With no region, the table the selection is in (or that makes up most of it);
+ * with a region (Image Snip bounds), the table that fills most of it. Only the covered rows and columns
+ * are kept, plus the header rows. Layout tables (nested tables, role="presentation", one row or one
+ * column) are ignored. Spanned cells keep their text in the first cell; the cells they cover are empty.
+ * @param {{ x: number, y: number, width: number, height: number, scroll?: boolean } | null} region -
+ *   viewport px, or page px when scroll is set
+ * @returns {{ rows: string[][], headerRows: number } | null}
+ */
+export function extractPageTable(region) {
+  const MAX_ROWS = 300;
+  const MAX_COLUMNS = 20;
+  const MAX_CELL = 1000;
+  const clean = (text) => String(text || '').replace(/\s+/g, ' ').trim().slice(0, MAX_CELL);
+
+  const isDataTable = (table) => {
+    const role = table.getAttribute('role');
+    if (role === 'presentation' || role === 'none') return false;
+    if (table.querySelector('table')) return false;
+    const rows = Array.from(table.rows);
+    return rows.length >= 2 && rows.some((row) => row.cells.length >= 2);
+  };
+
+  // Grid of the table with row/col spans expanded: { cell, origin } where origin is false for covered slots.
+  const toGrid = (table) => {
+    const grid = [];
+    Array.from(table.rows).forEach((row, r) => {
+      grid[r] = grid[r] || [];
+      let c = 0;
+      for (const cell of Array.from(row.cells)) {
+        while (grid[r][c]) c += 1;
+        const rowSpan = Math.max(1, cell.rowSpan || 1);
+        const colSpan = Math.max(1, Math.min(cell.colSpan || 1, MAX_COLUMNS));
+        for (let dr = 0; dr < rowSpan && r + dr < table.rows.length; dr += 1) {
+          grid[r + dr] = grid[r + dr] || [];
+          for (let dc = 0; dc < colSpan; dc += 1) grid[r + dr][c + dc] = { cell, origin: dr === 0 && dc === 0 };
+        }
+        c += colSpan;
+      }
+    });
+    return grid;
+  };
+
+  const headerRowCount = (table) => {
+    const rows = Array.from(table.rows);
+    let count = 0;
+    while (count < rows.length) {
+      const row = rows[count];
+      const inHead = row.parentElement?.tagName === 'THEAD';
+      const allTh = row.cells.length > 0 && Array.from(row.cells).every((cell) => cell.tagName === 'TH');
+      if (!inHead && !allTh) break;
+      count += 1;
+    }
+    return count < rows.length ? count : 0;
+  };
+
+  const build = (table, keepRow, keepColumn) => {
+    const grid = toGrid(table);
+    const headerRows = headerRowCount(table);
+    const width = Math.min(MAX_COLUMNS, Math.max(0, ...grid.map((row) => row.length)));
+    const columns = [];
+    for (let c = 0; c < width; c += 1) if (keepColumn(c, grid)) columns.push(c);
+    const rowIndexes = [];
+    grid.forEach((_, r) => {
+      if (r < headerRows || keepRow(r)) rowIndexes.push(r);
+    });
+    const bodyRows = rowIndexes.filter((r) => r >= headerRows);
+    if (bodyRows.length === 0 || columns.length === 0) return null;
+    const rows = rowIndexes.slice(0, MAX_ROWS).map((r) => columns.map((c) => {
+      const slot = grid[r][c];
+      if (!slot) return '';
+      // A span cut by the kept range shows its text in the first kept slot.
+      const firstShown = slot.origin || (
+        !columns.some((k) => k < c && grid[r][k]?.cell === slot.cell)
+        && !rowIndexes.some((k) => k < r && grid[k]?.[c]?.cell === slot.cell)
+      );
+      return firstShown ? clean(slot.cell.innerText) : '';
+    }));
+    if (rows.length < 2) return null;
+    const keptHeaders = rowIndexes.filter((r) => r < headerRows).length;
+    return { rows, headerRows: Math.min(keptHeaders, rows.length) };
+  };
+
+  if (region) {
+    const left = region.scroll ? region.x - window.scrollX : region.x;
+    const top = region.scroll ? region.y - window.scrollY : region.y;
+    const right = left + region.width;
+    const bottom = top + region.height;
+    const area = region.width * region.height;
+    if (!(area > 0)) return null;
+    const overlap = (rect) => Math.max(0, Math.min(right, rect.right) - Math.max(left, rect.left))
+      * Math.max(0, Math.min(bottom, rect.bottom) - Math.max(top, rect.top));
+    let best = null;
+    let bestShare = 0;
+    for (const table of Array.from(document.querySelectorAll('table'))) {
+      if (!isDataTable(table)) continue;
+      const share = overlap(table.getBoundingClientRect()) / area;
+      if (share > bestShare) {
+        best = table;
+        bestShare = share;
+      }
+    }
+    // The region has to be mostly table; a table in the corner of a screenshot stays a screenshot.
+    if (!best || bestShare < 0.6) return null;
+    const rows = Array.from(best.rows);
+    const keepRow = (r) => {
+      const rect = rows[r].getBoundingClientRect();
+      const visible = Math.min(bottom, rect.bottom) - Math.max(top, rect.top);
+      return rect.height > 0 && visible >= rect.height / 2;
+    };
+    const keepColumn = (c, grid) => {
+      // Position of the column from any cell that sits in it alone.
+      for (let r = 0; r < grid.length; r += 1) {
+        const slot = grid[r][c];
+        if (!slot?.origin || (slot.cell.colSpan || 1) > 1) continue;
+        const rect = slot.cell.getBoundingClientRect();
+        const visible = Math.min(right, rect.right) - Math.max(left, rect.left);
+        return rect.width > 0 && visible >= rect.width / 2;
+      }
+      return true;
+    };
+    return build(best, keepRow, keepColumn);
+  }
+
+  const sel = window.getSelection();
+  if (!sel || sel.rangeCount === 0 || sel.isCollapsed) return null;
+  const range = sel.getRangeAt(0);
+  const anchor = range.commonAncestorContainer.nodeType === Node.ELEMENT_NODE
+    ? range.commonAncestorContainer
+    : range.commonAncestorContainer.parentElement;
+  if (!anchor) return null;
+  let table = anchor.closest('table');
+  while (table && !isDataTable(table)) table = table.parentElement?.closest('table') ?? null;
+  if (table) {
+    // Inside one cell: that is a text quote, not a table.
+    const cell = anchor.closest('td, th');
+    if (cell && table.contains(cell) && cell.closest('table') === table) return null;
+  } else {
+    const tables = Array.from(anchor.querySelectorAll('table')).filter((t) => range.intersectsNode(t) && isDataTable(t));
+    if (tables.length !== 1) return null;
+    table = tables[0];
+    // Most of the selected text has to be in the table, not around it.
+    const selectedLength = sel.toString().replace(/\s+/g, '').length;
+    const tableRange = document.createRange();
+    tableRange.selectNodeContents(table);
+    if (range.compareBoundaryPoints(Range.START_TO_START, tableRange) > 0) tableRange.setStart(range.startContainer, range.startOffset);
+    if (range.compareBoundaryPoints(Range.END_TO_END, tableRange) < 0) tableRange.setEnd(range.endContainer, range.endOffset);
+    if (tableRange.toString().replace(/\s+/g, '').length < selectedLength * 0.8) return null;
+  }
+  const rows = Array.from(table.rows);
+  return build(table, (r) => range.intersectsNode(rows[r]), () => true);
+}
+
+/**
+ * Table under a selection (region null) or an Image Snip region in a tab; null when there is none
+ * or the tab cannot be scripted.
+ * @param {number} tabId
+ * @param {{ x: number, y: number, width: number, height: number, scroll?: boolean } | null} [region]
+ * @returns {Promise<import('../lib/snipTable.js').SnipTable | null>}
+ */
+export async function getPageTable(tabId, region = null) {
+  try {
+    const [result] = await chrome.scripting.executeScript({ target: { tabId }, func: extractPageTable, args: [region] });
+    return result?.result ?? null;
+  } catch (_) {
+    return null;
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Site routing rules (lib/siteRules.js) for Text Snips from the context menu and the shortcut: the rule for the
+ * page picks the document and the section. When the rule's heading is no longer in the doc (renamed or deleted),
+ * the page asks which section to use instead and the rule is updated to it.
+ */
+
+import { getSiteRules, findSiteRule, findOutlineHeading, updateSiteRule } from '../lib/siteRules.js';
+import { tabLabelPrefix } from '../lib/docsOutline.js';
+import { withTokenRetry } from './auth.js';
+import { getDocumentOutline } from './googleDocs.js';
+import { showNotification } from './notifications.js';
+import { log } from './logger.js';
+
+/** Headings listed in the fallback prompt (window.prompt has no scrolling). */
+const PROMPT_HEADINGS = 25;
+
+/**
+ * @typedef {{ rule: import('../lib/siteRules.js').SiteRule, documentId: string, documentName: string, target: import('../lib/docsOutline.js').InsertTarget | null, label: string }} SiteRoute
+ * target null: append at the end of the document
+ */
+
+/**
+ * Ask in the page which section to use. Resolves to the typed text, null when the user cancelled,
+ * or undefined when the page cannot show a prompt (chrome:// and extension pages).
+ * @param {number} tabId
+ * @param {string} message
+ * @returns {Promise<string | null | undefined>}
+ */
+async function promptInPage(tabId, message) {
+  try {
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: (text) => window.prompt(text, ''),
+      args: [message],
+    });
+    return result?.result ?? null;
+  } catch (_) {
+    return undefined;
+  }
+}
+
+function listHeadings(outline) {
+  const list = [];
+  for (const tab of outline?.tabs ?? []) {
+    const prefix = tabLabelPrefix(outline, tab);
+    const walk = (headings) => {
+      for (const h of headings) {
+        list.push({ heading: h, tab, label: prefix + h.text });
+        walk(h.children);
+      }
+    };
+    walk(tab.headings);
+  }
+  return list;
+}
+
+/**
+ * Where a Text Snip from this page goes according to the site rules.
+ * @param {string} pageUrl
+ * @param {number} [sourceTabId] - tab to show the fallback prompt in
+ * @returns {Promise<SiteRoute | { cancelled: true } | null>} null when no rule matches the page
+ */
+export async function resolveSiteRoute(pageUrl, sourceTabId) {
+  const rules = await getSiteRules().catch(() => []);
+  const rule = findSiteRule(rules, pageUrl);
+  if (!rule) return null;
+  const route = { rule, documentId: rule.documentId, documentName: rule.documentName, target: null, label: 'At the end' };
+  if (!rule.heading) return route;
+
+  const outline = await withTokenRetry((token) => getDocumentOutline(rule.documentId, token));
+  const found = findOutlineHeading(outline, rule.heading);
+  if (found) {
+    return { ...route, target: found.heading.end, label: tabLabelPrefix(outline, found.tab) + 'End of section: ' + found.heading.text };
+  }
+
+  const headings = listHeadings(outline);
+  const shown = headings.slice(0, PROMPT_HEADINGS);
+  const input = sourceTabId && headings.length > 0
+    ? await promptInPage(
+      sourceTabId,
+      `The heading "${rule.heading}" is no longer in "${rule.documentName}" (rule for ${rule.pattern}).\n`
+        + 'Type the number or name of the section to use from now on, or leave empty for the end of the document:\n'
+        + shown.map((h, i) => `${i + 1}. ${h.label}`).join('\n')
+        + (headings.length > shown.length ? `\n… and ${headings.length - shown.length} more (type the name)` : '')
+    )
+    : undefined;
+  if (input === null) return { cancelled: true };
+  if (input === undefined) {
+    showNotification('Section not found', `"${rule.heading}" is no longer in ${rule.documentName}. The snip goes at the end; edit the rule for ${rule.pattern} in the side panel.`);
+    return route;
+  }
+
+  const typed = input.trim();
+  const n = /^\d+$/.test(typed) ? Number(typed) : 0;
+  let choice = n >= 1 && n <= shown.length ? shown[n - 1] : null;
+  if (!choice && typed) choice = findOutlineHeading(outline, typed);
+  if (!choice) return route;
+  await updateSiteRule(rule.id, { heading: choice.heading.text }).catch((err) => log.bg.warn('Site rule update failed', err));
+  return { ...route, target: choice.heading.end, label: tabLabelPrefix(outline, choice.tab) + 'End of section: ' + choice.heading.text };
+}
@@ -3,70 +3,128 @@
  * All API calls go through auth.withTokenRetry, googleDrive, and googleDocs.
  */
 
-import { getSelectedDocumentId } from '../lib/storage.js';
+import { getSelectedDocumentId, getKeepFormatting } from '../lib/storage.js';
+import { tableToPlain } from '../lib/snipTable.js';
+import { isInsertTarget } from '../lib/docsOutline.js';
+import { SNIP_TRAY_TARGET } from '../lib/snipTray.js';
 import { withTokenRetry } from './auth.js';
 import { ensureResearchSnipsFolder, uploadImageToDrive } from './googleDrive.js';
 import { insertImageWithSource, insertImageWithSourceAtPosition } from './googleDocs.js';
 import { showNotification } from './notifications.js';
-import { tryPasteImageAtCursorInDocTab } from './pasteAtCursor.js';
-import { recordSnipAndCheckLimit, recordImageSnipAndCheckLimit, getSnipsMetadata } from './snipUsage.js';
+import { resolveCursorInsertIndex } from './docsCursor.js';
+import { recordImageSnipAndCheckLimit } from './snipUsage.js';
+import { getPageCitationMetadata, toSnipMetadataParams } from './pageMetadata.js';
 import { pushUndoInsert } from './undoInsertStack.js';
+import { enqueueInsert, isRetryableError, OUTBOX_FULL_MESSAGE } from './insertOutbox.js';
+import { captureScrollingRegion } from './scrollCapture.js';
+import { ensureOffscreenDocument, sendToOffscreen } from './offscreenDocument.js';
+import { recognizeSnipText } from './ocr.js';
+import { isPdfViewerTab, isNativePdfTab, openInPdfViewer, startPdfRegionSnip } from './pdfTabs.js';
+import { getVideoMoment, captureVideoFrame, snipShowsVideo, timestampedVideoUrl, videoMomentLine } from './videoMoment.js';
+import { getPageTable } from './selectionTable.js';
+import { plugHighlightIntoDoc, plugHighlightAtSection } from './plugHighlightIntoDoc.js';
+import { runOperation, isCancelledError } from './operations.js';
+import { addToSnipTray } from './snipTray.js';
+import { log } from './logger.js';
 
 const SNIP_OVERLAY_PATH = 'snipOverlay.js';
 const SNIP_INSERT_INDEX_KEY = 'eznote_snip_insert_index';
+const SNIP_ANNOTATION_KEY = 'eznote_snip_annotation';
+const SNIP_INSERT_LABEL_KEY = 'eznote_snip_insert_label';
 const SNIP_INSERT_SUCCESS_KEY = 'eznote_snip_insert_success';
 const SNIP_INSERT_ERROR_KEY = 'eznote_snip_insert_error';
 const SNIP_INSERTING_KEY = 'eznote_snip_inserting';
-const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
+const SNIP_STATE_KEY = 'eznote_snip_overlay_active';
+const SNIP_TAB_ID_KEY = 'eznote_snip_tab_id';
+const SNIP_CANCELLED_KEY = 'eznote_snip_cancelled';
 const sessionStorage = chrome.storage?.session || chrome.storage?.local;
 
-let offscreenDocumentCreating = null;
-
-async function ensureOffscreenDocument() {
-  if (typeof chrome.offscreen === 'undefined') return false;
-  const url = chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH);
-  let exists = false;
-  if (chrome.runtime.getContexts) {
-    const existing = await chrome.runtime.getContexts({
-      contextTypes: ['OFFSCREEN_DOCUMENT'],
-      documentUrls: [url],
-    });
-    exists = existing.length > 0;
-  }
-  if (!exists && typeof self.clients !== 'undefined') {
-    const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
-    exists = clientList.some((c) => c.url === url);
-  }
-  if (exists) return true;
-  if (offscreenDocumentCreating) return offscreenDocumentCreating;
-  offscreenDocumentCreating = chrome.offscreen.createDocument({
-    url: OFFSCREEN_DOCUMENT_PATH,
-    reasons: ['CLIPBOARD'],
-    justification: 'Copy snip image to clipboard when user chooses Copy to clipboard.',
-  });
-  try {
-    await offscreenDocumentCreating;
-    return true;
-  } finally {
-    offscreenDocumentCreating = null;
-  }
-}
-
+/**
+ * Where the next Image Snip goes: an InsertTarget from the section picker, -1 for "Copy to clipboard",
+ * SNIP_TRAY_TARGET for "Add to snip tray", or null when none was chosen (cursor or end of the doc).
+ * @returns {Promise<import('../lib/docsOutline.js').InsertTarget | -1 | -2 | null>}
+ */
 export async function getSnipInsertIndex() {
   if (!sessionStorage) return null;
   const o = await sessionStorage.get(SNIP_INSERT_INDEX_KEY);
   const v = o[SNIP_INSERT_INDEX_KEY];
-  return typeof v === 'number' ? v : null;
+  return v === -1 || v === SNIP_TRAY_TARGET || isInsertTarget(v) ? v : null;
 }
 
-export function setSnipInsertIndex(index) {
+/**
+ * Where the next Image Snip goes, and the note and tags added to it in the side panel (lib/snipAnnotation.js).
+ * @param {import('../lib/docsOutline.js').InsertTarget | -1 | -2} index
+ * @param {{ note?: string, tags?: string[], noteInDoc?: boolean } | null} [annotation]
+ * @param {string | null} [label] - the section's label, so a queued retry can find it again (insertOutbox.js)
+ */
+export function setSnipInsertIndex(index, annotation = null, label = null) {
   if (!sessionStorage) return Promise.resolve();
-  return sessionStorage.set({ [SNIP_INSERT_INDEX_KEY]: index });
+  return sessionStorage.set({ [SNIP_INSERT_INDEX_KEY]: index, [SNIP_ANNOTATION_KEY]: annotation, [SNIP_INSERT_LABEL_KEY]: label });
 }
 
 export function clearSnipInsertIndex() {
   if (!sessionStorage) return Promise.resolve();
-  return sessionStorage.remove(SNIP_INSERT_INDEX_KEY);
+  return sessionStorage.remove([SNIP_INSERT_INDEX_KEY, SNIP_ANNOTATION_KEY, SNIP_INSERT_LABEL_KEY]);
+}
+
+/** Label of the section chosen for the next Image Snip, or null. */
+async function getSnipInsertLabel() {
+  if (!sessionStorage) return null;
+  const o = await sessionStorage.get(SNIP_INSERT_LABEL_KEY);
+  return typeof o[SNIP_INSERT_LABEL_KEY] === 'string' ? o[SNIP_INSERT_LABEL_KEY] : null;
+}
+
+/**
+ * Whether the snip overlay is open, and in which tab (the side panel shows "Snipping…" from this).
+ * @param {boolean} active
+ * @param {number | null} [tabId]
+ */
+export function setSnipOverlayActive(active, tabId = null) {
+  if (!sessionStorage) return Promise.resolve();
+  return sessionStorage.set({
+    [SNIP_STATE_KEY]: !!active,
+    [SNIP_TAB_ID_KEY]: active && tabId != null ? tabId : null,
+  });
+}
+
+/** @returns {Promise<boolean>} */
+export function getSnipOverlayActive() {
+  if (!sessionStorage) return Promise.resolve(false);
+  return sessionStorage.get(SNIP_STATE_KEY).then((o) => !!o[SNIP_STATE_KEY]);
+}
+
+/** The overlay goes away when its tab navigates. */
+export async function clearSnipOverlayForTab(tabId) {
+  if (!sessionStorage) return;
+  const o = await sessionStorage.get(SNIP_TAB_ID_KEY);
+  if (o[SNIP_TAB_ID_KEY] === tabId) await setSnipOverlayActive(false);
+}
+
+/** The user closed the overlay (Esc, Cancel, or the PDF viewer's selection was dropped). */
+export async function cancelSnip() {
+  await setSnipOverlayActive(false);
+  await clearSnipInsertIndex();
+  if (sessionStorage) {
+    await sessionStorage.remove(SNIP_INSERTING_KEY);
+    await sessionStorage.set({ [SNIP_CANCELLED_KEY]: true });
+  }
+  try {
+    chrome.runtime.sendMessage({ type: 'SNIP_FLOW_DONE' });
+  } catch (_) {}
+}
+
+/**
+ * Note and tags for the current Image Snip ({ note: '', tags: [] } when none were added).
+ * @returns {Promise<{ note: string, tags: string[], noteInDoc: boolean }>}
+ */
+async function getSnipAnnotation() {
+  const o = sessionStorage ? await sessionStorage.get(SNIP_ANNOTATION_KEY) : {};
+  const a = o[SNIP_ANNOTATION_KEY];
+  return {
+    note: typeof a?.note === 'string' ? a.note : '',
+    tags: Array.isArray(a?.tags) ? a.tags : [],
+    noteInDoc: a?.noteInDoc === true,
+  };
 }
 
 async function notifyAndRemoveOverlay(tabId, title, message, isError = false) {
@@ -97,31 +155,150 @@ function userFriendlyInsertError(message) {
 
 /**
  * Handle SNIP_BOUNDS: remove overlay, capture tab, crop via content script, then withTokenRetry: ensure folder, upload, insert.
+ * bounds.scroll marks a region taller than the viewport (page coordinates); it is captured by scrolling (scrollCapture.js).
+ * bounds.video ("Video frame") takes the player's frame directly, falling back to a crop of the player when the
+ * frame cannot be read. Snips that show a video carry its playback time and caption (videoMoment.js).
+ * A region that is mostly a data table goes in as a native table when "keep formatting" is on (insertRegionTable).
+ * Runs as an IMAGE_SNIP operation: the side panel shows its stages and can cancel it until it starts inserting.
  */
-export async function handleSnipBounds(tabId, bounds, windowId = null, pageInfo = {}) {
+export function handleSnipBounds(tabId, bounds, windowId = null, pageInfo = {}) {
+  return runOperation('IMAGE_SNIP', (op) =>
+    snipBounds(op, tabId, bounds, windowId, pageInfo).catch((err) => endCancelledSnip(err)));
+}
+
+/** A cancelled snip ends like one closed with Esc; any other error is passed on. */
+async function endCancelledSnip(err) {
+  if (!isCancelledError(err)) throw err;
+  await cancelSnip();
+  showNotification('Image Snip', 'Snip cancelled. Nothing was added to your doc.');
+}
+
+async function snipBounds(op, tabId, bounds, windowId, pageInfo) {
   try {
     await chrome.tabs.sendMessage(tabId, { type: 'REMOVE_SNIP_OVERLAY' });
   } catch (_) {}
   await new Promise((r) => setTimeout(r, 120));
+  op.progress('capturing');
 
-  let dataUrl;
-  try {
-    dataUrl = await chrome.tabs.captureVisibleTab(windowId ?? undefined, { format: 'png' });
-  } catch (err) {
-    await notifyAndRemoveOverlay(tabId, 'Capture failed', err?.message || 'Could not capture the tab. Try again.', true);
-    clearSnipFlowState();
-    return;
+  // Copies and the snip tray keep the picture.
+  const destination = await getSnipInsertIndex();
+  if (!bounds?.video && destination !== -1 && destination !== SNIP_TRAY_TARGET && (await getKeepFormatting())) {
+    const table = await getPageTable(tabId, bounds);
+    if (table) {
+      op.throwIfCancelled();
+      op.progress('inserting', { cancellable: false });
+      await insertRegionTable(tabId, table, pageInfo);
+      return;
+    }
   }
 
+  const video = await getVideoMoment(tabId);
+  if (snipShowsVideo(bounds, video)) pageInfo = { ...pageInfo, video };
+
   let cropResult;
-  try {
-    cropResult = await chrome.tabs.sendMessage(tabId, { type: 'CROP_IMAGE', dataUrl, bounds });
-  } catch (err) {
-    await notifyAndRemoveOverlay(tabId, 'Snip failed', 'Could not process selection. Try again.', true);
-    clearSnipFlowState();
-    return;
+  const frame = bounds?.video ? await captureVideoFrame(tabId) : null;
+  if (frame) {
+    cropResult = { type: 'CROPPED_IMAGE', ...frame };
+  } else if (bounds?.scroll) {
+    // Region runs past the viewport (or "whole page"): scroll, capture tiles and stitch.
+    try {
+      cropResult = { type: 'CROPPED_IMAGE', ...(await captureScrollingRegion(tabId, windowId, bounds)) };
+    } catch (err) {
+      await notifyAndRemoveOverlay(tabId, 'Capture failed', err?.message || 'Could not capture the page. Try again.', true);
+      clearSnipFlowState();
+      return;
+    }
+  } else {
+    let dataUrl;
+    try {
+      dataUrl = await chrome.tabs.captureVisibleTab(windowId ?? undefined, { format: 'png' });
+    } catch (err) {
+      await notifyAndRemoveOverlay(tabId, 'Capture failed', err?.message || 'Could not capture the tab. Try again.', true);
+      clearSnipFlowState();
+      return;
+    }
+
+    op.throwIfCancelled();
+    op.progress('cropping');
+    try {
+      cropResult = await chrome.tabs.sendMessage(tabId, { type: 'CROP_IMAGE', dataUrl, bounds });
+    } catch (err) {
+      log.bg.warn('Snip: cropping the capture failed', err);
+      await notifyAndRemoveOverlay(tabId, 'Snip failed', 'Could not process selection. Try again.', true);
+      clearSnipFlowState();
+      return;
+    }
   }
 
+  await snipImage(op, tabId, cropResult, pageInfo);
+}
+
+/**
+ * Image Snip over a data table: insert the covered rows and columns as a native table (a Text Snip of the
+ * table, lib/snipTable.js) at the chosen section or, without one, at the cursor / end of the doc.
+ * @param {number} tabId
+ * @param {import('../lib/snipTable.js').SnipTable} table
+ * @param {{ pageUrl?: string, pageTitle?: string }} pageInfo
+ */
+async function insertRegionTable(tabId, table, pageInfo) {
+  const insertIndex = await getSnipInsertIndex();
+  const insertLabel = await getSnipInsertLabel();
+  const annotation = await getSnipAnnotation();
+  await clearSnipInsertIndex();
+  const selection = {
+    selectedText: tableToPlain(table),
+    pageUrl: pageInfo.pageUrl ?? '',
+    pageTitle: pageInfo.pageTitle ?? 'Untitled',
+    timestamp: new Date().toISOString(),
+    ...(await getPageCitationMetadata(tabId)),
+    table,
+    keepFormatting: true,
+    ...annotation,
+  };
+  let added;
+  if (isInsertTarget(insertIndex)) {
+    const res = await plugHighlightAtSection(selection, insertIndex, insertLabel ?? undefined);
+    added = res.success;
+    if (res.queued) {
+      showNotification('Saved for later', 'Could not reach Google Docs. The table is in Pending inserts and will be added automatically.');
+    } else if (res.success) {
+      showNotification('Image Snip', 'The table was added to your Google Doc.');
+    } else if (res.error === 'snip_limit_reached') {
+      await notifyAndRemoveOverlay(tabId, 'Snip limit reached', 'You\'ve reached your monthly limit. Upgrade to add more.', true);
+    } else if (res.error === 'not_authenticated') {
+      await notifyAndRemoveOverlay(tabId, 'Sign in required', 'Open the extension and sign in to your account to use Image Snip.', true);
+    } else {
+      await notifyAndRemoveOverlay(tabId, 'Image Snip failed', userFriendlyInsertError(res.error), true);
+    }
+  } else {
+    added = await plugHighlightIntoDoc(selection, tabId);
+  }
+  if (added && sessionStorage) {
+    await sessionStorage.remove(SNIP_INSERT_ERROR_KEY);
+    await sessionStorage.set({ [SNIP_INSERT_SUCCESS_KEY]: true });
+  }
+  clearSnipFlowState();
+}
+
+/**
+ * Second half of an Image Snip, shared by page captures (handleSnipBounds) and PDF viewer region snips:
+ * copy to clipboard or OCR, record, upload and insert the cropped image. The note and tags added in the
+ * side panel (setSnipInsertIndex) are saved with the snip.
+ * @param {number} tabId
+ * @param {{ type: string, base64?: string, width?: number, height?: number, error?: string }} cropResult
+ * @param {{ pageUrl?: string, pageTitle?: string, citation?: object, video?: { time: number, caption: string } }} [pageInfo] -
+ *   citation: metadata supplied by the PDF viewer (incl. pageNumber) instead of reading it from the page;
+ *   video: playback moment shown in the snip (timestamped source link and a "Video at m:ss" line)
+ */
+export function handleSnipImage(tabId, cropResult, pageInfo = {}) {
+  return runOperation('IMAGE_SNIP', (op) => {
+    op.progress('cropping');
+    return snipImage(op, tabId, cropResult, pageInfo).catch((err) => endCancelledSnip(err));
+  });
+}
+
+async function snipImage(op, tabId, cropResult, pageInfo) {
+  op.throwIfCancelled();
   if (cropResult?.type === 'SNIP_ERROR') {
     await notifyAndRemoveOverlay(tabId, 'Snip failed', cropResult.error || 'Crop failed.', true);
     clearSnipFlowState();
@@ -133,15 +310,18 @@ export async function handleSnipBounds(tabId, bounds, windowId = null, pageInfo
     return;
   }
 
-  const pageUrl = pageInfo.pageUrl ?? '';
+  const pageUrl = pageInfo.video ? timestampedVideoUrl(pageInfo.pageUrl ?? '', pageInfo.video.time) : pageInfo.pageUrl ?? '';
   const pageTitle = pageInfo.pageTitle ?? 'Untitled';
+  const videoMoment = pageInfo.video ? videoMomentLine(pageInfo.video, { withCaption: true }) : '';
   const insertIndex = await getSnipInsertIndex();
+  const insertLabel = await getSnipInsertLabel();
+  const { note, tags, noteInDoc } = await getSnipAnnotation();
   await clearSnipInsertIndex();
 
   // Copy-only: user chose "Copy to clipboard" instead of inserting into doc.
   if (insertIndex === -1) {
     const pageTitleForNotify = pageTitle;
-    const sourceText = 'Source: ' + pageTitle + (pageUrl ? '\n' + pageUrl : '');
+    const sourceText = (videoMoment ? videoMoment + '\n' : '') + 'Source: ' + pageTitle + (pageUrl ? '\n' + pageUrl : '');
     try {
       // Copy from the tab after focusing it so the page has focus (clipboard often requires it).
       await chrome.tabs.update(tabId, { active: true });
@@ -194,22 +374,7 @@ export async function handleSnipBounds(tabId, bounds, windowId = null, pageInfo
         if (!hasOffscreen) {
           throw new Error('Clipboard not available. Try on a normal webpage (not chrome:// or an extension page).');
         }
-        const response = await new Promise((resolve) => {
-          chrome.runtime.sendMessage(
-            {
-              target: 'offscreen',
-              type: 'copy-snip-image',
-              data: { imageDataUrl: cropResult.base64, sourceText },
-            },
-            (res) => {
-              if (chrome.runtime.lastError) {
-                resolve({ success: false, error: chrome.runtime.lastError.message });
-              } else {
-                resolve(res || { success: false });
-              }
-            }
-          );
-        });
+        const response = await sendToOffscreen('copy-snip-image', { imageDataUrl: cropResult.base64, sourceText });
         if (!response?.success) {
           throw new Error(response?.error || 'Could not copy to clipboard');
         }
@@ -251,56 +416,17 @@ export async function handleSnipBounds(tabId, bounds, windowId = null, pageInfo
     }
   })();
   const timestamp = new Date().toISOString();
-  let sourceText = '';
-
-  // Try paste-at-cursor first (no Drive upload — no drive link to store).
-  // Check limit first so we never paste without recording.
-  const willTryPaste = !insertIndex;
-  if (willTryPaste) {
-    const usage = await recordSnipAndCheckLimit({
-      content: pageTitle,
-      source_url: '', // paste path: image not uploaded to Drive
-      target_doc_id: documentId,
-    });
-    if (usage.error === 'snip_limit_reached') {
-      await notifyAndRemoveOverlay(tabId, 'Snip limit reached', 'You\'ve reached your monthly limit. Upgrade to add more.', true);
-      clearSnipFlowState();
-      return;
-    }
-    if (usage.error === 'not_authenticated') {
-      await notifyAndRemoveOverlay(tabId, 'Sign in required', 'Open the extension and sign in to your account to use Image Snip.', true);
-      clearSnipFlowState();
-      return;
-    }
-    if (usage.error) {
-      await notifyAndRemoveOverlay(tabId, 'Image Snip failed', usage.error, true);
-      clearSnipFlowState();
-      return;
-    }
-    const snipId = usage.snip_id ?? null;
-    sourceText = '\nSource: ' + pageTitle;
-  }
+  const citationParams = toSnipMetadataParams(pageInfo.citation ?? (await getPageCitationMetadata(tabId)));
+  // Optional offline OCR: found text is saved with the snip; insertAs decides what goes into the doc.
+  const { mode: ocrMode, text: ocrText } = await recognizeSnipText(cropResult.base64);
+  const insertAs = ocrText && ocrMode !== 'off' ? ocrMode : 'image';
 
-  const pastedAtCursor = willTryPaste && (await tryPasteImageAtCursorInDocTab(
-    documentId,
-    tabId,
-    cropResult.base64,
-    sourceText
-  ));
-  if (pastedAtCursor) {
-    try {
-      await chrome.tabs.sendMessage(tabId, { type: 'REMOVE_SNIP_OVERLAY' });
-    } catch (_) {}
-    if (sessionStorage) {
-      await sessionStorage.remove(SNIP_INSERT_ERROR_KEY);
-      await sessionStorage.set({ [SNIP_INSERT_SUCCESS_KEY]: true });
-    }
-    showNotification('Image Snip', 'Screenshot added at cursor in your open doc.');
-    clearSnipFlowState();
-    return;
-  }
+  // No section chosen: when the doc is open in a tab, insert below the user's cursor there.
+  const toTray = insertIndex === SNIP_TRAY_TARGET;
+  const cursorIndex = isInsertTarget(insertIndex) || toTray ? null : await resolveCursorInsertIndex(documentId);
+  const target = isInsertTarget(insertIndex) ? insertIndex : cursorIndex;
 
-  // API path: upload to Drive first so we have the image link for source_url.
+  // Upload to Drive first so we have the image link for source_url.
   const blob = await fetch(cropResult.base64).then((r) => r.blob());
   const filename = `eznote-snip-${Date.now()}.png`;
   const widthPt = cropResult.width ?? 400;
@@ -315,25 +441,43 @@ export async function handleSnipBounds(tabId, bounds, windowId = null, pageInfo
     pageUrl,
     pageTitle,
     timestamp,
+    ocrText,
+    insertAs,
+    videoMoment,
+    note,
+    noteInDoc,
   };
 
-  // When willTryPaste we already recorded one slot (paste path); don't record again if we fell through to API path.
-  const alreadyRecorded = willTryPaste;
   let snipIdForInsert = null;
+  let insertedImageUrl = '';
+  let recorded = false;
+  const recordParams = {
+    source_url: pageUrl,
+    page_title: pageTitle,
+    domain,
+    target_doc_id: documentId,
+    ...citationParams,
+    ocr_text: ocrText,
+    note,
+    tags,
+  };
 
+  op.throwIfCancelled();
+  op.progress('uploading');
+  if (toTray) {
+    await addImageSnipToTray(op, tabId, blob, filename, imageData, recordParams);
+    return;
+  }
   try {
     const range = await withTokenRetry(async (token) => {
       const folderId = await ensureResearchSnipsFolder(token);
-      const { fileId, imageUrl } = await uploadImageToDrive(token, blob, filename, folderId);
-      if (!alreadyRecorded) {
-        const driveLink = imageUrl || (fileId ? `https://drive.google.com/uc?export=view&id=${fileId}` : '');
-        const usage = await recordImageSnipAndCheckLimit({
-          source_url: pageUrl,
-          page_title: pageTitle,
-          domain,
-          drive_url: driveLink,
-          target_doc_id: documentId,
-        });
+      const { fileId, imageUrl } = await uploadImageToDrive(token, blob, filename, folderId, { signal: op.signal });
+      insertedImageUrl = imageUrl || (fileId ? `https://drive.google.com/uc?export=view&id=${fileId}` : '');
+      // Last point to stop: recording the snip and inserting it are not undone.
+      op.throwIfCancelled();
+      op.progress('inserting', { cancellable: false });
+      if (!recorded) {
+        const usage = await recordImageSnipAndCheckLimit({ ...recordParams, drive_url: insertedImageUrl });
         if (usage.error === 'snip_limit_reached') {
           await notifyAndRemoveOverlay(tabId, 'Snip limit reached', 'You\'ve reached your monthly limit. Upgrade to add more.', true);
           clearSnipFlowState();
@@ -348,21 +492,37 @@ export async function handleSnipBounds(tabId, bounds, windowId = null, pageInfo
           throw new Error(usage.error);
         }
         snipIdForInsert = usage.snip_id ?? null;
+        recorded = true;
       }
-      if (typeof insertIndex === 'number') {
-        return await insertImageWithSourceAtPosition(documentId, token, { ...imageData, imageUrl, snipId: snipIdForInsert }, insertIndex, { getSnipsMetadata });
+      if (target !== null) {
+        return await insertImageWithSourceAtPosition(documentId, token, { ...imageData, imageUrl, snipId: snipIdForInsert }, target);
       } else {
-        return await insertImageWithSource(documentId, token, { ...imageData, imageUrl, snipId: snipIdForInsert }, { getSnipsMetadata });
+        return await insertImageWithSource(documentId, token, { ...imageData, imageUrl, snipId: snipIdForInsert });
       }
     });
-    pushUndoInsert({ documentId, startIndex: range.startIndex, endIndex: range.endIndex, snipId: range.snipId });
+    op.progress('verifying');
+    await pushUndoInsert({
+      documentId,
+      startIndex: range.startIndex,
+      endIndex: range.endIndex,
+      snipId: range.snipId,
+      tabId: range.tabId,
+      beforeParagraph: range.beforeParagraph,
+      kind: 'image',
+      payload: { imageUrl: insertedImageUrl, imageWidthPt: wPt, imageHeightPt: hPt, pageUrl, pageTitle, ocrText, insertAs, videoMoment, note, noteInDoc },
+    });
     if (sessionStorage) {
       await sessionStorage.remove(SNIP_INSERT_ERROR_KEY);
       await sessionStorage.set({ [SNIP_INSERT_SUCCESS_KEY]: true });
     }
-    showNotification('Image Snip', 'Screenshot was added to your Google Doc.');
+    showNotification(
+      'Image Snip',
+      (insertAs === 'text' ? 'Text from the screenshot was added' : 'Screenshot was added')
+        + (cursorIndex !== null ? ' at your cursor in the open doc.' : ' to your Google Doc.')
+    );
     clearSnipFlowState();
   } catch (err) {
+    if (isCancelledError(err)) throw err;
     const msg = err instanceof Error ? err.message : String(err);
     if (msg === 'SNIP_LIMIT_REACHED' || msg === 'NOT_AUTHENTICATED') {
       clearSnipFlowState();
@@ -373,18 +533,99 @@ export async function handleSnipBounds(tabId, bounds, windowId = null, pageInfo
       clearSnipFlowState();
       return;
     }
+    if (isRetryableError(err)) {
+      // Keep the screenshot (or its Drive link, if the upload got through) and retry from the outbox.
+      const queued = await enqueueInsert({
+        kind: 'image',
+        documentId,
+        section: cursorIndex === null ? { label: insertLabel, target } : null,
+        data: {
+          ...(insertedImageUrl ? { imageUrl: insertedImageUrl } : { imageDataUrl: cropResult.base64 }),
+          imageWidthPt: wPt,
+          imageHeightPt: hPt,
+          pageUrl,
+          pageTitle,
+          timestamp,
+          ocrText,
+          insertAs,
+          videoMoment,
+          note,
+          noteInDoc,
+        },
+        snipId: snipIdForInsert,
+        record: recorded ? null : { type: 'image', params: recordParams },
+        error: err,
+      });
+      if (!queued) {
+        await notifyAndRemoveOverlay(tabId, 'Image Snip failed', OUTBOX_FULL_MESSAGE, true);
+        clearSnipFlowState();
+        return;
+      }
+      await notifyAndRemoveOverlay(tabId, 'Saved for later', 'Could not reach Google Docs or Drive. The snip is in Pending inserts and will be added automatically.', true);
+      clearSnipFlowState();
+      return;
+    }
     await notifyAndRemoveOverlay(tabId, 'Image Snip failed', userFriendlyInsertError(msg), true);
     clearSnipFlowState();
   }
 }
 
+/**
+ * "Add to snip tray": upload the screenshot now and stage it (background/snipTray.js) with its snips_history
+ * record; the tray records and inserts it later.
+ */
+async function addImageSnipToTray(op, tabId, blob, filename, imageData, recordParams) {
+  let count;
+  try {
+    const imageUrl = await withTokenRetry(async (token) => {
+      const folderId = await ensureResearchSnipsFolder(token);
+      const { fileId, imageUrl: url } = await uploadImageToDrive(token, blob, filename, folderId, { signal: op.signal });
+      return url || (fileId ? `https://drive.google.com/uc?export=view&id=${fileId}` : '');
+    });
+    op.throwIfCancelled();
+    count = await addToSnipTray({
+      kind: 'image',
+      data: { ...imageData, imageUrl },
+      record: { type: 'image', params: { ...recordParams, drive_url: imageUrl } },
+    });
+  } catch (err) {
+    if (isCancelledError(err)) throw err;
+    const msg = err instanceof Error ? err.message : String(err);
+    await notifyAndRemoveOverlay(tabId, 'Image Snip failed', userFriendlyInsertError(msg), true);
+    clearSnipFlowState();
+    return;
+  }
+  if (sessionStorage) await sessionStorage.remove(SNIP_INSERT_ERROR_KEY);
+  showNotification('Image Snip', `Screenshot added to the snip tray (${count} ${count === 1 ? 'snip' : 'snips'}).`);
+  clearSnipFlowState();
+}
+
+/**
+ * Start an Image Snip in a tab. PDFs use the region snip of the bundled viewer; a PDF still in
+ * Chrome's viewer is reopened there first and the snip starts once it has loaded.
+ */
 export async function startSnipMode(tabId) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    if (isPdfViewerTab(tab)) {
+      await startPdfRegionSnip(tabId);
+      return;
+    }
+    if (await isNativePdfTab(tab)) {
+      await openInPdfViewer(tabId, tab.url, { startSnip: true });
+      return;
+    }
+  } catch (err) {
+    showNotification('Snip failed', err?.message || 'Could not start snipping in this PDF. Try again.');
+    return;
+  }
   try {
     await chrome.scripting.executeScript({
       target: { tabId },
       files: [SNIP_OVERLAY_PATH],
     });
   } catch (err) {
+    log.bg.warn('Snip: could not inject the overlay', err);
     showNotification('Snip failed', 'Could not start snipping on this page. Try a different tab or reload.');
   }
 }
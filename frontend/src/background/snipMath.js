@@ -0,0 +1,127 @@
+/**
+ * Math in Text Snips: pictures of the formulas as the page rendered them (MathJax, KaTeX, MathML), so they
+ * go into the doc as inline images; their TeX stays in the snip text and in snip history (math_tex).
+ * Formulas are found by selectionRichText.js, which leaves the elements on window.__eznoteMathElements
+ * (the extension's isolated world persists across injections). Each is scrolled into view, the tab is
+ * captured and the formula cropped out on an OffscreenCanvas; formulas on screen together share a capture.
+ */
+
+import { ensureResearchSnipsFolder, uploadImageToDrive } from './googleDrive.js';
+import { blobToDataUrl } from './scrollCapture.js';
+import { richTextMath } from '../lib/richText.js';
+import { log } from './logger.js';
+
+/** captureVisibleTab is limited to 2 calls per second. */
+const CAPTURE_INTERVAL_MS = 550;
+/** Padding around a formula, in CSS px. */
+const PADDING = 2;
+
+/** Page: scroll formula `index` to the middle of the viewport and return where the formulas in `indexes` are now. */
+function showMathElements(index, indexes) {
+  const elements = window.__eznoteMathElements || [];
+  if (!window.__eznoteMathScroll) window.__eznoteMathScroll = { x: window.scrollX, y: window.scrollY };
+  elements[index]?.scrollIntoView({ block: 'center', inline: 'nearest' });
+  return new Promise((resolve) => {
+    requestAnimationFrame(() => requestAnimationFrame(() => {
+      const rects = {};
+      for (const i of indexes) {
+        const r = elements[i]?.getBoundingClientRect();
+        if (r) rects[i] = { x: r.left, y: r.top, width: r.width, height: r.height };
+      }
+      resolve({ rects, viewportWidth: document.documentElement.clientWidth || window.innerWidth, viewportHeight: window.innerHeight });
+    }));
+  });
+}
+
+/** Page: put the scroll position back and forget the formulas. */
+function restoreMathScroll() {
+  const saved = window.__eznoteMathScroll;
+  if (saved) window.scrollTo(saved.x, saved.y);
+  delete window.__eznoteMathScroll;
+  delete window.__eznoteMathElements;
+}
+
+async function runInPage(tabId, func, args = []) {
+  const [result] = await chrome.scripting.executeScript({ target: { tabId }, func, args });
+  return result?.result;
+}
+
+/**
+ * Capture a picture of each formula in the snip (math.image: data URL and CSS px size). Formulas that
+ * are hidden, larger than the window or cannot be captured keep only their TeX. Never throws.
+ * @param {number} tabId
+ * @param {number | null} windowId
+ * @param {import('../lib/richText.js').RichText} richText - updated in place
+ */
+export async function captureMathImages(tabId, windowId, richText) {
+  const pending = richTextMath(richText).filter((m) => typeof m.element === 'number');
+  if (pending.length === 0) return;
+  let lastCaptureAt = 0;
+  try {
+    while (pending.length > 0) {
+      const first = pending.shift();
+      const view = await runInPage(tabId, showMathElements, [first.element, [first, ...pending].map((m) => m.element)]);
+      const visible = (m) => {
+        const r = view?.rects?.[m.element];
+        return r && r.width > 0 && r.height > 0 && r.x >= 0 && r.y >= 0 && r.x + r.width <= view.viewportWidth && r.y + r.height <= view.viewportHeight;
+      };
+      if (!visible(first)) continue;
+      const wait = CAPTURE_INTERVAL_MS - (Date.now() - lastCaptureAt);
+      if (wait > 0) await new Promise((r) => setTimeout(r, wait));
+      const dataUrl = await chrome.tabs.captureVisibleTab(windowId ?? undefined, { format: 'png' });
+      lastCaptureAt = Date.now();
+      const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+      const dpr = bitmap.width / view.viewportWidth || 1;
+      const shown = [first, ...pending.filter(visible)];
+      for (const m of shown) {
+        const r = view.rects[m.element];
+        const x = Math.max(0, r.x - PADDING);
+        const y = Math.max(0, r.y - PADDING);
+        const width = Math.min(view.viewportWidth - x, r.width + 2 * PADDING);
+        const height = Math.min(view.viewportHeight - y, r.height + 2 * PADDING);
+        const canvas = new OffscreenCanvas(Math.max(1, Math.round(width * dpr)), Math.max(1, Math.round(height * dpr)));
+        canvas.getContext('2d').drawImage(bitmap, x * dpr, y * dpr, width * dpr, height * dpr, 0, 0, canvas.width, canvas.height);
+        const blob = await canvas.convertToBlob({ type: 'image/png' });
+        m.image = { dataUrl: await blobToDataUrl(blob), width, height };
+        if (m !== first) pending.splice(pending.indexOf(m), 1);
+      }
+      bitmap.close();
+    }
+  } catch (err) {
+    log.bg.warn('formula capture failed', err);
+  } finally {
+    await runInPage(tabId, restoreMathScroll).catch(() => {});
+  }
+}
+
+/**
+ * Upload the captured formula pictures to the Research Snips folder (math.imageUrl) so the Docs API can
+ * insert them; the data URLs are dropped once uploaded. Formulas whose upload fails keep only their TeX.
+ * @param {string} accessToken
+ * @param {import('../lib/richText.js').RichText | null | undefined} richText - updated in place
+ */
+export async function uploadMathImages(accessToken, richText) {
+  const pending = richTextMath(richText).filter((m) => m.image?.dataUrl && !m.imageUrl);
+  if (pending.length === 0) return;
+  const folderId = await ensureResearchSnipsFolder(accessToken);
+  for (const [i, m] of pending.entries()) {
+    try {
+      const blob = await fetch(m.image.dataUrl).then((r) => r.blob());
+      const { fileId, imageUrl } = await uploadImageToDrive(accessToken, blob, `eznote-math-${Date.now()}-${i}.png`, folderId);
+      m.imageUrl = imageUrl || (fileId ? `https://drive.google.com/uc?export=view&id=${fileId}` : '');
+      if (m.imageUrl) delete m.image.dataUrl;
+    } catch (err) {
+      if (err instanceof Error && err.message === 'SESSION_EXPIRED') throw err;
+      log.bg.warn('formula upload failed', err);
+    }
+  }
+}
+
+/**
+ * TeX of the snip's formulas, one per line, for snip history ('' when there are none or none has TeX).
+ * @param {import('../lib/richText.js').RichText | null | undefined} richText
+ * @returns {string}
+ */
+export function richTextMathTex(richText) {
+  return richTextMath(richText).map((m) => m.tex).filter(Boolean).join('\n');
+}
@@ -0,0 +1,222 @@
+/**
+ * Snip tray (lib/snipTray.js): Text and Image Snips staged in the side panel instead of going straight into the doc.
+ * Items live in chrome.storage.session for the browser session; Image Snips are uploaded to Drive when they are
+ * added, so the tray holds a link rather than the screenshot. Inserting the tray records every snip, then puts
+ * them all in with one batchUpdate (docsInsert.insertSnipBatch): either every snip goes in or none does.
+ */
+
+import { getSelectedDocumentId } from '../lib/storage.js';
+import { MAX_TRAY_ITEMS, moveTrayItem, resolveTraySection } from '../lib/snipTray.js';
+import { withTokenRetry } from './auth.js';
+import { getDocumentOutline, insertSnipBatch } from './googleDocs.js';
+import { recordSnipAndCheckLimit, recordImageSnipAndCheckLimit } from './snipUsage.js';
+import { pushUndoInsertBatch } from './undoInsertStack.js';
+import { uploadMathImages } from './snipMath.js';
+import { textSnipPayload, textSnipRecordParams } from './plugHighlightIntoDoc.js';
+import { log } from './logger.js';
+
+export const SNIP_TRAY_KEY = 'eznote_snip_tray';
+
+/** @typedef {import('../lib/snipTray.js').TrayItem} TrayItem */
+
+function getStorage() {
+  return chrome.storage?.session ?? chrome.storage?.local ?? null;
+}
+
+/** @returns {Promise<TrayItem[]>} */
+export async function getSnipTray() {
+  const storage = getStorage();
+  if (!storage) return [];
+  const data = await storage.get(SNIP_TRAY_KEY);
+  return Array.isArray(data[SNIP_TRAY_KEY]) ? data[SNIP_TRAY_KEY] : [];
+}
+
+// Serialise read-modify-write so a snip added while the tray is being inserted is not lost.
+let queue = Promise.resolve();
+
+/**
+ * @template T
+ * @param {(items: TrayItem[]) => T | Promise<T>} fn - may mutate items in place, or return { items } to replace them
+ * @returns {Promise<T>}
+ */
+function updateTray(fn) {
+  const run = queue.then(async () => {
+    let items = await getSnipTray();
+    const result = await fn(items);
+    if (Array.isArray(result?.items)) items = result.items;
+    const storage = getStorage();
+    if (storage) await storage.set({ [SNIP_TRAY_KEY]: items });
+    return result;
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Add a snip to the end of the tray.
+ * @param {{ kind: 'text' | 'image', data: TrayItem['data'], record: TrayItem['record'], section?: TrayItem['section'] }} entry
+ * @returns {Promise<number>} how many snips the tray holds now
+ */
+export function addToSnipTray(entry) {
+  const now = Date.now();
+  /** @type {TrayItem} */
+  const item = {
+    id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    kind: entry.kind === 'image' ? 'image' : 'text',
+    data: entry.data,
+    section: entry.section ?? null,
+    snipId: null,
+    record: entry.record ?? null,
+    addedAt: now,
+  };
+  return updateTray((items) => {
+    if (items.length >= MAX_TRAY_ITEMS) {
+      throw new Error(`The snip tray is full (${MAX_TRAY_ITEMS} snips). Insert or remove some first.`);
+    }
+    items.push(item);
+    return items.length;
+  });
+}
+
+/**
+ * Text Snip from the side panel's section picker ("Add to snip tray").
+ * @param {object} selectionData - as for plugHighlightAtSection, with the note and tags
+ * @param {TrayItem['section']} [section]
+ */
+export function addTextSnipToTray(selectionData, section = null) {
+  // target_doc_id is filled in when the tray is inserted: the connected doc may change until then.
+  return addToSnipTray({
+    kind: 'text',
+    data: textSnipPayload(selectionData),
+    record: { type: 'text', params: textSnipRecordParams(selectionData, '') },
+    section,
+  });
+}
+
+/**
+ * Edit a staged snip: its text (Text Snips; the edited text goes in without the captured formatting),
+ * its note and its section (null for the end of the document).
+ * @param {string} itemId
+ * @param {{ text?: string, note?: string, section?: TrayItem['section'] }} changes
+ */
+export function updateSnipTrayItem(itemId, changes) {
+  return updateTray((items) => {
+    const item = items.find((i) => i.id === itemId);
+    if (!item) throw new Error('That snip is no longer in the tray.');
+    const params = item.record?.params;
+    if (typeof changes.text === 'string' && item.kind === 'text' && changes.text !== item.data.selectedText) {
+      item.data = { ...item.data, selectedText: changes.text, richText: null, table: null, keepFormatting: false };
+      if (params) params.content = changes.text;
+    }
+    if (typeof changes.note === 'string') {
+      item.data = { ...item.data, note: changes.note };
+      if (params) params.note = changes.note;
+    }
+    if (changes.section !== undefined) item.section = changes.section;
+  });
+}
+
+/**
+ * Move a staged snip up (delta -1) or down (delta 1); snips that share a section go in in tray order.
+ * @param {string} itemId
+ * @param {number} delta
+ */
+export function moveSnipTrayItem(itemId, delta) {
+  return updateTray((items) => ({ items: moveTrayItem(items, itemId, delta) }));
+}
+
+/** @param {string} itemId */
+export function removeSnipTrayItem(itemId) {
+  return updateTray((items) => ({ items: items.filter((i) => i.id !== itemId) }));
+}
+
+export function clearSnipTray() {
+  return updateTray(() => ({ items: [] }));
+}
+
+/** Usage RPC answers that keep a snip in the tray. */
+const USAGE_ERRORS = {
+  snip_limit_reached: 'Monthly snip limit reached; the remaining snips stay in the tray.',
+  not_authenticated: 'Sign in to your account to insert the snip tray.',
+};
+
+/**
+ * Record the snips not recorded yet (snips_history). The snip id is saved on the item, so inserting again
+ * after a failure does not record it twice.
+ * @returns {Promise<{ recorded: TrayItem[], error: string | null }>} recorded: the items ready to insert, in tray order
+ */
+async function recordTrayItems(items, documentId) {
+  const recorded = [];
+  for (const item of items) {
+    if (item.record) {
+      const params = { ...item.record.params, target_doc_id: documentId };
+      const usage = item.record.type === 'image'
+        ? await recordImageSnipAndCheckLimit(params)
+        : await recordSnipAndCheckLimit(params);
+      if (usage.error) {
+        // Whatever stopped this one (limit, sign-in) stops the rest too.
+        return { recorded, error: USAGE_ERRORS[usage.error] ?? usage.error };
+      }
+      item.snipId = usage.snip_id ?? null;
+      item.record = null;
+      await updateTray((current) => {
+        const saved = current.find((i) => i.id === item.id);
+        if (saved) Object.assign(saved, { snipId: item.snipId, record: null });
+      });
+    }
+    recorded.push(item);
+  }
+  return { recorded, error: null };
+}
+
+/**
+ * Insert the tray into the connected document as a SNIP_TRAY_COMMIT operation (background/operations.js).
+ * Every snip goes to its section as the outline has it now, in one batchUpdate; each then gets its own
+ * undo entry. Snips that could not be recorded stay in the tray with the reason.
+ * @param {import('./operations.js').Operation} op
+ * @returns {Promise<{ success: boolean, inserted?: number, remaining?: number, error?: string }>}
+ */
+export async function commitSnipTray(op) {
+  const documentId = await getSelectedDocumentId();
+  if (!documentId) return { success: false, error: 'No document selected' };
+  const items = await getSnipTray();
+  if (items.length === 0) return { success: false, error: 'The snip tray is empty.' };
+
+  op.progress('recording');
+  const { recorded, error } = await recordTrayItems(items, documentId);
+  if (recorded.length === 0) return { success: false, error: error ?? 'Nothing to insert.', remaining: items.length };
+
+  // Last point to stop: the batch goes in whole or not at all.
+  op.throwIfCancelled();
+  op.progress('inserting', { cancellable: false });
+  const ranges = await withTokenRetry(async (token) => {
+    for (const item of recorded) {
+      if (item.kind === 'text' && item.data.keepFormatting) await uploadMathImages(token, item.data.richText);
+    }
+    const outline = await getDocumentOutline(documentId, token);
+    return insertSnipBatch(documentId, token, recorded.map((item) => ({
+      kind: item.kind,
+      data: { ...item.data, snipId: item.snipId },
+      target: resolveTraySection(outline, item.section).target,
+    })));
+  });
+
+  op.progress('verifying');
+  await pushUndoInsertBatch(documentId, recorded.map((item, i) => ({
+    startIndex: ranges[i].startIndex,
+    endIndex: ranges[i].endIndex,
+    snipId: ranges[i].snipId,
+    tabId: ranges[i].tabId,
+    beforeParagraph: ranges[i].beforeParagraph,
+    kind: item.kind,
+    payload: item.data,
+  })));
+
+  const insertedIds = new Set(recorded.map((i) => i.id));
+  const remaining = await updateTray((current) => {
+    const left = current.filter((i) => !insertedIds.has(i.id));
+    return { items: left, count: left.length };
+  });
+  if (error) log.bg.warn('snip tray: some snips were not recorded', error);
+  return { success: true, inserted: recorded.length, remaining: remaining.count, ...(error ? { error } : {}) };
+}
@@ -3,6 +3,9 @@
  * Uses token from chrome.storage (synced by popup when user is signed in).
  */
 
+import { cleanNote, parseTags } from '../lib/snipAnnotation.js';
+import { getActiveProject } from '../lib/storage.js';
+
 const STORAGE_KEY_URL = 'eznote_supabase_url';
 const STORAGE_KEY_ANON = 'eznote_supabase_anon_key';
 const STORAGE_KEY_TOKEN = 'eznote_supabase_access_token';
@@ -23,9 +26,64 @@ function parseDomain(url) {
   }
 }
 
+/**
+ * Citation metadata RPC params (p_author, ...), trimmed to the column limits in supabase-snip-citation-metadata.sql
+ * and supabase-snip-page-number.sql.
+ * @param {{ author?: string, published_date?: string, site_name?: string, doi?: string, canonical_url?: string, page_number?: string }} params
+ */
+function citationMetadataParams(params) {
+  const { author = '', published_date = '', site_name = '', doi = '', canonical_url = '', page_number = '' } = params;
+  return {
+    p_author: String(author).slice(0, 1024),
+    p_published_date: String(published_date).slice(0, 64),
+    p_site_name: String(site_name).slice(0, 512),
+    p_doi: String(doi).slice(0, 256),
+    p_canonical_url: String(canonical_url).slice(0, 2048),
+    p_page_number: String(page_number).slice(0, 32),
+  };
+}
+
+/**
+ * Text recognised in an Image Snip (p_ocr_text), capped to the column limit in supabase-snip-ocr-text.sql.
+ * @param {{ ocr_text?: string }} params
+ */
+function ocrTextParam(params) {
+  return { p_ocr_text: String(params.ocr_text ?? '').trim().slice(0, 20000) };
+}
+
+/**
+ * TeX of the formulas in a Text Snip (p_math_tex), capped to the column limit in supabase-snip-math-tex.sql.
+ * @param {{ math_tex?: string }} params
+ */
+function mathTexParam(params) {
+  return { p_math_tex: String(params.math_tex ?? '').trim().slice(0, 20000) };
+}
+
+/**
+ * Note and tags of a snip (p_note, p_tags), normalized as in lib/snipAnnotation.js and capped to the column
+ * limits in supabase-snip-annotations.sql.
+ * @param {{ note?: string, tags?: string[] | string }} params
+ */
+function annotationParams(params) {
+  return { p_note: cleanNote(params.note), p_tags: parseTags(params.tags) };
+}
+
+/**
+ * Where the quote sits on its page (p_text_anchor, supabase-snip-text-anchor.sql): lib/textAnchor.js, or null.
+ * @param {{ text_anchor?: import('../lib/textAnchor.js').TextAnchor | null }} params
+ */
+function textAnchorParam(params) {
+  const a = params.text_anchor;
+  if (!a?.start) return { p_text_anchor: null };
+  const field = (v) => String(v ?? '').slice(0, 500);
+  return { p_text_anchor: { start: field(a.start), end: field(a.end), prefix: field(a.prefix), suffix: field(a.suffix) } };
+}
+
 /**
  * Call record_snip_and_check_limit RPC. When content is non-empty, inserts a text row into snips_history.
- * @param {{ content?: string, source_url?: string, target_doc_id?: string, page_title?: string, domain?: string }} params
+ * Citation metadata (author, published_date, site_name, doi, canonical_url), OCR text, the TeX of
+ * snipped formulas, the user's note and tags and the quote's text anchor are stored with the row.
+ * @param {{ content?: string, source_url?: string, target_doc_id?: string, page_title?: string, domain?: string, author?: string, published_date?: string, site_name?: string, doi?: string, canonical_url?: string, page_number?: string, ocr_text?: string, math_tex?: string, note?: string, tags?: string[], text_anchor?: import('../lib/textAnchor.js').TextAnchor | null }} params
  * @returns {Promise<{ success?: boolean, error?: string, limit?: number }>}
  */
 export async function recordSnipAndCheckLimit(params = {}) {
@@ -57,6 +115,11 @@ export async function recordSnipAndCheckLimit(params = {}) {
       p_target_doc_id: String(target_doc_id).slice(0, 256),
       p_page_title: String(page_title).slice(0, 1024),
       p_domain: String(domainVal).slice(0, 512),
+      ...citationMetadataParams(params),
+      ...ocrTextParam(params),
+      ...mathTexParam(params),
+      ...annotationParams(params),
+      ...textAnchorParam(params),
     }),
   });
 
@@ -77,7 +140,7 @@ export async function recordSnipAndCheckLimit(params = {}) {
 
 /**
  * Call record_image_snip_and_check_limit RPC. Inserts image row into snips_history and enforces limit.
- * @param {{ source_url?: string, page_title?: string, domain?: string, drive_url?: string, target_doc_id?: string }} params
+ * @param {{ source_url?: string, page_title?: string, domain?: string, drive_url?: string, target_doc_id?: string, author?: string, published_date?: string, site_name?: string, doi?: string, canonical_url?: string, page_number?: string, ocr_text?: string, note?: string, tags?: string[] }} params
  * @returns {Promise<{ success?: boolean, error?: string, limit?: number }>}
  */
 export async function recordImageSnipAndCheckLimit(params = {}) {
@@ -113,6 +176,9 @@ export async function recordImageSnipAndCheckLimit(params = {}) {
       p_domain: String(domain).slice(0, 512),
       p_drive_url: String(drive_url).slice(0, 2048),
       p_target_doc_id: String(target_doc_id).slice(0, 256),
+      ...citationMetadataParams(params),
+      ...ocrTextParam(params),
+      ...annotationParams(params),
     }),
   });
 
@@ -133,8 +199,9 @@ export async function recordImageSnipAndCheckLimit(params = {}) {
 
 /**
  * Call get_snip_usage RPC. Returns { used, limit, allowed } or { error }.
- * Used to disable "Image Snip" when limit is reached.
- * @returns {Promise<{ used?: number, limit?: number, allowed?: boolean, error?: string }>}
+ * Used to disable "Image Snip" when limit is reached. With an active project, projectUsed is the number of
+ * Image Snips this month in that project (the limit itself is per user).
+ * @returns {Promise<{ used?: number, limit?: number, allowed?: boolean, projectUsed?: number | null, error?: string }>}
  */
 export async function getSnipUsage() {
   const stored = await new Promise((resolve) => {
@@ -147,6 +214,7 @@ export async function getSnipUsage() {
     return { error: 'not_authenticated', allowed: true };
   }
 
+  const project = await getActiveProject().catch(() => null);
   const rpcUrl = `${url.replace(/\/$/, '')}/rest/v1/rpc/get_snip_usage`;
   const res = await fetch(rpcUrl, {
     method: 'POST',
@@ -155,7 +223,7 @@ export async function getSnipUsage() {
       Apikey: anonKey,
       Authorization: `Bearer ${token}`,
     },
-    body: JSON.stringify({}),
+    body: JSON.stringify({ p_project_id: project?.id ?? null }),
   });
 
   let data = await res.json().catch(() => ({}));
@@ -170,14 +238,15 @@ export async function getSnipUsage() {
     used: typeof data.used === 'number' ? data.used : 0,
     limit: typeof data.limit === 'number' ? data.limit : 15,
     allowed: data.allowed !== false,
+    projectUsed: typeof data.project_used === 'number' ? data.project_used : null,
   };
 }
 
 /**
  * Fetch source metadata for given snip ids from snips_history (RLS applies).
- * Used by Format References to resolve SNIP_REF_ named ranges.
+ * Used by Format References to resolve SNIP_REF_ named ranges; created_at is the access date in citations.
  * @param {string[]} ids - snips_history.id (UUIDs)
- * @returns {Promise<Array<{ id: string, source_url: string | null, page_title: string | null, domain: string | null }>>}
+ * @returns {Promise<Array<{ id: string, source_url: string | null, page_title: string | null, domain: string | null, created_at: string | null, author: string | null, published_date: string | null, site_name: string | null, doi: string | null, canonical_url: string | null, page_number: string | null }>>}
  */
 export async function getSnipsMetadata(ids) {
   if (!Array.isArray(ids) || ids.length === 0) return [];
@@ -192,7 +261,7 @@ export async function getSnipsMetadata(ids) {
   const uniqueIds = [...new Set(ids.map((id) => String(id).trim()).filter(Boolean))];
   if (uniqueIds.length === 0) return [];
   const inFilter = uniqueIds.join(',');
-  const restUrl = `${url.replace(/\/$/, '')}/rest/v1/snips_history?id=in.(${inFilter})&select=id,source_url,page_title,domain`;
+  const restUrl = `${url.replace(/\/$/, '')}/rest/v1/snips_history?id=in.(${inFilter})&select=id,source_url,page_title,domain,created_at,author,published_date,site_name,doi,canonical_url,page_number`;
   const res = await fetch(restUrl, {
     method: 'GET',
     headers: {
@@ -205,3 +274,32 @@ export async function getSnipsMetadata(ids) {
   const data = await res.json().catch(() => []);
   return Array.isArray(data) ? data : [];
 }
+
+/**
+ * Where a snip came from, for "Open source at highlight": its page, PDF page and text anchor (RLS applies).
+ * @param {string} id - snips_history.id
+ * @returns {Promise<{ snip?: { id: string, snippet_type: string | null, content: string | null, source_url: string | null, page_number: string | null, text_anchor: import('../lib/textAnchor.js').TextAnchor | null }, error?: string }>}
+ *   snip is missing when the snip is not in the user's history
+ */
+export async function getSnipSource(id) {
+  const stored = await new Promise((resolve) => {
+    chrome.storage.local.get([STORAGE_KEY_URL, STORAGE_KEY_ANON, STORAGE_KEY_TOKEN], resolve);
+  });
+  const url = stored[STORAGE_KEY_URL];
+  const anonKey = stored[STORAGE_KEY_ANON];
+  const token = stored[STORAGE_KEY_TOKEN];
+  if (!url || !anonKey || !token) return { error: 'not_authenticated' };
+
+  const restUrl = `${url.replace(/\/$/, '')}/rest/v1/snips_history?id=eq.${encodeURIComponent(String(id).trim())}&select=id,snippet_type,content,source_url,page_number,text_anchor`;
+  const res = await fetch(restUrl, {
+    method: 'GET',
+    headers: {
+      Apikey: anonKey,
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    },
+  });
+  const data = await res.json().catch(() => []);
+  if (!res.ok) return { error: data?.message || 'get_snip_source_failed' };
+  return Array.isArray(data) && data[0] ? { snip: data[0] } : {};
+}
@@ -0,0 +1,238 @@
+/**
+ * "Open source at highlight": from a snip in the doc back to the passage it was taken from.
+ * A Text Snip's quote is anchored when it is captured (captureTextAnchor, lib/textAnchor.js) and the anchor is
+ * saved with the snip. Snip History passes the snip id; in the Docs tab, content/docsSourceLink.js sends the
+ * selected text and findSnipAtSelection finds the snip range it belongs to (SNIP_REF_, or SNIP_CITE_ once formatted).
+ * openSnipSource opens the page with a text fragment, which Chrome scrolls to and highlights, then highlights the
+ * passage itself too (highlightTextAnchor) for pages where the fragment does not match, such as text loaded late.
+ * readSelectionContext and highlightTextAnchor run in the page via chrome.scripting, so they must stay self-contained.
+ */
+
+import { createTextAnchor, pdfPageUrl, snipTextAnchor, textFragmentUrl } from '../lib/textAnchor.js';
+import { withTokenRetry } from './auth.js';
+import { getDocumentSnipRefs } from './googleDocs.js';
+import { getSnipSource } from './snipUsage.js';
+import { log } from './logger.js';
+
+/** Page text read on each side of a selection for its anchor. */
+const ANCHOR_CONTEXT_CHARS = 200;
+/** How long the source page gets to load before the passage is looked for (ms). */
+const SOURCE_LOAD_TIMEOUT_MS = 20000;
+
+/**
+ * Run in page context. Text just before and after the current selection, or null without one.
+ * @param {number} maxChars - characters kept on each side
+ * @returns {{ before: string, after: string } | null}
+ */
+export function readSelectionContext(maxChars) {
+  const sel = window.getSelection();
+  if (!sel || sel.rangeCount === 0 || sel.isCollapsed) return null;
+  const range = sel.getRangeAt(0);
+  const root = document.body;
+  const before = document.createRange();
+  before.setStart(root, 0);
+  before.setEnd(range.startContainer, range.startOffset);
+  const after = document.createRange();
+  after.setStart(range.endContainer, range.endOffset);
+  after.setEnd(root, root.childNodes.length);
+  return { before: before.toString().slice(-maxChars), after: after.toString().slice(0, maxChars) };
+}
+
+/**
+ * Run in page context. Find the anchored passage (case and whitespace ignored, context used to pick between
+ * repeats), scroll to it and highlight it. Looks again a few times for pages that fill in their text late.
+ * @param {import('../lib/textAnchor.js').TextAnchor} anchor
+ * @returns {Promise<boolean>} whether the passage was found
+ */
+export async function highlightTextAnchor(anchor) {
+  const HIGHLIGHT_NAME = 'docsourced-source';
+  const ATTEMPTS = 5;
+  const RETRY_MS = 800;
+  const fold = (s) => String(s || '').replace(/\s+/g, '').toLowerCase();
+
+  const find = () => {
+    // Page text without whitespace, one entry per character with the text node and offset it came from.
+    const chars = [];
+    const at = [];
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => (node.parentElement?.closest('script, style, noscript, template')
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT),
+    });
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const data = node.data;
+      for (let i = 0; i < data.length; i++) {
+        if (/\s/.test(data[i])) continue;
+        const lower = data[i].toLowerCase();
+        chars.push(lower.length === 1 ? lower : data[i]);
+        at.push([node, i]);
+      }
+    }
+    const text = chars.join('');
+    const start = fold(anchor.start);
+    const end = fold(anchor.end);
+    const prefix = fold(anchor.prefix);
+    const suffix = fold(anchor.suffix);
+    if (!start) return null;
+    const bestScore = (prefix ? 1 : 0) + (suffix ? 1 : 0);
+    let best = null;
+    for (let i = text.indexOf(start); i !== -1; i = text.indexOf(start, i + 1)) {
+      let stop = i + start.length;
+      if (end) {
+        const j = text.indexOf(end, stop);
+        if (j === -1) break;
+        stop = j + end.length;
+      }
+      const score = (prefix && text.slice(Math.max(0, i - prefix.length), i) === prefix ? 1 : 0)
+        + (suffix && text.startsWith(suffix, stop) ? 1 : 0);
+      if (!best || score > best.score) best = { i, stop, score };
+      if (score === bestScore) break;
+    }
+    if (!best) return null;
+    const range = document.createRange();
+    range.setStart(at[best.i][0], at[best.i][1]);
+    range.setEnd(at[best.stop - 1][0], at[best.stop - 1][1] + 1);
+    return range;
+  };
+
+  let range = find();
+  for (let n = 1; !range && n < ATTEMPTS; n++) {
+    await new Promise((resolve) => setTimeout(resolve, RETRY_MS));
+    range = find();
+  }
+  if (!range) return false;
+
+  range.startContainer.parentElement?.scrollIntoView({ block: 'center' });
+  if (window.CSS?.highlights && typeof Highlight === 'function') {
+    if (!document.getElementById(HIGHLIGHT_NAME)) {
+      const style = document.createElement('style');
+      style.id = HIGHLIGHT_NAME;
+      style.textContent = `::highlight(${HIGHLIGHT_NAME}) { background-color: #ffe066; color: #000; }`;
+      (document.head || document.documentElement).append(style);
+    }
+    CSS.highlights.set(HIGHLIGHT_NAME, new Highlight(range));
+  } else {
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+  }
+  return true;
+}
+
+/**
+ * Anchor for the selection in a tab, read when a Text Snip is captured. Without the page's context (the
+ * script cannot run there) the anchor is the quote alone.
+ * @param {number} tabId
+ * @param {string} selectedText - the selection's text as the page gives it
+ * @returns {Promise<import('../lib/textAnchor.js').TextAnchor | null>}
+ */
+export async function captureTextAnchor(tabId, selectedText) {
+  try {
+    const [res] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: readSelectionContext,
+      args: [ANCHOR_CONTEXT_CHARS],
+    });
+    return createTextAnchor(selectedText, res?.result?.before ?? '', res?.result?.after ?? '');
+  } catch (_) {
+    return createTextAnchor(selectedText);
+  }
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+/** Start of the note paragraph under a snip's source line (lib/snipAnnotation.js noteLine). */
+const NOTE_PREFIX = 'Note: ';
+
+/**
+ * The snip range a passage of the doc belongs to: the range it overlaps (the "Source:" line or citation
+ * marker), the range just above when it is in the "Note:" paragraph after it, else the nearest range below
+ * with no blank line in between (the quote). Text typed right above a snip appended at the end of the doc, with no blank line
+ * between, reads as part of it. Whitespace in the quote matches any whitespace, as Docs reports line breaks variously.
+ * @param {string} text - document text aligned to Docs indices (getDocumentSnipRefs)
+ * @param {Array<{ snipId: string, startIndex: number, endIndex: number }>} refs
+ * @param {string} quote - text selected in the doc
+ * @returns {{ snipId: string, startIndex: number, endIndex: number } | null}
+ */
+export function findSnipRefForText(text, refs, quote) {
+  const words = String(quote ?? '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0 || refs.length === 0) return null;
+  const sameSnip = (from, to) => !text.slice(from, to).includes('\n\n');
+  for (const m of text.matchAll(new RegExp(words.map(escapeRegExp).join('\\s+'), 'g'))) {
+    const start = m.index;
+    const end = start + m[0].length;
+    const inside = refs.find((r) => start < r.endIndex && end > r.startIndex);
+    if (inside) return inside;
+    // The note, in the paragraph right after the "Source:" line.
+    const above = refs.filter((r) => r.endIndex <= start).sort((a, b) => b.endIndex - a.endIndex)[0];
+    const noteAt = above ? above.endIndex + 1 : -1;
+    if (above && text.startsWith(NOTE_PREFIX, noteAt) && !text.slice(noteAt, start).includes('\n')) return above;
+    const below = refs.filter((r) => r.startIndex >= end).sort((a, b) => a.startIndex - b.startIndex)[0];
+    if (below && sameSnip(end, below.startIndex)) return below;
+  }
+  return null;
+}
+
+/**
+ * Snip id of the text selected in a doc, or null when it is not part of a snip.
+ * @param {string} documentId
+ * @param {string} quote
+ * @returns {Promise<string | null>}
+ */
+export async function findSnipAtSelection(documentId, quote) {
+  const { text, refs } = await withTokenRetry((token) => getDocumentSnipRefs(documentId, token));
+  return findSnipRefForText(text, refs, quote)?.snipId ?? null;
+}
+
+/** Google Docs document id in a docs.google.com/document/d/{id}/... URL, or null. */
+export function documentIdFromDocsUrl(url) {
+  const m = /^https:\/\/docs\.google\.com\/document\/(?:u\/\d+\/)?d\/([a-zA-Z0-9_-]+)/.exec(String(url ?? ''));
+  return m ? m[1] : null;
+}
+
+/** Resolves true once the tab has loaded, false after SOURCE_LOAD_TIMEOUT_MS. */
+function waitForTabLoad(tabId) {
+  return new Promise((resolve) => {
+    const done = (loaded) => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve(loaded);
+    };
+    const listener = (id, changeInfo) => {
+      if (id === tabId && changeInfo.status === 'complete') done(true);
+    };
+    const timer = setTimeout(() => done(false), SOURCE_LOAD_TIMEOUT_MS);
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+}
+
+/**
+ * Open a snip's source in a new tab at the quoted passage: a text fragment and our own highlight for web pages,
+ * the snip's page for PDFs (#page=N). Image Snips open their page.
+ * @param {string} snipId - snips_history.id
+ * @returns {Promise<{ success: boolean, found?: boolean, error?: string }>} found: whether the passage was highlighted
+ */
+export async function openSnipSource(snipId) {
+  const { snip, error } = await getSnipSource(snipId);
+  if (error === 'not_authenticated') return { success: false, error: 'Sign in to your account to open sources.' };
+  if (error) return { success: false, error };
+  if (!snip) return { success: false, error: 'This snip is not in your Snip History.' };
+  if (!snip.source_url) return { success: false, error: 'This snip has no source page.' };
+
+  if (snip.page_number) {
+    await chrome.tabs.create({ url: pdfPageUrl(snip.source_url, snip.page_number) });
+    return { success: true };
+  }
+  const anchor = snip.snippet_type === 'image' ? null : snipTextAnchor(snip);
+  const tab = await chrome.tabs.create({ url: textFragmentUrl(snip.source_url, anchor) });
+  if (!anchor || tab?.id == null) return { success: true };
+
+  await waitForTabLoad(tab.id);
+  try {
+    const [res] = await chrome.scripting.executeScript({ target: { tabId: tab.id }, func: highlightTextAnchor, args: [anchor] });
+    return { success: true, found: res?.result === true };
+  } catch (err) {
+    // Pages the extension cannot script (the Web Store, other extensions): the text fragment is all there is.
+    log.bg.warn('Could not highlight the source passage', err);
+    return { success: true, found: false };
+  }
+}
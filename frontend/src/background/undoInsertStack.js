@@ -1,44 +1,312 @@
 /**
- * In-memory stack of the most recent Plug/Snip insert operations (per session).
- * Used by "Undo Last Insert" to remove the last extension-generated insertion.
+ * Per-document undo/redo history of Plug/Snip inserts, persisted in chrome.storage.local so it
+ * survives the service worker being suspended.
+ *
+ * Each entry stores the inserted index range (and its document tab) and a snapshot of the document text
+ * in that range, taken right after the insert. Ranges are shifted when a later insert (or undo/redo) lands earlier
+ * in the document, and the snapshot is compared with the live document before deleting, so text the
+ * user has since edited is never removed. Redo replays the original insert from the stored payload.
  */
 
-/** @type {Array<{ documentId: string, startIndex: number, endIndex: number, snipId?: string | null }>} */
-let stack = [];
+import { withTokenRetry } from './auth.js';
+import {
+  deleteInsertRange,
+  getDocumentText,
+  insertHighlightAtPosition,
+  insertImageWithSourceAtPosition,
+} from './googleDocs.js';
+import { log } from './logger.js';
+import { makeTarget } from '../lib/docsOutline.js';
+
+const HISTORY_KEY = 'eznote_insert_history';
+const MAX_ENTRIES_PER_DOC = 20;
+const MAX_DOCS = 10;
+const LABEL_LEN = 60;
+
+/**
+ * @typedef {{ selectedText?: string, pageUrl?: string, pageTitle?: string, timestamp?: string, imageUrl?: string, imageWidthPt?: number, imageHeightPt?: number, ocrText?: string, insertAs?: 'image' | 'image_text' | 'text', videoMoment?: string, richText?: object | null, table?: object | null, keepFormatting?: boolean, note?: string, noteInDoc?: boolean }} InsertPayload
+ * @typedef {{ id: string, startIndex: number, endIndex: number, tabId?: string | null, beforeParagraph?: boolean, snipId: string | null, kind: 'text' | 'image', label: string, payload: InsertPayload | null, snapshot: string | null, createdAt: number }} InsertEntry
+ * @typedef {{ undo: InsertEntry[], redo: InsertEntry[], updatedAt: number }} DocHistory
+ */
+
+function getStorage() {
+  return chrome.storage?.local ?? null;
+}
+
+/** @returns {Promise<{ [documentId: string]: DocHistory }>} */
+async function readAll() {
+  const storage = getStorage();
+  if (!storage) return {};
+  const data = await storage.get(HISTORY_KEY);
+  return data[HISTORY_KEY] || {};
+}
+
+/** Save, keeping at most MAX_DOCS documents (least recently used are dropped). */
+async function writeAll(all) {
+  const storage = getStorage();
+  if (!storage) return;
+  const ids = Object.keys(all).sort((a, b) => (all[b].updatedAt || 0) - (all[a].updatedAt || 0));
+  const kept = {};
+  for (const id of ids.slice(0, MAX_DOCS)) {
+    if (all[id].undo.length > 0 || all[id].redo.length > 0) kept[id] = all[id];
+  }
+  await storage.set({ [HISTORY_KEY]: kept });
+}
+
+// Serialise read-modify-write so concurrent inserts/undos cannot overwrite each other's changes.
+let queue = Promise.resolve();
+
+/**
+ * Run fn with the history of one document; changes to it are saved when fn resolves.
+ * @template T
+ * @param {string} documentId
+ * @param {(history: DocHistory) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+function withDocHistory(documentId, fn) {
+  const run = queue.then(async () => {
+    const all = await readAll();
+    const history = all[documentId] || { undo: [], redo: [], updatedAt: 0 };
+    try {
+      return await fn(history);
+    } finally {
+      history.updatedAt = Date.now();
+      all[documentId] = history;
+      await writeAll(all);
+    }
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+/** Each document tab has its own indexes: only entries in the same tab move. */
+function sameTab(entry, tabId) {
+  return (entry.tabId ?? null) === (tabId ?? null);
+}
+
+/** An insert of `length` at `index` moves everything at or after it; ranges it lands inside grow. */
+function shiftForInsert(entries, index, length, tabId = null) {
+  for (const e of entries) {
+    if (!sameTab(e, tabId)) continue;
+    if (e.startIndex >= index) {
+      e.startIndex += length;
+      e.endIndex += length;
+    } else if (e.endIndex > index) {
+      e.endIndex += length;
+    }
+  }
+}
+
+/** Deleting [start, end) moves later ranges back; redo positions inside it collapse to start. */
+function shiftForDelete(entries, start, end, tabId = null) {
+  const length = end - start;
+  for (const e of entries) {
+    if (!sameTab(e, tabId)) continue;
+    if (e.startIndex >= end) {
+      e.startIndex -= length;
+      e.endIndex -= length;
+    } else if (e.startIndex > start) {
+      const size = e.endIndex - e.startIndex;
+      e.startIndex = start;
+      e.endIndex = start + size;
+    }
+  }
+}
+
+function makeLabel(kind, payload) {
+  if (kind === 'image') return 'Image: ' + (payload?.pageTitle || 'Untitled');
+  const text = (payload?.selectedText || '').replace(/\s+/g, ' ').trim();
+  return text.length > LABEL_LEN ? text.slice(0, LABEL_LEN - 1) + '…' : text || '(empty)';
+}
+
+/** Read the inserted range back from the document. */
+async function takeSnapshot(documentId, entry) {
+  const { text } = await withTokenRetry((token) => getDocumentText(documentId, token, entry.tabId ?? null));
+  entry.snapshot = text.slice(entry.startIndex, entry.endIndex);
+}
 
 /**
- * @param {{ documentId: string, startIndex: number, endIndex: number, snipId?: string | null }} entry
+ * Find where the entry's content is now. Its stored range if the text there still matches;
+ * otherwise the only place in the document with exactly that text (e.g. the user typed above it).
+ * @returns {Promise<{ startIndex: number, endIndex: number } | null>}
  */
-export function pushUndoInsert(entry) {
-  if (!entry?.documentId || typeof entry.startIndex !== 'number' || typeof entry.endIndex !== 'number') return;
-  stack.push({
-    documentId: String(entry.documentId),
+async function locateEntry(documentId, entry) {
+  const { text } = await withTokenRetry((token) => getDocumentText(documentId, token, entry.tabId ?? null));
+  if (text.slice(entry.startIndex, entry.endIndex) === entry.snapshot) {
+    return { startIndex: entry.startIndex, endIndex: entry.endIndex };
+  }
+  const at = text.indexOf(entry.snapshot);
+  if (at > 0 && text.lastIndexOf(entry.snapshot) === at) {
+    return { startIndex: at, endIndex: at + entry.snapshot.length };
+  }
+  return null;
+}
+
+/** @typedef {{ startIndex: number, endIndex: number, tabId?: string | null, beforeParagraph?: boolean, snipId?: string | null, kind?: 'text' | 'image', payload?: InsertPayload }} NewInsert */
+
+/** @param {NewInsert} entry @returns {InsertEntry | null} */
+function makeEntry(entry) {
+  if (typeof entry?.startIndex !== 'number' || typeof entry.endIndex !== 'number') return null;
+  const kind = entry.kind === 'image' ? 'image' : 'text';
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
     startIndex: entry.startIndex,
     endIndex: entry.endIndex,
+    tabId: entry.tabId ?? null,
+    beforeParagraph: entry.beforeParagraph === true,
     snipId: entry.snipId ?? null,
-  });
+    kind,
+    label: makeLabel(kind, entry.payload),
+    payload: entry.payload ?? null,
+    snapshot: null,
+    createdAt: Date.now(),
+  };
 }
 
 /**
- * @returns {{ documentId: string, startIndex: number, endIndex: number, snipId?: string | null } | null}
+ * Record an insert so it can be undone. Clears the document's redo list. Never throws.
+ * @param {NewInsert & { documentId: string }} entry
+ * @returns {Promise<void>}
  */
-export function peekUndoInsert() {
-  return stack.length > 0 ? stack[stack.length - 1] : null;
+export async function pushUndoInsert(entry) {
+  if (!entry?.documentId) return;
+  await pushUndoInsertBatch(entry.documentId, [entry]);
 }
 
 /**
- * @returns {{ documentId: string, startIndex: number, endIndex: number, snipId?: string | null } | null}
+ * Record the inserts of one batchUpdate, each undoable on its own. Ranges are where each insert is once the
+ * whole batch is in (as insertSnipBatch returns them) and are stored as they are; only older entries move.
+ * Later entries are undone first. Clears the document's redo list. Never throws.
+ * @param {string} documentId
+ * @param {NewInsert[]} entries
+ * @returns {Promise<void>}
  */
-export function popUndoInsert() {
-  return stack.length > 0 ? stack.pop() : null;
+export async function pushUndoInsertBatch(documentId, entries) {
+  const records = (entries || []).map(makeEntry).filter(Boolean);
+  if (!documentId || !records.length) return;
+  documentId = String(documentId);
+  try {
+    const texts = new Map();
+    for (const record of records) {
+      if (!texts.has(record.tabId)) {
+        const { text } = await withTokenRetry((token) => getDocumentText(documentId, token, record.tabId));
+        texts.set(record.tabId, text);
+      }
+      record.snapshot = texts.get(record.tabId).slice(record.startIndex, record.endIndex);
+    }
+  } catch (err) {
+    log.bg.warn('insert history: snapshot failed', err);
+  }
+  try {
+    await withDocHistory(documentId, async (history) => {
+      // Taken top to bottom, each range's start is where its insert landed once those above it were in,
+      // which is how older entries (still in pre-batch indexes) move.
+      const byPosition = [...records].sort((a, b) => String(a.tabId ?? '').localeCompare(String(b.tabId ?? '')) || a.startIndex - b.startIndex);
+      for (const record of byPosition) {
+        shiftForInsert(history.undo, record.startIndex, record.endIndex - record.startIndex, record.tabId);
+      }
+      history.undo.push(...records);
+      if (history.undo.length > MAX_ENTRIES_PER_DOC) history.undo.splice(0, history.undo.length - MAX_ENTRIES_PER_DOC);
+      history.redo = [];
+    });
+  } catch (err) {
+    log.bg.warn('insert history: save failed', err);
+  }
+}
+
+/**
+ * Summaries for the side panel, newest first.
+ * @param {string} documentId
+ * @returns {Promise<{ inserts: Array<{ id: string, label: string, kind: string, createdAt: number }>, redo: Array<{ id: string, label: string, kind: string, createdAt: number }> }>}
+ */
+export async function getInsertHistory(documentId) {
+  const all = await readAll();
+  const history = all[documentId] || { undo: [], redo: [] };
+  const summary = (e) => ({ id: e.id, label: e.label, kind: e.kind, createdAt: e.createdAt });
+  return {
+    inserts: [...history.undo].reverse().map(summary),
+    redo: [...history.redo].reverse().map(summary),
+  };
 }
 
 /**
  * True if there is at least one tracked insert for the given document.
  * @param {string} documentId
- * @returns {boolean}
+ * @returns {Promise<boolean>}
+ */
+export async function canUndoInsert(documentId) {
+  const all = await readAll();
+  return (all[documentId]?.undo.length ?? 0) > 0;
+}
+
+/**
+ * Remove an insert from the document (the most recent one when entryId is omitted) and move it to the redo list.
+ * @param {string} documentId
+ * @param {string} [entryId]
+ * @returns {Promise<{ success: boolean, error?: string }>}
  */
-export function canUndoInsert(documentId) {
-  const top = peekUndoInsert();
-  return top !== null && top.documentId === documentId;
+export function undoInsert(documentId, entryId) {
+  return withDocHistory(documentId, async (history) => {
+    const pos = entryId ? history.undo.findIndex((e) => e.id === entryId) : history.undo.length - 1;
+    const entry = history.undo[pos];
+    if (!entry) return { success: false, error: 'Nothing to undo for this document' };
+    if (!entry.snapshot) {
+      history.undo.splice(pos, 1);
+      return { success: false, error: 'This insert could not be checked against the document, so it was not removed.' };
+    }
+
+    const range = await locateEntry(documentId, entry);
+    if (!range) {
+      history.undo.splice(pos, 1);
+      return {
+        success: false,
+        error: 'This insert has been edited or moved in the document, so it was not removed. It has been dropped from the history.',
+      };
+    }
+    const result = await withTokenRetry((token) =>
+      deleteInsertRange(documentId, token, range.startIndex, range.endIndex, entry.snipId ?? undefined, entry.tabId ?? null)
+    );
+    if (result.success === false) return { success: false, error: result.error };
+
+    history.undo.splice(pos, 1);
+    shiftForDelete(history.undo, range.startIndex, range.endIndex, entry.tabId);
+    shiftForDelete(history.redo, range.startIndex, range.endIndex, entry.tabId);
+    entry.startIndex = range.startIndex;
+    entry.endIndex = range.endIndex;
+    if (entry.payload) history.redo.push(entry);
+    return { success: true };
+  });
+}
+
+/**
+ * Re-insert the most recently undone insert at its (shifted) position.
+ * @param {string} documentId
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export function redoInsert(documentId) {
+  return withDocHistory(documentId, async (history) => {
+    const entry = history.redo[history.redo.length - 1];
+    if (!entry?.payload) return { success: false, error: 'Nothing to redo for this document' };
+
+    const data = { ...entry.payload, snipId: entry.snipId };
+    const target = makeTarget(entry.startIndex, entry.tabId ?? null, entry.beforeParagraph === true);
+    const range = await withTokenRetry((token) =>
+      entry.kind === 'image'
+        ? insertImageWithSourceAtPosition(documentId, token, data, target)
+        : insertHighlightAtPosition(documentId, token, data, target)
+    );
+    history.redo.pop();
+    entry.startIndex = range.startIndex;
+    entry.endIndex = range.endIndex;
+    shiftForInsert(history.undo, entry.startIndex, entry.endIndex - entry.startIndex, entry.tabId);
+    shiftForInsert(history.redo, entry.startIndex, entry.endIndex - entry.startIndex, entry.tabId);
+    try {
+      await takeSnapshot(documentId, entry);
+    } catch (err) {
+      entry.snapshot = null;
+      log.bg.warn('insert history: snapshot failed', err);
+    }
+    history.undo.push(entry);
+    return { success: true };
+  });
 }
@@ -0,0 +1,179 @@
+/**
+ * Video-aware snips: on pages with an HTML5 <video> (YouTube, Vimeo, generic players) a snip records
+ * the playback time, links the source to that moment and pulls in the caption line being shown.
+ * readVideoMoment and readVideoFrame run in the page via chrome.scripting, so they must stay
+ * self-contained (no references to module scope). Only the top frame is read; embedded players
+ * in cross-origin iframes are not.
+ */
+
+/**
+ * Run in page context. The main video: playing before paused, then the largest on screen.
+ * Returns null when the page has no video that has loaded.
+ * @returns {{ time: number, caption: string, rect: { x: number, y: number, width: number, height: number }, scrollY: number } | null}
+ */
+export function readVideoMoment() {
+  const candidates = Array.from(document.querySelectorAll('video'))
+    .map((video) => ({ video, rect: video.getBoundingClientRect() }))
+    .filter(({ video, rect }) => video.readyState > 0 && rect.width > 0 && rect.height > 0);
+  if (candidates.length === 0) return null;
+  candidates.sort((a, b) => {
+    if (a.video.paused !== b.video.paused) return a.video.paused ? 1 : -1;
+    return b.rect.width * b.rect.height - a.rect.width * a.rect.height;
+  });
+  const { video, rect } = candidates[0];
+
+  const clean = (text) => String(text || '').replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+  let caption = '';
+  // Native text tracks (generic players, and sites that load WebVTT).
+  for (const track of Array.from(video.textTracks || [])) {
+    if (track.mode === 'disabled' || !track.activeCues || track.activeCues.length === 0) continue;
+    caption = clean(Array.from(track.activeCues).map((cue) => cue.text).join(' '));
+    if (caption) break;
+  }
+  // Players that draw captions in the DOM: YouTube, Vimeo.
+  if (!caption) {
+    const segments = document.querySelectorAll('.ytp-caption-segment, .vp-captions, .vjs-text-track-display');
+    caption = clean(Array.from(segments).map((el) => el.textContent).join(' '));
+  }
+
+  const left = Math.max(0, rect.left);
+  const top = Math.max(0, rect.top);
+  const right = Math.min(document.documentElement.clientWidth || window.innerWidth, rect.right);
+  const bottom = Math.min(window.innerHeight, rect.bottom);
+  return {
+    time: Number.isFinite(video.currentTime) ? video.currentTime : 0,
+    caption: caption.slice(0, 500),
+    rect: { x: left, y: top, width: Math.max(0, right - left), height: Math.max(0, bottom - top) },
+    scrollY: window.scrollY,
+  };
+}
+
+/**
+ * Run in page context. Draw the main video's current frame at its on-screen size (device pixels), without
+ * player controls. Returns null when the frame cannot be read (cross-origin or DRM video taints the canvas).
+ * @returns {{ base64: string, width: number, height: number } | null}
+ */
+export function readVideoFrame() {
+  const videos = Array.from(document.querySelectorAll('video')).filter((v) => v.readyState >= 2 && v.videoWidth > 0);
+  if (videos.length === 0) return null;
+  videos.sort((a, b) => {
+    if (a.paused !== b.paused) return a.paused ? 1 : -1;
+    const ra = a.getBoundingClientRect();
+    const rb = b.getBoundingClientRect();
+    return rb.width * rb.height - ra.width * ra.height;
+  });
+  const video = videos[0];
+  const rect = video.getBoundingClientRect();
+  const dpr = window.devicePixelRatio || 1;
+  // Fit the frame inside the element (letterboxing) and never upscale past the source.
+  const fit = Math.min(rect.width / video.videoWidth, rect.height / video.videoHeight) * dpr;
+  const scale = Math.min(1, fit > 0 ? fit : 1);
+  const width = Math.max(1, Math.round(video.videoWidth * scale));
+  const height = Math.max(1, Math.round(video.videoHeight * scale));
+  try {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(video, 0, 0, width, height);
+    return { base64: canvas.toDataURL('image/png'), width, height };
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * "1:02:03" / "4:05" for a playback position in seconds.
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatVideoTime(seconds) {
+  const total = Math.max(0, Math.floor(Number(seconds) || 0));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Link to a moment in a video: YouTube ?t=123s (embeds: ?start=123), Vimeo #t=123s, anything else a
+ * media fragment #t=123. URLs that already use the hash for something else are returned unchanged.
+ * @param {string} url
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function timestampedVideoUrl(url, seconds) {
+  const t = Math.max(0, Math.floor(Number(seconds) || 0));
+  let u;
+  try {
+    u = new URL(url);
+  } catch (_) {
+    return url || '';
+  }
+  const host = u.hostname.replace(/^(www|m)\./i, '').toLowerCase();
+  if (host === 'youtube.com' || host === 'youtu.be' || host === 'youtube-nocookie.com' || host === 'music.youtube.com') {
+    if (u.pathname.startsWith('/embed/')) {
+      u.searchParams.set('start', String(t));
+    } else {
+      u.searchParams.set('t', `${t}s`);
+    }
+    return u.toString();
+  }
+  if (u.hash && !/^#t=/i.test(u.hash)) return u.toString();
+  u.hash = host === 'vimeo.com' || host.endsWith('.vimeo.com') ? `t=${t}s` : `t=${t}`;
+  return u.toString();
+}
+
+/**
+ * Visible line placed with a snip: "Video at 12:34", plus the caption shown at that time when asked for.
+ * @param {{ time: number, caption?: string }} moment
+ * @param {{ withCaption?: boolean }} [options]
+ * @returns {string}
+ */
+export function videoMomentLine(moment, options = {}) {
+  const line = `Video at ${formatVideoTime(moment.time)}`;
+  return options.withCaption && moment.caption ? `${line}: “${moment.caption}”` : line;
+}
+
+/**
+ * Read the main video of a tab. Null when there is none, it has not started, or the tab cannot be scripted.
+ * @param {number} tabId
+ * @returns {Promise<{ time: number, caption: string, rect: { x: number, y: number, width: number, height: number }, scrollY: number } | null>}
+ */
+export async function getVideoMoment(tabId) {
+  try {
+    const [result] = await chrome.scripting.executeScript({ target: { tabId }, func: readVideoMoment });
+    const moment = result?.result ?? null;
+    return moment && moment.time > 0 ? moment : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Current frame of the main video in a tab, or null when it cannot be read (caller falls back to a screenshot crop).
+ * @param {number} tabId
+ * @returns {Promise<{ base64: string, width: number, height: number } | null>}
+ */
+export async function captureVideoFrame(tabId) {
+  try {
+    const [result] = await chrome.scripting.executeScript({ target: { tabId }, func: readVideoFrame });
+    return result?.result ?? null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * True when an Image Snip region shows (part of) the video. Plain bounds are viewport px; scroll bounds are page px.
+ * @param {{ x: number, y: number, width: number, height: number, scroll?: boolean, video?: boolean }} bounds
+ * @param {{ rect: { x: number, y: number, width: number, height: number }, scrollY: number }} moment
+ */
+export function snipShowsVideo(bounds, moment) {
+  if (!bounds || !moment) return false;
+  if (bounds.video) return true;
+  const offsetY = bounds.scroll ? moment.scrollY : 0;
+  const r = moment.rect;
+  const overlapW = Math.min(bounds.x + bounds.width, r.x + r.width) - Math.max(bounds.x, r.x);
+  const overlapH = Math.min(bounds.y + bounds.height, r.y + offsetY + r.height) - Math.max(bounds.y, r.y + offsetY);
+  return overlapW > 0 && overlapH > 0;
+}
@@ -1,12 +1,48 @@
 import { useState, useRef, useEffect } from 'react';
-import { getPlugSelection, getDocSections, plugItInAtSection, getSnipUsage, setSelectedDoc, formatReferences, getUndoState, undoLastInsert } from '../popup/messages.js';
+import { getPlugSelection, getDocOutline, plugItInAtSection, getSnipUsage, setSelectedDoc, getUndoState, undoLastInsert, revertInsert, redoInsert, getSnipState, startSnipWithSection, addTextSnipToTray } from '../popup/messages.js';
 import { useAuth } from '../hooks/useAuth.js';
 import { useFeatureAccess } from '../hooks/useFeatureAccess.js';
+import { useActiveProject } from '../hooks/useActiveProject.js';
+import { useOperations } from '../hooks/useOperations.js';
 import { getConnectedDocs, removeConnectedDoc } from '../lib/connectedDocsService.js';
+import { getCitationStylePreference, setCitationStylePreference, getOcrMode, setOcrMode, setKeepFormatting, getNoteInDoc } from '../lib/storage.js';
+import { hasRichText, richTextToHtml } from '../lib/richText.js';
+import { hasTable, tableToHtml } from '../lib/snipTable.js';
+import { cleanNote, parseTags, noteLine, noteToHtml } from '../lib/snipAnnotation.js';
+import { CITATION_STYLES, DEFAULT_CITATION_STYLE } from '../lib/citationStyles.js';
+import { SNIP_TRAY_TARGET } from '../lib/snipTray.js';
 import { UpgradeModal } from './UpgradeModal';
 import { SnipHistory } from './SnipHistory';
+import { SnipLibrary } from './SnipLibrary';
+import { RecentInserts } from './RecentInserts';
+import { PendingInserts } from './PendingInserts';
+import { SnipTray } from './SnipTray';
+import { KeyboardShortcuts } from './KeyboardShortcuts';
+import { SnipNoteFields } from './SnipNoteFields';
+import { SectionTree } from './SectionTree';
+import { SiteRules } from './SiteRules';
+import { OperationProgress } from './OperationProgress';
 import './ConnectedDocument.css';
 
+/** chrome.storage.local key of the insert history kept by background/undoInsertStack.js */
+const INSERT_HISTORY_KEY = 'eznote_insert_history';
+
+/** Image Snip text recognition choices (lib/storage.js OCR_MODES). */
+const OCR_MODE_OPTIONS = [
+  { id: 'off', label: 'Off' },
+  { id: 'image', label: 'Image only (text saved for search)' },
+  { id: 'image_text', label: 'Image + text' },
+  { id: 'text', label: 'Insert as text' },
+];
+
+/** Note and tags typed in a section picker (SnipNoteFields); tags is the raw input. */
+const EMPTY_ANNOTATION = { note: '', tags: '', noteInDoc: false };
+
+/** The picker's note and tags as sent with the snip (lib/snipAnnotation.js). */
+function annotationForSnip(annotation) {
+  return { note: cleanNote(annotation.note), tags: parseTags(annotation.tags), noteInDoc: annotation.noteInDoc };
+}
+
 /**
  * Shows the currently connected document, "Image Snip", and "Change document".
  * "Text Snip" opens a section picker to choose where to insert the selected text.
@@ -17,19 +53,21 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
   const snipActiveTimer = useRef(null);
   const [plugStep, setPlugStep] = useState(null); // null | 'loading' | 'sections' | 'inserting'
   const [plugSelection, setPlugSelection] = useState(null);
-  const [plugSections, setPlugSections] = useState([]);
+  const [plugOutline, setPlugOutline] = useState(null);
   const [plugError, setPlugError] = useState(null);
   const [plugSuccess, setPlugSuccess] = useState(false);
-  const [plugSuccessMessage, setPlugSuccessMessage] = useState(null); // 'added' | 'copied'
+  const [plugSuccessMessage, setPlugSuccessMessage] = useState(null); // 'added' | 'copied' | 'queued' | 'tray'
   const [snipStep, setSnipStep] = useState(null); // null | 'loading_sections' | 'sections' | 'inserting'
-  const [snipSections, setSnipSections] = useState([]);
+  const [snipOutline, setSnipOutline] = useState(null);
   const [snipError, setSnipError] = useState(null);
   const [snipSuccess, setSnipSuccess] = useState(false);
   const [snipCopySuccess, setSnipCopySuccess] = useState(false);
+  const [annotation, setAnnotation] = useState(EMPTY_ANNOTATION);
   const [showUpgradeModal, setShowUpgradeModal] = useState(false);
   const [upgradeModalReason, setUpgradeModalReason] = useState('snip_limit');
   const [upgradeModalLimit, setUpgradeModalLimit] = useState(25);
   const { canAccessSnipHistory, canUseUnlimitedSnips } = useFeatureAccess();
+  const activeProject = useActiveProject();
   // Block Image Snip only after we've queried usage and user is over limit (allow by default until then)
   const [snipUsage, setSnipUsage] = useState({ used: 0, limit: 15, allowed: true });
   const [snipUsageLoaded, setSnipUsageLoaded] = useState(false);
@@ -41,27 +79,84 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
   const [formatRefLoading, setFormatRefLoading] = useState(false);
   const [formatRefError, setFormatRefError] = useState(null);
   const [formatRefSuccess, setFormatRefSuccess] = useState(null);
+  const { operations, run: runOperation, cancel: cancelOperation } = useOperations();
+  const formatRefOperation = operations.find((op) => op.type === 'FORMAT_REFERENCES');
+  const snipOperation = operations.find((op) => op.type === 'IMAGE_SNIP');
+  const [citationStyle, setCitationStyle] = useState(DEFAULT_CITATION_STYLE);
+  const [ocrMode, setOcrModeState] = useState('off');
   const [undoAvailable, setUndoAvailable] = useState(false);
   const [undoLoading, setUndoLoading] = useState(false);
   const [undoError, setUndoError] = useState(null);
-  const [undoSuccess, setUndoSuccess] = useState(false);
+  const [undoSuccess, setUndoSuccess] = useState(null); // null | 'removed' | 'restored'
+  const [redoAvailable, setRedoAvailable] = useState(false);
+  const [recentInserts, setRecentInserts] = useState([]);
+  const [revertingId, setRevertingId] = useState(null);
 
   useEffect(() => {
     if (collapsed) setDocDropdownOpen(false);
   }, [collapsed]);
 
+  // Restore the citation style last used for Format References
+  useEffect(() => {
+    getCitationStylePreference()
+      .then((id) => {
+        if (id && CITATION_STYLES.some((s) => s.id === id)) setCitationStyle(id);
+      })
+      .catch(() => {});
+  }, []);
+
+  const handleCitationStyleChange = (e) => {
+    const id = e.target.value;
+    setCitationStyle(id);
+    setCitationStylePreference(id).catch(() => {});
+  };
+
+  useEffect(() => {
+    getOcrMode()
+      .then(setOcrModeState)
+      .catch(() => {});
+  }, []);
+
+  const handleOcrModeChange = (e) => {
+    const mode = e.target.value;
+    setOcrModeState(mode);
+    setOcrMode(mode).catch(() => {});
+  };
+
   const refreshUndoState = () => {
-    getUndoState().then((r) => setUndoAvailable(r?.available === true)).catch(() => setUndoAvailable(false));
+    getUndoState()
+      .then((r) => {
+        setUndoAvailable(r?.available === true);
+        setRedoAvailable(r?.redoAvailable === true);
+        setRecentInserts(Array.isArray(r?.inserts) ? r.inserts : []);
+      })
+      .catch(() => {
+        setUndoAvailable(false);
+        setRedoAvailable(false);
+        setRecentInserts([]);
+      });
   };
 
   useEffect(() => {
     if (!documentId) {
       setUndoAvailable(false);
+      setRedoAvailable(false);
+      setRecentInserts([]);
       return;
     }
     refreshUndoState();
   }, [documentId]);
 
+  // Insert history lives in chrome.storage.local; refresh when the background records an insert (e.g. from the context menu).
+  useEffect(() => {
+    if (!chrome.storage?.onChanged) return;
+    const listener = (changes, areaName) => {
+      if (areaName === 'local' && changes[INSERT_HISTORY_KEY] !== undefined) refreshUndoState();
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }, []);
+
   const fetchSnipUsage = async () => {
     try {
       const u = await getSnipUsage();
@@ -79,6 +174,7 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
         used: typeof u?.used === 'number' ? u.used : 0,
         limit: typeof u?.limit === 'number' ? u.limit : 15,
         allowed: u?.allowed === true || (u?.allowed !== false && (typeof u?.limit === 'number' && u.limit > 0 ? (typeof u?.used === 'number' && u.used < u.limit) : true)),
+        projectUsed: typeof u?.projectUsed === 'number' ? u.projectUsed : null,
       });
       setSnipUsageError(null);
     } catch (e) {
@@ -98,10 +194,11 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
 
   // On popup open: restore snip overlay state only
   useEffect(() => {
-    if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) return;
-    chrome.runtime.sendMessage({ type: 'GET_SNIP_STATE' }, (response) => {
-      if (!chrome.runtime.lastError && response?.active) setSnipActive(true);
-    });
+    getSnipState()
+      .then((response) => {
+        if (response?.active) setSnipActive(true);
+      })
+      .catch(() => {});
   }, []);
 
   // Listen for snip copy success from background (so we show "Copied to clipboard!" in the panel)
@@ -114,7 +211,7 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
       }
       if (msg?.type === 'SNIP_FLOW_DONE') {
         setSnipStep(null);
-        setSnipSections([]);
+        setSnipOutline(null);
         setSnipError(null);
         const storage = chrome.storage?.session || chrome.storage?.local;
         if (storage) storage.remove(SNIP_INSERTING_KEY);
@@ -135,6 +232,11 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
     }
   }, [userId, syncSessionTokenToStorage]);
 
+  // Usage for the project shown under the doc name; the monthly limit itself is per user.
+  useEffect(() => {
+    if (userId != null && activeProject?.id) fetchSnipUsage();
+  }, [userId, activeProject?.id]);
+
   // Load connected docs for dropdown (when user is set)
   useEffect(() => {
     if (userId == null) return;
@@ -195,7 +297,7 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
         setSnipSuccess(true);
         storage.remove(SNIP_SUCCESS_KEY);
         fetchSnipUsage();
-        getUndoState().then((r) => setUndoAvailable(r?.available === true)).catch(() => setUndoAvailable(false));
+        refreshUndoState();
         setTimeout(() => setSnipSuccess(false), 2500);
       }
       if (changes[SNIP_ERROR_KEY] !== undefined && changes[SNIP_ERROR_KEY].newValue) {
@@ -252,8 +354,10 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
   }, []);
 
   useEffect(() => {
+    // The timer is set after this effect runs, so keep the ref itself and read it on unmount.
+    const timerRef = snipActiveTimer;
     return () => {
-      if (snipActiveTimer.current) clearTimeout(snipActiveTimer.current);
+      if (timerRef.current) clearTimeout(timerRef.current);
     };
   }, []);
 
@@ -268,13 +372,14 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
     }
     setSnipStep('loading_sections');
     try {
-      const secRes = await getDocSections();
-      if (!secRes?.success || !Array.isArray(secRes.sections) || secRes.sections.length === 0) {
-        setSnipError(secRes?.error || 'Could not load document sections');
+      const outlineRes = await getDocOutline();
+      if (!outlineRes?.success || !outlineRes.outline?.tabs?.length) {
+        setSnipError(outlineRes?.error || 'Could not load document sections');
         setSnipStep(null);
         return;
       }
-      setSnipSections([...secRes.sections, { label: 'COPY TO CLIPBOARD (No Source)', index: -1 }]);
+      setSnipOutline(outlineRes.outline);
+      setAnnotation({ ...EMPTY_ANNOTATION, noteInDoc: await getNoteInDoc().catch(() => false) });
       setSnipStep('sections');
     } catch (e) {
       setSnipError(e instanceof Error ? e.message : 'Something went wrong');
@@ -290,28 +395,26 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
       if (!tab?.id) return;
       setSnipActive(true);
       if (snipActiveTimer.current) clearTimeout(snipActiveTimer.current);
-      chrome.runtime.sendMessage(
-        { type: 'SNIP_START_WITH_SECTION', insertIndex: section.index, tabId: tab.id },
+      startSnipWithSection(tab.id, section.target, annotationForSnip(annotation), section.label).then(
         (response) => {
-          if (chrome.runtime.lastError) {
-            setSnipError(chrome.runtime.lastError.message || 'Failed to start snip');
-            setSnipStep('sections');
-            return;
-          }
           if (response?.error) {
             setSnipError(response.error);
             setSnipStep('sections');
             return;
           }
-          if (section.index === -1) {
+          if (section.target === -1 || section.target === SNIP_TRAY_TARGET) {
             setSnipStep(null);
-            setSnipSections([]);
+            setSnipOutline(null);
             return;
           }
           setSnipStep('inserting');
-          setSnipSections([]);
+          setSnipOutline(null);
           const storage = chrome.storage?.session || chrome.storage?.local;
           if (storage) storage.set({ [SNIP_INSERTING_KEY]: true });
+        },
+        (err) => {
+          setSnipError(err?.message || 'Failed to start snip');
+          setSnipStep('sections');
         }
       );
     });
@@ -319,7 +422,7 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
 
   const handleCancelSnipSection = () => {
     setSnipStep(null);
-    setSnipSections([]);
+    setSnipOutline(null);
     setSnipError(null);
   };
 
@@ -346,14 +449,15 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
         setPlugStep(null);
         return;
       }
-      const secRes = await getDocSections();
-      if (!secRes?.success || !Array.isArray(secRes.sections) || secRes.sections.length === 0) {
-        setPlugError(secRes?.error || 'Could not load document sections');
+      const outlineRes = await getDocOutline();
+      if (!outlineRes?.success || !outlineRes.outline?.tabs?.length) {
+        setPlugError(outlineRes?.error || 'Could not load document sections');
         setPlugStep(null);
         return;
       }
       setPlugSelection(selRes.selection);
-      setPlugSections([...secRes.sections, { label: 'COPY TO CLIPBOARD', index: -1 }]);
+      setAnnotation({ ...EMPTY_ANNOTATION, noteInDoc: selRes.selection.noteInDoc === true });
+      setPlugOutline(outlineRes.outline);
       setPlugStep('sections');
     } catch (e) {
       setPlugError(e instanceof Error ? e.message : 'Something went wrong');
@@ -363,18 +467,32 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
 
   const handlePickSection = async (section) => {
     if (!plugSelection) return;
-    if (section.index === -1) {
+    if (section.target === -1) {
       const title = plugSelection.pageTitle || 'Untitled';
       const text = plugSelection.selectedText?.trim() || '';
       const sourceLine = 'Source: ' + title + (plugSelection.pageUrl ? '\n' + plugSelection.pageUrl : '');
-      const clipboardText = text + '\n\n' + sourceLine;
+      const note = annotation.noteInDoc ? noteLine(annotation.note) : '';
+      const clipboardText = text + '\n\n' + sourceLine + (note ? '\n' + note : '');
       try {
-        await navigator.clipboard.writeText(clipboardText);
+        const keepTable = plugSelection.keepFormatting && hasTable(plugSelection.table);
+        if (keepTable || (plugSelection.keepFormatting && hasRichText(plugSelection.richText))) {
+          const source = { title, pageUrl: plugSelection.pageUrl };
+          const html = (keepTable ? tableToHtml(plugSelection.table, source) : richTextToHtml(plugSelection.richText, source))
+            + (note ? noteToHtml(annotation.note) : '');
+          await navigator.clipboard.write([
+            new ClipboardItem({
+              'text/plain': new Blob([clipboardText], { type: 'text/plain' }),
+              'text/html': new Blob([html], { type: 'text/html' }),
+            }),
+          ]);
+        } else {
+          await navigator.clipboard.writeText(clipboardText);
+        }
         setPlugSuccess(true);
         setPlugSuccessMessage('copied');
         setPlugStep(null);
         setPlugSelection(null);
-        setPlugSections([]);
+        setPlugOutline(null);
         setTimeout(() => { setPlugSuccess(false); setPlugSuccessMessage(null); }, 2500);
       } catch (e) {
         setPlugError(e instanceof Error ? e.message : 'Could not copy to clipboard');
@@ -382,23 +500,42 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
       }
       return;
     }
+    if (section.target === SNIP_TRAY_TARGET) {
+      setPlugError(null);
+      try {
+        const res = await addTextSnipToTray({ ...plugSelection, ...annotationForSnip(annotation) });
+        if (!res?.success) {
+          setPlugError(res?.error || 'Could not add to the snip tray');
+          return;
+        }
+        setPlugSuccess(true);
+        setPlugSuccessMessage('tray');
+        setPlugStep(null);
+        setPlugSelection(null);
+        setPlugOutline(null);
+        setTimeout(() => { setPlugSuccess(false); setPlugSuccessMessage(null); }, 2500);
+      } catch (e) {
+        setPlugError(e instanceof Error ? e.message : 'Could not add to the snip tray');
+      }
+      return;
+    }
     setPlugStep('inserting');
     setPlugError(null);
     try {
-      const res = await plugItInAtSection(plugSelection, section.index);
+      const res = await plugItInAtSection({ ...plugSelection, ...annotationForSnip(annotation) }, section.target, section.label);
       if (res?.success) {
         setPlugSuccess(true);
-        setPlugSuccessMessage('added');
+        setPlugSuccessMessage(res.queued ? 'queued' : 'added');
         setPlugStep(null);
         setPlugSelection(null);
-        setPlugSections([]);
+        setPlugOutline(null);
         fetchSnipUsage();
         refreshUndoState();
         setTimeout(() => { setPlugSuccess(false); setPlugSuccessMessage(null); }, 2500);
       } else if (res?.error === 'snip_limit_reached') {
         setPlugStep(null);
         setPlugSelection(null);
-        setPlugSections([]);
+        setPlugOutline(null);
         setPlugError(null);
         setUpgradeModalLimit(res?.limit ?? 15);
         setUpgradeModalReason('snip_limit');
@@ -417,10 +554,17 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
     }
   };
 
+  /** Per-snip "Keep formatting" toggle; the choice also becomes the default for the context menu and shortcut. */
+  const handleKeepFormattingChange = (e) => {
+    const keep = e.target.checked;
+    setPlugSelection((prev) => (prev ? { ...prev, keepFormatting: keep } : prev));
+    setKeepFormatting(keep).catch(() => {});
+  };
+
   const handleCancelPlug = () => {
     setPlugStep(null);
     setPlugSelection(null);
-    setPlugSections([]);
+    setPlugOutline(null);
     setPlugError(null);
   };
 
@@ -429,7 +573,7 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
     setFormatRefSuccess(null);
     setFormatRefLoading(true);
     try {
-      const res = await formatReferences();
+      const res = await runOperation({ type: 'FORMAT_REFERENCES', style: citationStyle });
       if (res?.success) {
         setFormatRefSuccess(res.message || 'References formatted.');
         setTimeout(() => setFormatRefSuccess(null), 4000);
@@ -443,29 +587,45 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
     }
   };
 
-  const handleUndoLastInsert = async () => {
-    if (!undoAvailable || undoLoading) return;
+  /** Run an undo/redo/revert request, show its outcome and refresh the history. */
+  const runHistoryAction = async (request, successKind, failMessage) => {
     setUndoError(null);
-    setUndoLoading(true);
     try {
-      const res = await undoLastInsert();
+      const res = await request();
       if (res?.success) {
-        setUndoAvailable(false);
-        setUndoSuccess(true);
-        setTimeout(() => setUndoSuccess(false), 2000);
-        refreshUndoState();
+        setUndoSuccess(successKind);
+        setTimeout(() => setUndoSuccess(null), 2000);
       } else {
-        setUndoError(res?.error || 'Undo failed');
-        refreshUndoState();
+        setUndoError(res?.error || failMessage);
       }
     } catch (e) {
-      setUndoError(e instanceof Error ? e.message : 'Undo failed');
-      refreshUndoState();
+      setUndoError(e instanceof Error ? e.message : failMessage);
     } finally {
-      setUndoLoading(false);
+      refreshUndoState();
     }
   };
 
+  const handleUndoLastInsert = async () => {
+    if (!undoAvailable || undoLoading) return;
+    setUndoLoading(true);
+    await runHistoryAction(undoLastInsert, 'removed', 'Undo failed');
+    setUndoLoading(false);
+  };
+
+  const handleRedoInsert = async () => {
+    if (!redoAvailable || undoLoading) return;
+    setUndoLoading(true);
+    await runHistoryAction(redoInsert, 'restored', 'Redo failed');
+    setUndoLoading(false);
+  };
+
+  const handleRevertInsert = async (entry) => {
+    if (undoLoading || revertingId) return;
+    setRevertingId(entry.id);
+    await runHistoryAction(() => revertInsert(entry.id), 'removed', 'Revert failed');
+    setRevertingId(null);
+  };
+
   const snipClass =
     'connected-doc__btn connected-doc__btn--snip' +
     (snipActive ? ' connected-doc__btn--snip-active' : '') +
@@ -528,7 +688,7 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
             </button>
           {docDropdownOpen && (
             <div className="connected-doc__dropdown-panel" role="listbox">
-              {connectedDocs.map((doc) => {
+              {connectedDocs.filter((d) => !activeProject || d.project_id === activeProject.id || d.google_doc_id === documentId).map((doc) => {
                 const isActive = documentId === doc.google_doc_id;
                 return (
                   <div
@@ -585,6 +745,12 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
       {!collapsed && (
         <>
       <p className="connected-doc__name">{documentName || 'Untitled'}</p>
+      {activeProject && (
+        <p className="connected-doc__hint">
+          Project: {activeProject.name || 'Untitled project'}
+          {snipUsage.projectUsed != null && ` · ${snipUsage.projectUsed} Image ${snipUsage.projectUsed === 1 ? 'Snip' : 'Snips'} this month`}
+        </p>
+      )}
 
       {/* Primary actions: each slot = button + its section picker (when active) */}
       <div className="connected-doc__actions connected-doc__actions--primary">
@@ -606,20 +772,29 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
           {plugStep === 'sections' && (
             <div className="connected-doc__sections">
               <p className="connected-doc__sections-label">Choose where to add the selected text:</p>
-              <ul className="connected-doc__sections-list">
-                {plugSections.map((sec) => (
-                  <li key={sec.index}>
-                    <button
-                      type="button"
-                      className="connected-doc__section-btn"
-                      onClick={() => handlePickSection(sec)}
-                      disabled={disabled}
-                    >
-                      {sec.label}
-                    </button>
-                  </li>
-                ))}
-              </ul>
+              {(hasRichText(plugSelection?.richText) || hasTable(plugSelection?.table)) && (
+                <label className="connected-doc__format-toggle">
+                  <input
+                    type="checkbox"
+                    checked={plugSelection.keepFormatting !== false}
+                    onChange={handleKeepFormattingChange}
+                    disabled={disabled}
+                  />
+                  {hasTable(plugSelection.table)
+                    ? 'Insert as a table'
+                    : 'Keep formatting (bold, links, headings, lists, code, math)'}
+                </label>
+              )}
+              <SnipNoteFields value={annotation} onChange={setAnnotation} disabled={disabled} />
+              <SectionTree
+                outline={plugOutline}
+                onPick={handlePickSection}
+                extraOptions={[
+                  { label: 'ADD TO SNIP TRAY', target: SNIP_TRAY_TARGET },
+                  { label: 'COPY TO CLIPBOARD', target: -1 },
+                ]}
+                disabled={disabled}
+              />
               {plugError && <p className="connected-doc__plug-error" role="alert">{plugError}</p>}
               <button type="button" className="connected-doc__section-cancel" onClick={handleCancelPlug}>
                 Cancel
@@ -677,26 +852,23 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
           {snipStep === 'sections' && (
             <div className="connected-doc__sections">
               <p className="connected-doc__sections-label">Choose where to add the screenshot:</p>
-              <ul className="connected-doc__sections-list">
-                {snipSections.map((sec) => (
-                  <li key={sec.index}>
-                    <button
-                      type="button"
-                      className="connected-doc__section-btn"
-                      onClick={() => handlePickSnipSection(sec)}
-                      disabled={disabled}
-                    >
-                      {sec.label}
-                    </button>
-                  </li>
-                ))}
-              </ul>
+              <SnipNoteFields value={annotation} onChange={setAnnotation} disabled={disabled} />
+              <SectionTree
+                outline={snipOutline}
+                onPick={handlePickSnipSection}
+                extraOptions={[
+                  { label: 'ADD TO SNIP TRAY', target: SNIP_TRAY_TARGET },
+                  { label: 'COPY TO CLIPBOARD (No Source)', target: -1 },
+                ]}
+                disabled={disabled}
+              />
               {snipError && <p className="connected-doc__plug-error" role="alert">{snipError}</p>}
               <button type="button" className="connected-doc__section-cancel" onClick={handleCancelSnipSection}>
                 Cancel
               </button>
             </div>
           )}
+          <OperationProgress operation={snipOperation} onCancel={cancelOperation} />
         </div>
       </div>
       {plugError && plugStep === null && (
@@ -704,7 +876,13 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
       )}
       {plugSuccess && (
         <p className="connected-doc__plug-success">
-          {plugSuccessMessage === 'copied' ? 'Copied to clipboard!' : 'Added to doc!'}
+          {plugSuccessMessage === 'copied'
+            ? 'Copied to clipboard!'
+            : plugSuccessMessage === 'tray'
+              ? 'Added to the snip tray.'
+              : plugSuccessMessage === 'queued'
+                ? 'Could not reach Google Docs. Saved to Pending inserts.'
+                : 'Added to doc!'}
         </p>
       )}
       {snipStep === null && (
@@ -730,6 +908,21 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
       {snipSuccess && (
         <p className="connected-doc__plug-success">Screenshot added to doc!</p>
       )}
+      <div className="connected-doc__ocr-option">
+        <label className="connected-doc__ocr-label" htmlFor="connected-doc-ocr-mode">Image Snip text</label>
+        <select
+          id="connected-doc-ocr-mode"
+          className="connected-doc__style-select"
+          value={ocrMode}
+          onChange={handleOcrModeChange}
+          disabled={disabled}
+          title="Recognise text in Image Snips (runs offline in the browser)"
+        >
+          {OCR_MODE_OPTIONS.map((opt) => (
+            <option key={opt.id} value={opt.id}>{opt.label}</option>
+          ))}
+        </select>
+      </div>
       {/* Secondary actions: document tools */}
       <div className="connected-doc__actions connected-doc__actions--secondary">
         <button
@@ -739,7 +932,16 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
           disabled={disabled || !undoAvailable || undoLoading || !documentId}
           title={!documentId ? 'Select a document first' : !undoAvailable ? 'No extension insert to undo' : 'Remove the last Plug or Snip insert'}
         >
-          {undoLoading ? 'Undoing…' : 'Undo Last Insert'}
+          {undoLoading ? 'Working…' : 'Undo Last Insert'}
+        </button>
+        <button
+          type="button"
+          className="connected-doc__btn connected-doc__btn--tool"
+          onClick={handleRedoInsert}
+          disabled={disabled || !redoAvailable || undoLoading || !documentId}
+          title={!redoAvailable ? 'Nothing to redo' : 'Put back the last undone insert'}
+        >
+          Redo
         </button>
         <span className="connected-doc__btn-tooltip-wrap">
           <button
@@ -752,7 +954,7 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
                 ? undefined
                 : !documentId
                   ? 'Select a document first'
-                  : 'Replace inline sources with superscript numbers and add a Sources list at the bottom'
+                  : 'Replace inline sources with citations and add a bibliography at the bottom'
             }
             aria-label={!canAccessSnipHistory ? 'Format References (Available for Pro users)' : undefined}
           >
@@ -764,13 +966,46 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
             </span>
           )}
         </span>
+        <select
+          className="connected-doc__style-select"
+          value={citationStyle}
+          onChange={handleCitationStyleChange}
+          disabled={disabled || formatRefLoading || !canAccessSnipHistory}
+          aria-label="Citation style"
+          title="Citation style for Format References"
+        >
+          {CITATION_STYLES.map((style) => (
+            <option key={style.id} value={style.id}>{style.label}</option>
+          ))}
+        </select>
       </div>
+      {formatRefLoading && <OperationProgress operation={formatRefOperation} onCancel={cancelOperation} />}
       {undoError && (
         <p className="connected-doc__plug-error" role="alert">{undoError}</p>
       )}
       {undoSuccess && (
-        <p className="connected-doc__plug-success">Insert removed.</p>
+        <p className="connected-doc__plug-success">{undoSuccess === 'restored' ? 'Insert restored.' : 'Insert removed.'}</p>
+      )}
+      <SnipTray
+        documentId={documentId}
+        disabled={disabled}
+        onInserted={() => {
+          fetchSnipUsage();
+          refreshUndoState();
+        }}
+        operations={{ operations, run: runOperation, cancel: cancelOperation }}
+      />
+      <PendingInserts documentId={documentId} disabled={disabled} />
+      {documentId && (
+        <RecentInserts
+          inserts={recentInserts}
+          onRevert={handleRevertInsert}
+          revertingId={revertingId}
+          disabled={disabled || undoLoading}
+        />
       )}
+      <KeyboardShortcuts />
+      <SiteRules connectedDocs={connectedDocs} documentId={documentId} disabled={disabled} />
       {canAccessSnipHistory && (
         <>
           {formatRefError && (
@@ -789,6 +1024,7 @@ export function ConnectedDocument({ documentId, documentName, onChangeDocument,
         }}
         disabled={disabled}
       />
+      {canAccessSnipHistory && <SnipLibrary documentId={documentId} disabled={disabled} />}
         </>
       )}
     </div>
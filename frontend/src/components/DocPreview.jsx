@@ -1,4 +1,5 @@
 import { useState, useCallback, useEffect } from 'react';
+import { requestDocPreview } from '../popup/messages.js';
 import './DocPreview.css';
 
 /**
@@ -122,7 +123,7 @@ export function DocPreview({ documentId }) {
       setError(null);
       setPreview(null);
     }
-    chrome.runtime.sendMessage({ type: 'GET_DOC_PREVIEW' });
+    requestDocPreview();
   }, []);
 
   // Auto-refresh when in "Preview without Images" mode (interval only; initial load is from button handler)
@@ -1,5 +1,7 @@
 import { useState, useEffect, useRef } from 'react';
 import { getConnectedDocs, addConnectedDoc, removeConnectedDoc } from '../lib/connectedDocsService.js';
+import { getProjects, createProject, deleteProject, setProjectDefaultDoc, setConnectedDocProject } from '../lib/projectsService.js';
+import { getActiveProject, setActiveProject, clearActiveProject } from '../lib/storage.js';
 import { setSelectedDoc } from '../popup/messages.js';
 import { useFeatureAccess } from '../hooks/useFeatureAccess.js';
 import { DocsList } from './DocsList.jsx';
@@ -8,6 +10,8 @@ import './DocumentManager.css';
 
 /**
  * Manages connected documents: list from Supabase, switch active, or add new (Drive list).
+ * Project switcher: lists only the active project's docs (new docs join it), picks the project's default doc
+ * when switching, and docs can be moved between projects. Snip History and usage follow the active project.
  * Free tier: one doc only — "Connect new document" shows upgrade when limit reached.
  */
 export function DocumentManager({
@@ -23,14 +27,27 @@ export function DocumentManager({
   const [error, setError] = useState(null);
   const [mode, setMode] = useState('list'); // 'list' | 'add'
   const [showUpgradeModal, setShowUpgradeModal] = useState(false);
+  const [projects, setProjects] = useState([]);
+  const [activeProjectId, setActiveProjectId] = useState(null);
+  const [newProjectName, setNewProjectName] = useState(null); // null: not creating
+  const [projectError, setProjectError] = useState(null);
   const didInjectCurrentRef = useRef(false);
 
   const loadDocs = async () => {
     setLoading(true);
     setError(null);
     try {
-      const list = await getConnectedDocs();
+      const [list, projectList, active] = await Promise.all([
+        getConnectedDocs(),
+        getProjects().catch(() => []),
+        getActiveProject().catch(() => null),
+      ]);
       setDocs(list);
+      setProjects(projectList);
+      // The stored project may have been deleted elsewhere.
+      const activeId = active && projectList.some((p) => p.id === active.id) ? active.id : null;
+      if (active && !activeId) clearActiveProject().catch(() => {});
+      setActiveProjectId(activeId);
     } catch (e) {
       setError(e instanceof Error ? e.message : 'Failed to load documents');
     } finally {
@@ -48,12 +65,12 @@ export function DocumentManager({
     const inList = docs.some((d) => d.google_doc_id === currentDocumentId);
     if (inList) return;
     didInjectCurrentRef.current = true;
-    addConnectedDoc(currentDocumentId, 'Current document')
+    addConnectedDoc(currentDocumentId, 'Current document', activeProjectId)
       .then((row) => {
         if (row?.id) setDocs((prev) => [row, ...prev]);
       })
       .catch(() => {});
-  }, [loading, currentDocumentId, docs]);
+  }, [loading, currentDocumentId, docs, activeProjectId]);
 
   const handleSelectConnected = async (doc) => {
     try {
@@ -71,7 +88,7 @@ export function DocumentManager({
 
   const handleAddNewSelect = async (doc) => {
     try {
-      await addConnectedDoc(doc.id, doc.name);
+      await addConnectedDoc(doc.id, doc.name, activeProjectId);
       const res = await setSelectedDoc(doc.id, doc.name);
       if (res?.success) {
         onSelectDocument?.(doc);
@@ -86,7 +103,7 @@ export function DocumentManager({
           const connected = await getConnectedDocs();
           if (connected.length === 1) {
             await removeConnectedDoc(connected[0].id);
-            await addConnectedDoc(doc.id, doc.name);
+            await addConnectedDoc(doc.id, doc.name, activeProjectId);
             const res = await setSelectedDoc(doc.id, doc.name);
             if (res?.success) {
               onSelectDocument?.(doc);
@@ -102,6 +119,74 @@ export function DocumentManager({
     }
   };
 
+  /** Switch project ('' for all documents); selects the project's default doc when it is connected. */
+  const handleSwitchProject = async (projectId) => {
+    setProjectError(null);
+    const project = projects.find((p) => p.id === projectId) || null;
+    setActiveProjectId(project?.id ?? null);
+    try {
+      if (project) await setActiveProject(project.id, project.name);
+      else await clearActiveProject();
+    } catch (_) {}
+    const defaultDoc = project?.default_doc_id && docs.find((d) => d.google_doc_id === project.default_doc_id);
+    if (defaultDoc && defaultDoc.google_doc_id !== currentDocumentId) {
+      await handleSelectConnected(defaultDoc);
+    }
+  };
+
+  const handleCreateProject = async (e) => {
+    e.preventDefault();
+    setProjectError(null);
+    try {
+      const project = await createProject(newProjectName);
+      setProjects((prev) => [...prev, project].sort((a, b) => a.name.localeCompare(b.name)));
+      setNewProjectName(null);
+      setActiveProjectId(project.id);
+      await setActiveProject(project.id, project.name);
+    } catch (err) {
+      setProjectError(err instanceof Error ? err.message : 'Failed to create project');
+    }
+  };
+
+  const handleDeleteProject = async () => {
+    const project = projects.find((p) => p.id === activeProjectId);
+    if (!project) return;
+    setProjectError(null);
+    try {
+      await deleteProject(project.id);
+      setProjects((prev) => prev.filter((p) => p.id !== project.id));
+      setDocs((prev) => prev.map((d) => (d.project_id === project.id ? { ...d, project_id: null } : d)));
+      setActiveProjectId(null);
+      await clearActiveProject();
+    } catch (err) {
+      setProjectError(err instanceof Error ? err.message : 'Failed to delete project');
+    }
+  };
+
+  const handleToggleDefault = async (e, doc) => {
+    e.stopPropagation();
+    const project = projects.find((p) => p.id === activeProjectId);
+    if (!project) return;
+    const next = project.default_doc_id === doc.google_doc_id ? null : doc.google_doc_id;
+    setProjectError(null);
+    try {
+      await setProjectDefaultDoc(project.id, next);
+      setProjects((prev) => prev.map((p) => (p.id === project.id ? { ...p, default_doc_id: next } : p)));
+    } catch (err) {
+      setProjectError(err instanceof Error ? err.message : 'Failed to set default document');
+    }
+  };
+
+  const handleMoveDoc = async (doc, projectId) => {
+    setProjectError(null);
+    try {
+      await setConnectedDocProject(doc.id, projectId || null);
+      setDocs((prev) => prev.map((d) => (d.id === doc.id ? { ...d, project_id: projectId || null } : d)));
+    } catch (err) {
+      setProjectError(err instanceof Error ? err.message : 'Failed to move document');
+    }
+  };
+
   const handleConnectNewClick = () => {
     if (!canUseMultipleDocs && docs.length >= 1) {
       setShowUpgradeModal(true);
@@ -175,6 +260,9 @@ export function DocumentManager({
     );
   }
 
+  const activeProject = projects.find((p) => p.id === activeProjectId) || null;
+  const visibleDocs = activeProject ? docs.filter((d) => d.project_id === activeProject.id) : docs;
+
   return (
     <div className="doc-manager">
       <UpgradeModal
@@ -182,10 +270,69 @@ export function DocumentManager({
         onClose={() => setShowUpgradeModal(false)}
         reason="doc_limit"
       />
+      <div className="doc-manager__project">
+        <label className="doc-manager__label" htmlFor="doc-manager-project">Project</label>
+        <div className="doc-manager__project-row">
+          <select
+            id="doc-manager-project"
+            className="doc-manager__project-select"
+            value={activeProjectId ?? ''}
+            onChange={(e) => handleSwitchProject(e.target.value)}
+            disabled={disabled}
+          >
+            <option value="">All documents</option>
+            {projects.map((p) => (
+              <option key={p.id} value={p.id}>{p.name}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="doc-manager__project-btn"
+            onClick={() => setNewProjectName((n) => (n == null ? '' : null))}
+            disabled={disabled}
+          >
+            + New
+          </button>
+          {activeProject && (
+            <button
+              type="button"
+              className="doc-manager__project-btn doc-manager__project-btn--delete"
+              onClick={handleDeleteProject}
+              disabled={disabled}
+              title="Delete this project (its documents and snips are kept)"
+            >
+              Delete
+            </button>
+          )}
+        </div>
+        {newProjectName != null && (
+          <form className="doc-manager__project-row" onSubmit={handleCreateProject}>
+            <input
+              type="text"
+              className="doc-manager__project-input"
+              value={newProjectName}
+              onChange={(e) => setNewProjectName(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Escape') setNewProjectName(null); }}
+              placeholder="Project name"
+              aria-label="New project name"
+              maxLength={200}
+              autoFocus
+            />
+            <button type="submit" className="doc-manager__project-btn" disabled={disabled || !newProjectName.trim()}>
+              Create
+            </button>
+          </form>
+        )}
+        {projectError && <p className="doc-manager__project-error" role="alert">{projectError}</p>}
+      </div>
       <p className="doc-manager__label">Select active document (used for Plug and Snip):</p>
       <ul className="doc-manager__list" role="listbox">
-        {docs.map((doc) => {
+        {activeProject && visibleDocs.length === 0 && (
+          <li className="doc-manager__empty">No documents in this project yet. Connect one, or move one here from All documents.</li>
+        )}
+        {visibleDocs.map((doc) => {
           const isActive = currentDocumentId === doc.google_doc_id;
+          const isDefault = activeProject?.default_doc_id === doc.google_doc_id;
           return (
             <li key={doc.id} className="doc-manager__item">
               <button
@@ -199,6 +346,34 @@ export function DocumentManager({
                 <span className="doc-manager__item-name">{doc.doc_title || 'Untitled'}</span>
                 {isActive && <span className="doc-manager__item-badge">Active</span>}
               </button>
+              {activeProject && (
+                <button
+                  type="button"
+                  className={`doc-manager__item-default ${isDefault ? 'doc-manager__item-default--on' : ''}`}
+                  onClick={(e) => handleToggleDefault(e, doc)}
+                  disabled={disabled}
+                  aria-pressed={isDefault}
+                  aria-label={`Default document for ${activeProject.name}`}
+                  title={isDefault ? 'Default document for this project' : 'Make this the project\'s default document'}
+                >
+                  {isDefault ? '★' : '☆'}
+                </button>
+              )}
+              {projects.length > 0 && (
+                <select
+                  className="doc-manager__item-project"
+                  value={doc.project_id ?? ''}
+                  onChange={(e) => handleMoveDoc(doc, e.target.value)}
+                  disabled={disabled}
+                  aria-label={`Project of ${doc.doc_title || 'Untitled'}`}
+                  title="Move to project"
+                >
+                  <option value="">No project</option>
+                  {projects.map((p) => (
+                    <option key={p.id} value={p.id}>{p.name}</option>
+                  ))}
+                </select>
+              )}
               <button
                 type="button"
                 className="doc-manager__item-remove"
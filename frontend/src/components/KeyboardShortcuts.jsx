@@ -0,0 +1,74 @@
+import { useEffect, useState } from 'react';
+import './KeyboardShortcuts.css';
+
+const SHORTCUTS_PAGE = 'chrome://extensions/shortcuts';
+
+/** Panel labels for the manifest commands, in display order (see background/commands.js). */
+const COMMAND_LABELS = [
+  { name: 'text-snip', label: 'Text Snip' },
+  { name: 'image-snip', label: 'Image Snip' },
+  { name: 'undo-last-insert', label: 'Undo Last Insert' },
+  { name: 'format-references', label: 'Format References' },
+];
+
+/**
+ * Collapsible list of the extension's keyboard shortcuts with their current bindings.
+ * Bindings are edited on Chrome's shortcuts page; the list reloads when the panel regains focus.
+ */
+export function KeyboardShortcuts() {
+  const [collapsed, setCollapsed] = useState(true);
+  const [shortcuts, setShortcuts] = useState({});
+
+  useEffect(() => {
+    if (typeof chrome === 'undefined' || !chrome.commands?.getAll) return;
+    const load = () => {
+      chrome.commands.getAll((commands) => {
+        if (chrome.runtime.lastError) return;
+        setShortcuts(Object.fromEntries((commands || []).map((c) => [c.name, c.shortcut || ''])));
+      });
+    };
+    load();
+    window.addEventListener('focus', load);
+    return () => window.removeEventListener('focus', load);
+  }, []);
+
+  if (typeof chrome === 'undefined' || !chrome.commands?.getAll) return null;
+
+  const openShortcutsPage = () => {
+    chrome.tabs?.create({ url: SHORTCUTS_PAGE });
+  };
+
+  return (
+    <div className={`keyboard-shortcuts ${collapsed ? 'keyboard-shortcuts--collapsed' : ''}`}>
+      <button
+        type="button"
+        className="keyboard-shortcuts__header"
+        onClick={() => setCollapsed((c) => !c)}
+        aria-expanded={!collapsed}
+        aria-controls="keyboard-shortcuts-content"
+        id="keyboard-shortcuts-label"
+      >
+        <span className="keyboard-shortcuts__header-title">Keyboard shortcuts</span>
+        <span className="keyboard-shortcuts__collapse-icon" aria-hidden>{collapsed ? '▶' : '▼'}</span>
+      </button>
+      <div id="keyboard-shortcuts-content" className="keyboard-shortcuts__content" aria-labelledby="keyboard-shortcuts-label" hidden={collapsed}>
+        <ul className="keyboard-shortcuts__list">
+          {COMMAND_LABELS.map(({ name, label }) => (
+            <li key={name} className="keyboard-shortcuts__item">
+              <span className="keyboard-shortcuts__label">{label}</span>
+              {shortcuts[name] ? (
+                <kbd className="keyboard-shortcuts__keys">{shortcuts[name]}</kbd>
+              ) : (
+                <span className="keyboard-shortcuts__keys keyboard-shortcuts__keys--unset">Not set</span>
+              )}
+            </li>
+          ))}
+        </ul>
+        <button type="button" className="keyboard-shortcuts__change-btn" onClick={openShortcutsPage}>
+          Change shortcuts
+        </button>
+        <p className="keyboard-shortcuts__hint">Text Snip inserts at the section you last picked for this document.</p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import './OperationProgress.css';
+
+/**
+ * Progress bar for a running Format References or Image Snip (useOperations), with the current stage and a
+ * Cancel button. Past the point where the operation can stop, Cancel is disabled.
+ * @param {{ operation: import('../background/operations.js').OperationState | null | undefined, onCancel: (operationId: string) => void }} props
+ */
+export function OperationProgress({ operation, onCancel }) {
+  if (!operation) return null;
+  const percent = Math.round(Math.min(1, Math.max(0, operation.fraction)) * 100);
+
+  return (
+    <div className="operation-progress">
+      <div className="operation-progress__head">
+        <span className="operation-progress__label">{operation.label}…</span>
+        <button
+          type="button"
+          className="operation-progress__cancel"
+          onClick={() => onCancel(operation.id)}
+          disabled={!operation.cancellable}
+          title={operation.cancellable ? 'Stop without changing the document' : 'Almost done; it can no longer be stopped'}
+        >
+          Cancel
+        </button>
+      </div>
+      <div
+        className="operation-progress__track"
+        role="progressbar"
+        aria-label={operation.label}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={percent}
+      >
+        <div className="operation-progress__bar" style={{ width: `${percent}%` }} />
+      </div>
+    </div>
+  );
+}
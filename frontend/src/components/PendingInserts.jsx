@@ -0,0 +1,111 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getOutbox, retryOutbox, discardOutboxItem } from '../popup/messages.js';
+import './PendingInserts.css';
+
+/** chrome.storage.local key of the outbox kept by background/insertOutbox.js */
+const OUTBOX_KEY = 'eznote_insert_outbox';
+
+function describeStatus(item) {
+  if (item.status === 'sending') return 'Sending…';
+  if (item.status === 'failed') return item.lastError ? `Failed: ${item.lastError}` : 'Failed';
+  const mins = Math.max(0, Math.round((item.nextAttemptAt - Date.now()) / 60000));
+  return mins < 1 ? 'Retrying shortly' : `Retrying in ${mins} min`;
+}
+
+/**
+ * "Pending inserts" indicator: text and image inserts that failed on the network, a 5xx or a rate
+ * limit and are waiting in the background outbox. Each can be retried now or discarded.
+ * Hidden when the outbox is empty.
+ */
+export function PendingInserts({ documentId, disabled = false }) {
+  const [items, setItems] = useState([]);
+  const [expanded, setExpanded] = useState(false);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(() => {
+    getOutbox()
+      .then((r) => setItems(Array.isArray(r?.items) ? r.items : []))
+      .catch(() => setItems([]));
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    if (!chrome.storage?.onChanged) return;
+    const listener = (changes, areaName) => {
+      if (areaName === 'local' && changes[OUTBOX_KEY] !== undefined) refresh();
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }, [refresh]);
+
+  const run = async (request) => {
+    setError(null);
+    try {
+      const res = await request();
+      if (res?.success === false) setError(res.error || 'Request failed');
+    } catch (e) {
+      setError(e instanceof Error ? e.message : 'Request failed');
+    } finally {
+      refresh();
+    }
+  };
+
+  if (items.length === 0) return null;
+  const failedCount = items.filter((i) => i.status === 'failed').length;
+
+  return (
+    <div className="pending-inserts">
+      <div className="pending-inserts__bar">
+        <button
+          type="button"
+          className="pending-inserts__toggle"
+          onClick={() => setExpanded((v) => !v)}
+          aria-expanded={expanded}
+          aria-controls="pending-inserts-list"
+        >
+          <span className={`pending-inserts__badge ${failedCount > 0 ? 'pending-inserts__badge--failed' : ''}`}>{items.length}</span>
+          Pending inserts
+        </button>
+        <button
+          type="button"
+          className="pending-inserts__btn"
+          onClick={() => run(() => retryOutbox())}
+          disabled={disabled}
+          title="Try all pending inserts again now"
+        >
+          Retry all
+        </button>
+      </div>
+      {error && <p className="pending-inserts__error" role="alert">{error}</p>}
+      <ul id="pending-inserts-list" className="pending-inserts__list" hidden={!expanded}>
+        {items.map((item) => (
+          <li key={item.id} className="pending-inserts__item">
+            <div className="pending-inserts__info">
+              <span className="pending-inserts__label" title={item.label}>
+                {item.label}
+                {documentId && item.documentId !== documentId ? ' (other document)' : ''}
+              </span>
+              <span className={`pending-inserts__status pending-inserts__status--${item.status}`}>{describeStatus(item)}</span>
+            </div>
+            <button
+              type="button"
+              className="pending-inserts__btn"
+              onClick={() => run(() => retryOutbox(item.id))}
+              disabled={disabled || item.status === 'sending'}
+            >
+              Retry
+            </button>
+            <button
+              type="button"
+              className="pending-inserts__btn pending-inserts__btn--discard"
+              onClick={() => run(() => discardOutboxItem(item.id))}
+              disabled={disabled || item.status === 'sending'}
+            >
+              Discard
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
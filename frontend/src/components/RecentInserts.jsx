@@ -0,0 +1,56 @@
+import { useState } from 'react';
+import './RecentInserts.css';
+
+function formatInsertTime(createdAt) {
+  if (!createdAt) return '';
+  const d = new Date(createdAt);
+  if (d.toDateString() === new Date().toDateString()) {
+    return d.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+  }
+  return d.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Collapsible list of recent Plug/Snip inserts in the current document (newest first).
+ * Any one of them can be reverted, not just the last.
+ */
+export function RecentInserts({ inserts, onRevert, revertingId = null, disabled = false }) {
+  const [collapsed, setCollapsed] = useState(true);
+  if (!inserts || inserts.length === 0) return null;
+
+  return (
+    <div className={`recent-inserts ${collapsed ? 'recent-inserts--collapsed' : ''}`}>
+      <button
+        type="button"
+        className="recent-inserts__header"
+        onClick={() => setCollapsed((c) => !c)}
+        aria-expanded={!collapsed}
+        aria-controls="recent-inserts-content"
+        id="recent-inserts-label"
+      >
+        <span className="recent-inserts__header-title">Recent inserts ({inserts.length})</span>
+        <span className="recent-inserts__collapse-icon" aria-hidden>{collapsed ? '▶' : '▼'}</span>
+      </button>
+      <ul id="recent-inserts-content" className="recent-inserts__list" aria-labelledby="recent-inserts-label" hidden={collapsed}>
+        {inserts.map((entry) => (
+          <li key={entry.id} className="recent-inserts__item">
+            <span className={`recent-inserts__kind recent-inserts__kind--${entry.kind}`}>
+              {entry.kind === 'image' ? 'Image' : 'Text'}
+            </span>
+            <span className="recent-inserts__label" title={entry.label}>{entry.label}</span>
+            <span className="recent-inserts__time">{formatInsertTime(entry.createdAt)}</span>
+            <button
+              type="button"
+              className="recent-inserts__revert-btn"
+              onClick={() => onRevert(entry)}
+              disabled={disabled || revertingId != null}
+              title="Remove this insert from the document"
+            >
+              {revertingId === entry.id ? 'Removing…' : 'Revert'}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+import { useState } from 'react';
+import { findParagraphs, tabLabelPrefix } from '../lib/docsOutline.js';
+import './SectionTree.css';
+
+function headingMatches(heading, q) {
+  return heading.text.toLowerCase().includes(q) || heading.children.some((c) => headingMatches(c, q));
+}
+
+/**
+ * Section picker as a tree: document tabs, then headings nested H1 > H2 > H3, each with "Start" and "End"
+ * insertion points. Searching filters the headings and lists body paragraphs containing the text, to insert
+ * after one of them. onPick gets { label, target }; label matches getDocSections where the point is there too.
+ * @param {{ outline: import('../lib/docsOutline.js').DocOutline, onPick: (point: { label: string, target: import('../lib/docsOutline.js').InsertTarget | -1 | -2 }) => void, extraOptions?: Array<{ label: string, target: -1 | -2 }>, disabled?: boolean }} props
+ */
+export function SectionTree({ outline, onPick, extraOptions = [], disabled = false }) {
+  const [search, setSearch] = useState('');
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const q = search.trim().toLowerCase();
+  const tabs = outline?.tabs ?? [];
+  const paragraphs = q ? findParagraphs(outline, q) : [];
+
+  const toggle = (id) => {
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const renderHeadings = (list, prefix) => (
+    <ul className="section-tree__list" role="group">
+      {list.filter((h) => !q || headingMatches(h, q)).map((h) => {
+        const open = q ? true : !collapsed.has(h.id);
+        return (
+          <li key={h.id} className="section-tree__node" role="treeitem" aria-expanded={h.children.length > 0 ? open : undefined}>
+            <div className="section-tree__row">
+              {h.children.length > 0 ? (
+                <button
+                  type="button"
+                  className="section-tree__toggle"
+                  onClick={() => toggle(h.id)}
+                  aria-label={open ? `Collapse ${h.text}` : `Expand ${h.text}`}
+                  disabled={!!q}
+                >
+                  {open ? '▾' : '▸'}
+                </button>
+              ) : (
+                <span className="section-tree__toggle section-tree__toggle--leaf" aria-hidden />
+              )}
+              <span className={`section-tree__heading section-tree__heading--h${Math.min(h.level, 3)}`} title={h.text}>
+                {h.text}
+              </span>
+              <button
+                type="button"
+                className="section-tree__point"
+                onClick={() => onPick({ label: prefix + 'Start of section: ' + h.text, target: h.start })}
+                disabled={disabled}
+                title={`Insert right under "${h.text}"`}
+              >
+                Start
+              </button>
+              <button
+                type="button"
+                className="section-tree__point"
+                onClick={() => onPick({ label: prefix + 'End of section: ' + h.text, target: h.end })}
+                disabled={disabled}
+                title={`Insert at the end of "${h.text}" (after its subsections)`}
+              >
+                End
+              </button>
+            </div>
+            {open && h.children.length > 0 && renderHeadings(h.children, prefix)}
+          </li>
+        );
+      })}
+    </ul>
+  );
+
+  return (
+    <div className="section-tree">
+      <input
+        type="search"
+        className="section-tree__search"
+        placeholder="Search headings or text…"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        aria-label="Search headings or paragraph text"
+      />
+      <div className="section-tree__scroll" role="tree" aria-label="Where to insert">
+        {tabs.map((tab, i) => {
+          const prefix = tabLabelPrefix(outline, tab);
+          const tabKey = `tab:${tab.tabId ?? i}`;
+          const tabOpen = q ? true : !collapsed.has(tabKey);
+          const body = (
+            <>
+              {!q && (
+                <button
+                  type="button"
+                  className="section-tree__edge"
+                  onClick={() => onPick({ label: prefix + 'At the beginning', target: tab.start })}
+                  disabled={disabled}
+                >
+                  At the beginning
+                </button>
+              )}
+              {renderHeadings(tab.headings, prefix)}
+              {!q && (
+                <button
+                  type="button"
+                  className="section-tree__edge"
+                  onClick={() => onPick({ label: prefix + 'At the end', target: tab.end })}
+                  disabled={disabled}
+                >
+                  At the end
+                </button>
+              )}
+            </>
+          );
+          if (tabs.length < 2) return <div key={tabKey}>{body}</div>;
+          return (
+            <div key={tabKey} className="section-tree__tab" style={{ marginLeft: `${tab.level * 0.75}rem` }}>
+              <button
+                type="button"
+                className="section-tree__tab-title"
+                onClick={() => toggle(tabKey)}
+                aria-expanded={tabOpen}
+                disabled={!!q}
+              >
+                <span aria-hidden>{tabOpen ? '▾' : '▸'}</span> {tab.title || 'Untitled tab'}
+              </button>
+              {tabOpen && body}
+            </div>
+          );
+        })}
+        {q && paragraphs.length > 0 && (
+          <div className="section-tree__matches">
+            <p className="section-tree__matches-label">After the paragraph containing “{search.trim()}”</p>
+            <ul className="section-tree__list">
+              {paragraphs.map((p, i) => {
+                const label = (tabs.length > 1 ? `${p.tabTitle || 'Untitled tab'} › ` : '') + 'After: ' + p.text;
+                return (
+                  <li key={`${p.tabId ?? ''}:${i}`}>
+                    <button
+                      type="button"
+                      className="section-tree__paragraph"
+                      onClick={() => onPick({ label, target: p.target })}
+                      disabled={disabled}
+                      title={p.text}
+                    >
+                      {tabs.length > 1 && <span className="section-tree__paragraph-tab">{p.tabTitle || 'Untitled tab'} · </span>}
+                      {p.text}
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        )}
+        {q && paragraphs.length === 0 && !tabs.some((t) => t.headings.some((h) => headingMatches(h, q))) && (
+          <p className="section-tree__empty">No headings or paragraphs match.</p>
+        )}
+      </div>
+      {extraOptions.map((opt) => (
+        <button
+          key={opt.label}
+          type="button"
+          className="section-tree__edge section-tree__edge--extra"
+          onClick={() => onPick(opt)}
+          disabled={disabled}
+        >
+          {opt.label}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,202 @@
+import { useCallback, useEffect, useState } from 'react';
+import { getDocOutline } from '../popup/messages.js';
+import { SITE_RULES_KEY, MAX_SITE_RULES, getSiteRules, addSiteRule, removeSiteRule } from '../lib/siteRules.js';
+import './SiteRules.css';
+
+const ADD_ERRORS = {
+  invalid_pattern: 'Enter a domain like arxiv.org, optionally with a path (arxiv.org/abs/*).',
+  missing_document: 'Choose a document.',
+  too_many_rules: `You can keep up to ${MAX_SITE_RULES} rules. Remove one first.`,
+};
+
+/** Headings of an outline in document order, with the tab title in front when the doc has several tabs. */
+function outlineHeadings(outline) {
+  const list = [];
+  const tabs = outline?.tabs ?? [];
+  for (const tab of tabs) {
+    const walk = (headings) => {
+      for (const h of headings) {
+        list.push({ key: h.id, text: h.text, level: h.level, tabTitle: tabs.length > 1 ? tab.title || 'Untitled tab' : '' });
+        walk(h.children);
+      }
+    };
+    walk(tab.headings);
+  }
+  return list;
+}
+
+/**
+ * Collapsible editor for site routing rules (lib/siteRules.js): Text Snips from the context menu and the shortcut
+ * on a matching page go to the rule's document, at the end of its section. Rules live in chrome.storage.sync.
+ * @param {{ connectedDocs: Array<{ google_doc_id: string, doc_title: string }>, documentId: string | null, disabled?: boolean }} props
+ */
+export function SiteRules({ connectedDocs, documentId, disabled = false }) {
+  const [collapsed, setCollapsed] = useState(true);
+  const [rules, setRules] = useState([]);
+  const [pattern, setPattern] = useState('');
+  const [pickedDocId, setPickedDocId] = useState('');
+  const [heading, setHeading] = useState('');
+  const [loaded, setLoaded] = useState({ docId: null, headings: [] });
+  const [error, setError] = useState(null);
+  const docId = pickedDocId || documentId || '';
+  const headings = loaded.docId === docId ? loaded.headings : [];
+  const headingsLoading = !collapsed && !!docId && loaded.docId !== docId;
+
+  const refresh = useCallback(() => {
+    getSiteRules().then(setRules).catch(() => setRules([]));
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    if (typeof chrome === 'undefined' || !chrome.storage?.onChanged) return;
+    const listener = (changes, areaName) => {
+      if (areaName === 'sync' && changes[SITE_RULES_KEY] !== undefined) refresh();
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }, [refresh]);
+
+  useEffect(() => {
+    if (collapsed || !docId) return;
+    let cancelled = false;
+    getDocOutline(docId)
+      .then((res) => res?.success ? outlineHeadings(res.outline) : [])
+      .catch(() => [])
+      .then((list) => {
+        if (!cancelled) setLoaded({ docId, headings: list });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [collapsed, docId]);
+
+  const fillCurrentSite = async () => {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const host = tab?.url ? new URL(tab.url).hostname.replace(/^www\./i, '') : '';
+      if (host) setPattern(host);
+    } catch (_) {}
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setError(null);
+    const doc = connectedDocs.find((d) => d.google_doc_id === docId);
+    try {
+      const res = await addSiteRule({ pattern, documentId: docId, documentName: doc?.doc_title || '', heading });
+      if (res.error) {
+        setError(ADD_ERRORS[res.error] || res.error);
+        return;
+      }
+      setPattern('');
+      refresh();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not save the rule.');
+    }
+  };
+
+  const handleRemove = async (id) => {
+    setError(null);
+    try {
+      await removeSiteRule(id);
+      refresh();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not remove the rule.');
+    }
+  };
+
+  return (
+    <div className={`site-rules ${collapsed ? 'site-rules--collapsed' : ''}`}>
+      <button
+        type="button"
+        className="site-rules__header"
+        onClick={() => setCollapsed((c) => !c)}
+        aria-expanded={!collapsed}
+        aria-controls="site-rules-content"
+        id="site-rules-label"
+      >
+        <span className="site-rules__header-title">Site rules{rules.length > 0 ? ` (${rules.length})` : ''}</span>
+        <span className="site-rules__collapse-icon" aria-hidden>{collapsed ? '▶' : '▼'}</span>
+      </button>
+      <div id="site-rules-content" className="site-rules__content" aria-labelledby="site-rules-label" hidden={collapsed}>
+        {rules.length === 0 ? (
+          <p className="site-rules__empty">No rules yet. Text Snips go to the active document.</p>
+        ) : (
+          <ul className="site-rules__list">
+            {rules.map((rule) => (
+              <li key={rule.id} className="site-rules__item">
+                <span className="site-rules__rule" title={`${rule.pattern} → ${rule.documentName}${rule.heading ? ` › ${rule.heading}` : ''}`}>
+                  <span className="site-rules__pattern">{rule.pattern}</span>
+                  {' → '}
+                  {rule.documentName}
+                  <span className="site-rules__section"> › {rule.heading || 'End of document'}</span>
+                </span>
+                <button
+                  type="button"
+                  className="site-rules__remove"
+                  onClick={() => handleRemove(rule.id)}
+                  disabled={disabled}
+                  aria-label={`Remove the rule for ${rule.pattern}`}
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <form className="site-rules__form" onSubmit={handleAdd}>
+          <div className="site-rules__pattern-row">
+            <input
+              type="text"
+              className="site-rules__input"
+              placeholder="arxiv.org or arxiv.org/abs/*"
+              value={pattern}
+              onChange={(e) => setPattern(e.target.value)}
+              disabled={disabled}
+              aria-label="Site (domain or URL pattern)"
+            />
+            <button type="button" className="site-rules__btn" onClick={fillCurrentSite} disabled={disabled}>
+              This site
+            </button>
+          </div>
+          <select
+            className="site-rules__select"
+            value={docId}
+            onChange={(e) => {
+              setPickedDocId(e.target.value);
+              setHeading('');
+            }}
+            disabled={disabled || connectedDocs.length === 0}
+            aria-label="Document"
+          >
+            {!docId && <option value="">Choose a document…</option>}
+            {connectedDocs.map((d) => (
+              <option key={d.google_doc_id} value={d.google_doc_id}>{d.doc_title || 'Untitled'}</option>
+            ))}
+          </select>
+          <select
+            className="site-rules__select"
+            value={heading}
+            onChange={(e) => setHeading(e.target.value)}
+            disabled={disabled || headingsLoading}
+            aria-label="Section"
+          >
+            <option value="">{headingsLoading ? 'Loading sections…' : 'End of document'}</option>
+            {headings.map((h) => (
+              <option key={h.key} value={h.text}>
+                {'\u00a0\u00a0'.repeat(Math.max(0, h.level - 1))}{h.tabTitle ? `${h.tabTitle} › ` : ''}{h.text}
+              </option>
+            ))}
+          </select>
+          <button type="submit" className="site-rules__btn site-rules__btn--add" disabled={disabled || !pattern.trim() || !docId}>
+            Add rule
+          </button>
+        </form>
+        {error && <p className="site-rules__error" role="alert">{error}</p>}
+        <p className="site-rules__hint">
+          Text Snips from the menu or shortcut on a matching page go to the end of that section. If the heading is renamed, you are asked for a new one.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,9 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { useFeatureAccess } from '../hooks/useFeatureAccess.js';
-import { getSnipsHistory, deleteSnip, updateSnipPageTitle, getDriveThumbnailUrl } from '../lib/snipsHistoryService.js';
-import { getDocSections, reinsertImageAtSection } from '../popup/messages.js';
+import { useActiveProject } from '../hooks/useActiveProject.js';
+import { searchSnips, searchAllSnips, getSnipSearchFacets, canReinsertSnip, deleteSnip, updateSnipPageTitle, getDriveThumbnailUrl } from '../lib/snipsHistoryService.js';
+import { getDocSections, reinsertSnipAtSection, openSnipSource } from '../popup/messages.js';
+import { EXPORT_FORMATS, exportSources } from '../lib/citationExport.js';
 import './SnipHistory.css';
 
 const FAVICON_BASE = 'https://www.google.com/s2/favicons?domain=';
@@ -50,13 +52,21 @@ function formatTimestamp(createdAt) {
 }
 
 const CONTENT_PREVIEW_LEN = 120;
+const SEARCH_DEBOUNCE_MS = 300;
 
 /**
  * Pro-only Snip History / Sources: image and text snips for the current document, grouped by domain.
- * Image: thumbnail, Reinsert. Text: "Text" badge, content preview, no Reinsert.
+ * Image: thumbnail, OCR text preview. Text: "Text" badge, content preview. Both can be reinserted at a section;
+ * snips with formulas show their TeX with a Copy TeX button. The user's note and tags are shown on each snip;
+ * clicking a tag (on a snip or in the tag bar) lists only snips with that tag.
+ * Search runs on the server (searchSnips): titles, domains, URLs, text snips, notes, TeX and text recognised in
+ * images, narrowed by document (this one, the active project's or all), type, domain and date range. Pages load as
+ * the list scrolls; Export downloads every result of the search, not only the loaded pages, and Export project
+ * every source of the active project whatever the search.
  */
 export function SnipHistory({ documentId, onShowUpgrade, disabled = false }) {
   const { canAccessSnipHistory } = useFeatureAccess();
+  const activeProject = useActiveProject();
   const [collapsed, setCollapsed] = useState(true);
   const [snips, setSnips] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -70,52 +80,136 @@ export function SnipHistory({ documentId, onShowUpgrade, disabled = false }) {
   const [editingId, setEditingId] = useState(null);
   const [editingTitle, setEditingTitle] = useState('');
   const [titleError, setTitleError] = useState(null);
+  const [exportFormat, setExportFormat] = useState(EXPORT_FORMATS[0].id);
+  /** The export being prepared: 'search' | 'project' | null. */
+  const [exporting, setExporting] = useState(null);
+  const [exportError, setExportError] = useState(null);
+  const [copiedTexId, setCopiedTexId] = useState(null);
+  const [openingSourceId, setOpeningSourceId] = useState(null);
+  const [sourceNotice, setSourceNotice] = useState(null);
+  const [tagFilter, setTagFilter] = useState(null);
+  const [query, setQuery] = useState('');
+  const [scope, setScope] = useState('document');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [domainFilter, setDomainFilter] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [facets, setFacets] = useState({ domains: [], tags: [] });
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const requestRef = useRef(0);
+  const offsetRef = useRef(0);
+  const sentinelRef = useRef(null);
 
-  const loadSnips = useCallback(async () => {
-    setLoading(true);
+  const effectiveScope = (scope === 'project' && !activeProject) || (scope === 'document' && !documentId) ? 'all' : scope;
+  const searchDocId = effectiveScope === 'document' ? documentId : null;
+  const searchProjectId = effectiveScope === 'project' ? activeProject.id : null;
+  const hasFilters = !!(query.trim() || domainFilter || typeFilter || fromDate || toDate || tagFilter);
+  const searchOptions = useMemo(() => ({
+    query,
+    documentId: searchDocId,
+    projectId: searchProjectId,
+    domain: domainFilter,
+    type: typeFilter,
+    from: fromDate,
+    to: toDate,
+    tag: tagFilter,
+  }), [query, searchDocId, searchProjectId, domainFilter, typeFilter, fromDate, toDate, tagFilter]);
+
+  // Debounce typing in the search box; filters apply right away.
+  useEffect(() => {
+    const t = setTimeout(() => setQuery(search), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(t);
+  }, [search]);
+
+  /** Load the first page (reset) or the next page. Responses of superseded searches are dropped. */
+  const loadSnips = useCallback(async (reset) => {
+    const request = ++requestRef.current;
+    if (reset) {
+      offsetRef.current = 0;
+      setLoading(true);
+    } else {
+      setLoadingMore(true);
+    }
     setError(null);
     try {
-      const list = await getSnipsHistory(documentId || undefined);
-      setSnips(list);
+      const page = await searchSnips({ ...searchOptions, offset: offsetRef.current });
+      if (request !== requestRef.current) return;
+      offsetRef.current += page.snips.length;
+      setSnips((prev) => (reset ? page.snips : [...prev, ...page.snips.filter((s) => !prev.some((p) => p.id === s.id))]));
+      setHasMore(page.hasMore);
     } catch (e) {
+      if (request !== requestRef.current) return;
       setError(e instanceof Error ? e.message : 'Failed to load snip history');
-      setSnips([]);
+      if (reset) setSnips([]);
+      setHasMore(false);
     } finally {
-      setLoading(false);
+      if (request === requestRef.current) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
     }
-  }, [documentId]);
+  }, [searchOptions]);
 
+  // Search again when the section is expanded, the document changes or the query / filters change.
   useEffect(() => {
-    if (canAccessSnipHistory) loadSnips();
-  }, [canAccessSnipHistory, loadSnips]);
+    if (canAccessSnipHistory && !collapsed) loadSnips(true);
+  }, [canAccessSnipHistory, collapsed, loadSnips]);
 
-  // Refetch when user expands the section or when the active document changes
+  // Domains and tags for the filter lists (this document or all).
   useEffect(() => {
-    if (canAccessSnipHistory && !collapsed) loadSnips();
-  }, [canAccessSnipHistory, collapsed, documentId, loadSnips]);
+    if (!canAccessSnipHistory || collapsed) return;
+    let cancelled = false;
+    getSnipSearchFacets(searchDocId, searchProjectId)
+      .then((f) => { if (!cancelled) setFacets(f); })
+      .catch(() => { if (!cancelled) setFacets({ domains: [], tags: [] }); });
+    return () => { cancelled = true; };
+  }, [canAccessSnipHistory, collapsed, searchDocId, searchProjectId]);
 
-  const filteredSnips = search.trim()
-    ? snips.filter((s) => {
-        const q = search.trim().toLowerCase();
-        const pageTitle = (s.page_title || '').toLowerCase();
-        const domain = (s.domain || '').toLowerCase();
-        const url = (s.source_url || '').toLowerCase();
-        const doc = (s.doc_title || '').toLowerCase();
-        const content = (s.content || '').toLowerCase();
-        return pageTitle.includes(q) || domain.includes(q) || url.includes(q) || doc.includes(q) || content.includes(q);
-      })
-    : snips;
+  // Infinite scroll: load the next page when the end of the list comes into view.
+  useEffect(() => {
+    const el = sentinelRef.current;
+    if (!el || !hasMore || loading || loadingMore) return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((e) => e.isIntersecting)) loadSnips(false);
+    }, { rootMargin: '200px' });
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [hasMore, loading, loadingMore, loadSnips, snips.length]);
 
-  const snipsByDomain = filteredSnips.reduce((acc, snip) => {
+  const snipsByDomain = snips.reduce((acc, snip) => {
     const key = snip.domain && snip.domain.trim() ? snip.domain.trim() : '(no domain)';
     if (!acc[key]) acc[key] = [];
     acc[key].push(snip);
     return acc;
-  }, /** @type {{ [domain: string]: typeof filteredSnips }} */ ({}));
+  }, /** @type {{ [domain: string]: typeof snips }} */ ({}));
   const domainKeys = Object.keys(snipsByDomain).sort();
 
+  const handleCopyTex = async (snip) => {
+    try {
+      await navigator.clipboard.writeText(snip.math_tex || '');
+      setCopiedTexId(snip.id);
+      setTimeout(() => setCopiedTexId((id) => (id === snip.id ? null : id)), 2000);
+    } catch (_) {}
+  };
+
+  /** Open the snip's page at the quoted passage; says so here when it could not be opened or found. */
+  const handleOpenSource = async (snip) => {
+    setOpeningSourceId(snip.id);
+    setSourceNotice(null);
+    try {
+      const res = await openSnipSource(snip.id);
+      if (!res?.success) setSourceNotice({ id: snip.id, text: res?.error || 'Could not open the source.' });
+      else if (res.found === false) setSourceNotice({ id: snip.id, text: 'Opened the page; the passage was not found on it.' });
+    } catch (e) {
+      setSourceNotice({ id: snip.id, text: e instanceof Error ? e.message : 'Could not open the source.' });
+    } finally {
+      setOpeningSourceId(null);
+    }
+  };
+
   const handleReinsertClick = async (snip) => {
-    if (snip.snippet_type !== 'image' || !snip.drive_url) return;
+    if (!canReinsertSnip(snip)) return;
     setReinsertError(null);
     setSectionsLoading(true);
     try {
@@ -135,14 +229,10 @@ export function SnipHistory({ documentId, onShowUpgrade, disabled = false }) {
   };
 
   const handlePickSectionForReinsert = async (section) => {
-    if (!reinsertSnip?.drive_url) return;
+    if (!reinsertSnip) return;
     setReinsertError(null);
     try {
-      const res = await reinsertImageAtSection(
-        reinsertSnip.drive_url,
-        section.index,
-        { pageUrl: reinsertSnip.source_url || '', pageTitle: reinsertSnip.page_title || '', snipId: reinsertSnip.id }
-      );
+      const res = await reinsertSnipAtSection(reinsertSnip, section.target);
       if (res?.success) {
         setReinsertSnip(null);
         setSections([]);
@@ -159,6 +249,7 @@ export function SnipHistory({ documentId, onShowUpgrade, disabled = false }) {
     try {
       await deleteSnip(snip.id);
       setSnips((prev) => prev.filter((s) => s.id !== snip.id));
+      offsetRef.current = Math.max(0, offsetRef.current - 1);
     } catch (_) {
       setError('Failed to delete snip');
     } finally {
@@ -166,6 +257,46 @@ export function SnipHistory({ documentId, onShowUpgrade, disabled = false }) {
     }
   };
 
+  /** Download every result of a search (all pages, not only those loaded) as one entry per source. */
+  const exportSearch = async (kind, options, fileName) => {
+    if (exporting) return;
+    setExporting(kind);
+    setExportError(null);
+    try {
+      const all = await searchAllSnips(options);
+      if (all.length === 0) {
+        setExportError('There are no sources to export.');
+        return;
+      }
+      // Citation keys come from all of the user's snips, so a filtered export keeps the unfiltered keys.
+      const filtered = Object.values(options).some(Boolean);
+      const { text, extension, mimeType } = exportSources(all, exportFormat, filtered ? await searchAllSnips() : all);
+      const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${fileName}.${extension}`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (e) {
+      setExportError(e instanceof Error ? e.message : 'Export failed');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const handleExport = () => {
+    if (snips.length > 0) exportSearch('search', searchOptions, 'sources');
+  };
+
+  /** All of the active project's sources, whatever the scope, search and filters. */
+  const handleExportProject = () => {
+    if (!activeProject) return;
+    const slug = (activeProject.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'project';
+    exportSearch('project', { projectId: activeProject.id }, `${slug}-sources`);
+  };
+
   const startEditTitle = (snip) => {
     setEditingId(snip.id);
     setEditingTitle(snip.page_title || '');
@@ -237,19 +368,131 @@ export function SnipHistory({ documentId, onShowUpgrade, disabled = false }) {
       <input
         type="search"
         className="snip-history__search"
-        placeholder="Search by page title, domain or URL…"
+        placeholder="Search text, titles, domains or notes…"
         value={search}
         onChange={(e) => setSearch(e.target.value)}
         aria-label="Search snips"
       />
+      <div className="snip-history__filters" role="group" aria-label="Filter snips">
+        <select
+          className="snip-history__filter"
+          value={effectiveScope}
+          onChange={(e) => setScope(e.target.value)}
+          disabled={!documentId && !activeProject}
+          aria-label="Documents to search"
+        >
+          {documentId && <option value="document">This document</option>}
+          {activeProject && <option value="project">Project: {activeProject.name || 'Untitled project'}</option>}
+          <option value="all">All documents</option>
+        </select>
+        <select
+          className="snip-history__filter"
+          value={typeFilter}
+          onChange={(e) => setTypeFilter(e.target.value)}
+          aria-label="Snip type"
+        >
+          <option value="">Text and images</option>
+          <option value="text">Text only</option>
+          <option value="image">Images only</option>
+        </select>
+        <select
+          className="snip-history__filter"
+          value={domainFilter}
+          onChange={(e) => setDomainFilter(e.target.value)}
+          aria-label="Source domain"
+        >
+          <option value="">All sites</option>
+          {domainFilter && !facets.domains.some((d) => d.domain === domainFilter) && (
+            <option value={domainFilter}>{domainFilter}</option>
+          )}
+          {facets.domains.map((d) => (
+            <option key={d.domain} value={d.domain}>{d.domain} ({d.count})</option>
+          ))}
+        </select>
+        <label className="snip-history__date">
+          <span>From</span>
+          <input type="date" value={fromDate} max={toDate || undefined} onChange={(e) => setFromDate(e.target.value)} />
+        </label>
+        <label className="snip-history__date">
+          <span>To</span>
+          <input type="date" value={toDate} min={fromDate || undefined} onChange={(e) => setToDate(e.target.value)} />
+        </label>
+        {hasFilters && (
+          <button
+            type="button"
+            className="snip-history__filter-clear"
+            onClick={() => {
+              setSearch('');
+              setQuery('');
+              setTypeFilter('');
+              setDomainFilter('');
+              setFromDate('');
+              setToDate('');
+              setTagFilter(null);
+            }}
+          >
+            Clear
+          </button>
+        )}
+      </div>
+      {facets.tags.length > 0 && (
+        <div className="snip-history__tag-bar" role="group" aria-label="Filter by tag">
+          {facets.tags.map(({ tag }) => (
+            <button
+              key={tag}
+              type="button"
+              className={`snip-history__tag ${tagFilter === tag ? 'snip-history__tag--active' : ''}`}
+              onClick={() => setTagFilter(tagFilter === tag ? null : tag)}
+              aria-pressed={tagFilter === tag}
+            >
+              #{tag}
+            </button>
+          ))}
+        </div>
+      )}
+      {!loading && !error && (snips.length > 0 || activeProject) && (
+        <div className="snip-history__export">
+          <select
+            className="snip-history__export-select"
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            aria-label="Export format"
+          >
+            {EXPORT_FORMATS.map((f) => (
+              <option key={f.id} value={f.id}>{f.label}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="snip-history__export-btn"
+            onClick={handleExport}
+            disabled={!!exporting || snips.length === 0}
+            title={hasFilters ? 'Export all sources matching your search and filters' : 'Export all sources'}
+          >
+            {exporting === 'search' ? 'Exporting…' : 'Export'}
+          </button>
+          {activeProject && (
+            <button
+              type="button"
+              className="snip-history__export-btn"
+              onClick={handleExportProject}
+              disabled={!!exporting}
+              title={`Export every source in ${activeProject.name || 'this project'}`}
+            >
+              {exporting === 'project' ? 'Exporting…' : 'Export project'}
+            </button>
+          )}
+        </div>
+      )}
+      {exportError && <p className="snip-history__error" role="alert">{exportError}</p>}
       {loading && <p className="snip-history__status">Loading…</p>}
       {error && <p className="snip-history__error" role="alert">{error}</p>}
       {!loading && !error && reinsertSnip && (
         <div className="snip-history__sections">
           <p className="snip-history__sections-label">Choose where to insert:</p>
           <ul className="snip-history__sections-list">
-            {sections.map((sec) => (
-              <li key={sec.index}>
+            {sections.map((sec, i) => (
+              <li key={`${i}-${sec.label}`}>
                 <button
                   type="button"
                   className="snip-history__section-btn"
@@ -270,8 +513,8 @@ export function SnipHistory({ documentId, onShowUpgrade, disabled = false }) {
       {!loading && !error && !reinsertSnip && sectionsLoading && <p className="snip-history__status">Loading sections…</p>}
       {!loading && !error && !reinsertSnip && !sectionsLoading && (
         <div className="snip-history__list-wrap">
-          {filteredSnips.length === 0 ? (
-            <p className="snip-history__empty">{search.trim() ? 'No sources match your search.' : documentId ? 'No sources yet for this document. Use Text Snip or Image Snip to add content.' : 'Select a document to see sources used in it.'}</p>
+          {snips.length === 0 ? (
+            <p className="snip-history__empty">{hasFilters ? 'No sources match your search.' : searchDocId ? 'No sources yet for this document. Use Text Snip or Image Snip to add content.' : searchProjectId ? 'No sources yet in this project.' : documentId ? 'No sources yet. Use Text Snip or Image Snip to add content.' : 'Select a document to see sources used in it.'}</p>
           ) : (
             <div className="snip-history__by-domain">
               {domainKeys.map((domainKey) => {
@@ -286,7 +529,7 @@ export function SnipHistory({ documentId, onShowUpgrade, disabled = false }) {
                     <ul className="snip-history__list">
                       {items.map((snip) => {
                         const isText = snip.snippet_type === 'text';
-                        const canReinsert = !isText && snip.drive_url;
+                        const canReinsert = canReinsertSnip(snip);
                         return (
                           <li key={snip.id} className="snip-history__item">
                             <div className="snip-history__item-inner">
@@ -328,7 +571,7 @@ export function SnipHistory({ documentId, onShowUpgrade, disabled = false }) {
                                   </div>
                                 ) : (
                                   <p className="snip-history__page-title">
-                                    <span>{snip.page_title || 'Untitled'}</span>
+                                    <span>{snip.page_title || 'Untitled'}{snip.page_number ? ` (p. ${snip.page_number})` : ''}</span>
                                     <button
                                       type="button"
                                       className="snip-history__edit-title-btn"
@@ -344,6 +587,30 @@ export function SnipHistory({ documentId, onShowUpgrade, disabled = false }) {
                                 {isText && snip.content && (
                                   <p className="snip-history__content-preview">{(snip.content || '').trim().slice(0, CONTENT_PREVIEW_LEN).trim()}{(snip.content || '').length > CONTENT_PREVIEW_LEN ? '…' : ''}</p>
                                 )}
+                                {snip.note && (
+                                  <p className="snip-history__note" title="Your note">{snip.note}</p>
+                                )}
+                                {snip.tags?.length > 0 && (
+                                  <div className="snip-history__tags">
+                                    {snip.tags.map((tag) => (
+                                      <button
+                                        key={tag}
+                                        type="button"
+                                        className={`snip-history__tag ${tagFilter === tag ? 'snip-history__tag--active' : ''}`}
+                                        onClick={() => setTagFilter(tagFilter === tag ? null : tag)}
+                                        title={tagFilter === tag ? 'Show all snips' : `Show snips tagged #${tag}`}
+                                      >
+                                        #{tag}
+                                      </button>
+                                    ))}
+                                  </div>
+                                )}
+                                {snip.math_tex && (
+                                  <p className="snip-history__content-preview snip-history__tex" title="TeX of the formulas in this snip">{snip.math_tex.trim().slice(0, CONTENT_PREVIEW_LEN).trim()}{snip.math_tex.length > CONTENT_PREVIEW_LEN ? '…' : ''}</p>
+                                )}
+                                {!isText && snip.ocr_text && (
+                                  <p className="snip-history__content-preview" title="Text recognised in the image">{snip.ocr_text.trim().slice(0, CONTENT_PREVIEW_LEN).trim()}{snip.ocr_text.length > CONTENT_PREVIEW_LEN ? '…' : ''}</p>
+                                )}
                                 {snip.source_url ? (
                                   <a
                                     href={snip.source_url}
@@ -372,6 +639,27 @@ export function SnipHistory({ documentId, onShowUpgrade, disabled = false }) {
                                       Reinsert
                                     </button>
                                   ) : null}
+                                  {snip.source_url ? (
+                                    <button
+                                      type="button"
+                                      className="snip-history__btn snip-history__btn--reinsert"
+                                      onClick={() => handleOpenSource(snip)}
+                                      disabled={openingSourceId === snip.id}
+                                      title="Open the source page scrolled to the quoted passage, highlighted"
+                                    >
+                                      {openingSourceId === snip.id ? 'Opening…' : 'Open at highlight'}
+                                    </button>
+                                  ) : null}
+                                  {snip.math_tex ? (
+                                    <button
+                                      type="button"
+                                      className="snip-history__btn snip-history__btn--reinsert"
+                                      onClick={() => handleCopyTex(snip)}
+                                      title="Copy the TeX of the formulas"
+                                    >
+                                      {copiedTexId === snip.id ? 'Copied' : 'Copy TeX'}
+                                    </button>
+                                  ) : null}
                                   <button
                                     type="button"
                                     className="snip-history__btn snip-history__btn--delete"
@@ -382,6 +670,7 @@ export function SnipHistory({ documentId, onShowUpgrade, disabled = false }) {
                                     {deletingId === snip.id ? '…' : 'Delete'}
                                   </button>
                                 </div>
+                                {sourceNotice?.id === snip.id && <p className="snip-history__source-notice" role="status">{sourceNotice.text}</p>}
                               </div>
                             </div>
                           </li>
@@ -391,6 +680,8 @@ export function SnipHistory({ documentId, onShowUpgrade, disabled = false }) {
                   </div>
                 );
               })}
+              {hasMore && <div ref={sentinelRef} className="snip-history__more" aria-hidden />}
+              {loadingMore && <p className="snip-history__status">Loading more…</p>}
             </div>
           )}
         </div>
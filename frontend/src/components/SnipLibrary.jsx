@@ -0,0 +1,237 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { searchSnips, canReinsertSnip, getDriveThumbnailUrl } from '../lib/snipsHistoryService.js';
+import { getDocSections, reinsertSnipAtSection } from '../popup/messages.js';
+import './SnipLibrary.css';
+
+/** dataTransfer type of a dragged snip (value: snips_history.id). */
+const SNIP_DRAG_TYPE = 'application/x-docsourced-snip';
+const SEARCH_DEBOUNCE_MS = 300;
+const PREVIEW_LEN = 90;
+
+function snipPreview(snip) {
+  const text = (snip.snippet_type === 'image' ? snip.ocr_text : snip.content) || '';
+  const trimmed = text.trim();
+  return trimmed.length > PREVIEW_LEN ? trimmed.slice(0, PREVIEW_LEN).trim() + '…' : trimmed;
+}
+
+/**
+ * Pro-only snip library: snips from all connected docs, grouped by the doc they were first inserted into.
+ * Any text or image snip can be dragged onto a section of the selected doc (or picked, then a section clicked)
+ * to insert it there with a new source line and SNIP_REF_ named range (REINSERT_SNIP_AT_SECTION).
+ */
+export function SnipLibrary({ documentId, disabled = false }) {
+  const [collapsed, setCollapsed] = useState(true);
+  const [snips, setSnips] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [sections, setSections] = useState([]);
+  const [sectionsError, setSectionsError] = useState(null);
+  const [picked, setPicked] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  const [inserting, setInserting] = useState(false);
+  const [insertResult, setInsertResult] = useState(null);
+  const requestRef = useRef(0);
+
+  useEffect(() => {
+    const t = setTimeout(() => setQuery(search), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(t);
+  }, [search]);
+
+  const loadSnips = useCallback(async (offset) => {
+    const request = ++requestRef.current;
+    setLoading(true);
+    setError(null);
+    try {
+      const page = await searchSnips({ query, documentId: null, offset });
+      if (request !== requestRef.current) return;
+      setSnips((prev) => (offset === 0 ? page.snips : [...prev, ...page.snips]));
+      setHasMore(page.hasMore);
+    } catch (e) {
+      if (request !== requestRef.current) return;
+      setError(e instanceof Error ? e.message : 'Failed to load snips');
+    } finally {
+      if (request === requestRef.current) setLoading(false);
+    }
+  }, [query]);
+
+  const loadSections = useCallback(async () => {
+    setSectionsError(null);
+    if (!documentId) {
+      setSections([]);
+      return;
+    }
+    try {
+      const res = await getDocSections();
+      if (res?.success && Array.isArray(res.sections)) setSections(res.sections);
+      else setSectionsError(res?.error || 'Could not load document sections.');
+    } catch (e) {
+      setSectionsError(e instanceof Error ? e.message : 'Could not load document sections.');
+    }
+  }, [documentId]);
+
+  useEffect(() => {
+    if (!collapsed) loadSnips(0);
+  }, [collapsed, loadSnips]);
+
+  useEffect(() => {
+    if (!collapsed) loadSections();
+  }, [collapsed, loadSections]);
+
+  const insertAt = async (snip, section) => {
+    if (!snip || !section || inserting) return;
+    setInserting(true);
+    setInsertResult(null);
+    try {
+      const res = await reinsertSnipAtSection(snip, section.target);
+      if (res?.success) {
+        setInsertResult({ ok: true, message: `Inserted "${snip.page_title || 'Untitled'}" at ${section.label}.` });
+        setPicked(null);
+      } else {
+        setInsertResult({ ok: false, message: res?.error || 'Failed to insert' });
+      }
+    } catch (e) {
+      setInsertResult({ ok: false, message: e instanceof Error ? e.message : 'Failed to insert' });
+    } finally {
+      setInserting(false);
+      // Section indexes move after an insert.
+      loadSections();
+    }
+  };
+
+  const handleDrop = (e, section) => {
+    e.preventDefault();
+    setDropIndex(null);
+    const id = e.dataTransfer.getData(SNIP_DRAG_TYPE);
+    insertAt(snips.find((s) => s.id === id), section);
+  };
+
+  const byDoc = snips.reduce((acc, snip) => {
+    const key = snip.doc_title || (snip.target_doc_id ? 'Other document' : 'No document');
+    if (!acc.has(key)) acc.set(key, []);
+    acc.get(key).push(snip);
+    return acc;
+  }, new Map());
+  const canInsert = !!documentId && !disabled && !inserting;
+
+  return (
+    <div className={`snip-library ${collapsed ? 'snip-library--collapsed' : ''}`}>
+      <button
+        type="button"
+        className="snip-library__header"
+        onClick={() => setCollapsed((c) => !c)}
+        aria-expanded={!collapsed}
+        aria-controls="snip-library-content"
+        id="snip-library-label"
+      >
+        <span className="snip-library__header-title">Snip Library</span>
+        <span className="snip-library__collapse-icon" aria-hidden>{collapsed ? '▶' : '▼'}</span>
+      </button>
+      <div id="snip-library-content" className="snip-library__content" aria-labelledby="snip-library-label" hidden={collapsed}>
+        <p className="snip-library__hint">
+          {documentId
+            ? 'Snips from all your documents. Drag one onto a section, or pick it and click a section.'
+            : 'Select a document to insert snips into it.'}
+        </p>
+        {documentId && (
+          <div className="snip-library__sections" role="list" aria-label="Sections of the selected document">
+            {sectionsError && <p className="snip-library__error" role="alert">{sectionsError}</p>}
+            {sections.map((sec, i) => (
+              <button
+                key={`${i}-${sec.label}`}
+                type="button"
+                role="listitem"
+                className={`snip-library__section ${dropIndex === i ? 'snip-library__section--over' : ''} ${picked ? 'snip-library__section--ready' : ''}`}
+                onDragOver={(e) => {
+                  if (!canInsert || !e.dataTransfer.types.includes(SNIP_DRAG_TYPE)) return;
+                  e.preventDefault();
+                  e.dataTransfer.dropEffect = 'copy';
+                  setDropIndex(i);
+                }}
+                onDragLeave={() => setDropIndex((d) => (d === i ? null : d))}
+                onDrop={(e) => handleDrop(e, sec)}
+                onClick={() => picked && insertAt(picked, sec)}
+                disabled={!canInsert}
+                title={picked ? `Insert "${picked.page_title || 'Untitled'}" here` : 'Drop a snip here'}
+              >
+                {sec.label}
+              </button>
+            ))}
+          </div>
+        )}
+        {inserting && <p className="snip-library__status">Inserting…</p>}
+        {insertResult && (
+          <p className={insertResult.ok ? 'snip-library__success' : 'snip-library__error'} role={insertResult.ok ? undefined : 'alert'}>
+            {insertResult.message}
+          </p>
+        )}
+        <input
+          type="search"
+          className="snip-library__search"
+          placeholder="Search all snips…"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          aria-label="Search all snips"
+        />
+        {error && <p className="snip-library__error" role="alert">{error}</p>}
+        {!error && !loading && snips.length === 0 && (
+          <p className="snip-library__status">{query.trim() ? 'No snips match your search.' : 'No snips yet.'}</p>
+        )}
+        <div className="snip-library__list-wrap">
+          {[...byDoc.entries()].map(([docTitle, items]) => (
+            <div key={docTitle} className="snip-library__group">
+              <h4 className="snip-library__group-heading">{docTitle} <span className="snip-library__count">({items.length})</span></h4>
+              <ul className="snip-library__list">
+                {items.map((snip) => {
+                  const isImage = snip.snippet_type === 'image';
+                  const usable = canReinsertSnip(snip);
+                  return (
+                    <li
+                      key={snip.id}
+                      className={`snip-library__item ${picked?.id === snip.id ? 'snip-library__item--picked' : ''}`}
+                      draggable={usable && canInsert}
+                      onDragStart={(e) => {
+                        e.dataTransfer.setData(SNIP_DRAG_TYPE, snip.id);
+                        e.dataTransfer.setData('text/plain', snip.snippet_type === 'image' ? snip.drive_url || '' : snip.content || '');
+                        e.dataTransfer.effectAllowed = 'copy';
+                      }}
+                      onDragEnd={() => setDropIndex(null)}
+                    >
+                      {isImage && snip.drive_url ? (
+                        <img src={getDriveThumbnailUrl(snip.drive_url)} alt="" className="snip-library__thumb" draggable={false} />
+                      ) : (
+                        <span className="snip-library__thumb snip-library__thumb--text">{isImage ? 'Image' : 'Text'}</span>
+                      )}
+                      <div className="snip-library__body">
+                        <p className="snip-library__title">{snip.page_title || 'Untitled'}</p>
+                        {snipPreview(snip) && <p className="snip-library__preview">{snipPreview(snip)}</p>}
+                      </div>
+                      <button
+                        type="button"
+                        className="snip-library__pick"
+                        onClick={() => setPicked((p) => (p?.id === snip.id ? null : snip))}
+                        disabled={!usable || !canInsert}
+                        aria-pressed={picked?.id === snip.id}
+                        title={usable ? 'Pick, then click a section to insert' : 'This snip has nothing to insert'}
+                      >
+                        {picked?.id === snip.id ? 'Picked' : 'Insert…'}
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          ))}
+          {loading && <p className="snip-library__status">Loading…</p>}
+          {!loading && hasMore && (
+            <button type="button" className="snip-library__more" onClick={() => loadSnips(snips.length)}>
+              Load more
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import { useState } from 'react';
+import { setNoteInDoc } from '../lib/storage.js';
+import { MAX_NOTE_LENGTH } from '../lib/snipAnnotation.js';
+import './SnipNoteFields.css';
+
+/**
+ * Optional quick note and tags for the snip being placed, shown in the Text Snip and Image Snip section pickers.
+ * Closed behind "+ Add note or tags" until used. value.tags is the raw input ("methods, ch2"); the caller
+ * parses it with lib/snipAnnotation.js. The "Also add the note to the doc" choice is remembered for later snips.
+ * @param {{ value: { note: string, tags: string, noteInDoc: boolean }, onChange: (value: object) => void, disabled?: boolean }} props
+ */
+export function SnipNoteFields({ value, onChange, disabled = false }) {
+  const [open, setOpen] = useState(Boolean(value.note || value.tags));
+
+  if (!open) {
+    return (
+      <button type="button" className="snip-note__open" onClick={() => setOpen(true)} disabled={disabled}>
+        + Add note or tags
+      </button>
+    );
+  }
+
+  const handleNoteInDocChange = (e) => {
+    const inDoc = e.target.checked;
+    onChange({ ...value, noteInDoc: inDoc });
+    setNoteInDoc(inDoc).catch(() => {});
+  };
+
+  return (
+    <div className="snip-note">
+      <textarea
+        className="snip-note__input snip-note__input--note"
+        value={value.note}
+        onChange={(e) => onChange({ ...value, note: e.target.value })}
+        placeholder="Why are you saving this?"
+        maxLength={MAX_NOTE_LENGTH}
+        rows={2}
+        disabled={disabled}
+        aria-label="Note"
+        autoFocus
+      />
+      <input
+        type="text"
+        className="snip-note__input"
+        value={value.tags}
+        onChange={(e) => onChange({ ...value, tags: e.target.value })}
+        placeholder="Tags, e.g. methods, chapter-2"
+        disabled={disabled}
+        aria-label="Tags"
+      />
+      <label className="snip-note__in-doc">
+        <input
+          type="checkbox"
+          checked={value.noteInDoc}
+          onChange={handleNoteInDocChange}
+          disabled={disabled}
+        />
+        Also add the note to the doc (under the source)
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,230 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getSnipTray,
+  getDocOutline,
+  updateSnipTrayItem,
+  moveSnipTrayItem,
+  removeSnipTrayItem,
+  clearSnipTray,
+} from '../popup/messages.js';
+import { flattenOutline } from '../lib/docsOutline.js';
+import { OperationProgress } from './OperationProgress';
+import './SnipTray.css';
+
+/** chrome.storage.session key of the tray kept by background/snipTray.js */
+const SNIP_TRAY_KEY = 'eznote_snip_tray';
+
+/** Select value for "no section": the end of the document. */
+const END_OF_DOC = '';
+
+function itemTitle(item) {
+  return (item.kind === 'image' ? 'Screenshot: ' : '') + (item.data.pageTitle || 'Untitled');
+}
+
+/**
+ * "Snip tray": Text and Image Snips staged with "Add to snip tray" in the section pickers. Each can be moved,
+ * edited (text and note) and given a section; "Insert all" puts them into the connected doc in one go.
+ * Hidden when the tray is empty.
+ * @param {{ documentId: string | null, disabled?: boolean, onInserted?: () => void, operations: ReturnType<typeof import('../hooks/useOperations.js').useOperations> }} props
+ *   operations: the panel's useOperations, which runs the insert with progress and cancel
+ */
+export function SnipTray({ documentId, disabled = false, onInserted, operations }) {
+  const [items, setItems] = useState([]);
+  const [outline, setOutline] = useState(null);
+  const [expanded, setExpanded] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [inserting, setInserting] = useState(false);
+  const operation = operations.operations.find((op) => op.type === 'SNIP_TRAY_COMMIT');
+  const hasItems = items.length > 0;
+
+  const refresh = useCallback(() => {
+    getSnipTray()
+      .then((r) => setItems(Array.isArray(r?.items) ? r.items : []))
+      .catch(() => setItems([]));
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    if (!chrome.storage?.onChanged) return;
+    const listener = (changes, areaName) => {
+      if ((areaName === 'session' || areaName === 'local') && changes[SNIP_TRAY_KEY] !== undefined) refresh();
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }, [refresh]);
+
+  // Sections of the connected doc for the per-snip picker; loaded once the tray has something in it.
+  useEffect(() => {
+    if (!documentId || !hasItems) return;
+    let cancelled = false;
+    getDocOutline()
+      .then((r) => {
+        if (!cancelled) setOutline(r?.success ? r.outline : null);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [documentId, hasItems]);
+
+  const run = async (request) => {
+    setError(null);
+    setMessage(null);
+    try {
+      const res = await request();
+      if (res?.success === false) setError(res.error || 'Request failed');
+    } catch (e) {
+      setError(e instanceof Error ? e.message : 'Request failed');
+    } finally {
+      refresh();
+    }
+  };
+
+  const handleInsertAll = async () => {
+    setError(null);
+    setMessage(null);
+    setInserting(true);
+    try {
+      const res = await operations.run({ type: 'SNIP_TRAY_COMMIT' });
+      if (res?.success) {
+        setMessage(`${res.inserted} ${res.inserted === 1 ? 'snip' : 'snips'} added to the doc.`);
+        if (res.error) setError(res.error);
+        setTimeout(() => setMessage(null), 4000);
+        onInserted?.();
+      } else {
+        setError(res?.error || 'Insert failed');
+      }
+    } catch (e) {
+      setError(e instanceof Error ? e.message : 'Insert failed');
+    } finally {
+      setInserting(false);
+      refresh();
+    }
+  };
+
+  if (!hasItems && !message) return null;
+  const sections = outline ? flattenOutline(outline, { withStarts: true }) : [];
+  const busy = disabled || inserting;
+
+  const handleSectionChange = (item, label) => {
+    const section = label === END_OF_DOC ? null : sections.find((s) => s.label === label);
+    run(() => updateSnipTrayItem(item.id, { section: section ? { label: section.label, target: section.target } : null }));
+  };
+
+  return (
+    <div className="snip-tray">
+      <div className="snip-tray__bar">
+        <button
+          type="button"
+          className="snip-tray__toggle"
+          onClick={() => setExpanded((v) => !v)}
+          aria-expanded={expanded}
+          aria-controls="snip-tray-list"
+        >
+          <span className="snip-tray__badge">{items.length}</span>
+          Snip tray
+        </button>
+        <button
+          type="button"
+          className="snip-tray__btn snip-tray__btn--primary"
+          onClick={handleInsertAll}
+          disabled={busy || !hasItems || !documentId}
+          title={!documentId ? 'Select a document first' : 'Insert every snip at its section, all at once'}
+        >
+          {inserting ? 'Inserting…' : 'Insert all'}
+        </button>
+        <button
+          type="button"
+          className="snip-tray__btn snip-tray__btn--remove"
+          onClick={() => run(() => clearSnipTray())}
+          disabled={busy || !hasItems}
+        >
+          Clear
+        </button>
+      </div>
+      {inserting && <OperationProgress operation={operation} onCancel={operations.cancel} />}
+      {error && <p className="snip-tray__error" role="alert">{error}</p>}
+      {message && <p className="snip-tray__success">{message}</p>}
+      <ol id="snip-tray-list" className="snip-tray__list" hidden={!expanded}>
+        {items.map((item, i) => {
+          const label = item.section?.label ?? END_OF_DOC;
+          const missing = label !== END_OF_DOC && !sections.some((s) => s.label === label);
+          const unresolved = missing && outline != null;
+          return (
+            <li key={item.id} className="snip-tray__item">
+              <div className="snip-tray__head">
+                <span className="snip-tray__title" title={item.data.pageUrl || undefined}>{itemTitle(item)}</span>
+                <button
+                  type="button"
+                  className="snip-tray__btn"
+                  onClick={() => run(() => moveSnipTrayItem(item.id, -1))}
+                  disabled={busy || i === 0}
+                  aria-label="Move up"
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  className="snip-tray__btn"
+                  onClick={() => run(() => moveSnipTrayItem(item.id, 1))}
+                  disabled={busy || i === items.length - 1}
+                  aria-label="Move down"
+                >
+                  ↓
+                </button>
+                <button
+                  type="button"
+                  className="snip-tray__btn snip-tray__btn--remove"
+                  onClick={() => run(() => removeSnipTrayItem(item.id))}
+                  disabled={busy}
+                >
+                  Remove
+                </button>
+              </div>
+              {item.kind === 'text' ? (
+                <textarea
+                  className="snip-tray__text"
+                  defaultValue={item.data.selectedText ?? ''}
+                  onBlur={(e) => {
+                    if (e.target.value !== item.data.selectedText) run(() => updateSnipTrayItem(item.id, { text: e.target.value }));
+                  }}
+                  rows={3}
+                  disabled={busy}
+                  aria-label="Snip text"
+                  title={item.data.keepFormatting ? 'Editing the text drops its captured formatting' : undefined}
+                />
+              ) : (
+                item.data.ocrText && <p className="snip-tray__ocr">{item.data.ocrText}</p>
+              )}
+              <input
+                type="text"
+                className="snip-tray__note"
+                defaultValue={item.data.note ?? ''}
+                onBlur={(e) => {
+                  if (e.target.value !== (item.data.note ?? '')) run(() => updateSnipTrayItem(item.id, { note: e.target.value }));
+                }}
+                placeholder="Note (optional)"
+                disabled={busy}
+                aria-label="Snip note"
+              />
+              <select
+                className="snip-tray__section"
+                value={label}
+                onChange={(e) => handleSectionChange(item, e.target.value)}
+                disabled={busy}
+                aria-label="Section"
+              >
+                <option value={END_OF_DOC}>End of the document</option>
+                {missing && <option value={label}>{unresolved ? `${label} (not found: goes to the end)` : label}</option>}
+                {sections.map((s, j) => (
+                  <option key={`${j}:${s.label}`} value={s.label}>{s.label}</option>
+                ))}
+              </select>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+/**
+ * Content script for docs.google.com: the Docs-side half of insert-at-cursor (background/docsCursor.js).
+ * On MARK_CURSOR, types a short unique marker at the user's cursor through Docs' own text input target.
+ * The background then finds the marker through the Docs API to learn the cursor's index, removes it and
+ * inserts the snip there. The clipboard is never touched.
+ */
+(function () {
+  'use strict';
+
+  function textTarget() {
+    var iframe = document.querySelector('iframe.docs-texteventtarget-iframe');
+    var doc = iframe && iframe.contentDocument;
+    if (!doc) return null;
+    var el = doc.querySelector('[contenteditable="true"]') || doc.body;
+    return el ? { doc: doc, el: el } : null;
+  }
+
+  chrome.runtime.onMessage.addListener(function (msg, _sender, sendResponse) {
+    if (msg.type !== 'MARK_CURSOR') return;
+    try {
+      var target = textTarget();
+      if (!target || typeof msg.marker !== 'string' || !msg.marker) {
+        sendResponse({ ok: false, error: 'no_editor' });
+        return;
+      }
+      // Docs mirrors the selected text into its input target; typing now would replace the selection.
+      if ((target.el.textContent || '').trim() || document.querySelector('.kix-selection-overlay')) {
+        sendResponse({ ok: false, error: 'selection' });
+        return;
+      }
+      target.el.focus();
+      var typed = target.doc.execCommand('insertText', false, msg.marker);
+      sendResponse(typed ? { ok: true } : { ok: false, error: 'not_typed' });
+    } catch (e) {
+      sendResponse({ ok: false, error: String(e) });
+    }
+  });
+})();
@@ -0,0 +1,126 @@
+/**
+ * Content script for docs.google.com: "Open source at highlight" in the doc itself.
+ * When text is selected, asks the background which snip it belongs to (FIND_SNIP_AT_SELECTION, through the
+ * SNIP_REF_ and SNIP_CITE_ named ranges) and, if one does, shows a button that opens the snip's page at the quoted passage
+ * (OPEN_SNIP_SOURCE, background/sourceLookup.js). Docs mirrors the selected text into its text input iframe,
+ * which is where it is read from.
+ */
+(function () {
+  'use strict';
+
+  var BUTTON_ID = 'docsourced-open-source';
+  var LOOKUP_DELAY_MS = 400;
+  var MAX_QUOTE_CHARS = 500;
+  var MESSAGE_MS = 4000;
+
+  var button = null;
+  var timer = null;
+  var lastText = '';
+  var snipId = null;
+  var watchedDoc = null;
+
+  function inputDocument() {
+    var iframe = document.querySelector('iframe.docs-texteventtarget-iframe');
+    return (iframe && iframe.contentDocument) || null;
+  }
+
+  function selectedText() {
+    var doc = inputDocument();
+    var el = doc && (doc.querySelector('[contenteditable="true"]') || doc.body);
+    return el ? (el.textContent || '').replace(/\s+/g, ' ').trim() : '';
+  }
+
+  function hideButton() {
+    snipId = null;
+    if (button) button.style.display = 'none';
+  }
+
+  function showButton(label, title) {
+    if (!button) {
+      button = document.createElement('button');
+      button.id = BUTTON_ID;
+      button.type = 'button';
+      button.style.cssText = [
+        'position:fixed', 'right:24px', 'bottom:24px', 'z-index:2147483647',
+        'padding:8px 14px', 'border:none', 'border-radius:18px',
+        'background:#1a73e8', 'color:#fff', 'font:500 13px/1.2 Roboto,Arial,sans-serif',
+        'box-shadow:0 2px 6px rgba(0,0,0,0.3)', 'cursor:pointer',
+      ].join(';');
+      // Keep the click from moving the Docs cursor (and changing the selection) before it is handled.
+      button.addEventListener('mousedown', function (e) {
+        e.preventDefault();
+        e.stopPropagation();
+      });
+      button.addEventListener('click', openSource);
+      document.body.appendChild(button);
+    }
+    button.textContent = label;
+    button.title = title || '';
+    button.disabled = false;
+    button.style.display = 'block';
+  }
+
+  function showMessage(text) {
+    showButton(text);
+    button.disabled = true;
+    setTimeout(function () {
+      if (button && button.textContent === text) hideButton();
+    }, MESSAGE_MS);
+  }
+
+  function openSource() {
+    if (!snipId) return;
+    var id = snipId;
+    showButton('Opening source…');
+    button.disabled = true;
+    chrome.runtime.sendMessage({ type: 'OPEN_SNIP_SOURCE', snipId: id }, function (res) {
+      if (chrome.runtime.lastError || !res || !res.success) {
+        showMessage((res && res.error) || 'Could not open the source.');
+      } else if (res.found === false) {
+        showMessage('Opened the page; the passage was not found on it.');
+      } else {
+        hideButton();
+      }
+    });
+  }
+
+  function lookup() {
+    var text = selectedText();
+    if (text === lastText) return;
+    lastText = text;
+    if (!text || text.length > MAX_QUOTE_CHARS) {
+      hideButton();
+      return;
+    }
+    chrome.runtime.sendMessage({ type: 'FIND_SNIP_AT_SELECTION', text: text }, function (res) {
+      if (chrome.runtime.lastError || text !== lastText) return;
+      if (res && res.success && res.snipId) {
+        snipId = res.snipId;
+        showButton('Open source at highlight', 'Open the page this snip came from, at the quoted passage');
+      } else {
+        hideButton();
+      }
+    });
+  }
+
+  function schedule() {
+    watchInput();
+    clearTimeout(timer);
+    timer = setTimeout(lookup, LOOKUP_DELAY_MS);
+  }
+
+  // Keys go to the text input iframe, which Docs may create after this script runs.
+  function watchInput() {
+    var doc = inputDocument();
+    if (!doc || doc === watchedDoc) return;
+    watchedDoc = doc;
+    doc.addEventListener('keyup', schedule, true);
+  }
+
+  document.addEventListener('mouseup', function (e) {
+    if (button && e.target === button) return;
+    schedule();
+  }, true);
+  document.addEventListener('keyup', schedule, true);
+  watchInput();
+})();
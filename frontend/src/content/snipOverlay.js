@@ -1,5 +1,9 @@
 /**
  * Snip overlay: transparent selection layer, draw rect, send bounds, crop image on request.
+ * Dragging near the top/bottom edge scrolls the page so a region can be taller than the viewport;
+ * such regions (and "Whole page") are sent in page coordinates with scroll: true and captured by
+ * scrolling in the background (scrollCapture.js). On pages with a video, "Video frame" snips the
+ * player's current frame (videoMoment.js).
  * Injected via chrome.scripting; communicates with background via chrome.runtime messages.
  * No Google API calls; all API work is done in the background.
  */
@@ -8,6 +12,8 @@
 
   var LOG_PREFIX = '[DocSourced Content]';
   var OVERLAY_ID = 'eznote-snip-overlay';
+  var EDGE_SCROLL_ZONE = 40; // px from the viewport edge where dragging starts auto-scroll
+  var EDGE_SCROLL_MAX_STEP = 24; // px per frame at the very edge
 
   // If overlay already exists (e.g. user clicked "Image Snip" again), remove it and exit.
   var existing = document.getElementById(OVERLAY_ID);
@@ -24,12 +30,24 @@
   let overlay = null;
   let rectEl = null;
   let startX = 0;
-  let startY = 0;
+  let startPageY = 0; // selection start in page coordinates (clientY + scrollY)
+  let lastClientX = 0;
+  let lastClientY = 0;
   let currentW = 0;
   let currentH = 0;
   let isDrawing = false;
+  let scrollStep = 0;
+  let scrollFrame = null;
+
+  function stopAutoScroll() {
+    scrollStep = 0;
+    if (scrollFrame != null) cancelAnimationFrame(scrollFrame);
+    scrollFrame = null;
+  }
 
   function removeOverlay() {
+    stopAutoScroll();
+    window.removeEventListener('scroll', updateRect);
     if (overlay && overlay.parentNode) {
       overlay.parentNode.removeChild(overlay);
     }
@@ -46,6 +64,127 @@
     }
   }
 
+  /** Redraw the selection from its page-space start to the pointer (the page may have scrolled). */
+  function updateRect() {
+    if (!isDrawing || !rectEl) return;
+    var curPageY = lastClientY + window.scrollY;
+    var left = Math.min(startX, lastClientX);
+    var topPage = Math.min(startPageY, curPageY);
+    currentW = Math.abs(lastClientX - startX);
+    currentH = Math.abs(curPageY - startPageY);
+    rectEl.style.left = left + 'px';
+    rectEl.style.top = topPage - window.scrollY + 'px';
+    rectEl.style.width = currentW + 'px';
+    rectEl.style.height = currentH + 'px';
+  }
+
+  function autoScrollTick() {
+    scrollFrame = null;
+    if (!isDrawing || scrollStep === 0) return;
+    window.scrollBy(0, scrollStep);
+    updateRect();
+    scrollFrame = requestAnimationFrame(autoScrollTick);
+  }
+
+  /** Scroll while the pointer is held near (or past) the top/bottom edge; faster the closer it gets. */
+  function updateAutoScroll(clientY) {
+    var h = window.innerHeight;
+    var step = 0;
+    if (clientY < EDGE_SCROLL_ZONE) {
+      step = -Math.ceil(EDGE_SCROLL_MAX_STEP * Math.min(1, (EDGE_SCROLL_ZONE - clientY) / EDGE_SCROLL_ZONE));
+    } else if (clientY > h - EDGE_SCROLL_ZONE) {
+      step = Math.ceil(EDGE_SCROLL_MAX_STEP * Math.min(1, (clientY - (h - EDGE_SCROLL_ZONE)) / EDGE_SCROLL_ZONE));
+    }
+    scrollStep = step;
+    if (step !== 0 && scrollFrame == null) scrollFrame = requestAnimationFrame(autoScrollTick);
+    if (step === 0) stopAutoScroll();
+  }
+
+  function sendBounds(bounds) {
+    if (chrome.runtime?.sendMessage) {
+      chrome.runtime.sendMessage({
+        type: 'SNIP_BOUNDS',
+        bounds: bounds,
+        pageUrl: window.location.href || '',
+        pageTitle: document.title || 'Untitled',
+      });
+    }
+    removeOverlay();
+  }
+
+  /** Largest loaded video that is at least partly on screen, or null. */
+  function mainVideo() {
+    var best = null;
+    var bestArea = 0;
+    var videos = document.querySelectorAll('video');
+    for (var i = 0; i < videos.length; i++) {
+      var r = videos[i].getBoundingClientRect();
+      var w = Math.min(window.innerWidth, r.right) - Math.max(0, r.left);
+      var h = Math.min(window.innerHeight, r.bottom) - Math.max(0, r.top);
+      if (videos[i].readyState > 0 && w > 0 && h > 0 && w * h > bestArea) {
+        best = videos[i];
+        bestArea = w * h;
+      }
+    }
+    return best;
+  }
+
+  function createToolbar() {
+    var bar = document.createElement('div');
+    bar.style.cssText =
+      'position:fixed;top:12px;left:50%;transform:translateX(-50%);display:flex;align-items:center;gap:10px;' +
+      'padding:6px 10px;border-radius:8px;background:rgba(32,33,36,0.92);color:#fff;cursor:default;' +
+      'font:13px/1.3 system-ui,-apple-system,Segoe UI,Roboto,sans-serif;box-shadow:0 2px 8px rgba(0,0,0,0.3);';
+    var hint = document.createElement('span');
+    hint.textContent = 'Drag to select. Drag past the edge to scroll.';
+    var btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = 'Whole page';
+    btn.style.cssText =
+      'padding:4px 10px;border:none;border-radius:6px;background:#1a73e8;color:#fff;font:inherit;cursor:pointer;';
+    // Keep clicks on the toolbar from starting a selection.
+    bar.addEventListener('pointerdown', function (e) {
+      e.stopPropagation();
+    });
+    btn.addEventListener('click', function (e) {
+      e.preventDefault();
+      e.stopPropagation();
+      var doc = document.documentElement;
+      sendBounds({
+        x: 0,
+        y: 0,
+        width: doc.clientWidth || window.innerWidth,
+        height: Math.max(doc.scrollHeight, document.body ? document.body.scrollHeight : 0),
+        scroll: true,
+      });
+    });
+    bar.appendChild(hint);
+    bar.appendChild(btn);
+    var video = mainVideo();
+    if (video) {
+      var frameBtn = document.createElement('button');
+      frameBtn.type = 'button';
+      frameBtn.textContent = 'Video frame';
+      frameBtn.style.cssText = btn.style.cssText;
+      frameBtn.addEventListener('click', function (e) {
+        e.preventDefault();
+        e.stopPropagation();
+        var r = video.getBoundingClientRect();
+        var left = Math.max(0, r.left);
+        var top = Math.max(0, r.top);
+        sendBounds({
+          x: left,
+          y: top,
+          width: Math.min(window.innerWidth, r.right) - left,
+          height: Math.min(window.innerHeight, r.bottom) - top,
+          video: true,
+        });
+      });
+      bar.appendChild(frameBtn);
+    }
+    return bar;
+  }
+
   function createOverlay() {
     if (overlay) return;
     // Set crosshair cursor on document immediately so it shows as soon as overlay is active
@@ -60,64 +199,74 @@
       'position:fixed;border:2px solid #1a73e8;background:rgba(26,115,232,0.1);pointer-events:none;box-sizing:border-box;';
     overlay.appendChild(rectEl);
 
-    overlay.addEventListener('mousedown', function (e) {
+    overlay.appendChild(createToolbar());
+
+    // Pointer capture keeps moves coming while the pointer is outside the window (edge auto-scroll).
+    overlay.addEventListener('pointerdown', function (e) {
+      if (e.button !== 0) return;
       e.preventDefault();
+      try {
+        overlay.setPointerCapture(e.pointerId);
+      } catch (_) {}
       isDrawing = true;
       startX = e.clientX;
-      startY = e.clientY;
+      startPageY = e.clientY + window.scrollY;
+      lastClientX = e.clientX;
+      lastClientY = e.clientY;
       currentW = 0;
       currentH = 0;
       rectEl.style.left = startX + 'px';
-      rectEl.style.top = startY + 'px';
+      rectEl.style.top = e.clientY + 'px';
       rectEl.style.width = '0px';
       rectEl.style.height = '0px';
     });
 
-    overlay.addEventListener('mousemove', function (e) {
+    overlay.addEventListener('pointermove', function (e) {
       if (!isDrawing) return;
       e.preventDefault();
-      let x = e.clientX;
-      let y = e.clientY;
-      let left = Math.min(startX, x);
-      let top = Math.min(startY, y);
-      currentW = Math.abs(x - startX);
-      currentH = Math.abs(y - startY);
-      rectEl.style.left = left + 'px';
-      rectEl.style.top = top + 'px';
-      rectEl.style.width = currentW + 'px';
-      rectEl.style.height = currentH + 'px';
+      lastClientX = Math.max(0, Math.min(e.clientX, window.innerWidth));
+      lastClientY = e.clientY;
+      updateRect();
+      updateAutoScroll(e.clientY);
     });
 
-    overlay.addEventListener('mouseup', function (e) {
+    overlay.addEventListener('pointerup', function (e) {
       e.preventDefault();
       if (!isDrawing) return;
       isDrawing = false;
-      let left = parseFloat(rectEl.style.left) || 0;
-      let top = parseFloat(rectEl.style.top) || 0;
+      stopAutoScroll();
+      lastClientY = Math.max(0, Math.min(e.clientY, window.innerHeight));
+      var curPageY = lastClientY + window.scrollY;
+      var left = Math.min(startX, lastClientX);
+      var topPage = Math.min(startPageY, curPageY);
+      currentW = Math.abs(lastClientX - startX);
+      currentH = Math.abs(curPageY - startPageY);
       if (currentW < 5 || currentH < 5) {
         rectEl.style.width = '0px';
         rectEl.style.height = '0px';
         return;
       }
-      if (chrome.runtime?.sendMessage) {
-        chrome.runtime.sendMessage({
-          type: 'SNIP_BOUNDS',
-          bounds: { x: left, y: top, width: currentW, height: currentH },
-          pageUrl: window.location.href || '',
-          pageTitle: document.title || 'Untitled',
-        });
+      var topInView = topPage - window.scrollY;
+      if (topInView >= 0 && topInView + currentH <= window.innerHeight) {
+        // Fits in the viewport: plain capture + crop.
+        sendBounds({ x: left, y: topInView, width: currentW, height: currentH });
+      } else {
+        sendBounds({ x: left, y: topPage, width: currentW, height: currentH, scroll: true });
       }
-      removeOverlay();
     });
 
-    overlay.addEventListener('mouseleave', function () {
+    overlay.addEventListener('pointercancel', function () {
       if (isDrawing) {
         isDrawing = false;
+        stopAutoScroll();
         rectEl.style.width = '0px';
         rectEl.style.height = '0px';
       }
     });
 
+    // Mouse-wheel scrolling while drawing also extends the selection.
+    window.addEventListener('scroll', updateRect);
+
     document.addEventListener('keydown', function escHandler(e) {
       if (e.key === 'Escape') {
         document.removeEventListener('keydown', escHandler);
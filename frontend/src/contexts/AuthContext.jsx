@@ -2,6 +2,7 @@ import { createContext, useContext, useState, useEffect, useCallback, useRef } f
 import { supabaseClient, isSupabaseConfigured } from '../config/supabase-config.js';
 import { ensureProfile } from '../lib/profile.js';
 import { validateAccess, persistTierToStorage, getStoredTier } from '../lib/validateAccess.js';
+import { authDisconnect } from '../popup/messages.js';
 
 const AuthContext = createContext(null);
 
@@ -132,7 +133,7 @@ export function AuthProvider({ children }) {
           persistTierToStorage('free');
           if (chrome?.storage?.local) chrome.storage.local.remove('eznote_supabase_access_token');
           if (chrome?.storage?.local) chrome.storage.local.remove('eznote_pro_tier');
-          if (chrome?.runtime?.sendMessage) chrome.runtime.sendMessage({ type: 'AUTH_DISCONNECT' }, () => {});
+          authDisconnect().catch(() => {});
         } else {
           loadProfile(nextUser.id).catch(() => {});
           setAccessValidationLoading(true);
@@ -190,9 +191,7 @@ export function AuthProvider({ children }) {
       chrome.storage.local.remove('eznote_pro_tier');
     }
     // Clear Google Docs state so the next user doesn't get 403 (wrong token/folder).
-    if (chrome?.runtime?.sendMessage) {
-      chrome.runtime.sendMessage({ type: 'AUTH_DISCONNECT' }, () => {});
-    }
+    authDisconnect().catch(() => {});
   }, []);
 
   /** Sync current Supabase session token to chrome.storage so the background script uses the right user. Call before fetching snip usage after account switch. */
@@ -0,0 +1,33 @@
+/**
+ * The active project (chosen in the document manager) from chrome.storage, kept current across extension views.
+ */
+import { useState, useEffect } from 'react';
+import { getActiveProject, ACTIVE_PROJECT_KEY } from '../lib/storage.js';
+
+/**
+ * @returns {{ id: string, name: string } | null} null when all documents are shown
+ */
+export function useActiveProject() {
+  const [project, setProject] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const refresh = () => {
+      getActiveProject()
+        .then((p) => { if (!cancelled) setProject(p); })
+        .catch(() => {});
+    };
+    refresh();
+    if (typeof chrome === 'undefined' || !chrome.storage?.onChanged) return () => { cancelled = true; };
+    const listener = (changes, areaName) => {
+      if (areaName === 'local' && changes[ACTIVE_PROJECT_KEY] !== undefined) refresh();
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => {
+      cancelled = true;
+      chrome.storage.onChanged.removeListener(listener);
+    };
+  }, []);
+
+  return project;
+}
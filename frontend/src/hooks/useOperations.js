@@ -0,0 +1,40 @@
+/**
+ * Running long operations (Format References, Image Snip) reported by the background over the operation port.
+ */
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { connectOperations } from '../popup/operations.js';
+import { sendMessage } from '../popup/messages.js';
+
+/**
+ * @returns {{
+ *   operations: import('../background/operations.js').OperationState[],
+ *   run: (msg: { type: string }) => Promise<any>,
+ *   cancel: (operationId: string) => void,
+ * }} operations: the ones still running; run: start an operation type over the port (plain sendMessage when
+ *   the port is unavailable)
+ */
+export function useOperations() {
+  const [byId, setById] = useState({});
+  const channel = useRef(null);
+
+  useEffect(() => {
+    const ch = connectOperations((op) => {
+      setById((prev) => {
+        const next = { ...prev };
+        if (op.status === 'running') next[op.id] = op;
+        else delete next[op.id];
+        return next;
+      });
+    });
+    channel.current = ch;
+    return () => {
+      channel.current = null;
+      ch?.disconnect();
+    };
+  }, []);
+
+  const run = useCallback((msg) => (channel.current ? channel.current.run(msg) : sendMessage(msg)), []);
+  const cancel = useCallback((operationId) => channel.current?.cancel(operationId), []);
+
+  return { operations: Object.values(byId), run, cancel };
+}
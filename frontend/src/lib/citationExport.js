@@ -0,0 +1,248 @@
+/**
+ * Export snips_history rows as reference-manager files: BibTeX (.bib), RIS (.ris) and CSL-JSON (.json).
+ * Rows from the same source (same DOI, else same URL) are merged into one entry, and every entry gets
+ * a citation key (authoryearword, e.g. doe2021deep) that stays the same when sources snipped later are
+ * added to the export. Keys are assigned over all of the user's snips (keySnips), so a source has the same
+ * key whichever search, filter or project it is exported from.
+ */
+
+import { toCitationSource } from './citationStyles.js';
+
+/** Export formats for pickers: [{ id, label, extension, mimeType }]. */
+export const EXPORT_FORMATS = [
+  { id: 'bibtex', label: 'BibTeX (.bib)', extension: 'bib', mimeType: 'application/x-bibtex' },
+  { id: 'ris', label: 'RIS (.ris)', extension: 'ris', mimeType: 'application/x-research-info-systems' },
+  { id: 'csl-json', label: 'CSL-JSON (.json)', extension: 'json', mimeType: 'application/vnd.citationstyles.csl+json' },
+];
+
+const METADATA_FIELDS = ['page_title', 'domain', 'source_url', 'canonical_url', 'author', 'published_date', 'site_name', 'doi'];
+const STOP_WORDS = new Set(['a', 'an', 'the', 'of', 'on', 'in', 'and', 'for', 'to', 'with', 'at', 'by']);
+
+/** Same-source key: DOI when present, else URL without scheme, www, hash, query tracking or trailing slash. */
+function sourceKey(snip) {
+  const doi = (snip.doi || '').trim().toLowerCase();
+  if (doi) return 'doi:' + doi;
+  const url = (snip.canonical_url || snip.source_url || '').trim();
+  if (!url) return 'title:' + (snip.page_title || '').trim().toLowerCase();
+  try {
+    const u = new URL(url);
+    for (const p of [...u.searchParams.keys()]) {
+      if (/^(utm_|fbclid$|gclid$)/i.test(p)) u.searchParams.delete(p);
+    }
+    const query = u.searchParams.toString();
+    return 'url:' + u.hostname.replace(/^www\./i, '').toLowerCase() + u.pathname.replace(/\/+$/, '') + (query ? '?' + query : '');
+  } catch (_) {
+    return 'url:' + url.toLowerCase();
+  }
+}
+
+/**
+ * Merge rows that point at the same source. The oldest row supplies the access date; empty fields
+ * are filled from the other rows.
+ * @param {Array<object>} snips - snips_history rows
+ * @returns {Array<object>} one row per source, with snip_ids listing every merged row
+ */
+export function mergeDuplicateSources(snips) {
+  return [...mergeBySource(snips).values()];
+}
+
+/** mergeDuplicateSources by same-source key (sourceKey of the rows merged, which later rows may not change). */
+function mergeBySource(snips) {
+  const byKey = new Map();
+  const sorted = [...snips].sort((a, b) => String(a.created_at || '').localeCompare(String(b.created_at || '')));
+  for (const snip of sorted) {
+    const key = sourceKey(snip);
+    const existing = byKey.get(key);
+    if (!existing) {
+      byKey.set(key, { ...snip, snip_ids: [snip.id] });
+      continue;
+    }
+    existing.snip_ids.push(snip.id);
+    for (const field of METADATA_FIELDS) {
+      if (!existing[field] && snip[field]) existing[field] = snip[field];
+    }
+  }
+  return byKey;
+}
+
+function asciiWord(s) {
+  return (s || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/** Base key: first author's family name (or site/domain), year, first significant title word. */
+function baseCitationKey(source) {
+  const who = asciiWord(source.authors[0]?.family) || asciiWord(source.siteName.split('.')[0]) || 'source';
+  const year = source.published ? String(source.published.year) : 'nd';
+  const word = source.title.split(/\s+/).map(asciiWord).find((w) => w && !STOP_WORDS.has(w)) || '';
+  return who + year + word;
+}
+
+/**
+ * Merge duplicates and assign citation keys. Among sources with the same base key, the one snipped first
+ * keeps it and later ones get a, b, c… suffixes in the order they were first snipped, so adding a newer
+ * source never renames the keys of sources already exported. Keys are assigned over keySnips and then only
+ * snips' sources are kept, so a filtered export uses the keys of the unfiltered one; each source is merged
+ * from all of its rows in keySnips too.
+ * @param {Array<object>} snips - snips_history rows to export
+ * @param {Array<object>} [keySnips] - every snips_history row of the user (rows of snips missing here are added)
+ * @returns {Array<{ key: string, source: ReturnType<typeof toCitationSource>, row: object }>}
+ */
+export function buildExportEntries(snips, keySnips = snips) {
+  const exported = new Set(snips.map(sourceKey));
+  const rows = new Map([...keySnips, ...snips].map((row) => [row.id ?? row, row]));
+  const merged = [...mergeBySource([...rows.values()])].map(([sortKey, row]) => {
+    const source = toCitationSource(row);
+    return { row, source, base: baseCitationKey(source), firstSnipped: String(row.created_at || ''), sortKey };
+  });
+  merged.sort((a, b) => a.base.localeCompare(b.base)
+    || a.firstSnipped.localeCompare(b.firstSnipped)
+    || a.sortKey.localeCompare(b.sortKey));
+  const seen = new Map();
+  return merged.flatMap((e) => {
+    const n = seen.get(e.base) || 0;
+    seen.set(e.base, n + 1);
+    if (!exported.has(e.sortKey)) return [];
+    const i = n - 1;
+    const key = n === 0 ? e.base : e.base + String.fromCharCode(97 + (i % 26)) + (i >= 26 ? Math.floor(i / 26) : '');
+    return [{ key, source: e.source, row: e.row }];
+  });
+}
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+function isoDate(d) {
+  if (!d) return '';
+  let s = String(d.year);
+  if (d.month) s += '-' + pad2(d.month);
+  if (d.month && d.day) s += '-' + pad2(d.day);
+  return s;
+}
+
+function bibtexEscape(s) {
+  return String(s)
+    .replace(/\\/g, '\\textbackslash{}')
+    .replace(/([{}&%$#_])/g, '\\$1')
+    .replace(/~/g, '\\textasciitilde{}')
+    .replace(/\^/g, '\\textasciicircum{}');
+}
+
+/**
+ * @param {Array<object>} snips - snips_history rows
+ * @param {Array<object>} [keySnips] - every snips_history row of the user, for the citation keys (buildExportEntries)
+ * @returns {string} BibTeX database
+ */
+export function toBibTeX(snips, keySnips = snips) {
+  return buildExportEntries(snips, keySnips)
+    .map(({ key, source, row }) => {
+      const type = row.doi ? 'article' : 'misc';
+      const fields = [['title', `{${bibtexEscape(source.title)}}`]];
+      if (source.authors.length > 0) {
+        // Organisations are braced so BibTeX does not split them into given and family names.
+        const names = source.authors.map((a) => (a.given
+          ? `${bibtexEscape(a.family)}, ${bibtexEscape(a.given)}`
+          : `{${bibtexEscape(a.family)}}`));
+        fields.push(['author', `{${names.join(' and ')}}`]);
+      }
+      if (source.published) {
+        fields.push(['year', `{${source.published.year}}`]);
+        if (source.published.month) fields.push(['month', `{${source.published.month}}`]);
+      }
+      if (source.siteName) fields.push([type === 'article' ? 'journal' : 'howpublished', `{${bibtexEscape(source.siteName)}}`]);
+      if (row.doi) fields.push(['doi', `{${row.doi}}`]);
+      if (source.url) fields.push(['url', `{${source.url}}`]);
+      fields.push(['urldate', `{${isoDate(source.accessed)}}`]);
+      const body = fields.map(([k, v]) => `  ${k} = ${v}`).join(',\n');
+      return `@${type}{${key},\n${body}\n}\n`;
+    })
+    .join('\n');
+}
+
+function risDate(d) {
+  if (!d) return '';
+  return `${d.year}/${d.month ? pad2(d.month) : ''}/${d.day ? pad2(d.day) : ''}/`;
+}
+
+/**
+ * @param {Array<object>} snips - snips_history rows
+ * @param {Array<object>} [keySnips] - every snips_history row of the user, for the citation keys (buildExportEntries)
+ * @returns {string} RIS file (CRLF line endings, as the format expects)
+ */
+export function toRIS(snips, keySnips = snips) {
+  const lines = [];
+  for (const { key, source, row } of buildExportEntries(snips, keySnips)) {
+    lines.push(`TY  - ${row.doi ? 'JOUR' : 'ELEC'}`);
+    lines.push(`ID  - ${key}`);
+    lines.push(`TI  - ${source.title}`);
+    for (const a of source.authors) lines.push(`AU  - ${a.given ? `${a.family}, ${a.given}` : a.family}`);
+    if (source.published) {
+      lines.push(`PY  - ${source.published.year}`);
+      lines.push(`DA  - ${risDate(source.published)}`);
+    }
+    if (source.siteName) lines.push(`T2  - ${source.siteName}`);
+    if (row.doi) lines.push(`DO  - ${row.doi}`);
+    if (source.url) lines.push(`UR  - ${source.url}`);
+    lines.push(`Y2  - ${risDate(source.accessed)}`);
+    lines.push('ER  - ');
+    lines.push('');
+  }
+  return lines.join('\r\n');
+}
+
+function cslDate(d) {
+  if (!d) return undefined;
+  const parts = [d.year];
+  if (d.month) parts.push(d.month);
+  if (d.month && d.day) parts.push(d.day);
+  return { 'date-parts': [parts] };
+}
+
+/**
+ * @param {Array<object>} snips - snips_history rows
+ * @param {Array<object>} [keySnips] - every snips_history row of the user, for the citation keys (buildExportEntries)
+ * @returns {Array<object>} CSL-JSON items
+ */
+export function toCSLJSON(snips, keySnips = snips) {
+  return buildExportEntries(snips, keySnips).map(({ key, source, row }) => {
+    const item = {
+      id: key,
+      type: row.doi ? 'article-journal' : 'webpage',
+      title: source.title,
+    };
+    if (source.authors.length > 0) {
+      item.author = source.authors.map((a) => (a.given ? { family: a.family, given: a.given } : { literal: a.family }));
+    }
+    if (source.published) item.issued = cslDate(source.published);
+    item.accessed = cslDate(source.accessed);
+    if (source.siteName) item['container-title'] = source.siteName;
+    if (row.doi) item.DOI = row.doi;
+    if (source.url) item.URL = source.url;
+    return item;
+  });
+}
+
+/**
+ * Serialise snips in the given export format.
+ * @param {Array<object>} snips - snips_history rows
+ * @param {string} formatId - id from EXPORT_FORMATS
+ * @param {Array<object>} [keySnips] - every snips_history row of the user, for the citation keys (buildExportEntries)
+ * @returns {{ text: string, extension: string, mimeType: string, count: number }}
+ */
+export function exportSources(snips, formatId, keySnips = snips) {
+  const format = EXPORT_FORMATS.find((f) => f.id === formatId) || EXPORT_FORMATS[0];
+  let text;
+  if (format.id === 'ris') text = toRIS(snips, keySnips);
+  else if (format.id === 'csl-json') text = JSON.stringify(toCSLJSON(snips, keySnips), null, 2) + '\n';
+  else text = toBibTeX(snips, keySnips);
+  return {
+    text,
+    extension: format.extension,
+    mimeType: format.mimeType,
+    count: mergeDuplicateSources(snips).length,
+  };
+}
@@ -0,0 +1,312 @@
+/**
+ * Citation styles for Format References: each style renders the inline marker that replaces a
+ * SNIP_REF_ source line and the bibliography entry for a source. Metadata comes from
+ * getSnipsMetadata (snips_history rows); missing author/date fall back to site and "n.d.".
+ * Snips from PDFs carry a page number, which inline markers add as a pinpoint ("p. 12").
+ */
+
+/** Style used when none is chosen (the original "N. Title (domain)" Sources list). */
+export const DEFAULT_CITATION_STYLE = 'numbered';
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const MONTHS_SHORT = ['Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'Jun.', 'Jul.', 'Aug.', 'Sep.', 'Oct.', 'Nov.', 'Dec.'];
+const MONTHS_MLA = ['Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'June', 'July', 'Aug.', 'Sept.', 'Oct.', 'Nov.', 'Dec.'];
+
+/** Parse a date string (ISO, "2021-03", "2021") into { year, month?, day? } or null. */
+function parseDate(value) {
+  if (!value || typeof value !== 'string') return null;
+  const m = value.trim().match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?/);
+  if (m) {
+    return {
+      year: Number(m[1]),
+      month: m[2] ? Number(m[2]) : null,
+      day: m[3] ? Number(m[3]) : null,
+    };
+  }
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return null;
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+/**
+ * Split an author string ("Jane Doe; John Smith", "Doe, Jane and Smith, John") into name parts.
+ * Single-word names (organisations) keep the whole string as family.
+ * @returns {Array<{ given: string, family: string }>}
+ */
+export function parseAuthors(author) {
+  if (!author || typeof author !== 'string') return [];
+  const parts = author
+    .split(/\s*;\s*|\s+and\s+|\s*&\s*|\s*\|\s*/i)
+    .map((s) => s.trim())
+    .filter(Boolean);
+  // "Doe, Jane" is one person; "Jane Doe, John Smith, Ann Lee" is a list.
+  const names = [];
+  for (const p of parts) {
+    const commaParts = p.split(/\s*,\s*/).filter(Boolean);
+    if (commaParts.length === 2) {
+      names.push({ family: commaParts[0], given: commaParts[1] });
+    } else if (commaParts.length > 2) {
+      for (const c of commaParts) names.push(splitName(c));
+    } else {
+      names.push(splitName(p));
+    }
+  }
+  return names;
+}
+
+function splitName(name) {
+  const words = name.trim().split(/\s+/);
+  if (words.length === 1) return { given: '', family: words[0] };
+  return { given: words.slice(0, -1).join(' '), family: words[words.length - 1] };
+}
+
+function initials(given) {
+  return given
+    .split(/[\s-]+/)
+    .filter(Boolean)
+    .map((w) => w[0].toUpperCase() + '.')
+    .join(' ');
+}
+
+function joinList(items, conjunction) {
+  if (items.length <= 1) return items.join('');
+  if (items.length === 2) return `${items[0]} ${conjunction} ${items[1]}`;
+  return `${items.slice(0, -1).join(', ')}, ${conjunction} ${items[items.length - 1]}`;
+}
+
+function trimPeriod(s) {
+  return s.replace(/[.\s]+$/, '');
+}
+
+/** Page or page range as it appears in a citation: "12" / "12–13" (MLA uses it bare). */
+function pageRange(page) {
+  return page.replace(/\s*[-–]\s*/, '–');
+}
+
+/** Pinpoint with its label: "p. 12", "pp. 12–13". */
+function pageLocator(page) {
+  const pages = pageRange(page);
+  return (pages.includes('–') || pages.includes(',') ? 'pp. ' : 'p. ') + pages;
+}
+
+function shortTitle(title) {
+  const words = title.split(/\s+/);
+  return words.length > 4 ? words.slice(0, 4).join(' ') + '…' : title;
+}
+
+/**
+ * Normalise a snips_history row into the fields every style uses.
+ * The link is the DOI when there is one, else the page's canonical URL, else the URL it was snipped from.
+ * page is the pinpoint of this one snip, not part of the source (snips from different pages share one entry).
+ * @param {{ source_url?: string|null, page_title?: string|null, domain?: string|null, created_at?: string|null, author?: string|null, published_date?: string|null, site_name?: string|null, doi?: string|null, canonical_url?: string|null, page_number?: string|null }} meta
+ */
+export function toCitationSource(meta = {}) {
+  const title = (meta.page_title || 'Untitled').trim();
+  const domain = (meta.domain || '').trim();
+  const doi = (meta.doi || '').trim();
+  return {
+    title,
+    domain,
+    url: doi ? `https://doi.org/${doi}` : (meta.canonical_url || meta.source_url || '').trim(),
+    siteName: (meta.site_name || '').trim() || domain,
+    authors: parseAuthors(meta.author || ''),
+    published: parseDate(meta.published_date || ''),
+    accessed: parseDate(meta.created_at || '') || parseDate(new Date().toISOString()),
+    page: (meta.page_number || '').trim(),
+  };
+}
+
+const numberedStyle = {
+  id: 'numbered',
+  label: 'Numbered (default)',
+  header: 'Sources',
+  numbered: true,
+  superscript: true,
+  inline: (src, { refNumber }) => '\u00A0[' + refNumber + (src.page ? ', ' + pageLocator(src.page) : '') + ']',
+  entry: (src) => (src.domain ? `${src.title} (${src.domain})` : src.title),
+  entryPrefix: (n) => `${n}. `,
+};
+
+const apaStyle = {
+  id: 'apa',
+  label: 'APA 7',
+  header: 'References',
+  numbered: false,
+  superscript: false,
+  inline(src) {
+    const year = src.published ? String(src.published.year) : 'n.d.';
+    const { authors } = src;
+    let who;
+    if (authors.length === 0) who = shortTitle(src.title);
+    else if (authors.length === 1) who = authors[0].family;
+    else if (authors.length === 2) who = `${authors[0].family} & ${authors[1].family}`;
+    else who = `${authors[0].family} et al.`;
+    return `\u00A0(${who}, ${year}${src.page ? ', ' + pageLocator(src.page) : ''})`;
+  },
+  entry(src) {
+    const names = src.authors.map((a) => (a.given ? `${a.family}, ${initials(a.given)}` : a.family));
+    let date = 'n.d.';
+    if (src.published) {
+      date = String(src.published.year);
+      if (src.published.month) {
+        date += `, ${MONTHS[src.published.month - 1]}`;
+        if (src.published.day) date += ` ${src.published.day}`;
+      }
+    }
+    const site = src.siteName && src.siteName !== src.title ? ` ${trimPeriod(src.siteName)}.` : '';
+    const url = src.url ? ` ${src.url}` : '';
+    if (names.length === 0) return `${trimPeriod(src.title)}. (${date}).${site}${url}`;
+    const who = names.length === 2 ? `${names[0]}, & ${names[1]}` : joinList(names, '&');
+    return `${trimPeriod(who)}. (${date}). ${trimPeriod(src.title)}.${site}${url}`;
+  },
+};
+
+const mlaStyle = {
+  id: 'mla',
+  label: 'MLA 9',
+  header: 'Works Cited',
+  numbered: false,
+  superscript: false,
+  inline(src) {
+    const { authors } = src;
+    let who;
+    if (authors.length === 0) who = `"${shortTitle(src.title)}"`;
+    else if (authors.length === 1) who = authors[0].family;
+    else if (authors.length === 2) who = `${authors[0].family} and ${authors[1].family}`;
+    else who = `${authors[0].family} et al.`;
+    return `\u00A0(${who}${src.page ? ' ' + pageRange(src.page) : ''})`;
+  },
+  entry(src) {
+    const { authors } = src;
+    let who = '';
+    if (authors.length === 1) who = authors[0].given ? `${authors[0].family}, ${authors[0].given}` : authors[0].family;
+    else if (authors.length === 2) {
+      const second = authors[1].given ? `${authors[1].given} ${authors[1].family}` : authors[1].family;
+      who = `${authors[0].family}, ${authors[0].given}, and ${second}`;
+    } else if (authors.length > 2) who = `${authors[0].family}, ${authors[0].given}, et al`;
+    const parts = [];
+    if (who) parts.push(`${trimPeriod(who)}.`);
+    parts.push(`"${trimPeriod(src.title)}."`);
+    const container = [];
+    if (src.siteName && src.siteName !== src.title) container.push(src.siteName);
+    if (src.published) container.push(mlaDate(src.published));
+    if (src.url) container.push(src.url.replace(/^https?:\/\//, ''));
+    if (container.length) parts.push(container.join(', ') + '.');
+    parts.push(`Accessed ${mlaDate(src.accessed)}.`);
+    return parts.join(' ');
+  },
+};
+
+function mlaDate(d) {
+  if (!d.month) return String(d.year);
+  const month = MONTHS_MLA[d.month - 1];
+  return d.day ? `${d.day} ${month} ${d.year}` : `${month} ${d.year}`;
+}
+
+function longDate(d) {
+  if (!d.month) return String(d.year);
+  const month = MONTHS[d.month - 1];
+  return d.day ? `${month} ${d.day}, ${d.year}` : `${month} ${d.year}`;
+}
+
+const chicagoStyle = {
+  id: 'chicago',
+  label: 'Chicago (notes)',
+  header: 'Bibliography',
+  numbered: true,
+  superscript: true,
+  // Notes style: the pinpoint belongs in the note itself, so the marker stays a bare number.
+  inline: (src, { refNumber }) => String(refNumber),
+  entry(src) {
+    const { authors } = src;
+    let who = '';
+    if (authors.length > 0) {
+      const first = authors[0].given ? `${authors[0].family}, ${authors[0].given}` : authors[0].family;
+      const rest = authors.slice(1).map((a) => (a.given ? `${a.given} ${a.family}` : a.family));
+      if (authors.length > 3) who = `${first} et al`;
+      else if (authors.length === 2) who = `${first}, and ${rest[0]}`;
+      else who = joinList([first, ...rest], 'and');
+    }
+    const parts = [];
+    if (who) parts.push(`${trimPeriod(who)}.`);
+    parts.push(`"${trimPeriod(src.title)}."`);
+    if (src.siteName && src.siteName !== src.title) parts.push(`${trimPeriod(src.siteName)}.`);
+    if (src.published) parts.push(`${longDate(src.published)}.`);
+    else parts.push(`Accessed ${longDate(src.accessed)}.`);
+    if (src.url) parts.push(`${src.url}.`);
+    return parts.join(' ');
+  },
+  entryPrefix: (n) => `${n}. `,
+};
+
+const ieeeStyle = {
+  id: 'ieee',
+  label: 'IEEE',
+  header: 'References',
+  numbered: true,
+  superscript: false,
+  inline: (src, { refNumber }) => `\u00A0[${refNumber}${src.page ? ', ' + pageLocator(src.page) : ''}]`,
+  entry(src) {
+    const names = src.authors.map((a) => (a.given ? `${initials(a.given)} ${a.family}` : a.family));
+    const who = names.length > 6 ? `${names[0]} et al.` : joinList(names, 'and');
+    const parts = [];
+    if (who) parts.push(`${who},`);
+    parts.push(`"${trimPeriod(src.title)},"`);
+    if (src.siteName && src.siteName !== src.title) parts.push(`${trimPeriod(src.siteName)}.`);
+    const acc = src.accessed;
+    const accessed = acc.month
+      ? `${MONTHS_SHORT[acc.month - 1]} ${acc.day ? acc.day + ', ' : ''}${acc.year}`
+      : String(acc.year);
+    parts.push(`Accessed: ${accessed}.`);
+    if (src.url) parts.push(`[Online]. Available: ${src.url}`);
+    return parts.join(' ');
+  },
+  entryPrefix: (n) => `[${n}] `,
+};
+
+const harvardStyle = {
+  id: 'harvard',
+  label: 'Harvard',
+  header: 'Reference list',
+  numbered: false,
+  superscript: false,
+  inline(src) {
+    const year = src.published ? String(src.published.year) : 'n.d.';
+    const { authors } = src;
+    let who;
+    if (authors.length === 0) who = shortTitle(src.title);
+    else if (authors.length === 1) who = authors[0].family;
+    else if (authors.length <= 3) who = joinList(authors.map((a) => a.family), 'and');
+    else who = `${authors[0].family} et al.`;
+    return `\u00A0(${who} ${year}${src.page ? ', ' + pageLocator(src.page) : ''})`;
+  },
+  entry(src) {
+    const names = src.authors.map((a) => (a.given ? `${a.family}, ${initials(a.given).replace(/ /g, '')}` : a.family));
+    const year = src.published ? String(src.published.year) : 'n.d.';
+    const acc = src.accessed;
+    const accessed = acc.month ? `${acc.day ? acc.day + ' ' : ''}${MONTHS[acc.month - 1]} ${acc.year}` : String(acc.year);
+    const lead = names.length > 0 ? `${joinList(names, 'and')} (${year}) ${trimPeriod(src.title)}.` : `${trimPeriod(src.title)} (${year}).`;
+    const site = src.siteName && src.siteName !== src.title ? ` ${trimPeriod(src.siteName)}.` : '';
+    const url = src.url ? ` Available at: ${src.url}` : '';
+    return `${lead}${site}${url} (Accessed: ${accessed}).`;
+  },
+};
+
+const STYLES = [numberedStyle, apaStyle, mlaStyle, chicagoStyle, ieeeStyle, harvardStyle];
+const STYLES_BY_ID = new Map(STYLES.map((s) => [s.id, s]));
+
+/** Style options for pickers: [{ id, label }]. */
+export const CITATION_STYLES = STYLES.map((s) => ({ id: s.id, label: s.label }));
+
+/**
+ * Look up a style by id; unknown ids fall back to the default numbered style.
+ * @param {string} [id]
+ */
+export function getCitationStyle(id) {
+  return STYLES_BY_ID.get(id) || STYLES_BY_ID.get(DEFAULT_CITATION_STYLE);
+}
+
+/** Strip a numbered prefix ("1. ", "[1] ") from a bibliography line. */
+export function stripEntryPrefix(line) {
+  return line.replace(/^\s*(\d+\.|\[\d+\])\s+/, '').trim();
+}
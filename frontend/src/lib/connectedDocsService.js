@@ -9,13 +9,13 @@ const TABLE = 'connected_docs';
 
 /**
  * Fetch all connected documents for the current user (requires session).
- * @returns {Promise<Array<{ id: string, google_doc_id: string, doc_title: string, last_accessed_at?: string }>>}
+ * @returns {Promise<Array<{ id: string, google_doc_id: string, doc_title: string, last_accessed_at?: string, project_id: string | null }>>}
  */
 export async function getConnectedDocs() {
   if (!isSupabaseConfigured || !supabaseClient) return [];
   const { data, error } = await supabaseClient
     .from(TABLE)
-    .select('id, google_doc_id, doc_title, last_accessed_at')
+    .select('id, google_doc_id, doc_title, last_accessed_at, project_id')
     .order('last_accessed_at', { ascending: false });
   if (error) throw new Error(error.message || 'Failed to load connected documents');
   return data ?? [];
@@ -25,16 +25,18 @@ export async function getConnectedDocs() {
  * Add a document via RPC (enforces free-tier doc limit server-side).
  * @param {string} googleDocId - Google Doc id
  * @param {string} docTitle - Display title
- * @returns {Promise<{ id: string, google_doc_id: string, doc_title: string }>}
+ * @param {string | null} [projectId] - Put the doc in this project (supabase-projects.sql); null keeps its project
+ * @returns {Promise<{ id: string, google_doc_id: string, doc_title: string, project_id: string | null }>}
  * @throws never; returns { error: 'doc_limit_reached' } in payload from RPC — check result.error and show upgrade.
  */
-export async function addConnectedDoc(googleDocId, docTitle = '') {
+export async function addConnectedDoc(googleDocId, docTitle = '', projectId = null) {
   if (!isSupabaseConfigured || !supabaseClient) throw new Error('Supabase not configured');
   const gid = String(googleDocId).trim();
   const title = String(docTitle).trim() || 'Untitled';
   const { data, error } = await supabaseClient.rpc('add_connected_doc', {
     p_google_doc_id: gid,
     p_doc_title: title,
+    p_project_id: projectId || null,
   });
   if (error) throw new Error(error.message || 'Failed to add document');
   if (data?.error === 'not_authenticated') throw new Error('Not authenticated');
@@ -44,9 +46,10 @@ export async function addConnectedDoc(googleDocId, docTitle = '') {
     err.payload = { error: 'doc_limit_reached' };
     throw err;
   }
+  if (data?.error === 'invalid_project') throw new Error('Project not found');
   if (data?.error) throw new Error(data.error === 'invalid_doc_id' ? 'Invalid document' : 'Failed to add document');
   if (!data?.success || !data?.id) throw new Error('Failed to add document');
-  return { id: data.id, google_doc_id: data.google_doc_id, doc_title: data.doc_title };
+  return { id: data.id, google_doc_id: data.google_doc_id, doc_title: data.doc_title, project_id: data.project_id ?? null };
 }
 
 /**
@@ -6,11 +6,154 @@
 
 const DOCS_API_BASE = 'https://docs.googleapis.com/v1/documents';
 
-import { getSourcesSectionInfo } from './formatReferences.js';
+import { SNIP_CITE_PREFIX, getSourcesSectionInfo } from './formatReferences.js';
+import { hasRichText, buildRichTextRequests } from './richText.js';
+import { hasTable, buildTableRequests } from './snipTable.js';
+import { noteLine } from './snipAnnotation.js';
+import { buildTabOutline, flattenOutline, targetIndex, targetTabId, targetBeforeParagraph } from './docsOutline.js';
 
 /** Named range name prefix; full name is SNIP_REF_{uuid} so the doc can be scanned for references. */
 const SNIP_REF_PREFIX = 'SNIP_REF_';
 
+/**
+ * Point every location and range in the requests at a document tab (no-op for the first tab, tabId null).
+ * @param {Array<object>} requests
+ * @param {string | null} tabId
+ */
+function inTab(requests, tabId) {
+  if (!tabId) return requests;
+  const tag = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(tag);
+      return;
+    }
+    if (!value || typeof value !== 'object') return;
+    for (const [key, v] of Object.entries(value)) {
+      if ((key === 'location' || key === 'range') && v && typeof v === 'object') v.tabId = tabId;
+      else tag(v);
+    }
+  };
+  tag(requests);
+  return requests;
+}
+
+/** Field mask for a tab's body, with child tabs down to the deepest nesting Docs allows. */
+function tabsFields(bodyFields) {
+  return documentTabsFields(`body(content(${bodyFields}))`);
+}
+
+/** Field mask for fields of a documentTab (e.g. namedRanges), with child tabs as in tabsFields. */
+function documentTabsFields(documentTabFields, depth = 3) {
+  const tab = `tabProperties(tabId,title,nestingLevel),documentTab(${documentTabFields})`;
+  return depth > 1 ? `${tab},childTabs(${documentTabsFields(documentTabFields, depth - 1)})` : tab;
+}
+
+/** Tabs in reading order (parents before their child tabs). */
+function flattenTabs(tabs, out = []) {
+  for (const tab of tabs ?? []) {
+    out.push(tab);
+    flattenTabs(tab.childTabs, out);
+  }
+  return out;
+}
+
+/**
+ * Body content of one document tab (tabId null: the first tab, as without tabs).
+ * @returns {Promise<Array<object>>}
+ */
+async function getTabContent(documentId, accessToken, tabId, bodyFields) {
+  const tab = await getDocumentTab(documentId, accessToken, tabId, `body(content(${bodyFields}))`);
+  return tab.body?.content ?? [];
+}
+
+/**
+ * Fields of one document tab (tabId null: the first tab, read from the document itself).
+ * @param {string} documentTabFields - field mask inside the documentTab, e.g. 'namedRanges'
+ * @returns {Promise<object>} the documentTab, e.g. { body, namedRanges }
+ */
+async function getDocumentTab(documentId, accessToken, tabId, documentTabFields) {
+  const url = tabId
+    ? `${DOCS_API_BASE}/${documentId}?includeTabsContent=true&fields=${encodeURIComponent(`tabs(${documentTabsFields(documentTabFields)})`)}`
+    : `${DOCS_API_BASE}/${documentId}?fields=${encodeURIComponent(documentTabFields)}`;
+  const res = await fetch(url, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  if (res.status === 401) {
+    throw new Error('SESSION_EXPIRED');
+  }
+  if (!res.ok) {
+    throw new Error(`Docs API error: ${res.status}`);
+  }
+  const doc = await res.json();
+  if (!tabId) return doc;
+  const tab = flattenTabs(doc.tabs).find((t) => t.tabProperties?.tabId === tabId);
+  if (!tab) throw new Error('That document tab no longer exists.');
+  return tab.documentTab ?? {};
+}
+
+/**
+ * Whether the document tab has a SNIP_REF_{snipId} named range, i.e. that snip's source line is already in it.
+ * @param {string} documentId
+ * @param {string} accessToken
+ * @param {string} snipId
+ * @param {string | null} [tabId] - document tab, null for the first
+ * @returns {Promise<boolean>}
+ */
+export async function hasSnipNamedRange(documentId, accessToken, snipId, tabId = null) {
+  const tab = await getDocumentTab(documentId, accessToken, tabId, 'namedRanges');
+  return (tab.namedRanges?.[SNIP_REF_PREFIX + snipId]?.namedRanges ?? []).length > 0;
+}
+
+/**
+ * POST requests as one batchUpdate (they apply in order, all or none).
+ * @returns {Promise<object>} the batchUpdate response
+ */
+async function runBatchUpdate(documentId, accessToken, requests) {
+  const res = await fetch(`${DOCS_API_BASE}/${documentId}:batchUpdate`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ requests }),
+  });
+  if (res.status === 401) throw new Error('SESSION_EXPIRED');
+  if (!res.ok) {
+    const body = await res.text();
+    let message = `Docs API error: ${res.status}`;
+    try {
+      const json = JSON.parse(body);
+      if (json.error?.message) message = json.error.message;
+    } catch (_) {
+      if (body) message += ` ${body.slice(0, 200)}`;
+    }
+    throw new Error(message);
+  }
+  return res.json();
+}
+
+/**
+ * Resolve an InsertTarget (lib/docsOutline.js) for the at-position inserts. A beforeParagraph target
+ * (after a table) first gets an empty body paragraph at its index (requests), which the snip then follows.
+ * @returns {{ index: number, tabId: string | null, opened: number, requests: Array<object> }} opened: characters added (0 or 1)
+ */
+function openInsertTarget(target) {
+  const index = targetIndex(target);
+  const tabId = targetTabId(target);
+  if (!targetBeforeParagraph(target)) return { index, tabId, opened: 0, requests: [] };
+  const requests = [
+    { insertText: { location: { index }, text: '\n' } },
+    {
+      updateParagraphStyle: {
+        range: { startIndex: index, endIndex: index + 1 },
+        paragraphStyle: { namedStyleType: 'NORMAL_TEXT' },
+        fields: 'namedStyleType',
+      },
+    },
+  ];
+  return { index, tabId, opened: 1, requests };
+}
+
 /**
  * Get the end index of the document body (0-based, position after last character).
  * @param {string} documentId
@@ -51,9 +194,9 @@ const NUMBERED_PATTERN = /^[\s\t]*(\d+[.)]\s+)/;
 
 /**
  * Create a Named Range over the given range so the source line can be found by snip_id later.
- * Name format: SNIP_REF_{snip_id}. Fails silently if snipId is missing or API errors.
+ * Name format: SNIP_REF_{snip_id}. Fails silently if snipId is missing or API errors. tabId: the document tab, null for the first.
  */
-async function createSnipNamedRange(documentId, accessToken, startIndex, endIndex, snipId) {
+async function createSnipNamedRange(documentId, accessToken, startIndex, endIndex, snipId, tabId = null) {
   if (!snipId || typeof startIndex !== 'number' || typeof endIndex !== 'number') return;
   const name = SNIP_REF_PREFIX + snipId;
   const batchUrl = `${DOCS_API_BASE}/${documentId}:batchUpdate`;
@@ -68,7 +211,7 @@ async function createSnipNamedRange(documentId, accessToken, startIndex, endInde
         {
           createNamedRange: {
             name,
-            range: { segmentId: '', startIndex, endIndex },
+            range: { segmentId: '', startIndex, endIndex, ...(tabId ? { tabId } : {}) },
           },
         },
       ],
@@ -81,6 +224,72 @@ async function createSnipNamedRange(documentId, accessToken, startIndex, endInde
   }
 }
 
+/**
+ * Requests that put the snip's note (lib/snipAnnotation.js) under its source line as an indented, italic
+ * "Note:" paragraph. The note is after the source line, so the line's indexes stay valid.
+ * @param {number} index - end of the source line (before its newline)
+ * @param {string} [note]
+ * @returns {{ requests: Array<object>, length: number }} length: characters inserted (0 without a note)
+ */
+function snipNoteRequests(index, note) {
+  const line = noteLine(note);
+  if (!line) return { requests: [], length: 0 };
+  const start = index + 1;
+  const end = start + line.length;
+  const requests = [
+    { insertText: { location: { index }, text: '\n' + line } },
+    {
+      updateParagraphStyle: {
+        range: { startIndex: start, endIndex: end },
+        paragraphStyle: {
+          namedStyleType: 'NORMAL_TEXT',
+          indentStart: { magnitude: 36, unit: 'PT' },
+          indentFirstLine: { magnitude: 36, unit: 'PT' },
+        },
+        fields: 'namedStyleType,indentStart,indentFirstLine',
+      },
+    },
+    {
+      updateTextStyle: {
+        range: { startIndex: start, endIndex: end },
+        textStyle: { baselineOffset: 'NONE', bold: false, italic: true, underline: false, strikethrough: false },
+        fields: 'baselineOffset,bold,italic,underline,strikethrough,link',
+      },
+    },
+    {
+      updateTextStyle: {
+        range: { startIndex: start, endIndex: start + 'Note:'.length },
+        textStyle: { bold: true },
+        fields: 'bold',
+      },
+    },
+  ];
+  return { requests, length: 1 + line.length };
+}
+
+/**
+ * Put the snip's note under its source line (snipNoteRequests), for the appends.
+ * Called before the SNIP_REF_ named range is created.
+ * @param {string} documentId
+ * @param {string} accessToken
+ * @param {number} index - end of the source line (before its newline)
+ * @param {string} [note]
+ * @param {string | null} [tabId] - document tab, null for the first
+ * @returns {Promise<number>} length inserted (0 without a note), to extend the insert's range for undo
+ */
+async function insertSnipNote(documentId, accessToken, index, note, tabId = null) {
+  const { requests, length } = snipNoteRequests(index, note);
+  if (!length) return 0;
+  await runBatchUpdate(documentId, accessToken, inTab(requests, tabId));
+  return length;
+}
+
+/** createNamedRange request for SNIP_REF_{snipId} over the source line; none without a snip id. */
+function snipNamedRangeRequests(startIndex, endIndex, snipId) {
+  if (!snipId) return [];
+  return [{ createNamedRange: { name: SNIP_REF_PREFIX + snipId, range: { segmentId: '', startIndex, endIndex } } }];
+}
+
 /** Regex to find SNIP_REF_ named range names in document.namedRanges; capture is the name after prefix. */
 export const SNIP_REF_NAMED_RANGE_PREFIX = SNIP_REF_PREFIX;
 
@@ -129,13 +338,131 @@ function parseSelectionForInsert(selectedText, sourceLabel, title) {
   return { textToInsert: fullText, bulletRanges, numberedRanges, quoteLen: quoteText.length };
 }
 
+/**
+ * Requests for a Text Snip with its formatting (keepFormatting + richText from the selection): text styles,
+ * links, headings, nested lists and monospace code (lib/richText.js), the note with noteInDoc and the
+ * SNIP_REF_ named range. A snip with a table (table snips, lib/snipTable.js) becomes a native table with the
+ * source line under it.
+ * @param {{ richText?: import('./richText.js').RichText | null, table?: import('./snipTable.js').SnipTable | null, pageUrl: string, pageTitle: string, snipId?: string | null, note?: string, noteInDoc?: boolean }} data
+ * @param {number} startIndex
+ * @param {boolean} blankLineFirst - start with a blank line (inserting inside the body rather than appending)
+ * @returns {{ requests: Array<object>, length: number }} length: characters inserted
+ */
+function richSnipRequests(data, startIndex, blankLineFirst) {
+  const { richText, table, pageUrl, pageTitle, snipId } = data;
+  const options = { startIndex, blankLineFirst, title: pageTitle || 'Untitled', pageUrl };
+  const isTable = hasTable(table);
+  const { requests, sourceStart, sourceEnd, endIndex } = isTable
+    ? buildTableRequests(table, options)
+    : buildRichTextRequests(richText, options);
+  const note = data.noteInDoc ? snipNoteRequests(sourceEnd, data.note) : { requests: [], length: 0 };
+  // A table's source line starts its own paragraph: the newline before it is inside the table.
+  const namedRange = snipNamedRangeRequests(isTable ? sourceStart : sourceStart - 9, sourceEnd, snipId);
+  return { requests: [...requests, ...note.requests, ...namedRange], length: endIndex - startIndex + note.length };
+}
+
+/**
+ * Append a Text Snip with its formatting (richSnipRequests) in one batchUpdate.
+ * @param {string} documentId
+ * @param {string} accessToken
+ * @param {Parameters<typeof richSnipRequests>[0]} data
+ * @returns {Promise<{ startIndex: number, endIndex: number, snipId: string | null, tabId: null, beforeParagraph: false }>}
+ */
+async function insertRichHighlight(documentId, accessToken, data) {
+  // Appending goes before the body's final newline, like endOfSegmentLocation.
+  const startIndex = (await getDocumentEndIndex(documentId, accessToken)) - 1;
+  const { requests, length } = richSnipRequests(data, startIndex, false);
+  await runBatchUpdate(documentId, accessToken, requests);
+  return { startIndex, endIndex: startIndex + length, snipId: data.snipId ?? null, tabId: null, beforeParagraph: false };
+}
+
+/**
+ * Requests for a Text Snip at index. A blank line goes first so the snip is in a new paragraph and doesn't
+ * inherit superscript/formatting; then the quote (bullet and numbered lines as lists, or its formatting with
+ * keepFormatting), the linked "Source:" line, the note with noteInDoc and the SNIP_REF_ named range.
+ * @param {Parameters<typeof insertHighlightAtPosition>[2]} data
+ * @param {number} index
+ * @returns {{ requests: Array<object>, length: number }} length: characters inserted
+ */
+function textSnipRequests(data, index) {
+  if (data.keepFormatting && (hasTable(data.table) || hasRichText(data.richText))) {
+    return richSnipRequests(data, index, true);
+  }
+  const { selectedText, pageUrl, pageTitle, snipId } = data;
+  const title = pageTitle || 'Untitled';
+  const sourceLabel = '\nSource: ';
+  const { textToInsert: fullText, bulletRanges, numberedRanges, quoteLen } = parseSelectionForInsert(
+    selectedText || '',
+    sourceLabel,
+    title
+  );
+
+  const requests = [
+    { insertText: { location: { index }, text: '\n' } },
+    { insertText: { location: { index: index + 1 }, text: fullText } },
+    {
+      updateTextStyle: {
+        range: { startIndex: index, endIndex: index + 1 + fullText.length },
+        textStyle: {
+          baselineOffset: 'NONE',
+          bold: false,
+          italic: false,
+          underline: false,
+          strikethrough: false,
+        },
+        fields: 'baselineOffset,bold,italic,underline,strikethrough',
+      },
+    },
+    {
+      // From the new paragraphs on: the paragraph at index (a heading, for "start of section") keeps its style.
+      updateParagraphStyle: {
+        range: { startIndex: index + 1, endIndex: index + 1 + fullText.length },
+        paragraphStyle: { namedStyleType: 'NORMAL_TEXT' },
+        fields: 'namedStyleType',
+      },
+    },
+  ];
+
+  const insertStart = index + 1; // after the leading \n
+  for (const [ranges, bulletPreset] of [
+    [bulletRanges, 'BULLET_DISC_CIRCLE_SQUARE'],
+    [numberedRanges, 'NUMBERED_DECIMAL_ALPHA_ROMAN'],
+  ]) {
+    if (ranges.length === 0) continue;
+    requests.push({
+      createParagraphBullets: {
+        range: { startIndex: insertStart + ranges[0].start, endIndex: insertStart + ranges[ranges.length - 1].end },
+        bulletPreset,
+      },
+    });
+  }
+
+  const sourceStart = insertStart + 1 + quoteLen + sourceLabel.length;
+  const sourceEnd = sourceStart + title.length;
+  requests.push({
+    updateTextStyle: {
+      range: { startIndex: sourceStart, endIndex: sourceEnd },
+      textStyle: { link: { url: pageUrl || '#' } },
+      fields: 'link',
+    },
+  });
+
+  const note = data.noteInDoc ? snipNoteRequests(sourceEnd, data.note) : { requests: [], length: 0 };
+  requests.push(...note.requests, ...snipNamedRangeRequests(sourceStart - 9, sourceEnd, snipId));
+  return { requests, length: 1 + fullText.length + note.length };
+}
+
 /**
  * Insert highlighted text and source link into the connected Google Doc.
  * Visible: "Source: {page_title}" (linked to pageUrl). Snip id stored in Named Range SNIP_REF_{snipId} over that line.
- * @param {{ selectedText: string, pageUrl: string, pageTitle: string, snipId?: string | null }} data
- * @param {{ getSnipsMetadata?: (ids: string[]) => Promise<Array<...>> }} [options] - unused; refs are only converted by Format References
+ * With keepFormatting and richText (captured from the selection) the snip keeps its formatting, and a table
+ * becomes a native table; otherwise plain text. With noteInDoc the snip's note goes under the source line.
+ * @param {{ selectedText: string, pageUrl: string, pageTitle: string, snipId?: string | null, richText?: import('./richText.js').RichText | null, table?: import('./snipTable.js').SnipTable | null, keepFormatting?: boolean, note?: string, noteInDoc?: boolean }} data
  */
-export async function insertHighlightToDoc(documentId, accessToken, data, options = {}) {
+export async function insertHighlightToDoc(documentId, accessToken, data) {
+  if (data.keepFormatting && (hasTable(data.table) || hasRichText(data.richText))) {
+    return insertRichHighlight(documentId, accessToken, data);
+  }
   const { selectedText, pageUrl, pageTitle, snipId } = data;
   const title = pageTitle || 'Untitled';
   const text = selectedText || '';
@@ -181,8 +508,9 @@ export async function insertHighlightToDoc(documentId, accessToken, data, option
     throw new Error(message);
   }
 
+  // The text went in before the body's final newline, so it ends one index before the end.
   const endAfterInsert = await getDocumentEndIndex(documentId, accessToken);
-  const insertStart = endAfterInsert - fullText.length;
+  const insertStart = endAfterInsert - 1 - fullText.length;
 
   const extraRequests = [];
 
@@ -236,8 +564,7 @@ export async function insertHighlightToDoc(documentId, accessToken, data, option
     }
   }
 
-  const textLen = fullText.length;
-  const sourceStart = endAfterInsert - textLen + 1 + quoteLen + sourceLabel.length;
+  const sourceStart = insertStart + 1 + quoteLen + sourceLabel.length;
   const sourceEnd = sourceStart + title.length;
   const linkRequests = [
     {
@@ -273,28 +600,29 @@ export async function insertHighlightToDoc(documentId, accessToken, data, option
     throw new Error(message);
   }
 
+  // The source line ends just before the body's final newline.
+  const noteLength = data.noteInDoc ? await insertSnipNote(documentId, accessToken, endAfterInsert - 1, data.note) : 0;
   const sourceLineStart = sourceStart - 9;
   const sourceLineEnd = sourceEnd;
   await createSnipNamedRange(documentId, accessToken, sourceLineStart, sourceLineEnd, snipId);
 
-  return { startIndex: insertStart, endIndex: endAfterInsert, snipId: snipId ?? null };
+  return { startIndex: insertStart, endIndex: endAfterInsert - 1 + noteLength, snipId: snipId ?? null };
 }
 
-const HEADING_STYLES = new Set(['HEADING_1', 'HEADING_2', 'HEADING_3', 'HEADING_4', 'HEADING_5', 'HEADING_6', 'TITLE', 'SUBTITLE']);
-
 /**
- * Get insertion points: beginning, end of each section (under a heading), and end of doc.
- * Section options use the endIndex of the last paragraph in that section so the plugged text
- * appears on a new line below the section content and keeps normal formatting (not the next heading's).
+ * Outline of the document for the section picker (lib/docsOutline.js): every document tab with its headings
+ * as a tree and the insertion points around them. Docs without extra tabs come back as one tab with tabId
+ * null, whose points are plain indexes as before. If the first tab has a Sources section, no point there
+ * goes past its start.
  * @param {string} documentId
  * @param {string} accessToken
- * @returns {Promise<Array<{ label: string, index: number }>>}
+ * @returns {Promise<import('./docsOutline.js').DocOutline>}
  */
-export async function getDocumentSections(documentId, accessToken) {
-  const fields = [
-    'body.content(startIndex,endIndex,paragraph(paragraphStyle(namedStyleType),elements(textRun(content))))',
-  ].join(',');
-  const url = `${DOCS_API_BASE}/${documentId}?fields=${encodeURIComponent(fields)}`;
+export async function getDocumentOutline(documentId, accessToken) {
+  const bodyFields = 'startIndex,endIndex,table(rows),tableOfContents(content(startIndex)),'
+    + 'paragraph(paragraphStyle(namedStyleType),elements(textRun(content)))';
+  const fields = `title,tabs(${tabsFields(bodyFields)})`;
+  const url = `${DOCS_API_BASE}/${documentId}?includeTabsContent=true&fields=${encodeURIComponent(fields)}`;
   const res = await fetch(url, {
     method: 'GET',
     headers: { Authorization: `Bearer ${accessToken}` },
@@ -312,232 +640,88 @@ export async function getDocumentSections(documentId, accessToken) {
     throw new Error(message);
   }
   const data = await res.json();
-  const content = data.body?.content || [];
-  let maxEnd = 1;
-  let lastContentEnd = 1; // endIndex of the last non-heading element (exclusive; next element starts here)
-  const headingLabels = [];
-  const sectionEndIndices = []; // insert index: last char of section so new text stays in body paragraph, not the next heading
-  for (const el of content) {
-    const end = el.endIndex ?? el.startIndex ?? 0;
-    if (end > maxEnd) maxEnd = end;
-    const para = el.paragraph;
-    const styleType = para?.paragraphStyle?.namedStyleType;
-    const isHeading = para && HEADING_STYLES.has(styleType);
-    const isTitleOrSubtitle = styleType === 'TITLE' || styleType === 'SUBTITLE';
-    if (isHeading) {
-      if (headingLabels.length > 0) {
-        // Insert at last character of section's last paragraph (end - 1) so inserted text
-        // is part of that paragraph and keeps normal style; inserting at end would put
-        // text at start of next heading and inherit heading style.
-        const insertAt = Math.max(1, lastContentEnd - 1);
-        sectionEndIndices[sectionEndIndices.length - 1] = insertAt;
-      }
-      // Don't add title/subtitle as selectable sections
-      if (!isTitleOrSubtitle) {
-        let text = '';
-        if (Array.isArray(para.elements)) {
-          for (const e of para.elements) {
-            if (e.textRun?.content) text += e.textRun.content;
-          }
-        }
-        text = text.replace(/\n/g, ' ').trim().slice(0, 60) || '(unnamed)';
-        headingLabels.push(text);
-        sectionEndIndices.push(null);
-      }
-    } else {
-      lastContentEnd = end;
-    }
-  }
-  if (sectionEndIndices.length > 0) {
-    sectionEndIndices[sectionEndIndices.length - 1] = Math.max(1, lastContentEnd - 1);
-  }
-  // Insert index must be strictly less than segment endIndex; use maxEnd - 1 for end of doc.
-  let endOfDocIndex = Math.max(1, maxEnd - 1);
-  // If the doc has a Sources section, ensure no insert option places content after it.
-  let sourcesSectionStart = null;
+  const tabs = flattenTabs(data.tabs);
+  let maxIndex = null;
   try {
     const info = await getSourcesSectionInfo(documentId, accessToken);
+    // The section starts at the newline that ends the paragraph before it: the last point above it.
     if (info.hasSourcesSection && info.sourcesSectionStart != null && info.sourcesSectionStart > 1) {
-      sourcesSectionStart = info.sourcesSectionStart;
-      endOfDocIndex = Math.min(endOfDocIndex, Math.max(1, sourcesSectionStart - 1));
+      maxIndex = info.sourcesSectionStart;
     }
   } catch (_) {}
-  if (sourcesSectionStart != null) {
-    const maxInsertIndex = Math.max(1, sourcesSectionStart - 1);
-    for (let i = 0; i < sectionEndIndices.length; i++) {
-      if (sectionEndIndices[i] != null && sectionEndIndices[i] > maxInsertIndex) {
-        sectionEndIndices[i] = maxInsertIndex;
-      }
-    }
-  }
-  const sections = [{ label: 'At the beginning', index: 1 }];
-  for (let i = 0; i < headingLabels.length; i++) {
-    const idx = sectionEndIndices[i] != null ? sectionEndIndices[i] : endOfDocIndex;
-    sections.push({ label: 'End of section: ' + headingLabels[i], index: idx });
-  }
-  sections.push({ label: 'At the end', index: endOfDocIndex });
-  return sections;
+  return {
+    tabs: tabs.map((tab, i) =>
+      buildTabOutline(tab.documentTab?.body?.content ?? [], {
+        // The first tab is what the API edits without a tabId; keep its points plain indexes.
+        tabId: i === 0 ? null : tab.tabProperties?.tabId ?? null,
+        title: tab.tabProperties?.title || (i === 0 ? data.title || '' : ''),
+        level: tab.tabProperties?.nestingLevel ?? 0,
+        maxIndex: i === 0 ? maxIndex : null,
+      })
+    ),
+  };
 }
 
 /**
- * Insert highlighted text at a specific index. Same formatting as insertHighlightToDoc (bullets, link, named range).
- * @param {{ selectedText: string, pageUrl: string, pageTitle: string, snipId?: string | null }} data
- * @param {{ getSnipsMetadata?: (ids: string[]) => Promise<Array<...>> }} [options] - unused; refs only converted by Format References
+ * Get insertion points: beginning, end of each section (nested headings included), and end of each tab.
+ * Section options use the end of the last paragraph in that section so the plugged text appears on a new
+ * line below the section content; a section ending with a table gets the point after the table.
+ * @param {string} documentId
+ * @param {string} accessToken
+ * @returns {Promise<import('./docsOutline.js').FlatSection[]>}
  */
-export async function insertHighlightAtPosition(documentId, accessToken, data, insertIndex, options = {}) {
-  const { selectedText, pageUrl, pageTitle, snipId } = data;
-  const title = pageTitle || 'Untitled';
-  const text = selectedText || '';
-
-  const sourceLabel = '\nSource: ';
-  const { textToInsert: fullText, bulletRanges, numberedRanges, quoteLen } = parseSelectionForInsert(
-    text,
-    sourceLabel,
-    title
-  );
-
-  // Insert a blank line first so the content is in a new paragraph and doesn't inherit superscript/formatting.
-  const requests = [
-    {
-      insertText: {
-        location: { index: insertIndex },
-        text: '\n',
-      },
-    },
-    {
-      insertText: {
-        location: { index: insertIndex + 1 },
-        text: fullText,
-      },
-    },
-    {
-      updateTextStyle: {
-        range: { startIndex: insertIndex, endIndex: insertIndex + 1 + fullText.length },
-        textStyle: {
-          baselineOffset: 'NONE',
-          bold: false,
-          italic: false,
-          underline: false,
-          strikethrough: false,
-        },
-        fields: 'baselineOffset,bold,italic,underline,strikethrough',
-      },
-    },
-    {
-      updateParagraphStyle: {
-        range: { startIndex: insertIndex, endIndex: insertIndex + 1 + fullText.length },
-        paragraphStyle: { namedStyleType: 'NORMAL_TEXT' },
-        fields: 'namedStyleType',
-      },
-    },
-  ];
-
-  const batchUrl = `${DOCS_API_BASE}/${documentId}:batchUpdate`;
-  let res = await fetch(batchUrl, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${accessToken}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({ requests }),
-  });
-
-  if (res.status === 401) throw new Error('SESSION_EXPIRED');
-  if (!res.ok) {
-    const body = await res.text();
-    let message = `Docs API error: ${res.status}`;
-    try {
-      const json = JSON.parse(body);
-      if (json.error?.message) message = json.error.message;
-    } catch (_) {
-      if (body) message += ` ${body.slice(0, 200)}`;
-    }
-    throw new Error(message);
-  }
-
-  const insertStart = insertIndex + 1; // after the leading \n
-  const extraRequests = [];
-  if (bulletRanges.length > 0) {
-    const first = bulletRanges[0];
-    const last = bulletRanges[bulletRanges.length - 1];
-    extraRequests.push({
-      createParagraphBullets: {
-        range: { startIndex: insertStart + first.start, endIndex: insertStart + last.end },
-        bulletPreset: 'BULLET_DISC_CIRCLE_SQUARE',
-      },
-    });
-  }
-  if (numberedRanges.length > 0) {
-    const first = numberedRanges[0];
-    const last = numberedRanges[numberedRanges.length - 1];
-    extraRequests.push({
-      createParagraphBullets: {
-        range: { startIndex: insertStart + first.start, endIndex: insertStart + last.end },
-        bulletPreset: 'NUMBERED_DECIMAL_ALPHA_ROMAN',
-      },
-    });
-  }
-  if (extraRequests.length > 0) {
-    res = await fetch(batchUrl, {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ requests: extraRequests }),
-    });
-    if (res.status === 401) throw new Error('SESSION_EXPIRED');
-    if (!res.ok) {
-      const body = await res.text();
-      throw new Error(body?.slice(0, 150) || 'Docs API error');
-    }
-  }
+export async function getDocumentSections(documentId, accessToken) {
+  return flattenOutline(await getDocumentOutline(documentId, accessToken));
+}
 
-  const textLen = fullText.length;
-  const sourceStart = insertStart + 1 + quoteLen + sourceLabel.length;
-  const sourceEnd = sourceStart + title.length;
-  const linkRequests = [
-    {
-      updateTextStyle: {
-        range: { startIndex: sourceStart, endIndex: sourceEnd },
-        textStyle: { link: { url: pageUrl || '#' } },
-        fields: 'link',
-      },
-    },
-  ];
-  res = await fetch(batchUrl, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${accessToken}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({ requests: linkRequests }),
-  });
-  if (res.status === 401) throw new Error('SESSION_EXPIRED');
-  if (!res.ok) {
-    const body = await res.text();
-    throw new Error(body?.slice(0, 150) || 'Docs API error');
-  }
+/**
+ * Insert highlighted text at a specific index, in one batchUpdate (textSnipRequests). Same formatting as
+ * insertHighlightToDoc (bullets, link, named range). With keepFormatting and richText (captured from the selection) the snip keeps its formatting, and a table
+ * becomes a native table; otherwise plain text.
+ * @param {{ selectedText: string, pageUrl: string, pageTitle: string, snipId?: string | null, richText?: import('./richText.js').RichText | null, table?: import('./snipTable.js').SnipTable | null, keepFormatting?: boolean, note?: string, noteInDoc?: boolean }} data
+ * @param {import('./docsOutline.js').InsertTarget} target - index from the outline, optionally in a document tab
+ * @returns {Promise<{ startIndex: number, endIndex: number, snipId: string | null, tabId: string | null, beforeParagraph: boolean }>}
+ */
+export async function insertHighlightAtPosition(documentId, accessToken, data, target) {
+  const { index, tabId, opened, requests: openRequests } = openInsertTarget(target);
+  const { requests, length } = textSnipRequests(data, index);
+  await runBatchUpdate(documentId, accessToken, inTab([...openRequests, ...requests], tabId));
+  return { startIndex: index, endIndex: index + length + opened, snipId: data.snipId ?? null, tabId, beforeParagraph: opened > 0 };
+}
 
-  const sourceLineStart = sourceStart - 9;
-  const sourceLineEnd = sourceEnd;
-  await createSnipNamedRange(documentId, accessToken, sourceLineStart, sourceLineEnd, snipId);
+/**
+ * Text placed between an Image Snip and its "Source:" line ('' when none): the recognised text when
+ * inserted as image_text, then the video moment ("Video at 12:34: “caption”") for video snips.
+ * @param {{ ocrText?: string, insertAs?: string, videoMoment?: string, note?: string, noteInDoc?: boolean }} data
+ */
+function imageTextBlock(data) {
+  const text = String(data.ocrText || '').trim();
+  const moment = String(data.videoMoment || '').trim();
+  return (data.insertAs === 'image_text' && text ? '\n' + text : '') + (moment ? '\n' + moment : '');
+}
 
-  const insertEnd = insertIndex + 1 + fullText.length;
-  return { startIndex: insertIndex, endIndex: insertEnd, snipId: snipId ?? null };
+/** OCR text inserted as a Text Snip ('text' mode), followed by the video moment line when there is one. */
+function ocrQuoteText(data) {
+  const moment = String(data.videoMoment || '').trim();
+  return data.ocrText.trim() + (moment ? '\n' + moment : '');
 }
 
 /**
  * Insert an inline image and source caption into the Google Doc.
  * Visible: "Source: {page_title}" (linked to pageUrl). Snip id stored in Named Range SNIP_REF_{snipId} over that line.
- * @param {{ imageUrl: string, imageWidthPt: number, imageHeightPt: number, pageUrl: string, pageTitle: string, snipId?: string | null }} data
- * @param {{ getSnipsMetadata?: (ids: string[]) => Promise<Array<...>> }} [options] - unused; refs only converted by Format References
+ * With OCR text, insertAs 'image_text' adds the text under the image and 'text' inserts it as a Text Snip instead.
+ * Video snips add their videoMoment line above the source; with noteInDoc the snip's note goes under it.
+ * @param {{ imageUrl: string, imageWidthPt: number, imageHeightPt: number, pageUrl: string, pageTitle: string, snipId?: string | null, ocrText?: string, insertAs?: 'image' | 'image_text' | 'text', videoMoment?: string, note?: string, noteInDoc?: boolean }} data
  */
-export async function insertImageWithSource(documentId, accessToken, data, options = {}) {
+export async function insertImageWithSource(documentId, accessToken, data) {
   const { imageUrl, imageWidthPt, imageHeightPt, pageUrl, pageTitle, snipId } = data;
   const title = pageTitle || 'Untitled';
+  if (data.insertAs === 'text' && String(data.ocrText || '').trim()) {
+    return insertHighlightToDoc(documentId, accessToken, { selectedText: ocrQuoteText(data), pageUrl, pageTitle, snipId, note: data.note, noteInDoc: data.noteInDoc });
+  }
 
-  const sourceText = '\nSource: ' + title;
+  const textBlock = imageTextBlock(data);
+  const sourceText = textBlock + '\nSource: ' + title;
 
   const requests = [
     {
@@ -583,9 +767,10 @@ export async function insertImageWithSource(documentId, accessToken, data, optio
     throw new Error(message);
   }
 
+  // Image and text went in before the body's final newline: the source text ends one index before the end.
   const endAfterInsert = await getDocumentEndIndex(documentId, accessToken);
   const sourceLen = sourceText.length;
-  const linkStart = endAfterInsert - sourceLen + 9;
+  const linkStart = endAfterInsert - 1 - sourceLen + textBlock.length + 9;
   const linkEnd = linkStart + title.length;
   const linkRequests = [
     {
@@ -621,34 +806,61 @@ export async function insertImageWithSource(documentId, accessToken, data, optio
     throw new Error(message);
   }
 
-  const sourceLineStart = endAfterInsert - sourceLen;
-  const sourceLineEnd = endAfterInsert;
+  const noteLength = data.noteInDoc ? await insertSnipNote(documentId, accessToken, endAfterInsert - 1, data.note) : 0;
+  const sourceLineStart = endAfterInsert - 1 - sourceLen + textBlock.length;
+  const sourceLineEnd = endAfterInsert - 1;
   await createSnipNamedRange(documentId, accessToken, sourceLineStart, sourceLineEnd, snipId);
 
-  const insertStart = endAfterInsert - 1 - sourceLen; // image = 1 char
-  return { startIndex: insertStart, endIndex: endAfterInsert, snipId: snipId ?? null };
+  const insertStart = endAfterInsert - 2 - sourceLen; // image = 1 char
+  return { startIndex: insertStart, endIndex: endAfterInsert - 1 + noteLength, snipId: snipId ?? null };
 }
 
 /**
  * Insert an inline image and source caption at a specific index (for section placement).
  * Visible: "Source: {page_title}" (linked). Snip id in Named Range SNIP_REF_{snipId}.
- * @param {{ imageUrl: string, imageWidthPt: number, imageHeightPt: number, pageUrl: string, pageTitle: string, snipId?: string | null }} data
- * @param {{ getSnipsMetadata?: (ids: string[]) => Promise<Array<...>> }} [options] - unused; refs only converted by Format References
+ * OCR text is handled as in insertImageWithSource.
+ * @param {{ imageUrl: string, imageWidthPt: number, imageHeightPt: number, pageUrl: string, pageTitle: string, snipId?: string | null, ocrText?: string, insertAs?: 'image' | 'image_text' | 'text', videoMoment?: string, note?: string, noteInDoc?: boolean }} data
+ * @param {import('./docsOutline.js').InsertTarget} target - index from the outline, optionally in a document tab
+ * @returns {Promise<{ startIndex: number, endIndex: number, snipId: string | null, tabId: string | null, beforeParagraph: boolean }>}
  */
-export async function insertImageWithSourceAtPosition(documentId, accessToken, data, insertIndex, options = {}) {
+export async function insertImageWithSourceAtPosition(documentId, accessToken, data, target) {
+  const { index, tabId, opened, requests: openRequests } = openInsertTarget(target);
+  const { requests, length } = imageSnipRequests(data, index);
+  await runBatchUpdate(documentId, accessToken, inTab([...openRequests, ...requests], tabId));
+  return { startIndex: index, endIndex: index + length + opened, snipId: data.snipId ?? null, tabId, beforeParagraph: opened > 0 };
+}
+
+/**
+ * Requests for an Image Snip at index: a blank line, the image, any OCR/video text and the linked
+ * "Source:" line, then the note with noteInDoc and the SNIP_REF_ named range. OCR text inserted as 'text'
+ * becomes a Text Snip (textSnipRequests).
+ * @param {Parameters<typeof insertImageWithSourceAtPosition>[2]} data
+ * @param {number} index
+ * @returns {{ requests: Array<object>, length: number }} length: characters inserted
+ */
+function imageSnipRequests(data, index) {
   const { imageUrl, imageWidthPt, imageHeightPt, pageUrl, pageTitle, snipId } = data;
   const title = pageTitle || 'Untitled';
+  if (data.insertAs === 'text' && String(data.ocrText || '').trim()) {
+    return textSnipRequests({ selectedText: ocrQuoteText(data), pageUrl, pageTitle, snipId, note: data.note, noteInDoc: data.noteInDoc }, index);
+  }
 
-  const sourceText = '\nSource: ' + title;
+  const textBlock = imageTextBlock(data);
+  const sourceText = textBlock + '\nSource: ' + title;
+  const plainStyle = {
+    textStyle: {
+      baselineOffset: 'NONE',
+      bold: false,
+      italic: false,
+      underline: false,
+      strikethrough: false,
+    },
+    fields: 'baselineOffset,bold,italic,underline,strikethrough',
+  };
 
   // Insert a blank line first so the content is in a new paragraph and doesn't inherit superscript/formatting.
   const requests = [
-    {
-      insertText: {
-        location: { index: insertIndex },
-        text: '\n',
-      },
-    },
+    { insertText: { location: { index }, text: '\n' } },
     {
       insertInlineImage: {
         uri: imageUrl,
@@ -656,137 +868,105 @@ export async function insertImageWithSourceAtPosition(documentId, accessToken, d
           width: { magnitude: imageWidthPt, unit: 'PT' },
           height: { magnitude: imageHeightPt, unit: 'PT' },
         },
-        location: { index: insertIndex + 1 },
-      },
-    },
-    {
-      insertText: {
-        location: { index: insertIndex + 2 },
-        text: sourceText,
-      },
-    },
-    {
-      updateTextStyle: {
-        range: { startIndex: insertIndex, endIndex: insertIndex + 1 },
-        textStyle: {
-          baselineOffset: 'NONE',
-          bold: false,
-          italic: false,
-          underline: false,
-          strikethrough: false,
-        },
-        fields: 'baselineOffset,bold,italic,underline,strikethrough',
-      },
-    },
-    {
-      updateTextStyle: {
-        range: { startIndex: insertIndex + 2, endIndex: insertIndex + 2 + sourceText.length },
-        textStyle: {
-          baselineOffset: 'NONE',
-          bold: false,
-          italic: false,
-          underline: false,
-          strikethrough: false,
-        },
-        fields: 'baselineOffset,bold,italic,underline,strikethrough',
+        location: { index: index + 1 },
       },
     },
+    { insertText: { location: { index: index + 2 }, text: sourceText } },
+    { updateTextStyle: { range: { startIndex: index, endIndex: index + 1 }, ...plainStyle } },
+    { updateTextStyle: { range: { startIndex: index + 2, endIndex: index + 2 + sourceText.length }, ...plainStyle } },
     {
       updateParagraphStyle: {
-        range: { startIndex: insertIndex, endIndex: insertIndex + 2 + sourceText.length },
+        range: { startIndex: index + 1, endIndex: index + 2 + sourceText.length },
         paragraphStyle: { namedStyleType: 'NORMAL_TEXT' },
         fields: 'namedStyleType',
       },
     },
   ];
 
-  const batchUrl = `${DOCS_API_BASE}/${documentId}:batchUpdate`;
-  let res = await fetch(batchUrl, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${accessToken}`,
-      'Content-Type': 'application/json',
+  const linkStart = index + 2 + textBlock.length + 9; // after leading \n, image, OCR/video text and "\nSource: "
+  requests.push({
+    updateTextStyle: {
+      range: { startIndex: linkStart, endIndex: linkStart + title.length },
+      textStyle: { link: { url: pageUrl || '#' } },
+      fields: 'link',
     },
-    body: JSON.stringify({ requests }),
   });
 
-  if (res.status === 401) throw new Error('SESSION_EXPIRED');
-  if (!res.ok) {
-    const body = await res.text();
-    let message = `Docs API error: ${res.status}`;
-    try {
-      const json = JSON.parse(body);
-      if (json.error?.message) message = json.error.message;
-    } catch (_) {
-      if (body) message += ` ${body.slice(0, 200)}`;
-    }
-    throw new Error(message);
-  }
-
-  const linkStart = insertIndex + 2 + 9; // after leading \n and "\nSource: "
-  const linkEnd = linkStart + title.length;
-  const linkRequests = [
-    {
-      updateTextStyle: {
-        range: { startIndex: linkStart, endIndex: linkEnd },
-        textStyle: { link: { url: pageUrl || '#' } },
-        fields: 'link',
-      },
-    },
-  ];
+  const sourceLineStart = index + 2 + textBlock.length;
+  const sourceLineEnd = index + 2 + sourceText.length;
+  const note = data.noteInDoc ? snipNoteRequests(sourceLineEnd, data.note) : { requests: [], length: 0 };
+  requests.push(...note.requests, ...snipNamedRangeRequests(sourceLineStart, sourceLineEnd, snipId));
+  return { requests, length: 2 + sourceText.length + note.length }; // \n + image (1) + sourceText + note
+}
 
-  res = await fetch(batchUrl, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${accessToken}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({ requests: linkRequests }),
-  });
+/**
+ * @typedef {{
+ *   kind: 'text' | 'image',
+ *   data: Parameters<typeof insertHighlightAtPosition>[2] | Parameters<typeof insertImageWithSourceAtPosition>[2],
+ *   target: import('./docsOutline.js').InsertTarget,
+ * }} BatchSnip
+ */
 
-  if (res.status === 401) throw new Error('SESSION_EXPIRED');
-  if (!res.ok) {
-    const body = await res.text();
-    let message = `Docs API error: ${res.status}`;
-    try {
-      const json = JSON.parse(body);
-      if (json.error?.message) message = json.error.message;
-    } catch (_) {
-      if (body) message += ` ${body.slice(0, 200)}`;
-    }
-    throw new Error(message);
+/**
+ * Insert several snips in one batchUpdate (the snip tray): each at its own target, with its source line
+ * linked and its SNIP_REF_ named range, so either all of them go in or none. Snips that share a target
+ * keep their list order.
+ * @param {string} documentId
+ * @param {string} accessToken
+ * @param {BatchSnip[]} snips
+ * @returns {Promise<Array<{ startIndex: number, endIndex: number, snipId: string | null, tabId: string | null, beforeParagraph: boolean }>>}
+ *   where each snip is once the whole batch is in, in list order (for undo)
+ */
+export async function insertSnipBatch(documentId, accessToken, snips) {
+  if (snips.length === 0) return [];
+  const planned = snips.map((snip, order) => ({ snip, order, ...openInsertTarget(snip.target), length: 0 }));
+  // Back to front, so every index is still the one the outline gave. At one index the later snip goes in
+  // first and the earlier one then lands above it.
+  const sequence = [...planned].sort((a, b) => b.index - a.index || b.order - a.order);
+  const requests = [];
+  for (const p of sequence) {
+    const built = p.snip.kind === 'image' ? imageSnipRequests(p.snip.data, p.index) : textSnipRequests(p.snip.data, p.index);
+    p.length = built.length + p.opened;
+    requests.push(...inTab([...p.requests, ...built.requests], p.tabId));
   }
-
-  const sourceLineStart = insertIndex + 2;
-  const sourceLineEnd = sourceLineStart + sourceText.length;
-  await createSnipNamedRange(documentId, accessToken, sourceLineStart, sourceLineEnd, snipId);
-
-  const insertEnd = insertIndex + 2 + sourceText.length; // \n + image (1) + sourceText
-  return { startIndex: insertIndex, endIndex: insertEnd, snipId: snipId ?? null };
+  await runBatchUpdate(documentId, accessToken, requests);
+
+  return planned.map((p) => {
+    // Snips inserted after this one (at or before its index, same tab) pushed it further down.
+    const shift = sequence
+      .slice(sequence.indexOf(p) + 1)
+      .filter((q) => q.tabId === p.tabId)
+      .reduce((sum, q) => sum + q.length, 0);
+    const startIndex = p.index + shift;
+    return { startIndex, endIndex: startIndex + p.length, snipId: p.snip.data.snipId ?? null, tabId: p.tabId, beforeParagraph: p.opened > 0 };
+  });
 }
 
 /**
  * Delete a range of content (and optional named range SNIP_REF_{snipId}) from a Google Doc.
- * Used by "Undo Last Insert" to reverse the last Plug/Snip operation.
+ * Used by "Undo Last Insert" to reverse the last Plug/Snip operation. tabId: the document tab, null for the first.
  */
-export async function deleteInsertRange(documentId, accessToken, startIndex, endIndex, snipId = null) {
+export async function deleteInsertRange(documentId, accessToken, startIndex, endIndex, snipId = null, tabId = null) {
   if (typeof startIndex !== 'number' || typeof endIndex !== 'number' || startIndex < 0 || endIndex <= startIndex) {
     return { success: false, error: 'Invalid range' };
   }
 
-  const requests = [
-    {
-      deleteContentRange: {
-        range: { startIndex, endIndex, segmentId: '' },
-      },
-    },
-  ];
-
+  const requests = [];
   if (snipId && typeof snipId === 'string') {
-    requests.push({
-      deleteNamedRange: { name: SNIP_REF_PREFIX + snipId },
-    });
+    // By id, and only the ranges inside this insert: a snip inserted again has more ranges with the same name.
+    // They go first, as deleting their text removes them too.
+    const { namedRanges } = await getDocumentTab(documentId, accessToken, tabId, 'namedRanges');
+    for (const named of namedRanges?.[SNIP_REF_PREFIX + snipId]?.namedRanges ?? []) {
+      if ((named.ranges ?? []).every((r) => r.startIndex >= startIndex && r.endIndex <= endIndex)) {
+        requests.push({ deleteNamedRange: { namedRangeId: named.namedRangeId } });
+      }
+    }
   }
+  requests.push({
+    deleteContentRange: {
+      range: { startIndex, endIndex, segmentId: '' },
+    },
+  });
 
   const batchUrl = `${DOCS_API_BASE}/${documentId}:batchUpdate`;
   const res = await fetch(batchUrl, {
@@ -795,7 +975,7 @@ export async function deleteInsertRange(documentId, accessToken, startIndex, end
       Authorization: `Bearer ${accessToken}`,
       'Content-Type': 'application/json',
     },
-    body: JSON.stringify({ requests }),
+    body: JSON.stringify({ requests: inTab(requests, tabId) }),
   });
 
   if (res.status === 401) {
@@ -815,3 +995,97 @@ export async function deleteInsertRange(documentId, accessToken, startIndex, end
 
   return { success: true };
 }
+
+/**
+ * Remove every occurrence of a text marker from a Google Doc (replaceAllText, match case).
+ * Used to clear the cursor marker typed by the Docs-side bridge (background/docsCursor.js).
+ * @param {number | null} [breakAt] - index (after the removal) to split the paragraph at, in the same batchUpdate
+ * @returns {Promise<number>} number of occurrences removed
+ */
+export async function removeTextMarker(documentId, accessToken, marker, breakAt = null) {
+  if (!marker || typeof marker !== 'string') return 0;
+  const requests = [{ replaceAllText: { containsText: { text: marker, matchCase: true }, replaceText: '' } }];
+  if (breakAt != null) requests.push({ insertText: { location: { index: breakAt }, text: '\n' } });
+  const batchUrl = `${DOCS_API_BASE}/${documentId}:batchUpdate`;
+  const res = await fetch(batchUrl, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ requests }),
+  });
+  if (res.status === 401) {
+    throw new Error('SESSION_EXPIRED');
+  }
+  if (!res.ok) {
+    throw new Error(`Docs API error: ${res.status}`);
+  }
+  const json = await res.json().catch(() => ({}));
+  return json.replies?.[0]?.replaceAllText?.occurrencesChanged ?? 0;
+}
+
+const INDEXED_TEXT_FIELDS = 'startIndex,endIndex,paragraph(elements(startIndex,endIndex,textRun(content)))';
+
+/**
+ * Read the document body as a string aligned to Docs indices: text[i] is the character at index i.
+ * Inline objects (images), page breaks and other non-text elements are '\uFFFC'; tables and section
+ * breaks are filled with '\uFFFC' for their whole span. Used to check an insert is unchanged before undo.
+ * @param {string} documentId
+ * @param {string} accessToken
+ * @param {string | null} [tabId] - document tab, null for the first
+ * @returns {Promise<{ text: string, endIndex: number }>}
+ */
+export async function getDocumentText(documentId, accessToken, tabId = null) {
+  const content = await getTabContent(documentId, accessToken, tabId, INDEXED_TEXT_FIELDS);
+  const text = indexedText(content);
+  return { text, endIndex: text.length };
+}
+
+/** Body content as a string aligned to Docs indices (see getDocumentText). */
+function indexedText(content) {
+  let text = '\uFFFC'; // index 0 is never addressable in the body
+  const fill = (end) => {
+    if (typeof end === 'number' && end > text.length) text += '\uFFFC'.repeat(end - text.length);
+  };
+  for (const el of content) {
+    if (el.paragraph) {
+      for (const e of el.paragraph.elements ?? []) {
+        fill(e.startIndex);
+        if (e.textRun?.content != null) text += e.textRun.content;
+        else fill(e.endIndex);
+      }
+    } else {
+      fill(el.endIndex);
+    }
+  }
+  return text;
+}
+
+/**
+ * The first tab's text (as getDocumentText) and the snip ranges in it, for finding which snip a passage of the
+ * doc came from: SNIP_REF_ over unformatted source lines and SNIP_CITE_ over the markers Format References wrote.
+ * @param {string} documentId
+ * @param {string} accessToken
+ * @returns {Promise<{ text: string, refs: Array<{ snipId: string, startIndex: number, endIndex: number }> }>}
+ */
+export async function getDocumentSnipRefs(documentId, accessToken) {
+  const fields = `namedRanges,body(content(${INDEXED_TEXT_FIELDS}))`;
+  const res = await fetch(`${DOCS_API_BASE}/${documentId}?fields=${encodeURIComponent(fields)}`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  if (res.status === 401) throw new Error('SESSION_EXPIRED');
+  if (!res.ok) throw new Error(`Docs API error: ${res.status}`);
+  const doc = await res.json();
+  const refs = [];
+  for (const [name, value] of Object.entries(doc.namedRanges ?? {})) {
+    const prefix = [SNIP_REF_PREFIX, SNIP_CITE_PREFIX].find((p) => name.startsWith(p));
+    if (!prefix) continue;
+    for (const r of (value?.namedRanges ?? []).flatMap((n) => n.ranges ?? [])) {
+      if (typeof r.startIndex === 'number' && typeof r.endIndex === 'number') {
+        refs.push({ snipId: name.slice(prefix.length), startIndex: r.startIndex, endIndex: r.endIndex });
+      }
+    }
+  }
+  return { text: indexedText(doc.body?.content ?? []), refs };
+}
@@ -0,0 +1,206 @@
+/**
+ * Document outline for the section picker: the doc's tabs (Docs "document tabs"), the headings in each as a
+ * tree (H1 > H2 > H3) and the insertion points around them — start and end of each section, after any body
+ * paragraph, beginning and end of the tab. Built from the Docs API body content (lib/docsInsert.js fetches it).
+ *
+ * Insertion points are the last character of a paragraph (its newline), like the original section indexes,
+ * so a snip goes in as new paragraphs below it. Where a section ends with a table there is no such paragraph
+ * before the next heading, and the beginning of a tab has none at all; the point is then the start of the
+ * next paragraph with beforeParagraph set, and the insert opens a paragraph there first.
+ */
+
+/**
+ * Where a snip goes. A plain number is an index in the first tab's body (what the section picker has always
+ * sent). The object form adds a document tab (tabId; null or missing is the first tab) and beforeParagraph.
+ * @typedef {number | { index: number, tabId?: string | null, beforeParagraph?: boolean }} InsertTarget
+ */
+
+/**
+ * @typedef {{ id: string, text: string, level: number, start: InsertTarget, end: InsertTarget, children: OutlineHeading[] }} OutlineHeading
+ * @typedef {{ text: string, target: InsertTarget, headingId: string | null }} OutlineParagraph
+ * @typedef {{ tabId: string | null, title: string, level: number, start: InsertTarget, end: InsertTarget, headings: OutlineHeading[], paragraphs: OutlineParagraph[] }} OutlineTab
+ * @typedef {{ tabs: OutlineTab[] }} DocOutline
+ * @typedef {{ label: string, index: number, target: InsertTarget, tabId: string | null }} FlatSection
+ */
+
+const HEADING_LEVELS = { HEADING_1: 1, HEADING_2: 2, HEADING_3: 3, HEADING_4: 4, HEADING_5: 5, HEADING_6: 6 };
+const LABEL_LEN = 60;
+const PARAGRAPH_TEXT_LEN = 300;
+
+/**
+ * An InsertTarget; a plain number when it is an ordinary point in the first tab.
+ * @param {number} index
+ * @param {string | null} [tabId]
+ * @param {boolean} [beforeParagraph]
+ * @returns {InsertTarget}
+ */
+export function makeTarget(index, tabId = null, beforeParagraph = false) {
+  if (!tabId && !beforeParagraph) return index;
+  return { index, tabId: tabId || null, ...(beforeParagraph ? { beforeParagraph: true } : {}) };
+}
+
+/** @param {InsertTarget} target */
+export function targetIndex(target) {
+  return typeof target === 'number' ? target : target.index;
+}
+
+/** @param {InsertTarget} target */
+export function targetTabId(target) {
+  return typeof target === 'number' ? null : target.tabId || null;
+}
+
+/** @param {InsertTarget} target */
+export function targetBeforeParagraph(target) {
+  return typeof target !== 'number' && target.beforeParagraph === true;
+}
+
+/**
+ * True for a usable insertion point (messages from the side panel, stored snip state, outbox items).
+ * -1 (the pickers' "Copy to clipboard") is not one.
+ * @param {unknown} value
+ */
+export function isInsertTarget(value) {
+  const index = typeof value === 'number' ? value : value && typeof value === 'object' ? value.index : NaN;
+  return Number.isInteger(index) && index >= 1;
+}
+
+function paragraphText(paragraph) {
+  let text = '';
+  for (const e of paragraph?.elements ?? []) {
+    if (e.textRun?.content) text += e.textRun.content;
+  }
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Outline of one tab's body.
+ * @param {Array<object>} content - body.content from the Docs API (startIndex, endIndex, paragraph, table, tableOfContents)
+ * @param {{ tabId?: string | null, title?: string, level?: number, maxIndex?: number | null }} [options] -
+ *   maxIndex: no point goes past it (the start of the Sources section, see formatReferences.js)
+ * @returns {OutlineTab}
+ */
+export function buildTabOutline(content, { tabId = null, title = '', level = 0, maxIndex = null } = {}) {
+  const clamp = (index, beforeParagraph = false) =>
+    maxIndex != null && index > maxIndex ? makeTarget(maxIndex, tabId) : makeTarget(Math.max(1, index), tabId, beforeParagraph);
+
+  /** @type {OutlineHeading[]} */
+  const headings = [];
+  /** @type {OutlineParagraph[]} */
+  const paragraphs = [];
+  /** @type {OutlineHeading[]} */
+  const open = [];
+  let last = null; // insertion point after the last thing seen
+  let maxEnd = 1;
+
+  const close = (minLevel) => {
+    while (open.length > 0 && open[open.length - 1].level >= minLevel) {
+      open.pop().end = last;
+    }
+  };
+
+  for (const el of content ?? []) {
+    const end = el.endIndex ?? el.startIndex ?? 0;
+    if (end > maxEnd) maxEnd = end;
+    if (el.paragraph) {
+      const styleType = el.paragraph.paragraphStyle?.namedStyleType;
+      const headingLevel = HEADING_LEVELS[styleType];
+      const text = paragraphText(el.paragraph);
+      if (headingLevel) {
+        close(headingLevel);
+        const heading = {
+          id: `${tabId || 'body'}:${el.startIndex}`,
+          text: text.slice(0, LABEL_LEN) || '(unnamed)',
+          level: headingLevel,
+          start: clamp(end - 1),
+          end: null,
+          children: [],
+        };
+        (open.length > 0 ? open[open.length - 1].children : headings).push(heading);
+        open.push(heading);
+        last = heading.start;
+      } else if (styleType !== 'TITLE' && styleType !== 'SUBTITLE') {
+        last = clamp(end - 1);
+        if (text) {
+          paragraphs.push({
+            text: text.length > PARAGRAPH_TEXT_LEN ? text.slice(0, PARAGRAPH_TEXT_LEN - 1) + '…' : text,
+            target: last,
+            headingId: open.length > 0 ? open[open.length - 1].id : null,
+          });
+        }
+      }
+    } else if (el.table || el.tableOfContents) {
+      // Nothing can go inside it; the next paragraph (or heading) starts at its end.
+      last = clamp(end, true);
+    }
+  }
+
+  const tabEnd = clamp(maxEnd - 1);
+  close(0);
+  const fill = (list) => {
+    for (const h of list) {
+      if (h.end == null) h.end = tabEnd;
+      fill(h.children);
+    }
+  };
+  fill(headings);
+  // The beginning opens a paragraph before the first one, so the snip never runs into its text.
+  return { tabId, title, level, start: makeTarget(1, tabId, true), end: tabEnd, headings, paragraphs };
+}
+
+/**
+ * Label prefix for points in a tab: its title when the doc has several tabs ('' otherwise).
+ * @param {DocOutline} outline
+ * @param {OutlineTab} tab
+ */
+export function tabLabelPrefix(outline, tab) {
+  return (outline?.tabs?.length ?? 0) > 1 ? `${tab.title || 'Untitled tab'} › ` : '';
+}
+
+/**
+ * Flat list of insertion points for the simple pickers (snip history, snip library, the Text Snip shortcut):
+ * beginning, end of each section, end — per tab, with the tab title in front when the doc has several.
+ * Labels match the original section picker (and the section tree) so the shortcut's remembered label resolves.
+ * @param {DocOutline} outline
+ * @param {{ withStarts?: boolean }} [options] - withStarts: also "Start of section: …" (to resolve remembered labels)
+ * @returns {FlatSection[]}
+ */
+export function flattenOutline(outline, { withStarts = false } = {}) {
+  const sections = [];
+  for (const tab of outline?.tabs ?? []) {
+    const prefix = tabLabelPrefix(outline, tab);
+    const add = (label, target) => sections.push({ label: prefix + label, index: targetIndex(target), target, tabId: tab.tabId });
+    add('At the beginning', tab.start);
+    const walk = (list) => {
+      for (const h of list) {
+        if (withStarts) add('Start of section: ' + h.text, h.start);
+        add('End of section: ' + h.text, h.end);
+        walk(h.children);
+      }
+    };
+    walk(tab.headings);
+    add('At the end', tab.end);
+  }
+  return sections;
+}
+
+/**
+ * Body paragraphs whose text contains the query (case-insensitive), for "after the paragraph containing …".
+ * @param {DocOutline} outline
+ * @param {string} query
+ * @param {number} [limit]
+ * @returns {Array<OutlineParagraph & { tabId: string | null, tabTitle: string }>}
+ */
+export function findParagraphs(outline, query, limit = 20) {
+  const q = String(query ?? '').trim().toLowerCase();
+  if (!q) return [];
+  const found = [];
+  for (const tab of outline?.tabs ?? []) {
+    for (const p of tab.paragraphs) {
+      if (p.text.toLowerCase().includes(q)) {
+        found.push({ ...p, tabId: tab.tabId, tabTitle: tab.title });
+        if (found.length >= limit) return found;
+      }
+    }
+  }
+  return found;
+}
@@ -1,11 +1,26 @@
 /**
  * Format References: scan doc for SNIP_REF_ named ranges, replace inline source lines with
- * superscript numbers, and append a deduplicated Sources list at the bottom. Pro-only (enforced by UI).
+ * citation markers, and append a deduplicated bibliography at the bottom in the chosen citation
+ * style (see citationStyles.js). Each marker keeps a SNIP_CITE_ named range so running it again
+ * rewrites every marker and entry in the style chosen then; the bibliography is found again by its
+ * SNIP_BIBLIOGRAPHY named range. Pro-only (enforced by UI).
  */
 
+import {
+  CITATION_STYLES,
+  getCitationStyle,
+  stripEntryPrefix,
+  toCitationSource,
+} from './citationStyles.js';
+
 const DOCS_API_BASE = 'https://docs.googleapis.com/v1/documents';
 const SNIP_REF_PREFIX = 'SNIP_REF_';
-const SOURCES_HEADER = '\n\nSources\n\n';
+/** Named range over a formatted citation marker: SNIP_CITE_{snip_id}. */
+export const SNIP_CITE_PREFIX = 'SNIP_CITE_';
+/** Named range over the bibliography Format References wrote, from the blank lines before its header. */
+const BIBLIOGRAPHY_RANGE = 'SNIP_BIBLIOGRAPHY';
+/** Header of bibliographies written before they had BIBLIOGRAPHY_RANGE (always the numbered "Sources" list). */
+const LEGACY_BIBLIOGRAPHY_MARKER = '\n\nSources\n\n';
 
 /** Superscript digits for reference numbers (1–9, then ⁰ for 0 in 10, 11, ...). */
 const SUPERSCRIPT = ['⁰', '¹', '²', '³', '⁴', '⁵', '⁶', '⁷', '⁸', '⁹'];
@@ -23,11 +38,45 @@ function numberToSuperscript(n) {
 /** Exported for use when inserting with formatted refs (auto-format). */
 export { numberToSuperscript };
 
+/** Body text aligned to Docs indices (text[i] is the character at index i; gaps such as tables are \uFFFC). */
+function indexedBodyText(content) {
+  let text = '';
+  for (const el of content) {
+    for (const e of el.paragraph?.elements ?? []) {
+      if (typeof e.startIndex === 'number' && e.startIndex > text.length) text += '\uFFFC'.repeat(e.startIndex - text.length);
+      if (e.textRun?.content) text += e.textRun.content;
+    }
+  }
+  return text;
+}
+
+/**
+ * The bibliography an earlier run wrote: where BIBLIOGRAPHY_RANGE starts, to the end of the doc. Headings the
+ * writer typed ("References" partway through) are never taken for it. Docs formatted before the range existed
+ * have their last "Sources" header accepted only when every line under it is a numbered entry.
+ * @param {string} text - indexedBodyText
+ * @returns {{ start: number, entriesText: string } | null} entriesText: the lines after the header
+ */
+function findBibliography(text, namedRanges) {
+  const ranges = (namedRanges[BIBLIOGRAPHY_RANGE]?.namedRanges ?? []).flatMap((n) => n.ranges ?? []);
+  const tracked = ranges.sort((a, b) => b.startIndex - a.startIndex)[0];
+  if (tracked) {
+    const header = /^\n*[^\n]*\n\n?/.exec(text.slice(tracked.startIndex))?.[0] ?? '';
+    return { start: tracked.startIndex, entriesText: text.slice(tracked.startIndex + header.length) };
+  }
+  const idx = text.lastIndexOf(LEGACY_BIBLIOGRAPHY_MARKER);
+  if (idx === -1) return null;
+  const entriesText = text.slice(idx + LEGACY_BIBLIOGRAPHY_MARKER.length);
+  const lines = entriesText.split('\n').map((l) => l.trim()).filter(Boolean);
+  if (lines.length === 0 || lines.some((l) => stripEntryPrefix(l) === l)) return null;
+  return { start: idx, entriesText };
+}
+
 /**
- * Get document with named ranges, body end index, and start index of existing "Sources" section (if any).
+ * Get document with named ranges, body end index, and start index of existing bibliography section (if any).
  */
 async function getDocumentWithNamedRanges(documentId, accessToken) {
-  const fields = 'namedRanges,body.content(startIndex,endIndex,paragraph(elements(textRun(content))))';
+  const fields = 'namedRanges,body.content(startIndex,endIndex,paragraph(elements(startIndex,textRun(content))))';
   const url = `${DOCS_API_BASE}/${documentId}?fields=${encodeURIComponent(fields)}`;
   const res = await fetch(url, {
     method: 'GET',
@@ -46,55 +95,28 @@ async function getDocumentWithNamedRanges(documentId, accessToken) {
   const doc = await res.json();
   const content = doc.body?.content || [];
   const endIndex = content.length === 0 ? 0 : Math.max(...content.map((c) => c.endIndex || 0));
-
-  let fullText = '';
-  for (const el of content) {
-    if (el.paragraph?.elements) {
-      for (const e of el.paragraph.elements) {
-        if (e.textRun?.content) fullText += e.textRun.content;
-      }
-    }
-  }
-  const markerIdx = fullText.indexOf(SOURCES_HEADER);
-  let sourcesSectionStart = null;
-  if (markerIdx !== -1) {
-    let pos = 0;
-    for (const el of content) {
-      const start = el.startIndex ?? 0;
-      let text = '';
-      if (el.paragraph?.elements) {
-        for (const e of el.paragraph.elements) {
-          if (e.textRun?.content) text += e.textRun.content;
-        }
-      }
-      const nextPos = pos + text.length;
-      if (markerIdx >= pos && markerIdx < nextPos) {
-        sourcesSectionStart = start + (markerIdx - pos);
-        break;
-      }
-      pos = nextPos;
-    }
-  }
+  const namedRanges = doc.namedRanges || {};
+  const text = indexedBodyText(content);
+  const bibliography = findBibliography(text, namedRanges);
 
   return {
-    namedRanges: doc.namedRanges || {},
+    namedRanges,
     endIndex,
-    sourcesSectionStart,
-    sourcesSectionEnd: sourcesSectionStart != null && fullText.length >= markerIdx + SOURCES_HEADER.length
-      ? sourcesSectionStart + SOURCES_HEADER.length + fullText.slice(markerIdx + SOURCES_HEADER.length).length
-      : null,
-    sourcesSectionText: sourcesSectionStart != null ? fullText.slice(markerIdx + SOURCES_HEADER.length) : null,
+    sourcesSectionStart: bibliography ? bibliography.start : null,
+    sourcesSectionEnd: bibliography ? text.length : null,
+    sourcesSectionText: bibliography ? bibliography.entriesText : null,
   };
 }
 
-/** Parse existing "Sources" section text into list of { page_title, domain }. */
+/**
+ * Parse existing bibliography section text into list of { label, page_title, domain }.
+ * label is the entry without its number prefix, as rendered by the style that wrote it.
+ */
 function parseExistingSourcesSection(sourcesText) {
   const entries = [];
   const lines = sourcesText.split(/\n/);
   for (const line of lines) {
-    const m = line.match(/^\d+\.\s+(.+)$/);
-    if (!m) continue;
-    const label = m[1].trim();
+    const label = stripEntryPrefix(line);
     if (!label) continue;
     const paren = label.lastIndexOf(' (');
     const closeParen = label.lastIndexOf(')');
@@ -104,7 +126,7 @@ function parseExistingSourcesSection(sourcesText) {
       page_title = label.slice(0, paren).trim();
       domain = label.slice(paren + 2, closeParen).trim();
     }
-    entries.push({ page_title: page_title || 'Untitled', domain });
+    entries.push({ label, page_title: page_title || 'Untitled', domain });
   }
   return entries;
 }
@@ -125,13 +147,14 @@ export async function getSourcesSectionInfo(documentId, accessToken) {
 }
 
 /**
- * Collect all SNIP_REF_* named ranges with their ranges.
+ * Collect all SNIP_REF_* (source lines) and SNIP_CITE_* (markers from an earlier run) named ranges with their ranges.
  */
 function collectSnipRefRanges(namedRanges) {
   const list = [];
   for (const [name, value] of Object.entries(namedRanges)) {
-    if (!name || !name.startsWith(SNIP_REF_PREFIX)) continue;
-    const snipId = name.slice(SNIP_REF_PREFIX.length);
+    const prefix = [SNIP_REF_PREFIX, SNIP_CITE_PREFIX].find((p) => name?.startsWith(p));
+    if (!prefix) continue;
+    const snipId = name.slice(prefix.length);
     const entries = value?.namedRanges || (value?.ranges ? [{ ranges: value.ranges }] : []);
     const ranges = Array.isArray(entries) ? entries.flatMap((e) => e.ranges || []) : [];
     for (const r of ranges) {
@@ -145,20 +168,40 @@ function collectSnipRefRanges(namedRanges) {
   return list;
 }
 
+const ALL_STYLES = CITATION_STYLES.map((s) => getCitationStyle(s.id));
+
+/** One bibliography entry per source: the DOI or page URL, else title and domain. */
+function sourceKey(source) {
+  return source.url || `${source.title}\n${source.domain}`;
+}
+
 /**
- * Return true if (page_title, domain) is already in existingEntries.
+ * Whether an existing bibliography entry is for source: written by any style (the access date may come from
+ * another snip of it) or containing its link. MLA writes links without the scheme.
  */
-function isAlreadyInExisting(page_title, domain, existingEntries) {
-  return existingEntries.some(
-    (e) => (e.page_title || '').trim() === (page_title || '').trim() && (e.domain || '').trim() === (domain || '').trim()
-  );
+function entryMatchesSource(label, source) {
+  const text = (label || '').trim();
+  if (ALL_STYLES.some((style) => style.entry(source) === text)) return true;
+  const link = source.url.replace(/^https?:\/\//, '').replace(/\/$/, '');
+  return link.length > 0 && text.includes(link);
 }
 
 /**
- * Format References: replace inline source lines with superscript refs and append Sources list.
- * When the doc already has a Sources section, only existing entries are kept (no duplication from named ranges).
+ * Format References: replace inline source lines with citation markers and rewrite the bibliography.
+ * Entries already in the doc keep their numbers; those for sources cited in the doc are rewritten in the chosen
+ * style, other lines (typed by hand) are kept as written. A newer snip of a listed source reuses its entry.
+ * @param {{ style?: string, signal?: AbortSignal, onProgress?: (stage: string) => void }} [options] - style: citation
+ *   style id from citationStyles.js (default: numbered); onProgress: stages of OPERATION_STAGES.FORMAT_REFERENCES
+ *   (lib/messageProtocol.js); signal: stops before anything is written, with the signal's reason
  */
-export async function formatReferences(documentId, accessToken, fetchSnipsMetadata) {
+export async function formatReferences(documentId, accessToken, fetchSnipsMetadata, options = {}) {
+  const style = getCitationStyle(options.style);
+  const { signal } = options;
+  const progress = (stage) => {
+    signal?.throwIfAborted();
+    options.onProgress?.(stage);
+  };
+  progress('reading');
   const { namedRanges, endIndex, sourcesSectionStart, sourcesSectionText } = await getDocumentWithNamedRanges(documentId, accessToken);
   const rangeList = collectSnipRefRanges(namedRanges);
 
@@ -174,6 +217,9 @@ export async function formatReferences(documentId, accessToken, fetchSnipsMetada
     return { success: true, message: 'No new references to format.', refsCount: existingEntries.length };
   }
 
+  if (namedRanges[BIBLIOGRAPHY_RANGE]) requests.push({ deleteNamedRange: { name: BIBLIOGRAPHY_RANGE } });
+  // Body end once the old bibliography is gone and the markers are written; the new bibliography goes before it.
+  let newEndIndex = endIndex;
   if (sourcesSectionStart != null && sourcesSectionStart < endIndex) {
     const deleteEnd = Math.max(sourcesSectionStart, endIndex - 1);
     if (deleteEnd > sourcesSectionStart) {
@@ -182,65 +228,50 @@ export async function formatReferences(documentId, accessToken, fetchSnipsMetada
           range: { startIndex: sourcesSectionStart, endIndex: deleteEnd, segmentId: '' },
         },
       });
+      newEndIndex -= deleteEnd - sourcesSectionStart;
     }
   }
 
+  progress('citations');
   const snipIds = [...new Set(rangeList.map((r) => r.snipId))];
   const metadataList = await fetchSnipsMetadata(snipIds);
   const metaById = new Map(metadataList.map((m) => [m.id, m]));
 
+  // Sources in order of first citation; the first snip of each gives its entry (and access date).
   const sortedByPosition = [...rangeList].sort((a, b) => a.startIndex - b.startIndex);
-  const newUniqueSources = [];
-  const sourceUrlToRefNumber = new Map();
-
+  const sourcesByKey = new Map();
   for (const r of sortedByPosition) {
-    const meta = metaById.get(r.snipId);
-    const page_title = (meta?.page_title || 'Untitled').trim();
-    const domain = (meta?.domain || '').trim();
-    const url = (meta?.source_url || '').trim() || null;
-
-    if (existingEntries.length > 0 && isAlreadyInExisting(page_title, domain, existingEntries)) {
-      continue;
-    }
-    if (sourceUrlToRefNumber.has(url)) continue;
-
-    const refNumber = existingEntries.length + newUniqueSources.length + 1;
-    sourceUrlToRefNumber.set(url, refNumber);
-    newUniqueSources.push({
-      refNumber,
-      source_url: meta?.source_url ?? null,
-      page_title: meta?.page_title ?? 'Untitled',
-      domain: meta?.domain ?? null,
-    });
+    const source = toCitationSource(metaById.get(r.snipId));
+    const key = sourceKey(source);
+    if (!sourcesByKey.has(key)) sourcesByKey.set(key, { source, refNumber: null });
   }
 
-  const snipIdToRefNumber = new Map();
-  for (const r of rangeList) {
-    const meta = metaById.get(r.snipId);
-    const page_title = (meta?.page_title || 'Untitled').trim();
-    const domain = (meta?.domain || '').trim();
-    const url = (meta?.source_url || '').trim() || null;
-
-    if (existingEntries.length > 0 && isAlreadyInExisting(page_title, domain, existingEntries)) {
-      const idx = existingEntries.findIndex((e) => (e.page_title || '').trim() === page_title && (e.domain || '').trim() === domain);
-      if (idx !== -1) snipIdToRefNumber.set(r.snipId, idx + 1);
-      continue;
+  const uniqueSources = existingEntries.map((e, i) => ({ refNumber: i + 1, label: e.label }));
+  for (const s of sourcesByKey.values()) {
+    const existing = uniqueSources.find((u) => !u.linked && entryMatchesSource(u.label, s.source));
+    if (existing) {
+      existing.linked = true;
+      existing.label = style.entry(s.source);
+      s.refNumber = existing.refNumber;
+    } else {
+      s.refNumber = uniqueSources.length + 1;
+      uniqueSources.push({ refNumber: s.refNumber, label: style.entry(s.source), linked: true });
     }
-    const num = sourceUrlToRefNumber.get(url);
-    if (num != null) snipIdToRefNumber.set(r.snipId, num);
   }
 
-  const uniqueSources = [
-    ...existingEntries.map((e, i) => ({ refNumber: i + 1, page_title: e.page_title, domain: e.domain, source_url: null })),
-    ...newUniqueSources,
-  ];
+  // Named ranges are deleted by name before the markers are written, so the new SNIP_CITE_ ones are kept.
+  for (const name of new Set(rangeList.map((r) => r.name))) {
+    requests.push({
+      deleteNamedRange: { name },
+    });
+  }
 
   const sortedRanges = [...rangeList].sort((a, b) => b.startIndex - a.startIndex);
 
   for (const r of sortedRanges) {
-    const num = snipIdToRefNumber.get(r.snipId);
-    if (num == null) continue;
-    const insertText = '\u00A0[' + num + ']';
+    const { source, refNumber } = sourcesByKey.get(sourceKey(toCitationSource(metaById.get(r.snipId))));
+    const insertText = style.inline(source, { refNumber });
+    newEndIndex += insertText.length - (r.endIndex - r.startIndex);
     requests.push({
       deleteContentRange: {
         range: { startIndex: r.startIndex, endIndex: r.endIndex, segmentId: '' },
@@ -255,37 +286,46 @@ export async function formatReferences(documentId, accessToken, fetchSnipsMetada
     requests.push({
       updateTextStyle: {
         range: { startIndex: r.startIndex, endIndex: r.startIndex + insertText.length },
-        textStyle: { baselineOffset: 'SUPERSCRIPT' },
+        textStyle: { baselineOffset: style.superscript ? 'SUPERSCRIPT' : 'NONE' },
         fields: 'baselineOffset',
       },
     });
+    requests.push({
+      createNamedRange: {
+        name: SNIP_CITE_PREFIX + r.snipId,
+        range: { startIndex: r.startIndex, endIndex: r.startIndex + insertText.length, segmentId: '' },
+      },
+    });
   }
 
-  const sourcesLines = ['\n\nSources\n\n'];
-  let refNum = 1;
-  for (const s of uniqueSources) {
-    const title = (s.page_title || 'Untitled').trim();
-    const domain = (s.domain || '').trim();
-    const label = domain ? `${title} (${domain})` : title;
-    const line = `${refNum}. ${label}\n`;
-    sourcesLines.push(line);
-    refNum++;
+  // Numbered styles list sources in order of first citation; author-date styles alphabetically.
+  const sourcesLines = [`\n\n${style.header}\n\n`];
+  if (style.numbered) {
+    for (const s of uniqueSources) {
+      sourcesLines.push(`${style.entryPrefix(s.refNumber)}${s.label}\n`);
+    }
+  } else {
+    const labels = uniqueSources.map((s) => s.label).sort((x, y) => x.localeCompare(y));
+    for (const label of labels) sourcesLines.push(`${label}\n`);
   }
   const sourcesText = sourcesLines.join('');
 
+  const bibliographyStart = newEndIndex - 1;
   requests.push({
     insertText: {
-      endOfSegmentLocation: { segmentId: '' },
+      location: { index: bibliographyStart },
       text: sourcesText,
     },
   });
+  requests.push({
+    createNamedRange: {
+      name: BIBLIOGRAPHY_RANGE,
+      range: { startIndex: bibliographyStart, endIndex: bibliographyStart + sourcesText.length, segmentId: '' },
+    },
+  });
 
-  for (const r of rangeList) {
-    requests.push({
-      deleteNamedRange: { name: r.name },
-    });
-  }
-
+  // Last point to stop: from here the document is changed.
+  progress('writing');
   const batchUrl = `${DOCS_API_BASE}/${documentId}:batchUpdate`;
   const batchRes = await fetch(batchUrl, {
     method: 'POST',
@@ -307,8 +347,9 @@ export async function formatReferences(documentId, accessToken, fetchSnipsMetada
     throw new Error(message);
   }
 
-  // Ensure the Sources block is normal text (not superscript). Inserting at endOfSegmentLocation
-  // can inherit the previous paragraph's superscript; reset baseline for the Sources range.
+  options.onProgress?.('verifying');
+  // Ensure the bibliography block is normal text (not superscript). Inserting at the end of the body
+  // can inherit the previous paragraph's superscript; reset baseline for the bibliography range.
   const endUrl = `${DOCS_API_BASE}/${documentId}?fields=body.content(endIndex)`;
   const endRes = await fetch(endUrl, { method: 'GET', headers: { Authorization: `Bearer ${accessToken}` } });
   if (endRes.ok) {
@@ -0,0 +1,377 @@
+/**
+ * Message protocol between extension pages (side panel, PDF viewer), content scripts and the service worker.
+ * Every message the background receives is declared in MESSAGES with a request schema, a response schema and a
+ * timeout; background/messageHub.js registers the handlers, popup/messages.js sends them. Both sides validate:
+ * a bad request is refused before it is sent (and again on arrival), a bad response is replaced with an error.
+ *
+ * Protocol failures (unknown type, invalid payload, timeout, a handler that threw) come back as a structured
+ * error { success: false, error, code } with a MESSAGE_ERROR code; handlers report their own failures as before.
+ *
+ * Long-running operations (Format References, Image Snip, inserting the snip tray) also report progress over a port named OPERATION_PORT
+ * (background/operations.js, popup/operations.js); their stages are declared in OPERATION_STAGES.
+ */
+
+import { isInsertTarget } from './docsOutline.js';
+import { SNIP_TRAY_TARGET } from './snipTray.js';
+
+/** Timeout for a message type that does not set one (ms). */
+export const DEFAULT_TIMEOUT_MS = 25000;
+
+/** Codes of structured error responses. */
+export const MESSAGE_ERROR = {
+  UNKNOWN_TYPE: 'UNKNOWN_MESSAGE_TYPE',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  INVALID_RESPONSE: 'INVALID_RESPONSE',
+  TIMEOUT: 'MESSAGE_TIMEOUT',
+  HANDLER_FAILED: 'HANDLER_FAILED',
+};
+
+/**
+ * @typedef {{ check: (value: unknown, path: string) => string | null, optional?: boolean }} Schema
+ * check returns null when the value is valid, otherwise what is wrong with it.
+ */
+
+function describeValue(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  return typeof value === 'string' ? `"${value.slice(0, 40)}"` : typeof value;
+}
+
+const fail = (path, expected, value) => `${path || 'payload'} must be ${expected} (got ${describeValue(value)})`;
+
+/** Schema builders. Objects allow extra keys; a missing or null field is only allowed when it is optional(). */
+export const s = {
+  /** @returns {Schema} */
+  any: () => ({ check: () => null }),
+  /** @returns {Schema} */
+  string: ({ nonEmpty = false } = {}) => ({
+    check: (v, p) => (typeof v === 'string' && (!nonEmpty || v.trim()) ? null : fail(p, nonEmpty ? 'a non-empty string' : 'a string', v)),
+  }),
+  /** @returns {Schema} */
+  number: () => ({ check: (v, p) => (typeof v === 'number' && Number.isFinite(v) ? null : fail(p, 'a number', v)) }),
+  /** @returns {Schema} */
+  integer: () => ({ check: (v, p) => (Number.isInteger(v) ? null : fail(p, 'an integer', v)) }),
+  /** @returns {Schema} */
+  boolean: () => ({ check: (v, p) => (typeof v === 'boolean' ? null : fail(p, 'true or false', v)) }),
+  /** @returns {Schema} */
+  literal: (...values) => ({
+    check: (v, p) => (values.includes(v) ? null : fail(p, values.map((x) => JSON.stringify(x)).join(' or '), v)),
+  }),
+  /** @param {Schema} item @returns {Schema} */
+  array: (item) => ({
+    check: (v, p) => {
+      if (!Array.isArray(v)) return fail(p, 'an array', v);
+      for (let i = 0; i < v.length; i++) {
+        const err = item.check(v[i], `${p}[${i}]`);
+        if (err) return err;
+      }
+      return null;
+    },
+  }),
+  /** @param {Record<string, Schema>} [fields] @returns {Schema} */
+  object: (fields = {}) => ({
+    check: (v, p) => {
+      if (!v || typeof v !== 'object' || Array.isArray(v)) return fail(p, 'an object', v);
+      for (const [key, field] of Object.entries(fields)) {
+        const path = p ? `${p}.${key}` : key;
+        if (v[key] == null) {
+          if (field.optional) continue;
+          return `${path} is required`;
+        }
+        const err = field.check(v[key], path);
+        if (err) return err;
+      }
+      return null;
+    },
+  }),
+  /** @param {Schema} schema @returns {Schema} */
+  optional: (schema) => ({ ...schema, optional: true }),
+  /** @param {...Schema} schemas @returns {Schema} */
+  union: (...schemas) => ({
+    check: (v, p) => {
+      const errors = schemas.map((x) => x.check(v, p));
+      return errors.includes(null) ? null : errors[0];
+    },
+  }),
+  /** An InsertTarget (lib/docsOutline.js). @returns {Schema} */
+  insertTarget: () => ({ check: (v, p) => (isInsertTarget(v) ? null : fail(p, 'an insertion point', v)) }),
+};
+
+const opt = s.optional;
+const tabId = opt(s.integer());
+/** { success, error? }: what most actions answer. */
+const result = (fields = {}) => s.object({ success: s.boolean(), error: opt(s.string()), ...fields });
+/** { ok?, error? }: the snip actions' answer. */
+const okResult = s.object({ ok: opt(s.boolean()), error: opt(s.string()) });
+/** A snip tray item's section (lib/snipTray.js). */
+const traySection = s.object({ label: s.string(), target: s.insertTarget() });
+const trayItemId = s.string({ nonEmpty: true });
+
+/**
+ * Every message the service worker receives.
+ * - request / response: schemas of the message (besides `type`) and of the reply
+ * - timeoutMs: how long the background waits for the handler before answering MESSAGE_TIMEOUT; 0 for no limit
+ *   (snip flows wait on the user and on OCR)
+ * - reply: false for notifications that get no answer (GET_DOC_PREVIEW answers with a DOC_PREVIEW_RESULT broadcast)
+ * - operation: true when the side panel may also run it over the operation port, with progress, cancel and no timeout
+ * @type {Record<string, { request: Schema, response?: Schema, timeoutMs?: number, reply?: false, operation?: true }>}
+ */
+export const MESSAGES = {
+  // --- Auth (the account picker waits on the user) ---
+  AUTH_GET_STATUS: {
+    request: s.object(),
+    response: s.object({ connected: s.boolean(), documentId: opt(s.string()), documentName: opt(s.string()) }),
+    timeoutMs: 10000,
+  },
+  AUTH_CONNECT: {
+    request: s.object({ webClientId: opt(s.string()) }),
+    response: result({ redirectUri: opt(s.string()) }),
+    timeoutMs: 5 * 60 * 1000,
+  },
+  AUTH_DISCONNECT: { request: s.object(), response: result(), timeoutMs: 10000 },
+
+  // --- Docs list, selection and structure ---
+  DOCS_LIST: { request: s.object(), response: result({ docs: opt(s.array(s.object({ id: s.string() }))) }) },
+  DOCS_SET_SELECTED: {
+    request: s.object({ documentId: s.string({ nonEmpty: true }), documentName: opt(s.string()) }),
+    response: result(),
+    timeoutMs: 10000,
+  },
+  DOCS_CREATE: {
+    request: s.object({ name: opt(s.string()) }),
+    response: result({ doc: opt(s.object({ id: s.string(), name: s.string() })) }),
+  },
+  DOCS_GET_SECTIONS: { request: s.object(), response: result({ sections: opt(s.array(s.object({ label: s.string() }))) }) },
+  DOCS_GET_OUTLINE: {
+    request: s.object({ documentId: opt(s.string()) }),
+    response: result({ outline: opt(s.object({ tabs: s.array(s.object()) })) }),
+  },
+  GET_DOC_PREVIEW: { request: s.object(), reply: false },
+
+  // --- Text Snip and reinserts ---
+  GET_PLUG_SELECTION: { request: s.object({ tabId: s.integer() }), response: result({ selection: opt(s.object()) }) },
+  PLUG_IT_IN_AT_SECTION: {
+    request: s.object({
+      selectionData: s.object({ selectedText: s.string() }),
+      insertIndex: s.insertTarget(),
+      sectionLabel: opt(s.string()),
+    }),
+    response: result({ queued: opt(s.boolean()) }),
+    timeoutMs: 60000,
+  },
+  REINSERT_SNIP_AT_SECTION: {
+    request: s.object({
+      snip: s.object({ id: opt(s.string()), snippet_type: opt(s.string()), content: opt(s.string()), drive_url: opt(s.string()) }),
+      insertIndex: s.insertTarget(),
+    }),
+    response: result(),
+    timeoutMs: 60000,
+  },
+  PLUG_IT_IN: { request: s.object({ tabId }), response: okResult, timeoutMs: 0 },
+
+  // --- Image Snip (overlay, PDF viewer) ---
+  START_SNIP: { request: s.object({ tabId }), response: okResult },
+  SNIP_START_WITH_SECTION: {
+    request: s.object({
+      tabId,
+      insertIndex: s.union(s.literal(-1, SNIP_TRAY_TARGET), s.insertTarget()),
+      annotation: opt(s.object()),
+      sectionLabel: opt(s.string()),
+    }),
+    response: okResult,
+  },
+  SNIP_BOUNDS: {
+    request: s.object({
+      bounds: s.object({ x: s.number(), y: s.number(), width: s.number(), height: s.number() }),
+      pageUrl: opt(s.string()),
+      pageTitle: opt(s.string()),
+    }),
+    response: okResult,
+    timeoutMs: 0,
+  },
+  PDF_REGION_SNIP: {
+    request: s.object({ tabId, image: s.object(), pageUrl: opt(s.string()), pageTitle: opt(s.string()), citation: opt(s.object()) }),
+    response: okResult,
+    timeoutMs: 0,
+  },
+  SNIP_CANCEL: { request: s.object(), response: okResult, timeoutMs: 10000 },
+  GET_SNIP_STATE: { request: s.object(), response: s.object({ active: s.boolean() }), timeoutMs: 10000 },
+  SNIP_OVERLAY_CREATED: { request: s.object(), reply: false },
+  SNIP_OVERLAY_CLOSED: { request: s.object(), reply: false },
+  // Answered by the listener snipFlow.js adds while it waits for the page to copy a snip.
+  SNIP_COPY_TO_CLIPBOARD_RESULT: { request: s.object({ success: s.boolean(), error: opt(s.string()) }), reply: false },
+
+  // --- Usage and references ---
+  GET_SNIP_USAGE: {
+    request: s.object(),
+    response: s.object({ used: opt(s.number()), limit: opt(s.number()), allowed: opt(s.boolean()), error: opt(s.string()) }),
+  },
+  FORMAT_REFERENCES: {
+    request: s.object({ style: opt(s.string()) }),
+    response: result({ message: opt(s.string()), refsCount: opt(s.integer()), cancelled: opt(s.boolean()) }),
+    timeoutMs: 90000,
+    operation: true,
+  },
+
+  // --- Insert history ---
+  GET_UNDO_STATE: {
+    request: s.object(),
+    response: s.object({ available: s.boolean(), redoAvailable: s.boolean(), inserts: s.array(s.object({ id: s.string() })) }),
+  },
+  UNDO_LAST_INSERT: { request: s.object(), response: result() },
+  REVERT_INSERT: { request: s.object({ entryId: s.string({ nonEmpty: true }) }), response: result() },
+  REDO_INSERT: { request: s.object(), response: result(), timeoutMs: 60000 },
+
+  // --- Snip tray (staged snips, inserted together) ---
+  GET_SNIP_TRAY: {
+    request: s.object(),
+    response: result({ items: opt(s.array(s.object({ id: s.string(), kind: s.literal('text', 'image') }))) }),
+    timeoutMs: 10000,
+  },
+  SNIP_TRAY_ADD_TEXT: {
+    request: s.object({ selectionData: s.object({ selectedText: s.string() }), section: opt(traySection) }),
+    response: result({ count: opt(s.integer()) }),
+    timeoutMs: 10000,
+  },
+  SNIP_TRAY_UPDATE: {
+    request: s.object({ itemId: trayItemId, text: opt(s.string()), note: opt(s.string()), section: opt(traySection) }),
+    response: result(),
+    timeoutMs: 10000,
+  },
+  SNIP_TRAY_MOVE: { request: s.object({ itemId: trayItemId, delta: s.literal(-1, 1) }), response: result(), timeoutMs: 10000 },
+  SNIP_TRAY_REMOVE: { request: s.object({ itemId: trayItemId }), response: result(), timeoutMs: 10000 },
+  SNIP_TRAY_CLEAR: { request: s.object(), response: result(), timeoutMs: 10000 },
+  SNIP_TRAY_COMMIT: {
+    request: s.object(),
+    response: result({ inserted: opt(s.integer()), remaining: opt(s.integer()), cancelled: opt(s.boolean()) }),
+    timeoutMs: 120000,
+    operation: true,
+  },
+
+  // --- Sources: from a snip back to the passage on its page (the Docs tab's content script, Snip History) ---
+  FIND_SNIP_AT_SELECTION: {
+    request: s.object({ text: s.string({ nonEmpty: true }) }),
+    response: result({ snipId: opt(s.string()) }),
+    timeoutMs: 15000,
+  },
+  // Waits for the source page to load.
+  OPEN_SNIP_SOURCE: {
+    request: s.object({ snipId: s.string({ nonEmpty: true }) }),
+    response: result({ found: opt(s.boolean()) }),
+    timeoutMs: 40000,
+  },
+
+  // --- Pending inserts (offline outbox) ---
+  GET_OUTBOX: { request: s.object(), response: s.object({ items: s.array(s.object({ id: s.string() })), error: opt(s.string()) }) },
+  OUTBOX_RETRY: { request: s.object({ itemId: opt(s.string()) }), response: result(), timeoutMs: 120000 },
+  OUTBOX_DISCARD: { request: s.object({ itemId: s.string({ nonEmpty: true }) }), response: result(), timeoutMs: 10000 },
+};
+
+/** Name of the port the side panel opens for long-running operations (chrome.runtime.connect). */
+export const OPERATION_PORT = 'eznote_operations';
+
+/** Message of the error a cancelled operation stops with. */
+export const OPERATION_CANCELLED = 'OPERATION_CANCELLED';
+
+/**
+ * Stages of each long-running operation, in order, with what the side panel shows for them.
+ * Format References can be cancelled until it starts writing; an Image Snip and the snip tray until they start inserting.
+ * @type {Record<string, Array<{ id: string, label: string }>>}
+ */
+export const OPERATION_STAGES = {
+  FORMAT_REFERENCES: [
+    { id: 'reading', label: 'Reading the document' },
+    { id: 'citations', label: 'Looking up sources' },
+    { id: 'writing', label: 'Writing citations' },
+    { id: 'verifying', label: 'Checking the bibliography' },
+  ],
+  IMAGE_SNIP: [
+    { id: 'capturing', label: 'Capturing' },
+    { id: 'cropping', label: 'Cropping' },
+    { id: 'uploading', label: 'Uploading to Drive' },
+    { id: 'inserting', label: 'Inserting into the doc' },
+    { id: 'verifying', label: 'Verifying' },
+  ],
+  SNIP_TRAY_COMMIT: [
+    { id: 'recording', label: 'Saving the snips' },
+    { id: 'inserting', label: 'Inserting into the doc' },
+    { id: 'verifying', label: 'Adding to the insert history' },
+  ],
+};
+
+/**
+ * Label and completed share (0-1) of an operation at a stage: a stage counts as half done while it runs.
+ * @param {string} type - key of OPERATION_STAGES
+ * @param {string | null} stage
+ * @returns {{ label: string, fraction: number }}
+ */
+export function operationStage(type, stage) {
+  const stages = OPERATION_STAGES[type] || [];
+  const i = stages.findIndex((x) => x.id === stage);
+  if (i === -1) return { label: 'Starting', fraction: 0 };
+  return { label: stages[i].label, fraction: (i + 0.5) / stages.length };
+}
+
+/** Whether a message type may run over the operation port. */
+export function isOperationType(type) {
+  return getMessageDefinition(type)?.operation === true;
+}
+
+/**
+ * A structured error response.
+ * @param {string} code - a MESSAGE_ERROR value
+ * @param {string} error - message for the user
+ * @returns {{ success: false, error: string, code: string }}
+ */
+export function messageError(code, error) {
+  return { success: false, error, code };
+}
+
+/** True for a structured error response (see messageError). */
+export function isMessageError(response) {
+  return response?.success === false && Object.values(MESSAGE_ERROR).includes(response.code);
+}
+
+/** @param {string} type */
+export function getMessageDefinition(type) {
+  return typeof type === 'string' && Object.prototype.hasOwnProperty.call(MESSAGES, type) ? MESSAGES[type] : null;
+}
+
+/**
+ * Time the background gives a message type's handler (ms); 0 means no limit.
+ * @param {string} type
+ */
+export function messageTimeout(type) {
+  return getMessageDefinition(type)?.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+}
+
+/** Whether the sender of this type waits for an answer. */
+export function expectsReply(type) {
+  return getMessageDefinition(type)?.reply !== false;
+}
+
+/**
+ * Check a message against its type's request schema.
+ * @param {unknown} msg - { type, ...payload }
+ * @returns {{ success: false, error: string, code: string } | null} null when it is valid
+ */
+export function validateRequest(msg) {
+  const type = msg && typeof msg === 'object' ? msg.type : undefined;
+  const def = getMessageDefinition(type);
+  if (!def) return messageError(MESSAGE_ERROR.UNKNOWN_TYPE, `Unknown message type: ${typeof type === 'string' ? type : describeValue(type)}`);
+  const problem = def.request.check(msg, '');
+  return problem ? messageError(MESSAGE_ERROR.INVALID_REQUEST, `Invalid ${type} request: ${problem}`) : null;
+}
+
+/**
+ * Check a reply against its type's response schema. Structured errors are always valid.
+ * @param {string} type
+ * @param {unknown} response
+ * @returns {{ success: false, error: string, code: string } | null} null when it is valid
+ */
+export function validateResponse(type, response) {
+  const def = getMessageDefinition(type);
+  if (!def?.response || isMessageError(response)) return null;
+  const problem = def.response.check(response, 'response');
+  return problem ? messageError(MESSAGE_ERROR.INVALID_RESPONSE, `Invalid ${type} response: ${problem}`) : null;
+}
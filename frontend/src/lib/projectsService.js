@@ -0,0 +1,83 @@
+/**
+ * Projects: CRUD for the projects Supabase table (supabase-projects.sql), and moving connected docs between projects.
+ * A project groups connected docs and the snips inserted into them, and can name a default target doc.
+ * Scoped by auth.uid(); use from popup where Supabase client has session.
+ */
+
+import { supabaseClient, isSupabaseConfigured } from '../config/supabase-config.js';
+
+const TABLE = 'projects';
+
+/**
+ * @typedef {{ id: string, name: string, default_doc_id: string | null, created_at?: string }} Project
+ */
+
+/**
+ * Fetch the current user's projects, by name.
+ * @returns {Promise<Project[]>}
+ */
+export async function getProjects() {
+  if (!isSupabaseConfigured || !supabaseClient) return [];
+  const { data, error } = await supabaseClient
+    .from(TABLE)
+    .select('id, name, default_doc_id, created_at')
+    .order('name', { ascending: true });
+  if (error) throw new Error(error.message || 'Failed to load projects');
+  return data ?? [];
+}
+
+/**
+ * Create a project (user_id defaults to auth.uid()).
+ * @param {string} name - Display name (trimmed, max 200 chars)
+ * @returns {Promise<Project>}
+ */
+export async function createProject(name) {
+  if (!isSupabaseConfigured || !supabaseClient) throw new Error('Supabase not configured');
+  const projectName = String(name ?? '').trim().slice(0, 200);
+  if (!projectName) throw new Error('Project name is required');
+  const { data, error } = await supabaseClient
+    .from(TABLE)
+    .insert({ name: projectName })
+    .select('id, name, default_doc_id, created_at')
+    .single();
+  if (error) throw new Error(error.message || 'Failed to create project');
+  return data;
+}
+
+/**
+ * Delete a project. Its docs and snips are kept, without a project.
+ * @param {string} projectId - projects.id
+ */
+export async function deleteProject(projectId) {
+  if (!isSupabaseConfigured || !supabaseClient) throw new Error('Supabase not configured');
+  const { error } = await supabaseClient.from(TABLE).delete().eq('id', projectId);
+  if (error) throw new Error(error.message || 'Failed to delete project');
+}
+
+/**
+ * Set (or clear) the doc that is selected when the user switches to this project.
+ * @param {string} projectId - projects.id
+ * @param {string | null} googleDocId - Google Doc id, or null to clear
+ */
+export async function setProjectDefaultDoc(projectId, googleDocId) {
+  if (!isSupabaseConfigured || !supabaseClient) throw new Error('Supabase not configured');
+  const { error } = await supabaseClient
+    .from(TABLE)
+    .update({ default_doc_id: googleDocId || null })
+    .eq('id', projectId);
+  if (error) throw new Error(error.message || 'Failed to set default document');
+}
+
+/**
+ * Move a connected doc to a project (or out of any project). Its snips move with it.
+ * @param {string} rowId - connected_docs.id
+ * @param {string | null} projectId - projects.id, or null for none
+ */
+export async function setConnectedDocProject(rowId, projectId) {
+  if (!isSupabaseConfigured || !supabaseClient) throw new Error('Supabase not configured');
+  const { error } = await supabaseClient
+    .from('connected_docs')
+    .update({ project_id: projectId || null })
+    .eq('id', rowId);
+  if (error) throw new Error(error.message || 'Failed to move document');
+}
@@ -0,0 +1,313 @@
+/**
+ * Rich-text Text Snips: turn captured paragraphs and styled runs (background/selectionRichText.js) into
+ * Docs API batchUpdate requests, plain text, or HTML for clipboard copies.
+ *
+ * Nested list levels are written as leading tabs, which createParagraphBullets turns into nesting and
+ * removes; the bullet requests therefore come last, in reverse document order, and returned indexes
+ * already account for the removed tabs.
+ *
+ * A formula with an uploaded picture (background/snipMath.js) is written as a one-character placeholder
+ * that is swapped for an inline image; without one its TeX goes in as monospace text. Code blocks are
+ * shaded monospace paragraphs under a small label with their language.
+ */
+
+/**
+ * @typedef {{ tex: string, mathml?: string, display?: boolean, element?: number, image?: { dataUrl?: string, width: number, height: number }, imageUrl?: string }} RichMath -
+ *   image: the rendered formula as captured from the page (CSS px); imageUrl: the same picture uploaded to Drive
+ * @typedef {{ text: string, bold?: boolean, italic?: boolean, underline?: boolean, strike?: boolean, code?: boolean, link?: string, math?: RichMath }} RichRun
+ * @typedef {{ runs: RichRun[], heading?: number, list?: { ordered: boolean, level: number }, code?: boolean, language?: string }} RichParagraph
+ * @typedef {{ paragraphs: RichParagraph[] }} RichText
+ */
+
+/** Font for inline code and code blocks. */
+export const CODE_FONT = 'Roboto Mono';
+const CODE_SHADING = { red: 0.95, green: 0.95, blue: 0.95 };
+const LABEL_COLOR = { red: 0.4, green: 0.4, blue: 0.4 };
+const PX_TO_PT = 0.75;
+const MAX_LIST_LEVEL = 8;
+const BULLET_PRESET = 'BULLET_DISC_CIRCLE_SQUARE';
+const NUMBERED_PRESET = 'NUMBERED_DECIMAL_ALPHA_ROMAN';
+
+/**
+ * True when the snip carries usable rich text.
+ * @param {RichText | null | undefined} richText
+ */
+export function hasRichText(richText) {
+  return Array.isArray(richText?.paragraphs) && richText.paragraphs.some((p) => p.runs?.some((r) => r.text));
+}
+
+function listLevel(paragraph) {
+  return paragraph.list ? Math.max(0, Math.min(MAX_LIST_LEVEL, Math.floor(paragraph.list.level) || 0)) : 0;
+}
+
+function paragraphText(paragraph) {
+  return (paragraph.runs || []).map((r) => r.text || '').join('');
+}
+
+/**
+ * Formulas in the snip, in order.
+ * @param {RichText | null | undefined} richText
+ * @returns {RichMath[]}
+ */
+export function richTextMath(richText) {
+  return (richText?.paragraphs || []).flatMap((p) => (p.runs || []).filter((r) => r.math).map((r) => r.math));
+}
+
+/**
+ * Paragraphs as written to the doc: each code block that names its language starts with a label paragraph.
+ * @param {RichParagraph[]} paragraphs
+ * @returns {Array<RichParagraph & { label?: boolean }>}
+ */
+function withCodeLabels(paragraphs) {
+  const out = [];
+  let prev = null;
+  for (const paragraph of paragraphs) {
+    const startsBlock = paragraph.code && (!prev?.code || prev.language !== paragraph.language);
+    if (startsBlock && paragraph.language && !paragraph.list) {
+      out.push({ runs: [{ text: paragraph.language }], code: true, label: true });
+    }
+    out.push(paragraph);
+    prev = paragraph;
+  }
+  return out;
+}
+
+/**
+ * The snip as plain text, one line per paragraph.
+ * @param {RichText} richText
+ * @returns {string}
+ */
+export function richTextToPlain(richText) {
+  return richText.paragraphs.map(paragraphText).join('\n');
+}
+
+/**
+ * Requests that insert the snip and its "Source:" line at startIndex in one batchUpdate.
+ * @param {RichText} richText
+ * @param {{ startIndex: number, blankLineFirst?: boolean, title: string, pageUrl?: string }} options -
+ *   blankLineFirst: start with an empty paragraph so the snip does not inherit the formatting where it lands
+ * @returns {{ requests: object[], sourceStart: number, sourceEnd: number, endIndex: number }} indexes after the batch
+ */
+export function buildRichTextRequests(richText, { startIndex, blankLineFirst = false, title, pageUrl = '' }) {
+  const sourceLabel = '\nSource: ';
+  let text = (blankLineFirst ? '\n' : '') + '\n';
+  const styleRequests = [];
+  const paragraphRequests = [];
+  const imageRequests = [];
+  const lists = []; // contiguous list groups: { start, end, ordered }
+  const codeBlocks = []; // contiguous code paragraphs: { start, end }
+  let tabsRemoved = 0;
+
+  for (const paragraph of withCodeLabels(richText.paragraphs)) {
+    const paraStart = startIndex + text.length;
+    const level = listLevel(paragraph);
+    if (paragraph.list) {
+      text += '\t'.repeat(level);
+      tabsRemoved += level;
+    }
+    let content = '';
+    for (const run of paragraph.runs || []) {
+      if (!run.text) continue;
+      const runStart = startIndex + text.length + content.length;
+      if (run.math?.imageUrl && run.math.image) {
+        content += ' ';
+        imageRequests.push(
+          { deleteContentRange: { range: { startIndex: runStart, endIndex: runStart + 1 } } },
+          {
+            insertInlineImage: {
+              uri: run.math.imageUrl,
+              location: { index: runStart },
+              objectSize: {
+                width: { magnitude: Math.max(1, Math.round(run.math.image.width * PX_TO_PT)), unit: 'PT' },
+                height: { magnitude: Math.max(1, Math.round(run.math.image.height * PX_TO_PT)), unit: 'PT' },
+              },
+            },
+          }
+        );
+        continue;
+      }
+      content += run.text;
+      const textStyle = {};
+      const fields = [];
+      if (run.bold) { textStyle.bold = true; fields.push('bold'); }
+      if (run.italic) { textStyle.italic = true; fields.push('italic'); }
+      if (run.underline) { textStyle.underline = true; fields.push('underline'); }
+      if (run.strike) { textStyle.strikethrough = true; fields.push('strikethrough'); }
+      if (run.code || run.math || paragraph.code) { textStyle.weightedFontFamily = { fontFamily: CODE_FONT }; fields.push('weightedFontFamily'); }
+      if (paragraph.label) {
+        textStyle.fontSize = { magnitude: 8, unit: 'PT' };
+        textStyle.foregroundColor = { color: { rgbColor: LABEL_COLOR } };
+        fields.push('fontSize', 'foregroundColor');
+      }
+      if (run.link) { textStyle.link = { url: run.link }; fields.push('link'); }
+      if (fields.length > 0) {
+        styleRequests.push({
+          updateTextStyle: {
+            range: { startIndex: runStart, endIndex: runStart + run.text.length },
+            textStyle,
+            fields: fields.join(','),
+          },
+        });
+      }
+    }
+    text += content || ' '; // avoid empty paragraph
+    const paraEnd = startIndex + text.length + 1; // include the paragraph's newline
+    if (paragraph.heading >= 1 && paragraph.heading <= 6) {
+      paragraphRequests.push({
+        updateParagraphStyle: {
+          range: { startIndex: paraStart, endIndex: paraEnd },
+          paragraphStyle: { namedStyleType: `HEADING_${paragraph.heading}` },
+          fields: 'namedStyleType',
+        },
+      });
+    }
+    if (paragraph.runs?.length === 1 && paragraph.runs[0].math?.display) {
+      paragraphRequests.push({
+        updateParagraphStyle: {
+          range: { startIndex: paraStart, endIndex: paraEnd },
+          paragraphStyle: { alignment: 'CENTER' },
+          fields: 'alignment',
+        },
+      });
+    }
+    if (paragraph.list) {
+      const last = lists[lists.length - 1];
+      if (last && last.end === paraStart) last.end = paraEnd;
+      else lists.push({ start: paraStart, end: paraEnd, ordered: !!paragraph.list.ordered });
+    }
+    if (paragraph.code && !paragraph.list) {
+      const last = codeBlocks[codeBlocks.length - 1];
+      if (last && last.end === paraStart) last.end = paraEnd;
+      else codeBlocks.push({ start: paraStart, end: paraEnd });
+    }
+    text += '\n';
+  }
+  text = text.slice(0, -1) + sourceLabel + title;
+  const insertedEnd = startIndex + text.length;
+  const titleStart = insertedEnd - title.length;
+
+  const requests = [
+    { insertText: { location: { index: startIndex }, text } },
+    {
+      updateTextStyle: {
+        range: { startIndex, endIndex: insertedEnd },
+        textStyle: { baselineOffset: 'NONE', bold: false, italic: false, underline: false, strikethrough: false },
+        fields: 'baselineOffset,bold,italic,underline,strikethrough,link,weightedFontFamily',
+      },
+    },
+    {
+      // Not the paragraph the snip follows: the first newline inserted ends it (it may be a heading).
+      updateParagraphStyle: {
+        range: { startIndex: startIndex + 1, endIndex: insertedEnd },
+        paragraphStyle: { namedStyleType: 'NORMAL_TEXT' },
+        fields: 'namedStyleType',
+      },
+    },
+    ...styleRequests,
+    ...paragraphRequests,
+    ...codeBlocks.map((block) => ({
+      updateParagraphStyle: {
+        range: { startIndex: block.start, endIndex: block.end },
+        paragraphStyle: { shading: { backgroundColor: { color: { rgbColor: CODE_SHADING } } } },
+        fields: 'shading',
+      },
+    })),
+    // Same length as the placeholders they replace, so later indexes stay put.
+    ...imageRequests,
+    {
+      updateTextStyle: {
+        range: { startIndex: titleStart, endIndex: insertedEnd },
+        textStyle: { link: { url: pageUrl || '#' } },
+        fields: 'link',
+      },
+    },
+    // Last and back to front: each one removes its group's leading tabs and shifts what follows.
+    ...lists.reverse().map((group) => ({
+      createParagraphBullets: {
+        range: { startIndex: group.start, endIndex: group.end },
+        bulletPreset: group.ordered ? NUMBERED_PRESET : BULLET_PRESET,
+      },
+    })),
+  ];
+
+  return {
+    requests,
+    sourceStart: titleStart - tabsRemoved,
+    sourceEnd: insertedEnd - tabsRemoved,
+    endIndex: insertedEnd - tabsRemoved,
+  };
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function runToHtml(run) {
+  const picture = run.math?.imageUrl || run.math?.image?.dataUrl;
+  if (picture) {
+    const { width, height } = run.math.image || {};
+    const size = width && height ? ` width="${Math.round(width)}" height="${Math.round(height)}"` : '';
+    return `<img src="${escapeHtml(picture)}" alt="${escapeHtml(run.math.tex || run.text)}"${size}>`;
+  }
+  if (run.math) return `<code>${escapeHtml(run.text)}</code>`;
+  let html = escapeHtml(run.text);
+  if (run.code) html = `<code>${html}</code>`;
+  if (run.bold) html = `<b>${html}</b>`;
+  if (run.italic) html = `<i>${html}</i>`;
+  if (run.underline) html = `<u>${html}</u>`;
+  if (run.strike) html = `<s>${html}</s>`;
+  if (run.link) html = `<a href="${escapeHtml(run.link)}">${html}</a>`;
+  return html;
+}
+
+/**
+ * The snip and its source line as HTML (clipboard paste into an open doc keeps the formatting).
+ * @param {RichText} richText
+ * @param {{ title: string, pageUrl?: string }} source
+ * @returns {string}
+ */
+export function richTextToHtml(richText, { title, pageUrl = '' }) {
+  const out = [];
+  const openLists = []; // tag names, innermost last
+  const closeListsTo = (depth) => {
+    while (openLists.length > depth) out.push(`</${openLists.pop()}>`);
+  };
+  const paragraphs = richText.paragraphs;
+  for (let i = 0; i < paragraphs.length; i += 1) {
+    const paragraph = paragraphs[i];
+    if (paragraph.code && !paragraph.list) {
+      // Consecutive code paragraphs are one <pre> block.
+      const lines = [];
+      const language = paragraph.language || '';
+      while (i < paragraphs.length && paragraphs[i].code && !paragraphs[i].list && (paragraphs[i].language || '') === language) {
+        lines.push((paragraphs[i].runs || []).map((r) => escapeHtml(r.text)).join(''));
+        i += 1;
+      }
+      i -= 1;
+      closeListsTo(0);
+      const cls = language ? ` class="language-${escapeHtml(language)}"` : '';
+      out.push(`<pre><code${cls}>${lines.join('\n')}</code></pre>`);
+      continue;
+    }
+    const inner = (paragraph.runs || []).map(runToHtml).join('') || '&nbsp;';
+    if (paragraph.list) {
+      const depth = listLevel(paragraph) + 1;
+      const tag = paragraph.list.ordered ? 'ol' : 'ul';
+      closeListsTo(depth);
+      if (openLists.length === depth && openLists[depth - 1] !== tag) closeListsTo(depth - 1);
+      while (openLists.length < depth) {
+        out.push(`<${tag}>`);
+        openLists.push(tag);
+      }
+      out.push(`<li>${inner}</li>`);
+      continue;
+    }
+    closeListsTo(0);
+    if (paragraph.heading >= 1 && paragraph.heading <= 6) out.push(`<h${paragraph.heading}>${inner}</h${paragraph.heading}>`);
+    else out.push(`<p>${inner}</p>`);
+  }
+  closeListsTo(0);
+  const sourceTitle = escapeHtml(title || 'Untitled');
+  out.push(`<p>Source: ${pageUrl ? `<a href="${escapeHtml(pageUrl)}">${sourceTitle}</a>` : sourceTitle}</p>`);
+  return out.join('');
+}
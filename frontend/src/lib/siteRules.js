@@ -0,0 +1,174 @@
+/**
+ * Site routing rules: "snips from arxiv.org go to Literature Review, section Papers".
+ * Kept in chrome.storage.sync so they follow the user to other Chrome profiles; the background applies them
+ * to Text Snips from the context menu and the shortcut (background/siteRouting.js), the side panel edits them.
+ *
+ * A pattern is a domain ("arxiv.org", also matching its subdomains; "*.arxiv.org" is the same) optionally
+ * followed by a path ("arxiv.org/abs/*", where * is any run of characters and the path matches as a prefix).
+ */
+
+/** chrome.storage.sync key of the rules list (for onChanged listeners). */
+export const SITE_RULES_KEY = 'eznote_site_rules';
+
+/** storage.sync allows 8 KB per item; this keeps the list well inside it. */
+export const MAX_SITE_RULES = 30;
+
+/**
+ * @typedef {{ id: string, pattern: string, documentId: string, documentName: string, heading: string, createdAt: string }} SiteRule
+ * heading: text of the heading whose section snips go to the end of; '' for the end of the document
+ */
+
+function getSyncStorage() {
+  if (typeof chrome === 'undefined' || !chrome.storage?.sync) return null;
+  return chrome.storage.sync;
+}
+
+/**
+ * Tidy a typed pattern: drop the scheme, "www.", a trailing "/" or "/*" and lower-case the domain.
+ * Returns '' when there is no domain in it.
+ * @param {string} input
+ * @returns {string}
+ */
+export function normalizeSitePattern(input) {
+  const s = String(input ?? '').trim().replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+  const slash = s.indexOf('/');
+  let host = (slash === -1 ? s : s.slice(0, slash)).toLowerCase().replace(/:\d+$/, '');
+  let path = slash === -1 ? '' : s.slice(slash);
+  host = host.replace(/^\*\./, '').replace(/^www\./, '');
+  path = path.replace(/[?#].*$/, '').replace(/\/\*?$/, '');
+  if (!/^[a-z0-9*-]+(\.[a-z0-9*-]+)*$/.test(host)) return '';
+  return host + path;
+}
+
+function globToRegExp(glob) {
+  return glob.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+}
+
+/**
+ * Whether a page URL falls under a (normalized) pattern.
+ * @param {string} pattern
+ * @param {string} pageUrl
+ * @returns {boolean}
+ */
+export function sitePatternMatches(pattern, pageUrl) {
+  let url;
+  try {
+    url = new URL(pageUrl);
+  } catch (_) {
+    return false;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return false;
+  const slash = pattern.indexOf('/');
+  const host = slash === -1 ? pattern : pattern.slice(0, slash);
+  const path = slash === -1 ? '' : pattern.slice(slash);
+  const pageHost = url.hostname.toLowerCase().replace(/^www\./, '');
+  const hostOk = host.includes('*')
+    ? new RegExp(`^(.+\\.)?${globToRegExp(host)}$`).test(pageHost)
+    : pageHost === host || pageHost.endsWith('.' + host);
+  if (!hostOk) return false;
+  if (!path) return true;
+  return new RegExp(`^${globToRegExp(path)}(?:[/?#]|$)`, 'i').test(url.pathname + url.search);
+}
+
+/**
+ * The rule for a page: the most specific (longest) matching pattern, or null.
+ * @param {SiteRule[]} rules
+ * @param {string} pageUrl
+ * @returns {SiteRule | null}
+ */
+export function findSiteRule(rules, pageUrl) {
+  if (!pageUrl) return null;
+  let best = null;
+  for (const rule of rules ?? []) {
+    if (!rule?.pattern || !rule.documentId || !sitePatternMatches(rule.pattern, pageUrl)) continue;
+    if (!best || rule.pattern.length > best.pattern.length) best = rule;
+  }
+  return best;
+}
+
+function sameHeading(a, b) {
+  const norm = (s) => String(s ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+  return norm(a) === norm(b);
+}
+
+/**
+ * Find a rule's heading in a document outline (first match in tab order, case and spacing ignored).
+ * @param {import('./docsOutline.js').DocOutline} outline
+ * @param {string} heading
+ * @returns {{ heading: import('./docsOutline.js').OutlineHeading, tab: import('./docsOutline.js').OutlineTab } | null}
+ */
+export function findOutlineHeading(outline, heading) {
+  if (!heading) return null;
+  const walk = (list) => {
+    for (const h of list) {
+      if (sameHeading(h.text, heading)) return h;
+      const found = walk(h.children);
+      if (found) return found;
+    }
+    return null;
+  };
+  for (const tab of outline?.tabs ?? []) {
+    const found = walk(tab.headings);
+    if (found) return { heading: found, tab };
+  }
+  return null;
+}
+
+/**
+ * All rules, oldest first.
+ * @returns {Promise<SiteRule[]>}
+ */
+export async function getSiteRules() {
+  const storage = getSyncStorage();
+  if (!storage) return [];
+  const d = await storage.get(SITE_RULES_KEY);
+  return Array.isArray(d[SITE_RULES_KEY]) ? d[SITE_RULES_KEY] : [];
+}
+
+/**
+ * Add a rule, replacing any rule with the same pattern.
+ * @param {{ pattern: string, documentId: string, documentName?: string, heading?: string }} rule
+ * @returns {Promise<{ rule?: SiteRule, error?: 'invalid_pattern' | 'missing_document' | 'too_many_rules' }>}
+ */
+export async function addSiteRule({ pattern, documentId, documentName = '', heading = '' }) {
+  const storage = getSyncStorage();
+  const normalized = normalizeSitePattern(pattern);
+  if (!normalized) return { error: 'invalid_pattern' };
+  if (!documentId) return { error: 'missing_document' };
+  const rules = (await getSiteRules()).filter((r) => r.pattern !== normalized);
+  if (rules.length >= MAX_SITE_RULES) return { error: 'too_many_rules' };
+  const rule = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    pattern: normalized,
+    documentId,
+    documentName: documentName || 'Untitled',
+    heading: String(heading ?? '').trim(),
+    createdAt: new Date().toISOString(),
+  };
+  if (storage) await storage.set({ [SITE_RULES_KEY]: [...rules, rule] });
+  return { rule };
+}
+
+/**
+ * Change a rule's fields (e.g. its heading after the old one was renamed).
+ * @param {string} id
+ * @param {Partial<Pick<SiteRule, 'documentId' | 'documentName' | 'heading'>>} changes
+ * @returns {Promise<void>}
+ */
+export async function updateSiteRule(id, changes) {
+  const storage = getSyncStorage();
+  if (!storage) return;
+  const rules = await getSiteRules();
+  await storage.set({ [SITE_RULES_KEY]: rules.map((r) => (r.id === id ? { ...r, ...changes, id } : r)) });
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function removeSiteRule(id) {
+  const storage = getSyncStorage();
+  if (!storage) return;
+  const rules = await getSiteRules();
+  await storage.set({ [SITE_RULES_KEY]: rules.filter((r) => r.id !== id) });
+}
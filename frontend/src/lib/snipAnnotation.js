@@ -0,0 +1,76 @@
+/**
+ * Snip annotations: a personal note ("why I grabbed this") and tags attached to a Text or Image Snip.
+ * Both are stored with the snip in snips_history (supabase-snip-annotations.sql); the note can also go
+ * into the doc as an indented "Note:" paragraph under the source line (docsInsert.js).
+ */
+
+/** Column limits in supabase-snip-annotations.sql. */
+export const MAX_NOTE_LENGTH = 2000;
+export const MAX_TAGS = 20;
+export const MAX_TAG_LENGTH = 64;
+
+/**
+ * @typedef {{ note: string, tags: string[] }} SnipAnnotation
+ */
+
+/**
+ * Tags from user input: comma/space separated text ("#reading, methods") or an array. Lower-cased,
+ * without a leading "#", duplicates removed, capped to the column limits.
+ * @param {string | string[] | null | undefined} value
+ * @returns {string[]}
+ */
+export function parseTags(value) {
+  const parts = Array.isArray(value) ? value : String(value ?? '').split(/[,\s]+/);
+  const tags = [];
+  for (const part of parts) {
+    const tag = String(part ?? '').trim().replace(/^#+/, '').toLowerCase().slice(0, MAX_TAG_LENGTH);
+    if (tag && !tags.includes(tag)) tags.push(tag);
+    if (tags.length >= MAX_TAGS) break;
+  }
+  return tags;
+}
+
+/**
+ * Note text as stored: trimmed and capped. Line breaks are kept.
+ * @param {string | null | undefined} note
+ */
+export function cleanNote(note) {
+  return String(note ?? '').trim().slice(0, MAX_NOTE_LENGTH);
+}
+
+/**
+ * Split a one-line quick note where tags are written inline ("good counter-example #methods #ch2").
+ * Used by the context menu prompt.
+ * @param {string | null | undefined} text
+ * @returns {SnipAnnotation}
+ */
+export function parseQuickNote(text) {
+  const value = String(text ?? '');
+  const tags = parseTags(value.match(/#[^\s#,]+/g) || []);
+  const note = cleanNote(value.replace(/(^|\s)#[^\s#,]+,?/g, ' ').replace(/\s+/g, ' '));
+  return { note, tags };
+}
+
+/**
+ * The note paragraph put under the source line in the doc ('' when there is no note).
+ * Line breaks become spaces so the note stays one indented paragraph.
+ * @param {string | null | undefined} note
+ */
+export function noteLine(note) {
+  const text = cleanNote(note).replace(/\s*\n\s*/g, ' ');
+  return text ? 'Note: ' + text : '';
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * The note paragraph as HTML, for formatted clipboard copies ('' when there is no note).
+ * @param {string | null | undefined} note
+ */
+export function noteToHtml(note) {
+  const line = noteLine(note);
+  if (!line) return '';
+  return `<p style="margin-left:36pt"><i><b>Note:</b> ${escapeHtml(line.slice('Note: '.length))}</i></p>`;
+}
@@ -0,0 +1,141 @@
+/**
+ * Table snips: a data table captured from the page (background/selectionTable.js) inserted as a native
+ * Google Docs table, with the "Source:" line under it, or as HTML / tab-separated text for the clipboard.
+ *
+ * insertTable puts a newline before the table and leaves the paragraph it was inserted into after it;
+ * cells are filled back to front so the empty-table indexes stay valid while text goes in.
+ */
+
+/**
+ * @typedef {{ rows: string[][], headerRows: number }} SnipTable - cell text by row; the first headerRows rows are headers
+ */
+
+/**
+ * True when the snip carries a table with at least one filled cell.
+ * @param {SnipTable | null | undefined} table
+ */
+export function hasTable(table) {
+  return Array.isArray(table?.rows) && table.rows.some((row) => Array.isArray(row) && row.some((cell) => cell));
+}
+
+function columnCount(table) {
+  return Math.max(1, ...table.rows.map((row) => row.length));
+}
+
+/**
+ * The table as tab-separated lines (what a copied table looks like as plain text).
+ * @param {SnipTable} table
+ * @returns {string}
+ */
+export function tableToPlain(table) {
+  return table.rows.map((row) => row.join('\t')).join('\n');
+}
+
+/**
+ * Requests that insert the table and its "Source:" line at startIndex in one batchUpdate.
+ * @param {SnipTable} table
+ * @param {{ startIndex: number, blankLineFirst?: boolean, title: string, pageUrl?: string }} options -
+ *   blankLineFirst: leave an empty paragraph above the table, as Text Snips at a section do
+ * @returns {{ requests: object[], sourceStart: number, sourceEnd: number, endIndex: number }} indexes after the batch;
+ *   the source line is its own paragraph under the table (there is no newline before it to include)
+ */
+export function buildTableRequests(table, { startIndex, blankLineFirst = false, title, pageUrl = '' }) {
+  const rows = table.rows.length;
+  const columns = columnCount(table);
+  const headerRows = Math.max(0, Math.min(rows, Math.floor(table.headerRows) || 0));
+  const tableAt = blankLineFirst ? startIndex + 1 : startIndex;
+  // Empty table: one index for the table, per row one for the row and two (cell + empty paragraph) per cell.
+  const tableStart = tableAt + 1;
+  const rowSize = 1 + 2 * columns;
+  const tableEnd = tableStart + 1 + rows * rowSize;
+  const emptyCellIndex = (r, c) => tableStart + 3 + r * rowSize + 2 * c;
+
+  const sourceText = 'Source: ' + title;
+  const requests = [];
+  if (blankLineFirst) requests.push({ insertText: { location: { index: startIndex }, text: '\n' } });
+  requests.push({ insertTable: { rows, columns, location: { index: tableAt } } });
+  requests.push({ insertText: { location: { index: tableEnd }, text: sourceText } });
+
+  const cells = [];
+  let filled = 0; // text inserted into earlier cells
+  for (let r = 0; r < rows; r += 1) {
+    for (let c = 0; c < columns; c += 1) {
+      const text = String(table.rows[r][c] ?? '').replace(/\s*\n\s*/g, ' ');
+      if (!text) continue;
+      cells.push({ at: emptyCellIndex(r, c), start: emptyCellIndex(r, c) + filled, text, header: r < headerRows });
+      filled += text.length;
+    }
+  }
+  for (let i = cells.length - 1; i >= 0; i -= 1) {
+    requests.push({ insertText: { location: { index: cells[i].at }, text: cells[i].text } });
+  }
+  for (const cell of cells) {
+    requests.push({
+      updateTextStyle: {
+        range: { startIndex: cell.start, endIndex: cell.start + cell.text.length },
+        textStyle: { baselineOffset: 'NONE', bold: cell.header, italic: false, underline: false, strikethrough: false },
+        fields: 'baselineOffset,bold,italic,underline,strikethrough,link',
+      },
+    });
+  }
+
+  const sourceStart = tableEnd + filled;
+  const sourceEnd = sourceStart + sourceText.length;
+  requests.push(
+    {
+      updateTextStyle: {
+        range: { startIndex: sourceStart, endIndex: sourceEnd },
+        textStyle: { baselineOffset: 'NONE', bold: false, italic: false, underline: false, strikethrough: false },
+        fields: 'baselineOffset,bold,italic,underline,strikethrough,link',
+      },
+    },
+    {
+      updateParagraphStyle: {
+        range: { startIndex: sourceStart, endIndex: sourceEnd },
+        paragraphStyle: { namedStyleType: 'NORMAL_TEXT' },
+        fields: 'namedStyleType',
+      },
+    },
+    {
+      updateTextStyle: {
+        range: { startIndex: sourceEnd - title.length, endIndex: sourceEnd },
+        textStyle: { link: { url: pageUrl || '#' } },
+        fields: 'link',
+      },
+    }
+  );
+  if (blankLineFirst) {
+    requests.push({
+      updateParagraphStyle: {
+        range: { startIndex: startIndex + 1, endIndex: tableAt + 1 },
+        paragraphStyle: { namedStyleType: 'NORMAL_TEXT' },
+        fields: 'namedStyleType',
+      },
+    });
+  }
+
+  return { requests, sourceStart, sourceEnd, endIndex: sourceEnd };
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * The table and its source line as HTML (clipboard paste into an open doc makes a native table).
+ * @param {SnipTable} table
+ * @param {{ title: string, pageUrl?: string }} source
+ * @returns {string}
+ */
+export function tableToHtml(table, { title, pageUrl = '' }) {
+  const columns = columnCount(table);
+  const body = table.rows.map((row, r) => {
+    const tag = r < table.headerRows ? 'th' : 'td';
+    const cells = [];
+    for (let c = 0; c < columns; c += 1) cells.push(`<${tag}>${escapeHtml(row[c] ?? '')}</${tag}>`);
+    return `<tr>${cells.join('')}</tr>`;
+  });
+  const sourceTitle = escapeHtml(title || 'Untitled');
+  const source = pageUrl ? `<a href="${escapeHtml(pageUrl)}">${sourceTitle}</a>` : sourceTitle;
+  return `<table>${body.join('')}</table><p>Source: ${source}</p>`;
+}
@@ -0,0 +1,63 @@
+/**
+ * Snip tray: Text and Image Snips collected from several pages, then inserted together in one batchUpdate
+ * (background/snipTray.js keeps the tray in session storage, components/SnipTray.jsx shows it).
+ * Each item gets its own section; it is stored by label and looked up again in the outline when the tray
+ * is inserted, since earlier inserts move every index below them.
+ */
+
+import { flattenOutline } from './docsOutline.js';
+
+/** The section pickers' "Add to snip tray" choice (next to -1, "Copy to clipboard"). */
+export const SNIP_TRAY_TARGET = -2;
+
+/** Most snips the tray holds. */
+export const MAX_TRAY_ITEMS = 30;
+
+/** Label of the section an item without one goes to. */
+export const TRAY_DEFAULT_SECTION = 'At the end';
+
+/**
+ * @typedef {{ label: string, target: import('./docsOutline.js').InsertTarget }} TraySection
+ * @typedef {{
+ *   id: string,
+ *   kind: 'text' | 'image',
+ *   data: { selectedText?: string, pageUrl: string, pageTitle: string, timestamp?: string, richText?: object | null, table?: object | null, keepFormatting?: boolean, imageUrl?: string, imageWidthPt?: number, imageHeightPt?: number, ocrText?: string, insertAs?: string, videoMoment?: string, note?: string, noteInDoc?: boolean },
+ *   section: TraySection | null,
+ *   snipId: string | null,
+ *   record: { type: 'text' | 'image', params: object } | null,
+ *   addedAt: number,
+ * }} TrayItem - record: snips_history RPC still to call (as in the outbox); target_doc_id is added on insert
+ */
+
+/**
+ * The items with one of them moved up (delta -1) or down (delta 1); unchanged at either end.
+ * @param {TrayItem[]} items
+ * @param {string} id
+ * @param {number} delta
+ * @returns {TrayItem[]}
+ */
+export function moveTrayItem(items, id, delta) {
+  const from = items.findIndex((item) => item.id === id);
+  const to = from + delta;
+  if (from === -1 || to < 0 || to >= items.length) return items;
+  const next = [...items];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
+
+/**
+ * Where an item goes in the document as it is now: the point of the outline with the item's section label,
+ * or the end of the first tab when it has none or that heading is gone.
+ * @param {import('./docsOutline.js').DocOutline} outline
+ * @param {TraySection | null} section
+ * @returns {TraySection}
+ */
+export function resolveTraySection(outline, section) {
+  const points = flattenOutline(outline, { withStarts: true });
+  const found = section && points.find((p) => p.label === section.label);
+  if (found) return { label: found.label, target: found.target };
+  const end = outline?.tabs?.[0]?.end;
+  if (end == null) throw new Error('Could not read the document outline.');
+  return { label: TRAY_DEFAULT_SECTION, target: end };
+}
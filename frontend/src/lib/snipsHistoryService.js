@@ -1,6 +1,6 @@
 /**
- * Snip History: image snippets only. Fetch and delete for the authenticated user.
- * Pro-only (RLS enforces SELECT/DELETE for tier = 'pro').
+ * Snip History: search, update and delete the authenticated user's snips (text and image).
+ * Pro-only (RLS enforces SELECT/UPDATE/DELETE for tier = 'pro'); search runs server-side (supabase-snip-search.sql).
  */
 
 import { supabaseClient, isSupabaseConfigured } from '../config/supabase-config.js';
@@ -9,22 +9,16 @@ import { getConnectedDocs } from './connectedDocsService.js';
 const SNIPS_TABLE = 'snips_history';
 
 /**
- * Fetch snips (image + text) for the current user, optionally filtered by target document.
- * @param {string} [documentId] - When provided, only snips for this target_doc_id (Sources for this document).
- * @returns {Promise<Array<{ id: string, content: string | null, source_url: string | null, page_title: string | null, domain: string | null, snippet_type: string | null, drive_url: string | null, target_doc_id: string | null, created_at: string | null, doc_title: string | null }>>}
+ * @typedef {{ id: string, content: string | null, source_url: string | null, page_title: string | null, domain: string | null, snippet_type: string | null, drive_url: string | null, target_doc_id: string | null, created_at: string | null, author: string | null, published_date: string | null, site_name: string | null, doi: string | null, canonical_url: string | null, ocr_text: string | null, page_number: string | null, math_tex: string | null, note: string | null, tags: string[] | null, project_id: string | null, doc_title: string | null }} SnipRecord
  */
-export async function getSnipsHistory(documentId = null) {
-  if (!isSupabaseConfigured || !supabaseClient) return [];
-  let query = supabaseClient
-    .from(SNIPS_TABLE)
-    .select('id, content, source_url, page_title, domain, snippet_type, drive_url, target_doc_id, created_at')
-    .order('created_at', { ascending: false });
-  if (documentId) {
-    query = query.eq('target_doc_id', documentId);
-  }
-  const { data: snips, error } = await query;
-  if (error) throw new Error(error.message || 'Failed to load snip history');
-  const list = snips ?? [];
+
+/** Snip History page size (search_snips caps p_limit at 100). */
+export const SNIP_SEARCH_PAGE_SIZE = 30;
+/** Page size when reading every result of a search (search_snips' cap). */
+const SNIP_SEARCH_MAX_PAGE_SIZE = 100;
+
+/** Add doc_title (the connected doc's title) to each snip for display. */
+async function withDocTitles(list) {
   if (list.length === 0) return [];
   const docs = await getConnectedDocs().catch(() => []);
   const docByGoogleId = new Map(docs.map((d) => [d.google_doc_id, d.doc_title || 'Untitled']));
@@ -34,6 +28,86 @@ export async function getSnipsHistory(documentId = null) {
   }));
 }
 
+/**
+ * One page of the current user's snips from the search_snips RPC (supabase-snip-search.sql): full-text search over
+ * titles, domains, snip text, notes, OCR text and TeX, best matches first (newest first without a query).
+ * @param {{ query?: string, documentId?: string | null, projectId?: string | null, domain?: string | null, type?: 'text' | 'image' | null, from?: string | null, to?: string | null, tag?: string | null, offset?: number, limit?: number }} [options] -
+ *   documentId null searches all documents (of projectId when set, supabase-projects.sql); from / to are YYYY-MM-DD days, both inclusive
+ * @returns {Promise<{ snips: SnipRecord[], hasMore: boolean }>}
+ */
+export async function searchSnips(options = {}) {
+  if (!isSupabaseConfigured || !supabaseClient) return { snips: [], hasMore: false };
+  const { query = '', documentId = null, projectId = null, domain = null, type = null, from = null, to = null, tag = null, offset = 0 } = options;
+  const limit = options.limit ?? SNIP_SEARCH_PAGE_SIZE;
+  const { data, error } = await supabaseClient.rpc('search_snips', {
+    p_query: String(query).trim().slice(0, 200),
+    p_doc_id: documentId || null,
+    p_domain: domain || null,
+    p_type: type || null,
+    p_from: dayStart(from),
+    p_to: dayStart(to, 1),
+    p_tag: tag || null,
+    p_limit: limit,
+    p_offset: offset,
+    p_project_id: projectId || null,
+  });
+  if (error) throw new Error(error.message || 'Failed to search snip history');
+  const list = Array.isArray(data) ? data : [];
+  return { snips: await withDocTitles(list), hasMore: list.length === limit };
+}
+
+/**
+ * Every result of a search, read page by page (searchSnips options without offset / limit). For exports.
+ * @param {Parameters<typeof searchSnips>[0]} [options]
+ * @returns {Promise<SnipRecord[]>}
+ */
+export async function searchAllSnips(options = {}) {
+  const all = [];
+  for (;;) {
+    const page = await searchSnips({ ...options, offset: all.length, limit: SNIP_SEARCH_MAX_PAGE_SIZE });
+    all.push(...page.snips);
+    if (!page.hasMore) return all;
+  }
+}
+
+/**
+ * Local midnight of a YYYY-MM-DD day (plus days) as an ISO timestamp, or null.
+ * @param {string | null} day
+ * @param {number} [addDays] - 1 for an inclusive "to" day (search_snips' p_to is exclusive)
+ */
+function dayStart(day, addDays = 0) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(day || '');
+  if (!m) return null;
+  return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]) + addDays).toISOString();
+}
+
+/**
+ * Domains and tags used in the user's snips, with counts, for Snip History's filter lists.
+ * @param {string | null} [documentId] - null for all documents
+ * @param {string | null} [projectId] - only snips in this project
+ * @returns {Promise<{ domains: Array<{ domain: string, count: number }>, tags: Array<{ tag: string, count: number }> }>}
+ */
+export async function getSnipSearchFacets(documentId = null, projectId = null) {
+  if (!isSupabaseConfigured || !supabaseClient) return { domains: [], tags: [] };
+  const { data, error } = await supabaseClient.rpc('snip_search_facets', {
+    p_doc_id: documentId || null,
+    p_project_id: projectId || null,
+  });
+  if (error) throw new Error(error.message || 'Failed to load filters');
+  return {
+    domains: Array.isArray(data?.domains) ? data.domains : [],
+    tags: Array.isArray(data?.tags) ? data.tags : [],
+  };
+}
+
+/**
+ * Whether a snip can be inserted again (reinsertSnipAtSection): image snips need their Drive image, text snips their text.
+ * @param {SnipRecord} snip
+ */
+export function canReinsertSnip(snip) {
+  return snip.snippet_type === 'image' ? !!snip.drive_url : !!(snip.content || '').trim();
+}
+
 /**
  * Get a thumbnail URL for a Drive image (drive_url or file id).
  * @param {string} driveUrl - e.g. https://drive.google.com/file/d/FILE_ID/view or https://drive.google.com/uc?export=view&id=FILE_ID
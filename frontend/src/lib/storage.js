@@ -7,8 +7,21 @@ const STORAGE_KEYS = {
   SELECTED_DOCUMENT_ID: 'eznote_selected_document_id',
   SELECTED_DOCUMENT_NAME: 'eznote_selected_document_name',
   RESEARCH_SNIPS_FOLDER_ID: 'eznote_research_snips_folder_id',
+  CITATION_STYLE: 'eznote_citation_style',
+  OCR_MODE: 'eznote_ocr_mode',
+  LAST_TEXT_SNIP_SECTIONS: 'eznote_last_text_snip_sections',
+  KEEP_FORMATTING: 'eznote_keep_formatting',
+  NOTE_IN_DOC: 'eznote_note_in_doc',
+  ACTIVE_PROJECT_ID: 'eznote_active_project_id',
+  ACTIVE_PROJECT_NAME: 'eznote_active_project_name',
 };
 
+/**
+ * Image Snip text recognition: 'off', or what to insert when text is found.
+ * 'image' keeps the picture only (the text is still saved to Snip History for search).
+ */
+export const OCR_MODES = ['off', 'image', 'image_text', 'text'];
+
 /**
  * @returns {Promise<chrome.storage.LocalStorageArea>|null}
  */
@@ -92,3 +105,153 @@ export function clearResearchSnipsFolderId() {
   if (!storage) return Promise.resolve();
   return storage.remove([STORAGE_KEYS.RESEARCH_SNIPS_FOLDER_ID]);
 }
+
+/**
+ * Get the citation style last chosen for Format References (if any).
+ * @returns {Promise<string|null>}
+ */
+export function getCitationStylePreference() {
+  const storage = getStorage();
+  if (!storage) return Promise.resolve(null);
+  return storage.get(STORAGE_KEYS.CITATION_STYLE).then((d) => d[STORAGE_KEYS.CITATION_STYLE] || null);
+}
+
+/**
+ * Store the citation style chosen for Format References.
+ * @param {string} styleId - id from lib/citationStyles.js
+ * @returns {Promise<void>}
+ */
+export function setCitationStylePreference(styleId) {
+  const storage = getStorage();
+  if (!storage) return Promise.resolve();
+  return storage.set({ [STORAGE_KEYS.CITATION_STYLE]: styleId });
+}
+
+/**
+ * Get the Image Snip OCR mode (defaults to 'off').
+ * @returns {Promise<'off' | 'image' | 'image_text' | 'text'>}
+ */
+export function getOcrMode() {
+  const storage = getStorage();
+  if (!storage) return Promise.resolve('off');
+  return storage.get(STORAGE_KEYS.OCR_MODE).then((d) => (OCR_MODES.includes(d[STORAGE_KEYS.OCR_MODE]) ? d[STORAGE_KEYS.OCR_MODE] : 'off'));
+}
+
+/**
+ * Store the Image Snip OCR mode.
+ * @param {'off' | 'image' | 'image_text' | 'text'} mode
+ * @returns {Promise<void>}
+ */
+export function setOcrMode(mode) {
+  const storage = getStorage();
+  if (!storage) return Promise.resolve();
+  return storage.set({ [STORAGE_KEYS.OCR_MODE]: OCR_MODES.includes(mode) ? mode : 'off' });
+}
+
+/**
+ * Label of the insertion point last used for a Text Snip in a document (e.g. "End of section: Methods"), or null.
+ * Stored by label rather than index because indexes move as the document changes.
+ * @param {string} documentId
+ * @returns {Promise<string|null>}
+ */
+export function getLastTextSnipSection(documentId) {
+  const storage = getStorage();
+  if (!storage || !documentId) return Promise.resolve(null);
+  return storage.get(STORAGE_KEYS.LAST_TEXT_SNIP_SECTIONS).then((d) => d[STORAGE_KEYS.LAST_TEXT_SNIP_SECTIONS]?.[documentId] || null);
+}
+
+/**
+ * Remember the insertion point used for a Text Snip in a document.
+ * @param {string} documentId
+ * @param {string} label
+ * @returns {Promise<void>}
+ */
+export async function setLastTextSnipSection(documentId, label) {
+  const storage = getStorage();
+  if (!storage || !documentId) return;
+  const d = await storage.get(STORAGE_KEYS.LAST_TEXT_SNIP_SECTIONS);
+  const byDoc = { ...(d[STORAGE_KEYS.LAST_TEXT_SNIP_SECTIONS] || {}), [documentId]: label };
+  await storage.set({ [STORAGE_KEYS.LAST_TEXT_SNIP_SECTIONS]: byDoc });
+}
+
+/**
+ * Whether Text Snips keep the selection's formatting (default true). The side panel can change it per snip;
+ * the last choice is used for the context menu and keyboard shortcut.
+ * @returns {Promise<boolean>}
+ */
+export function getKeepFormatting() {
+  const storage = getStorage();
+  if (!storage) return Promise.resolve(true);
+  return storage.get(STORAGE_KEYS.KEEP_FORMATTING).then((d) => d[STORAGE_KEYS.KEEP_FORMATTING] !== false);
+}
+
+/**
+ * @param {boolean} keep
+ * @returns {Promise<void>}
+ */
+export function setKeepFormatting(keep) {
+  const storage = getStorage();
+  if (!storage) return Promise.resolve();
+  return storage.set({ [STORAGE_KEYS.KEEP_FORMATTING]: !!keep });
+}
+
+/**
+ * Whether a snip's note also goes into the doc as a "Note:" paragraph under the source (default false:
+ * notes are kept in Snip History only). Set from the note field in the side panel; used for every snip.
+ * @returns {Promise<boolean>}
+ */
+export function getNoteInDoc() {
+  const storage = getStorage();
+  if (!storage) return Promise.resolve(false);
+  return storage.get(STORAGE_KEYS.NOTE_IN_DOC).then((d) => d[STORAGE_KEYS.NOTE_IN_DOC] === true);
+}
+
+/**
+ * @param {boolean} inDoc
+ * @returns {Promise<void>}
+ */
+export function setNoteInDoc(inDoc) {
+  const storage = getStorage();
+  if (!storage) return Promise.resolve();
+  return storage.set({ [STORAGE_KEYS.NOTE_IN_DOC]: !!inDoc });
+}
+
+/** chrome.storage.local key of the active project id (for onChanged listeners). */
+export const ACTIVE_PROJECT_KEY = STORAGE_KEYS.ACTIVE_PROJECT_ID;
+
+/**
+ * The project chosen in the document manager (scopes the doc list, Snip History and usage stats), or null for all.
+ * @returns {Promise<{ id: string, name: string } | null>}
+ */
+export function getActiveProject() {
+  const storage = getStorage();
+  if (!storage) return Promise.resolve(null);
+  return storage.get([STORAGE_KEYS.ACTIVE_PROJECT_ID, STORAGE_KEYS.ACTIVE_PROJECT_NAME]).then((d) => {
+    const id = d[STORAGE_KEYS.ACTIVE_PROJECT_ID];
+    return id ? { id, name: d[STORAGE_KEYS.ACTIVE_PROJECT_NAME] || '' } : null;
+  });
+}
+
+/**
+ * @param {string} projectId - projects.id
+ * @param {string} [projectName]
+ * @returns {Promise<void>}
+ */
+export function setActiveProject(projectId, projectName = '') {
+  const storage = getStorage();
+  if (!storage) return Promise.resolve();
+  return storage.set({
+    [STORAGE_KEYS.ACTIVE_PROJECT_ID]: projectId,
+    [STORAGE_KEYS.ACTIVE_PROJECT_NAME]: projectName || '',
+  });
+}
+
+/**
+ * Back to all documents (no active project).
+ * @returns {Promise<void>}
+ */
+export function clearActiveProject() {
+  const storage = getStorage();
+  if (!storage) return Promise.resolve();
+  return storage.remove([STORAGE_KEYS.ACTIVE_PROJECT_ID, STORAGE_KEYS.ACTIVE_PROJECT_NAME]);
+}
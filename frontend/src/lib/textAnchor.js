@@ -0,0 +1,107 @@
+/**
+ * Text anchors: where a Text Snip's quote sits on its page, stored with the snip (snips_history.text_anchor) so
+ * "Open source at highlight" can scroll back to it (background/sourceLookup.js). Modelled on text fragments
+ * (https://wicg.github.io/scroll-to-text-fragment/): the quote, or its first and last words when it is long,
+ * plus a few words of context before and after to tell repeated passages apart.
+ */
+
+/** Quotes up to this length are anchored whole; longer ones by their first and last words. */
+const ANCHOR_QUOTE_MAX = 80;
+/** Words kept at each end of a long quote, and of the context around it. */
+const ANCHOR_EDGE_WORDS = 5;
+const ANCHOR_CONTEXT_WORDS = 3;
+
+/** @typedef {{ start: string, end: string, prefix: string, suffix: string }} TextAnchor - end, prefix, suffix '' when unused */
+
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+/** Whitespace collapsed to single spaces, trimmed. */
+export function normalizeAnchorText(text) {
+  return String(text ?? '').replace(/\s+/g, ' ').trim();
+}
+
+const words = (text) => normalizeAnchorText(text).split(' ').filter(Boolean);
+
+/**
+ * Anchor for a selection. A word cut by the selection is left out of the quote and kept as context instead,
+ * since text fragments only match whole words.
+ * @param {string} quote - the selected text
+ * @param {string} [before] - page text just before the selection
+ * @param {string} [after] - page text just after it
+ * @returns {TextAnchor | null} null without a quote
+ */
+export function createTextAnchor(quote, before = '', after = '') {
+  let text = normalizeAnchorText(quote);
+  let head = String(before ?? '');
+  let tail = String(after ?? '');
+  const cutStart = WORD_CHAR.test(head.slice(-1)) && WORD_CHAR.test(text[0] ?? '') && /^[\p{L}\p{N}]+/u.exec(text);
+  if (cutStart && text.length > cutStart[0].length) {
+    head += cutStart[0];
+    text = text.slice(cutStart[0].length).trim();
+  }
+  const cutEnd = WORD_CHAR.test(tail[0] ?? '') && WORD_CHAR.test(text.slice(-1)) && /[\p{L}\p{N}]+$/u.exec(text);
+  if (cutEnd && text.length > cutEnd[0].length) {
+    tail = cutEnd[0] + tail;
+    text = text.slice(0, -cutEnd[0].length).trim();
+  }
+  if (!text) return null;
+
+  const quoteWords = text.split(' ');
+  const long = text.length > ANCHOR_QUOTE_MAX && quoteWords.length > 2 * ANCHOR_EDGE_WORDS;
+  return {
+    start: long ? quoteWords.slice(0, ANCHOR_EDGE_WORDS).join(' ') : text,
+    end: long ? quoteWords.slice(-ANCHOR_EDGE_WORDS).join(' ') : '',
+    prefix: words(head).slice(-ANCHOR_CONTEXT_WORDS).join(' '),
+    suffix: words(tail).slice(0, ANCHOR_CONTEXT_WORDS).join(' '),
+  };
+}
+
+/**
+ * The stored anchor of a snip, or one made from its text for snips saved before anchors were (first line only,
+ * since the saved text is cut at 500 characters and may end with a video line).
+ * @param {{ text_anchor?: unknown, content?: string | null }} snip - a snips_history row
+ * @returns {TextAnchor | null}
+ */
+export function snipTextAnchor(snip) {
+  const a = snip?.text_anchor;
+  if (a && typeof a === 'object' && typeof a.start === 'string' && a.start.trim()) {
+    return { start: a.start, end: String(a.end ?? ''), prefix: String(a.prefix ?? ''), suffix: String(a.suffix ?? '') };
+  }
+  const firstLine = String(snip?.content ?? '').split('\n').find((line) => line.trim());
+  return firstLine ? createTextAnchor(firstLine) : null;
+}
+
+/** Percent-encoding for a text directive term: '-', ',' and '&' are syntax there. */
+const encodeTerm = (term) => encodeURIComponent(term).replace(/-/g, '%2D');
+
+/**
+ * The page URL with a text fragment (#:~:text=...) for the anchor, which Chrome scrolls to and highlights.
+ * A fragment already in the URL is kept; a text directive already in it is replaced.
+ * @param {string} url
+ * @param {TextAnchor | null} anchor
+ */
+export function textFragmentUrl(url, anchor) {
+  if (!anchor?.start) return url;
+  const hashAt = String(url).indexOf('#');
+  const base = hashAt === -1 ? String(url) : String(url).slice(0, hashAt);
+  const fragment = hashAt === -1 ? '' : String(url).slice(hashAt + 1).split(':~:')[0];
+  const terms = [
+    anchor.prefix && `${encodeTerm(anchor.prefix)}-`,
+    encodeTerm(anchor.start),
+    anchor.end && encodeTerm(anchor.end),
+    anchor.suffix && `-${encodeTerm(anchor.suffix)}`,
+  ].filter(Boolean);
+  return `${base}#${fragment}:~:text=${terms.join(',')}`;
+}
+
+/**
+ * A PDF's URL opened at the snip's page (#page=N, understood by Chrome's PDF viewer). Page labels that are not
+ * numbers ("xii") and ranges ("12-13") use their first number, if any.
+ * @param {string} url
+ * @param {string | null} pageNumber
+ */
+export function pdfPageUrl(url, pageNumber) {
+  const page = /\d+/.exec(String(pageNumber ?? ''));
+  if (!page) return url;
+  return `${String(url).split('#')[0]}#page=${page[0]}`;
+}
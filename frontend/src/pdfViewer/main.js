@@ -0,0 +1,193 @@
+/**
+ * DocSourced PDF viewer (pdf-viewer.html?file=<url>[&snip=1]): bundled PDF.js with a text layer, so
+ * Text Snip and Image Snip work on PDFs and know which page they came from.
+ * The background asks this page for its selection / to start a region snip (background/pdfTabs.js);
+ * messages carry the tab id so only the viewer in that tab answers.
+ */
+
+// pdf_viewer.mjs reads globalThis.pdfjsLib at load, so pdfjs-dist must be imported first.
+import * as pdfjsLib from 'pdfjs-dist';
+import { EventBus, PDFLinkService, PDFViewer } from 'pdfjs-dist/web/pdf_viewer.mjs';
+import workerSrc from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+import 'pdfjs-dist/web/pdf_viewer.css';
+import './pdfViewer.css';
+import { readPdfCitation, fileNameTitle } from './pdfCitation.js';
+import { selectRegion } from './regionSnip.js';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = workerSrc;
+
+const params = new URLSearchParams(window.location.search);
+const pdfUrl = params.get('file') || '';
+
+const titleEl = document.getElementById('pdf-title');
+const pageEl = document.getElementById('pdf-page');
+const errorEl = document.getElementById('pdf-error');
+const snipBtn = document.getElementById('pdf-snip');
+const originalLink = document.getElementById('pdf-original');
+
+const eventBus = new EventBus();
+const linkService = new PDFLinkService({ eventBus });
+const pdfViewer = new PDFViewer({
+  container: document.getElementById('viewerContainer'),
+  eventBus,
+  linkService,
+  // One canvas per page keeps region snips a plain crop.
+  enableDetailCanvas: false,
+});
+linkService.setViewer(pdfViewer);
+
+let ownTabId = null;
+let pdfDocument = null;
+let pageLabels = null;
+let citation = { title: fileNameTitle(pdfUrl), author: '', publishedDate: '', siteName: '', doi: '', canonicalUrl: pdfUrl };
+let snipping = false;
+
+chrome.tabs.getCurrent((tab) => {
+  ownTabId = tab?.id ?? null;
+});
+
+function showError(message) {
+  errorEl.textContent = message;
+  errorEl.hidden = false;
+}
+
+/** Printed page label when the PDF defines them ("xii", "A-3"), else the page number. */
+function pageLabel(pageNumber) {
+  return pageLabels?.[pageNumber - 1] || String(pageNumber);
+}
+
+function pageRangeLabel(first, last) {
+  if (!first) return '';
+  if (!last || last === first) return pageLabel(first);
+  return `${pageLabel(Math.min(first, last))}-${pageLabel(Math.max(first, last))}`;
+}
+
+function pageNumberOf(node) {
+  const el = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+  const page = el?.closest('.page');
+  return page ? Number(page.dataset.pageNumber) : null;
+}
+
+/** Selection text with the text layer's line breaks joined back into running text. */
+function selectedText(selection) {
+  return selection
+    .toString()
+    .replace(/(\w)-\n(\w)/g, '$1$2')
+    .replace(/([^\n])\n(?!\n)/g, '$1 ')
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+}
+
+function sourceInfo(pageNumber) {
+  return {
+    pageUrl: pdfUrl,
+    pageTitle: citation.title,
+    citation: {
+      author: citation.author,
+      publishedDate: citation.publishedDate,
+      siteName: citation.siteName,
+      doi: citation.doi,
+      canonicalUrl: citation.canonicalUrl,
+      pageNumber,
+    },
+  };
+}
+
+function getSelectionInfo() {
+  const selection = window.getSelection();
+  const text = selection && selection.rangeCount > 0 ? selectedText(selection) : '';
+  let pageNumber = '';
+  if (text) {
+    const range = selection.getRangeAt(0);
+    pageNumber = pageRangeLabel(pageNumberOf(range.startContainer), pageNumberOf(range.endContainer));
+  }
+  const { pageUrl, pageTitle, citation: meta } = sourceInfo(pageNumber);
+  return { selectedText: text, pageUrl, pageTitle, ...meta };
+}
+
+async function runRegionSnip() {
+  if (snipping || !pdfDocument) return;
+  snipping = true;
+  chrome.runtime.sendMessage({ type: 'SNIP_OVERLAY_CREATED' });
+  try {
+    const region = await selectRegion();
+    if (!region) {
+      chrome.runtime.sendMessage({ type: 'SNIP_CANCEL' });
+      return;
+    }
+    chrome.runtime.sendMessage({
+      type: 'PDF_REGION_SNIP',
+      tabId: ownTabId,
+      image: region.image,
+      ...sourceInfo(pageLabel(region.pageNumber)),
+    });
+  } catch (err) {
+    chrome.runtime.sendMessage({ type: 'SNIP_CANCEL' });
+    showError(err instanceof Error ? err.message : 'Could not snip this region.');
+  } finally {
+    snipping = false;
+  }
+}
+
+chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+  if (msg?.target !== 'pdf-viewer' || ownTabId == null || msg.tabId !== ownTabId) return;
+  if (msg.type === 'PDF_GET_SELECTION') {
+    sendResponse({ success: true, selection: getSelectionInfo() });
+  } else if (msg.type === 'PDF_START_REGION_SNIP') {
+    if (!pdfDocument) {
+      sendResponse({ success: false, error: 'The PDF is still loading. Try again in a moment.' });
+      return;
+    }
+    runRegionSnip();
+    sendResponse({ success: true });
+  }
+});
+
+eventBus.on('pagesinit', () => {
+  pdfViewer.currentScaleValue = 'page-width';
+});
+eventBus.on('pagechanging', ({ pageNumber }) => {
+  pageEl.textContent = `Page ${pageLabel(pageNumber)} of ${pdfDocument?.numPages ?? '?'}`;
+});
+
+document.getElementById('pdf-zoom-in').addEventListener('click', () => pdfViewer.increaseScale());
+document.getElementById('pdf-zoom-out').addEventListener('click', () => pdfViewer.decreaseScale());
+snipBtn.addEventListener('click', () => runRegionSnip());
+
+async function load() {
+  if (!pdfUrl) {
+    titleEl.textContent = 'No PDF';
+    showError('No PDF to show. Open a PDF link, then use Text Snip or Image Snip.');
+    return;
+  }
+  originalLink.href = pdfUrl;
+  titleEl.textContent = citation.title;
+  try {
+    pdfDocument = await pdfjsLib.getDocument({
+      url: pdfUrl,
+      withCredentials: true,
+      cMapUrl: chrome.runtime.getURL('pdfjs/cmaps/'),
+      cMapPacked: true,
+      standardFontDataUrl: chrome.runtime.getURL('pdfjs/standard_fonts/'),
+      wasmUrl: chrome.runtime.getURL('pdfjs/wasm/'),
+    }).promise;
+  } catch (err) {
+    titleEl.textContent = citation.title;
+    showError(`Could not load this PDF${err?.message ? ` (${err.message})` : ''}. Use "Open original" to view it in Chrome.`);
+    return;
+  }
+  pdfViewer.setDocument(pdfDocument);
+  linkService.setDocument(pdfDocument);
+  pageLabels = await pdfDocument.getPageLabels().catch(() => null);
+  pageEl.textContent = `Page ${pageLabel(1)} of ${pdfDocument.numPages}`;
+  citation = await readPdfCitation(pdfDocument, pdfUrl);
+  titleEl.textContent = citation.title;
+  document.title = citation.title;
+  snipBtn.disabled = false;
+  // Opened from Image Snip on a PDF tab: go straight to region selection once the first page is drawn.
+  if (params.get('snip') === '1') {
+    eventBus.on('pagerendered', () => runRegionSnip(), { once: true });
+  }
+}
+
+load();
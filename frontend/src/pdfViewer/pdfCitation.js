@@ -0,0 +1,70 @@
+/**
+ * Citation metadata for a PDF, in the shape background/pageMetadata.js reads from web pages:
+ * title and author from the document info / XMP, publish date from the creation date,
+ * DOI from the metadata or the first page's text.
+ */
+
+const DOI_PATTERN = /\b(10\.\d{4,9}\/[^\s"<>]+[^\s"<>.,;)\]])/;
+
+/** "D:20210314..." (PDF date string) -> "2021-03-14"; '' when not parseable. */
+function pdfDateToIso(value) {
+  const m = typeof value === 'string' ? value.match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?/) : null;
+  if (!m) return '';
+  return [m[1], m[2], m[3]].filter(Boolean).join('-');
+}
+
+function xmp(metadata, name) {
+  try {
+    const v = metadata?.get(name);
+    return Array.isArray(v) ? v.join('; ') : typeof v === 'string' ? v : '';
+  } catch (_) {
+    return '';
+  }
+}
+
+function findDoi(...texts) {
+  for (const text of texts) {
+    const m = typeof text === 'string' ? text.match(DOI_PATTERN) : null;
+    if (m) return m[1];
+  }
+  return '';
+}
+
+/** File name from the URL, without extension ("Untitled" when there is none). */
+export function fileNameTitle(pdfUrl) {
+  try {
+    const name = decodeURIComponent(new URL(pdfUrl).pathname.split('/').pop() || '');
+    return name.replace(/\.pdf$/i, '').trim() || 'Untitled';
+  } catch (_) {
+    return 'Untitled';
+  }
+}
+
+/**
+ * @param {import('pdfjs-dist').PDFDocumentProxy} pdfDocument
+ * @param {string} pdfUrl
+ * @returns {Promise<{ title: string, author: string, publishedDate: string, siteName: string, doi: string, canonicalUrl: string }>}
+ */
+export async function readPdfCitation(pdfDocument, pdfUrl) {
+  const { info = {}, metadata = null } = await pdfDocument.getMetadata().catch(() => ({}));
+  let firstPageText = '';
+  try {
+    const page = await pdfDocument.getPage(1);
+    const content = await page.getTextContent();
+    firstPageText = content.items.map((item) => item.str || '').join(' ');
+  } catch (_) {}
+  let siteName = '';
+  try {
+    siteName = new URL(pdfUrl).hostname.replace(/^www\./i, '');
+  } catch (_) {}
+  const title = (xmp(metadata, 'dc:title') || info.Title || '').trim();
+  return {
+    // Many PDFs carry the producing tool's file name as Title ("Microsoft Word - draft.docx").
+    title: title && !/\.(docx?|tex|indd)$/i.test(title) ? title : fileNameTitle(pdfUrl),
+    author: (xmp(metadata, 'dc:creator') || info.Author || '').trim(),
+    publishedDate: pdfDateToIso(info.CreationDate),
+    siteName,
+    doi: findDoi(xmp(metadata, 'prism:doi'), xmp(metadata, 'dc:identifier'), info.Subject, info.Keywords, firstPageText),
+    canonicalUrl: pdfUrl,
+  };
+}
@@ -0,0 +1,114 @@
+/**
+ * Region snip inside the PDF viewer: drag a rectangle over a page and crop it from that page's
+ * rendered canvas. No tab capture is needed, and the result is at the canvas' (device pixel) resolution.
+ */
+
+const MIN_SIZE = 5;
+
+/** Page element with the largest overlap with rect (viewport px), and the overlap clipped to it. */
+function pickPage(rect) {
+  let best = null;
+  for (const pageEl of document.querySelectorAll('.pdfViewer .page')) {
+    const r = pageEl.getBoundingClientRect();
+    const left = Math.max(rect.left, r.left);
+    const top = Math.max(rect.top, r.top);
+    const right = Math.min(rect.right, r.right);
+    const bottom = Math.min(rect.bottom, r.bottom);
+    const area = Math.max(0, right - left) * Math.max(0, bottom - top);
+    if (area > 0 && (!best || area > best.area)) {
+      best = { pageEl, pageRect: r, clip: { left, top, width: right - left, height: bottom - top }, area };
+    }
+  }
+  return best;
+}
+
+function cropFromPage({ pageEl, pageRect, clip }) {
+  const source = pageEl.querySelector('.canvasWrapper canvas');
+  if (!source) throw new Error('This page has not finished rendering. Try again.');
+  const scaleX = source.width / pageRect.width;
+  const scaleY = source.height / pageRect.height;
+  const sx = Math.round((clip.left - pageRect.left) * scaleX);
+  const sy = Math.round((clip.top - pageRect.top) * scaleY);
+  const sw = Math.max(1, Math.min(Math.round(clip.width * scaleX), source.width - sx));
+  const sh = Math.max(1, Math.min(Math.round(clip.height * scaleY), source.height - sy));
+  const canvas = document.createElement('canvas');
+  canvas.width = sw;
+  canvas.height = sh;
+  canvas.getContext('2d').drawImage(source, sx, sy, sw, sh, 0, 0, sw, sh);
+  return { base64: canvas.toDataURL('image/png'), width: sw, height: sh };
+}
+
+/**
+ * Show the selection overlay. Resolves with the cropped image and its page number, or null when cancelled (Escape).
+ * @returns {Promise<{ image: { base64: string, width: number, height: number }, pageNumber: number } | null>}
+ */
+export function selectRegion() {
+  return new Promise((resolve, reject) => {
+    const overlay = document.createElement('div');
+    overlay.className = 'pdf-snip-overlay';
+    const rectEl = document.createElement('div');
+    rectEl.className = 'pdf-snip-overlay__rect';
+    const hint = document.createElement('div');
+    hint.className = 'pdf-snip-overlay__hint';
+    hint.textContent = 'Drag over part of a page to snip it. Esc to cancel.';
+    overlay.append(rectEl, hint);
+    document.body.appendChild(overlay);
+
+    let start = null;
+    const finish = (result, error) => {
+      document.removeEventListener('keydown', onKey);
+      overlay.remove();
+      if (error) reject(error);
+      else resolve(result);
+    };
+    const onKey = (e) => {
+      if (e.key === 'Escape') finish(null);
+    };
+    document.addEventListener('keydown', onKey);
+
+    const currentRect = (e) => ({
+      left: Math.min(start.x, e.clientX),
+      top: Math.min(start.y, e.clientY),
+      right: Math.max(start.x, e.clientX),
+      bottom: Math.max(start.y, e.clientY),
+    });
+
+    overlay.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0) return;
+      e.preventDefault();
+      overlay.setPointerCapture(e.pointerId);
+      start = { x: e.clientX, y: e.clientY };
+    });
+    overlay.addEventListener('pointermove', (e) => {
+      if (!start) return;
+      const r = currentRect(e);
+      Object.assign(rectEl.style, {
+        left: `${r.left}px`,
+        top: `${r.top}px`,
+        width: `${r.right - r.left}px`,
+        height: `${r.bottom - r.top}px`,
+      });
+    });
+    overlay.addEventListener('pointerup', (e) => {
+      if (!start) return;
+      const r = currentRect(e);
+      start = null;
+      if (r.right - r.left < MIN_SIZE || r.bottom - r.top < MIN_SIZE) {
+        rectEl.style.width = '0px';
+        rectEl.style.height = '0px';
+        return;
+      }
+      const picked = pickPage(r);
+      if (!picked) {
+        rectEl.style.width = '0px';
+        rectEl.style.height = '0px';
+        return;
+      }
+      try {
+        finish({ image: cropFromPage(picked), pageNumber: Number(picked.pageEl.dataset.pageNumber) });
+      } catch (err) {
+        finish(null, err);
+      }
+    });
+  });
+}
@@ -1,30 +1,97 @@
 /**
  * Popup: send structured messages to background. No direct Google API or auth calls.
+ * Messages are checked against lib/messageProtocol.js on the way out and their answers on the way back.
  */
 
 import { log } from './logger.js';
+import {
+  MESSAGE_ERROR,
+  messageError,
+  messageTimeout,
+  validateRequest,
+  validateResponse,
+} from '../lib/messageProtocol.js';
+
+/** Extra time the side panel waits past the background's own timeout, so the background's answer wins. */
+const CLIENT_TIMEOUT_GRACE_MS = 2000;
+
+function runtimeAvailable() {
+  if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) {
+    log.popup.warn('Chrome runtime not available');
+    return false;
+  }
+  return true;
+}
 
 /**
+ * Send a message and wait for the background's answer. An invalid request resolves to an INVALID_REQUEST error
+ * without being sent, an answer that does not match the type's schema to INVALID_RESPONSE, and no answer within
+ * the type's timeout to MESSAGE_TIMEOUT (see lib/messageProtocol.js). Rejects only when the message cannot be delivered.
+ * @param {{ type: string }} msg
  * @returns {Promise<any>} response from background
  */
 export function sendMessage(msg) {
   return new Promise((resolve, reject) => {
-    if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) {
-      log.popup.warn('Chrome runtime not available');
+    if (!runtimeAvailable()) {
       reject(new Error('Chrome runtime not available'));
       return;
     }
+    const invalid = validateRequest(msg);
+    if (invalid) {
+      log.popup.warn(invalid.error);
+      resolve(invalid);
+      return;
+    }
+    const timeoutMs = messageTimeout(msg.type);
+    let settled = false;
+    const timeoutId = timeoutMs > 0
+      ? setTimeout(() => {
+        settled = true;
+        log.popup.warn(`${msg.type} timed out`);
+        resolve(messageError(MESSAGE_ERROR.TIMEOUT, 'Request timed out. Please reopen the extension and try again.'));
+      }, timeoutMs + CLIENT_TIMEOUT_GRACE_MS)
+      : null;
     chrome.runtime.sendMessage(msg, (response) => {
+      clearTimeout(timeoutId);
+      if (settled) return;
       if (chrome.runtime.lastError) {
         log.popup.warn('Message failed', chrome.runtime.lastError.message);
         reject(new Error(chrome.runtime.lastError.message || 'Message failed'));
         return;
       }
+      const badResponse = validateResponse(msg.type, response);
+      if (badResponse) {
+        log.popup.warn(badResponse.error, response);
+        resolve(badResponse);
+        return;
+      }
       resolve(response);
     });
   });
 }
 
+/**
+ * Send a message that gets no answer (reply: false in lib/messageProtocol.js). Invalid messages are dropped.
+ * @param {{ type: string }} msg
+ * @returns {boolean} whether it was sent
+ */
+export function postMessage(msg) {
+  if (!runtimeAvailable()) return false;
+  const invalid = validateRequest(msg);
+  if (invalid) {
+    log.popup.warn(invalid.error);
+    return false;
+  }
+  try {
+    chrome.runtime.sendMessage(msg, () => {
+      void chrome.runtime.lastError;
+    });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
 export async function getAuthStatus() {
   return sendMessage({ type: 'AUTH_GET_STATUS' });
 }
@@ -58,28 +125,39 @@ export async function createDoc(name = 'Untitled') {
 /**
  * Get selection from a tab (for Text Snip section flow).
  * @param {number} tabId
- * @returns {Promise<{ success: boolean, selection?: { selectedText, pageUrl, pageTitle, timestamp }, error?: string }>}
+ * @returns {Promise<{ success: boolean, selection?: { selectedText, pageUrl, pageTitle, timestamp, author, publishedDate, siteName, doi, canonicalUrl, pageNumber, richText, table, keepFormatting, noteInDoc }, error?: string }>}
  */
 export async function getPlugSelection(tabId) {
   return sendMessage({ type: 'GET_PLUG_SELECTION', tabId });
 }
 
 /**
- * Get document sections (insertion points) for the connected doc.
- * @returns {Promise<{ success: boolean, sections?: Array<{ label: string, index: number }>, error?: string }>}
+ * Get document sections (insertion points) for the connected doc: a flat list; send `target` to insert there.
+ * @returns {Promise<{ success: boolean, sections?: import('../lib/docsOutline.js').FlatSection[], error?: string }>}
  */
 export async function getDocSections() {
   return sendMessage({ type: 'DOCS_GET_SECTIONS' });
 }
 
+/**
+ * Outline of the connected doc for the section tree: document tabs, nested headings and body paragraphs.
+ * @param {string} [documentId] - another connected doc (the site rules editor); default the selected one
+ * @returns {Promise<{ success: boolean, outline?: import('../lib/docsOutline.js').DocOutline, error?: string }>}
+ */
+export async function getDocOutline(documentId) {
+  return sendMessage(documentId ? { type: 'DOCS_GET_OUTLINE', documentId } : { type: 'DOCS_GET_OUTLINE' });
+}
+
 /**
  * Insert the given selection at the chosen index in the connected doc.
- * @param {object} selectionData - { selectedText, pageUrl, pageTitle, timestamp }
- * @param {number} insertIndex
- * @returns {Promise<{ success: boolean, error?: string }>}
+ * @param {object} selectionData - { selectedText, pageUrl, pageTitle, timestamp } plus citation metadata from getPlugSelection,
+ *   and the note and tags the user added (note, tags, noteInDoc)
+ * @param {import('../lib/docsOutline.js').InsertTarget} insertIndex - `target` of a section or outline point
+ * @param {string} [sectionLabel] - remembered as the Text Snip shortcut's insertion point
+ * @returns {Promise<{ success: boolean, queued?: boolean, error?: string }>} queued: the insert failed on the network and is in Pending inserts
  */
-export async function plugItInAtSection(selectionData, insertIndex) {
-  return sendMessage({ type: 'PLUG_IT_IN_AT_SECTION', selectionData, insertIndex });
+export async function plugItInAtSection(selectionData, insertIndex, sectionLabel) {
+  return sendMessage({ type: 'PLUG_IT_IN_AT_SECTION', selectionData, insertIndex, sectionLabel });
 }
 
 /**
@@ -91,35 +169,41 @@ export async function getSnipUsage() {
 }
 
 /**
- * Format References: replace SNIP_REF_ inline source lines with superscript numbers and append Sources list. Pro-only.
- * @returns {Promise<{ success: boolean, message?: string, error?: string, refsCount?: number }>}
- */
-export async function formatReferences() {
-  return sendMessage({ type: 'FORMAT_REFERENCES' });
-}
-
-/**
- * Reinsert an image from Snip History into the current doc at the given section index.
- * Uses existing snip_id for the source-line marker so references stay linked to the same DB record.
- * @param {string} driveUrl - Image URL (Drive link)
- * @param {number} insertIndex - Section index from getDocSections
- * @param {{ pageUrl?: string, pageTitle?: string, snipId?: string | null }} meta - Source metadata and snip UUID for marker
+ * Insert a snip from Snip History or the snip library (any document) into the current doc at the given section index:
+ * the text or image, a new source line and a SNIP_REF_ named range with the snip's existing id, so references stay
+ * linked to the same DB record.
+ * @param {{ id: string, snippet_type: string | null, content?: string | null, drive_url?: string | null, source_url?: string | null, page_title?: string | null, note?: string | null }} snip - snips_history row
+ * @param {import('../lib/docsOutline.js').InsertTarget} insertIndex - `target` of a section from getDocSections
  * @returns {Promise<{ success: boolean, error?: string }>}
  */
-export async function reinsertImageAtSection(driveUrl, insertIndex, meta = {}) {
+export async function reinsertSnipAtSection(snip, insertIndex) {
   return sendMessage({
-    type: 'REINSERT_IMAGE_AT_SECTION',
-    driveUrl,
+    type: 'REINSERT_SNIP_AT_SECTION',
+    snip: {
+      id: snip.id,
+      snippet_type: snip.snippet_type ?? null,
+      content: snip.content ?? null,
+      drive_url: snip.drive_url ?? null,
+      source_url: snip.source_url ?? null,
+      page_title: snip.page_title ?? null,
+      note: snip.note ?? null,
+    },
     insertIndex,
-    pageUrl: meta.pageUrl ?? '',
-    pageTitle: meta.pageTitle ?? '',
-    snipId: meta.snipId ?? null,
   });
 }
 
 /**
- * Whether the last Plug/Snip insert can be undone for the current document.
- * @returns {Promise<{ available: boolean }>}
+ * Open a snip's source page in a new tab, scrolled to the quoted passage and highlighted ("Open source at highlight").
+ * @param {string} snipId - snips_history.id
+ * @returns {Promise<{ success: boolean, found?: boolean, error?: string }>} found: false when the page opened but the passage was not found
+ */
+export async function openSnipSource(snipId) {
+  return sendMessage({ type: 'OPEN_SNIP_SOURCE', snipId });
+}
+
+/**
+ * Insert history for the current document: whether undo/redo is available and the recent inserts (newest first).
+ * @returns {Promise<{ available: boolean, redoAvailable: boolean, inserts: Array<{ id: string, label: string, kind: 'text' | 'image', createdAt: number }> }>}
  */
 export async function getUndoState() {
   return sendMessage({ type: 'GET_UNDO_STATE' });
@@ -132,3 +216,126 @@ export async function getUndoState() {
 export async function undoLastInsert() {
   return sendMessage({ type: 'UNDO_LAST_INSERT' });
 }
+
+/**
+ * Remove one insert from the current document, chosen from getUndoState().inserts.
+ * @param {string} entryId
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function revertInsert(entryId) {
+  return sendMessage({ type: 'REVERT_INSERT', entryId });
+}
+
+/**
+ * Put back the most recently undone insert.
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function redoInsert() {
+  return sendMessage({ type: 'REDO_INSERT' });
+}
+
+/**
+ * Pending inserts: text and image inserts queued after a network/5xx/rate-limit failure.
+ * @returns {Promise<{ items: Array<{ id: string, kind: 'text' | 'image', label: string, documentId: string, status: 'pending' | 'sending' | 'failed', attempts: number, nextAttemptAt: number, lastError: string | null, createdAt: number }>, error?: string }>}
+ */
+export async function getOutbox() {
+  return sendMessage({ type: 'GET_OUTBOX' });
+}
+
+/**
+ * Retry a pending insert now (all of them when itemId is omitted).
+ * @param {string} [itemId]
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function retryOutbox(itemId) {
+  return sendMessage({ type: 'OUTBOX_RETRY', itemId });
+}
+
+/**
+ * Drop a pending insert without adding it to the document.
+ * @param {string} itemId
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function discardOutboxItem(itemId) {
+  return sendMessage({ type: 'OUTBOX_DISCARD', itemId });
+}
+
+/**
+ * Snips staged in the snip tray, in insert order.
+ * @returns {Promise<{ success: boolean, items?: import('../lib/snipTray.js').TrayItem[], error?: string }>}
+ */
+export async function getSnipTray() {
+  return sendMessage({ type: 'GET_SNIP_TRAY' });
+}
+
+/**
+ * Stage a Text Snip in the snip tray instead of inserting it.
+ * @param {object} selectionData - as for plugItInAtSection, with the note and tags
+ * @param {import('../lib/snipTray.js').TraySection | null} [section]
+ * @returns {Promise<{ success: boolean, count?: number, error?: string }>} count: snips in the tray now
+ */
+export async function addTextSnipToTray(selectionData, section = null) {
+  return sendMessage({ type: 'SNIP_TRAY_ADD_TEXT', selectionData, section });
+}
+
+/**
+ * Edit a staged snip. section null sends it to the end of the document.
+ * @param {string} itemId
+ * @param {{ text?: string, note?: string, section?: import('../lib/snipTray.js').TraySection | null }} changes
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function updateSnipTrayItem(itemId, changes) {
+  return sendMessage({ type: 'SNIP_TRAY_UPDATE', itemId, ...changes });
+}
+
+/**
+ * Move a staged snip up (-1) or down (1).
+ * @param {string} itemId
+ * @param {-1 | 1} delta
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function moveSnipTrayItem(itemId, delta) {
+  return sendMessage({ type: 'SNIP_TRAY_MOVE', itemId, delta });
+}
+
+/**
+ * @param {string} itemId
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function removeSnipTrayItem(itemId) {
+  return sendMessage({ type: 'SNIP_TRAY_REMOVE', itemId });
+}
+
+/** @returns {Promise<{ success: boolean, error?: string }>} */
+export async function clearSnipTray() {
+  return sendMessage({ type: 'SNIP_TRAY_CLEAR' });
+}
+
+/**
+ * Ask for a preview of the connected doc; it arrives as a DOC_PREVIEW_RESULT runtime message.
+ * @returns {boolean} whether the request was sent
+ */
+export function requestDocPreview() {
+  return postMessage({ type: 'GET_DOC_PREVIEW' });
+}
+
+/**
+ * Whether the snip overlay is open in some tab.
+ * @returns {Promise<{ active: boolean }>}
+ */
+export async function getSnipState() {
+  return sendMessage({ type: 'GET_SNIP_STATE' });
+}
+
+/**
+ * Open the snip overlay in a tab; the snip goes to insertIndex (-1: copy to the clipboard instead,
+ * SNIP_TRAY_TARGET: add it to the snip tray).
+ * @param {number} tabId
+ * @param {import('../lib/docsOutline.js').InsertTarget | -1 | -2} insertIndex
+ * @param {{ note?: string, tags?: string[], noteInDoc?: boolean } | null} [annotation]
+ * @param {string} [sectionLabel] - label of insertIndex in the section picker
+ * @returns {Promise<{ ok?: boolean, error?: string }>}
+ */
+export async function startSnipWithSection(tabId, insertIndex, annotation = null, sectionLabel) {
+  return sendMessage({ type: 'SNIP_START_WITH_SECTION', tabId, insertIndex, annotation, sectionLabel });
+}
@@ -0,0 +1,99 @@
+/**
+ * Side panel end of the operation port (background/operations.js): run Format References with progress,
+ * follow Image Snips started from the overlay, and cancel either.
+ */
+
+import { log } from './logger.js';
+import {
+  OPERATION_PORT,
+  MESSAGE_ERROR,
+  messageError,
+  isOperationType,
+  validateRequest,
+  validateResponse,
+} from '../lib/messageProtocol.js';
+
+/**
+ * @typedef {import('../background/operations.js').OperationState} OperationState
+ * @typedef {{ run: (msg: { type: string }) => Promise<any>, cancel: (operationId: string) => void, disconnect: () => void }} OperationChannel
+ */
+
+/**
+ * Open the operation port. onOperation gets every state change of every running operation (and, on connect,
+ * the ones already running); the last update of an operation has a status other than 'running'.
+ * @param {(operation: OperationState) => void} onOperation
+ * @returns {OperationChannel | null} null when the extension runtime is not available
+ */
+export function connectOperations(onOperation) {
+  if (typeof chrome === 'undefined' || !chrome.runtime?.connect) {
+    log.popup.warn('Chrome runtime not available');
+    return null;
+  }
+  let port = null;
+  /** @type {Map<string, { type: string, resolve: (response: any) => void }>} */
+  const pending = new Map();
+
+  const failPending = (error) => {
+    for (const { resolve } of pending.values()) resolve(messageError(MESSAGE_ERROR.HANDLER_FAILED, error));
+    pending.clear();
+  };
+
+  const open = () => {
+    port = chrome.runtime.connect({ name: OPERATION_PORT });
+    port.onMessage.addListener((msg) => {
+      if (msg?.kind === 'operation' && msg.operation) {
+        onOperation(msg.operation);
+        return;
+      }
+      if (msg?.kind !== 'result') return;
+      const request = pending.get(msg.requestId);
+      if (!request) return;
+      pending.delete(msg.requestId);
+      const badResponse = validateResponse(request.type, msg.response);
+      if (badResponse) log.popup.warn(badResponse.error, msg.response);
+      request.resolve(badResponse || msg.response);
+    });
+    // The service worker restarted or the extension was reloaded: what was running is gone.
+    port.onDisconnect.addListener(() => {
+      void chrome.runtime.lastError;
+      port = null;
+      failPending('Connection lost. Reopen the extension to try again.');
+    });
+  };
+  open();
+
+  return {
+    /**
+     * Run an operation message type (operation: true in lib/messageProtocol.js). Progress arrives through
+     * onOperation with the same requestId; no timeout applies.
+     */
+    run(msg) {
+      const invalid = validateRequest(msg) || (isOperationType(msg.type)
+        ? null
+        : messageError(MESSAGE_ERROR.INVALID_REQUEST, `${msg.type} cannot run as an operation`));
+      if (invalid) {
+        log.popup.warn(invalid.error);
+        return Promise.resolve(invalid);
+      }
+      if (!port) open();
+      const requestId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+      return new Promise((resolve) => {
+        pending.set(requestId, { type: msg.type, resolve });
+        port.postMessage({ kind: 'start', requestId, message: msg });
+      });
+    },
+    cancel(operationId) {
+      if (!port) return;
+      port.postMessage({ kind: 'cancel', operationId });
+    },
+    disconnect() {
+      const p = port;
+      port = null;
+      // Settle runs still in flight, or their callers wait forever.
+      failPending('Disconnected before the operation finished.');
+      try {
+        p?.disconnect();
+      } catch (_) {}
+    },
+  };
+}
@@ -0,0 +1,355 @@
+-- Projects: group connected docs (and the snips inserted into them) per user, with a default target doc.
+-- Snips belong to the project of the doc they were inserted into (set by trigger, follows the doc when it moves).
+-- Snip search, filter lists and usage stats take an optional project. Run after supabase-snip-search.sql.
+
+-- 1. projects table (RLS: own rows only).
+CREATE TABLE IF NOT EXISTS public.projects (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL DEFAULT auth.uid() REFERENCES auth.users (id) ON DELETE CASCADE,
+  name text NOT NULL CHECK (char_length(trim(name)) BETWEEN 1 AND 200),
+  default_doc_id text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_projects_user_id ON public.projects (user_id);
+
+ALTER TABLE public.projects ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can read own projects" ON public.projects;
+CREATE POLICY "Users can read own projects"
+  ON public.projects FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can insert own projects" ON public.projects;
+CREATE POLICY "Users can insert own projects"
+  ON public.projects FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update own projects" ON public.projects;
+CREATE POLICY "Users can update own projects"
+  ON public.projects FOR UPDATE
+  TO authenticated
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can delete own projects" ON public.projects;
+CREATE POLICY "Users can delete own projects"
+  ON public.projects FOR DELETE
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+-- 2. project_id on connected docs and snips. Deleting a project keeps its docs and snips (project_id becomes NULL).
+ALTER TABLE public.connected_docs ADD COLUMN IF NOT EXISTS project_id uuid REFERENCES public.projects (id) ON DELETE SET NULL;
+ALTER TABLE public.snips_history ADD COLUMN IF NOT EXISTS project_id uuid REFERENCES public.projects (id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_connected_docs_project_id ON public.connected_docs (project_id);
+CREATE INDEX IF NOT EXISTS idx_snips_history_project_id ON public.snips_history (user_id, project_id);
+
+-- A doc can only be put in one of the user's own projects.
+CREATE OR REPLACE FUNCTION public.check_connected_doc_project()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.project_id IS NOT NULL
+    AND NOT EXISTS (SELECT 1 FROM public.projects WHERE id = NEW.project_id AND user_id = NEW.user_id) THEN
+    RAISE EXCEPTION 'invalid_project';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS check_connected_doc_project_trigger ON public.connected_docs;
+CREATE TRIGGER check_connected_doc_project_trigger
+  BEFORE INSERT OR UPDATE OF project_id ON public.connected_docs
+  FOR EACH ROW
+  EXECUTE FUNCTION public.check_connected_doc_project();
+
+-- New snips take the project of their target doc (the record_*_and_check_limit RPCs don't need a project param).
+CREATE OR REPLACE FUNCTION public.set_snip_project()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.project_id IS NULL AND coalesce(NEW.target_doc_id, '') <> '' THEN
+    SELECT project_id INTO NEW.project_id FROM public.connected_docs
+      WHERE user_id = NEW.user_id AND google_doc_id = NEW.target_doc_id
+      LIMIT 1;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS set_snip_project_trigger ON public.snips_history;
+CREATE TRIGGER set_snip_project_trigger
+  BEFORE INSERT ON public.snips_history
+  FOR EACH ROW
+  EXECUTE FUNCTION public.set_snip_project();
+
+-- Moving a doc to another project moves its snips with it.
+CREATE OR REPLACE FUNCTION public.move_doc_snips_to_project()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE public.snips_history
+    SET project_id = NEW.project_id
+    WHERE user_id = NEW.user_id AND target_doc_id = NEW.google_doc_id;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS move_doc_snips_to_project_trigger ON public.connected_docs;
+CREATE TRIGGER move_doc_snips_to_project_trigger
+  AFTER UPDATE OF project_id ON public.connected_docs
+  FOR EACH ROW
+  WHEN (OLD.project_id IS DISTINCT FROM NEW.project_id)
+  EXECUTE FUNCTION public.move_doc_snips_to_project();
+
+-- A project's default doc is cleared when that doc is disconnected.
+CREATE OR REPLACE FUNCTION public.clear_project_default_doc()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE public.projects
+    SET default_doc_id = NULL
+    WHERE user_id = OLD.user_id AND default_doc_id = OLD.google_doc_id;
+  RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS clear_project_default_doc_trigger ON public.connected_docs;
+CREATE TRIGGER clear_project_default_doc_trigger
+  AFTER DELETE ON public.connected_docs
+  FOR EACH ROW
+  EXECUTE FUNCTION public.clear_project_default_doc();
+
+-- 3. add_connected_doc: optional p_project_id puts a new (or already connected) doc in that project.
+-- Same tier-based count limit as supabase-pro-feature-gating.sql; also returns { error: "invalid_project" }.
+DROP FUNCTION IF EXISTS public.add_connected_doc(text, text);
+
+CREATE OR REPLACE FUNCTION public.add_connected_doc(
+  p_google_doc_id text,
+  p_doc_title text DEFAULT '',
+  p_project_id uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid;
+  v_tier text;
+  v_count int;
+  v_row public.connected_docs%ROWTYPE;
+  v_title text;
+BEGIN
+  v_uid := auth.uid();
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('error', 'not_authenticated');
+  END IF;
+
+  v_title := COALESCE(trim(p_doc_title), 'Untitled');
+  IF trim(p_google_doc_id) = '' THEN
+    RETURN jsonb_build_object('error', 'invalid_doc_id');
+  END IF;
+
+  IF p_project_id IS NOT NULL
+    AND NOT EXISTS (SELECT 1 FROM public.projects WHERE id = p_project_id AND user_id = v_uid) THEN
+    RETURN jsonb_build_object('error', 'invalid_project');
+  END IF;
+
+  SELECT tier INTO v_tier FROM public.profiles WHERE id = v_uid;
+  v_tier := COALESCE(v_tier, 'free');
+
+  -- If this doc is already connected for this user, update and return it (does not count toward limit).
+  SELECT * INTO v_row FROM public.connected_docs
+    WHERE user_id = v_uid AND google_doc_id = trim(p_google_doc_id)
+    LIMIT 1;
+  IF FOUND THEN
+    UPDATE public.connected_docs
+      SET last_accessed_at = now(),
+          doc_title = v_title,
+          project_id = COALESCE(p_project_id, project_id)
+      WHERE id = v_row.id
+      RETURNING * INTO v_row;
+    RETURN jsonb_build_object(
+      'success', true,
+      'id', v_row.id,
+      'google_doc_id', v_row.google_doc_id,
+      'doc_title', v_row.doc_title,
+      'project_id', v_row.project_id
+    );
+  END IF;
+
+  IF v_tier = 'free' THEN
+    SELECT count(*) INTO v_count FROM public.connected_docs WHERE user_id = v_uid;
+    IF v_count >= 1 THEN
+      RETURN jsonb_build_object('error', 'doc_limit_reached');
+    END IF;
+  END IF;
+
+  INSERT INTO public.connected_docs (user_id, google_doc_id, doc_title, last_accessed_at, project_id)
+  VALUES (v_uid, trim(p_google_doc_id), v_title, now(), p_project_id)
+  RETURNING * INTO v_row;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'id', v_row.id,
+    'google_doc_id', v_row.google_doc_id,
+    'doc_title', v_row.doc_title,
+    'project_id', v_row.project_id
+  );
+END;
+$$;
+
+-- 4. search_snips / snip_search_facets with p_project_id (NULL: all projects). Same results otherwise.
+DROP FUNCTION IF EXISTS public.search_snips(text, text, text, text, timestamptz, timestamptz, text, int, int);
+
+CREATE OR REPLACE FUNCTION public.search_snips(
+  p_query text DEFAULT '',
+  p_doc_id text DEFAULT NULL,
+  p_domain text DEFAULT NULL,
+  p_type text DEFAULT NULL,
+  p_from timestamptz DEFAULT NULL,
+  p_to timestamptz DEFAULT NULL,
+  p_tag text DEFAULT NULL,
+  p_limit int DEFAULT 30,
+  p_offset int DEFAULT 0,
+  p_project_id uuid DEFAULT NULL
+)
+RETURNS TABLE (
+  id uuid,
+  content text,
+  source_url text,
+  page_title text,
+  domain text,
+  snippet_type text,
+  drive_url text,
+  target_doc_id text,
+  created_at timestamptz,
+  author text,
+  published_date text,
+  site_name text,
+  doi text,
+  canonical_url text,
+  ocr_text text,
+  page_number text,
+  math_tex text,
+  note text,
+  tags text[],
+  project_id uuid,
+  rank real
+)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+SET search_path = public
+AS $$
+  WITH q AS (SELECT public.snip_search_query(p_query) AS tsq)
+  SELECT
+    s.id, s.content, s.source_url, s.page_title, s.domain, s.snippet_type, s.drive_url, s.target_doc_id,
+    s.created_at, s.author, s.published_date, s.site_name, s.doi, s.canonical_url, s.ocr_text, s.page_number,
+    s.math_tex, s.note, s.tags, s.project_id,
+    CASE WHEN q.tsq IS NULL THEN 0 ELSE ts_rank(s.search_tsv, q.tsq) END::real AS rank
+  FROM public.snips_history s, q
+  WHERE s.user_id = auth.uid()
+    AND (q.tsq IS NULL OR s.search_tsv @@ q.tsq OR s.source_url ILIKE '%' || trim(p_query) || '%')
+    AND (nullif(trim(p_doc_id), '') IS NULL OR s.target_doc_id = trim(p_doc_id))
+    AND (p_project_id IS NULL OR s.project_id = p_project_id)
+    AND (nullif(trim(p_domain), '') IS NULL OR s.domain = trim(p_domain))
+    AND (nullif(trim(p_type), '') IS NULL OR s.snippet_type = trim(p_type))
+    AND (p_from IS NULL OR s.created_at >= p_from)
+    AND (p_to IS NULL OR s.created_at < p_to)
+    AND (nullif(trim(p_tag), '') IS NULL OR s.tags @> ARRAY[lower(trim(p_tag))])
+  ORDER BY rank DESC, s.created_at DESC, s.id DESC
+  LIMIT least(greatest(coalesce(p_limit, 30), 1), 100)
+  OFFSET greatest(coalesce(p_offset, 0), 0);
+$$;
+
+DROP FUNCTION IF EXISTS public.snip_search_facets(text);
+
+CREATE OR REPLACE FUNCTION public.snip_search_facets(p_doc_id text DEFAULT NULL, p_project_id uuid DEFAULT NULL)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+SET search_path = public
+AS $$
+  WITH mine AS (
+    SELECT domain, tags FROM public.snips_history
+    WHERE user_id = auth.uid()
+      AND (nullif(trim(p_doc_id), '') IS NULL OR target_doc_id = trim(p_doc_id))
+      AND (p_project_id IS NULL OR project_id = p_project_id)
+  )
+  SELECT jsonb_build_object(
+    'domains', coalesce((
+      SELECT jsonb_agg(jsonb_build_object('domain', domain, 'count', n) ORDER BY n DESC, domain)
+      FROM (SELECT domain, count(*) AS n FROM mine WHERE coalesce(domain, '') <> '' GROUP BY domain) d
+    ), '[]'::jsonb),
+    'tags', coalesce((
+      SELECT jsonb_agg(jsonb_build_object('tag', tag, 'count', n) ORDER BY n DESC, tag)
+      FROM (SELECT tag, count(*) AS n FROM mine, unnest(mine.tags) AS tag GROUP BY tag) t
+    ), '[]'::jsonb)
+  );
+$$;
+
+-- 5. get_snip_usage: with p_project_id also returns project_used (Image Snips this month in that project).
+-- The monthly limit stays per user (user_usage); the project count is for display.
+DROP FUNCTION IF EXISTS public.get_snip_usage();
+
+CREATE OR REPLACE FUNCTION public.get_snip_usage(p_project_id uuid DEFAULT NULL)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid;
+  v_tier text;
+  v_period text;
+  v_count int;
+  v_limit int := 15;
+  v_project_used int;
+BEGIN
+  v_uid := auth.uid();
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('error', 'not_authenticated', 'allowed', true);
+  END IF;
+  IF p_project_id IS NOT NULL THEN
+    SELECT count(*) INTO v_project_used FROM public.snips_history
+      WHERE user_id = v_uid
+        AND project_id = p_project_id
+        AND snippet_type = 'image'
+        AND created_at >= date_trunc('month', now() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC';
+  END IF;
+  SELECT tier INTO v_tier FROM public.profiles WHERE id = v_uid;
+  v_tier := COALESCE(v_tier, 'free');
+  IF v_tier != 'free' THEN
+    RETURN jsonb_build_object('used', 0, 'limit', 0, 'allowed', true, 'project_used', v_project_used);
+  END IF;
+  v_period := to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM');
+  SELECT COALESCE(snip_count, 0) INTO v_count
+    FROM public.user_usage
+    WHERE user_id = v_uid AND period = v_period;
+  v_count := COALESCE(v_count, 0);
+  RETURN jsonb_build_object(
+    'used', v_count,
+    'limit', v_limit,
+    'allowed', (v_count < v_limit),
+    'project_used', v_project_used
+  );
+END;
+$$;
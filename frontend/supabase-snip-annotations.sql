@@ -0,0 +1,230 @@
+-- Snip annotations: a personal note and tags attached to each snip (Text Snip and Image Snip), shown and
+-- filtered in Snip History. Run after supabase-snip-math-tex.sql.
+
+-- 1. Columns (note NULL when there is none; tags lower-case, without '#')
+ALTER TABLE public.snips_history ADD COLUMN IF NOT EXISTS note text;
+ALTER TABLE public.snips_history ADD COLUMN IF NOT EXISTS tags text[] NOT NULL DEFAULT '{}';
+
+-- Snip History filters by tag (tags @> ARRAY['x'])
+CREATE INDEX IF NOT EXISTS snips_history_tags_idx ON public.snips_history USING gin (tags);
+
+-- 2. Tags as stored: trimmed, lower-case, no leading '#', no duplicates, at most 20 of 64 characters.
+CREATE OR REPLACE FUNCTION public.clean_snip_tags(p_tags text[])
+RETURNS text[]
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT COALESCE(array_agg(tag ORDER BY first_pos), '{}')
+  FROM (
+    SELECT tag, min(pos) AS first_pos
+    FROM (
+      SELECT left(lower(regexp_replace(trim(t), '^#+', '')), 64) AS tag, pos
+      FROM unnest(COALESCE(p_tags, '{}')) WITH ORDINALITY AS u(t, pos)
+    ) cleaned
+    WHERE tag <> ''
+    GROUP BY tag
+    ORDER BY min(pos)
+    LIMIT 20
+  ) kept;
+$$;
+
+-- 3. Drop the previous signatures so PostgREST does not see two overloads of each RPC.
+DROP FUNCTION IF EXISTS public.record_snip_and_check_limit(text, text, text, text, text, text, text, text, text, text, text, text, text);
+DROP FUNCTION IF EXISTS public.record_image_snip_and_check_limit(text, text, text, text, text, text, text, text, text, text, text, text);
+
+-- 4. record_snip_and_check_limit (text): same as supabase-snip-math-tex.sql plus p_note and p_tags.
+CREATE OR REPLACE FUNCTION public.record_snip_and_check_limit(
+  p_content text DEFAULT '',
+  p_source_url text DEFAULT '',
+  p_target_doc_id text DEFAULT '',
+  p_page_title text DEFAULT '',
+  p_domain text DEFAULT '',
+  p_author text DEFAULT '',
+  p_published_date text DEFAULT '',
+  p_site_name text DEFAULT '',
+  p_doi text DEFAULT '',
+  p_canonical_url text DEFAULT '',
+  p_ocr_text text DEFAULT '',
+  p_page_number text DEFAULT '',
+  p_math_tex text DEFAULT '',
+  p_note text DEFAULT '',
+  p_tags text[] DEFAULT '{}'
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid;
+  v_content_trim text;
+  v_domain text;
+  v_snip_id uuid;
+BEGIN
+  v_uid := auth.uid();
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('error', 'not_authenticated');
+  END IF;
+
+  -- Derive domain from URL if not provided
+  v_content_trim := trim(p_content);
+  v_domain := nullif(trim(p_domain), '');
+  IF v_domain IS NULL AND trim(p_source_url) <> '' THEN
+    v_domain := regexp_replace(
+      split_part(split_part(trim(p_source_url), '//', 2), '/', 1),
+      '^www\.', ''
+    );
+  END IF;
+
+  IF length(v_content_trim) > 0 THEN
+    INSERT INTO public.snips_history (
+      user_id,
+      content,
+      source_url,
+      page_title,
+      domain,
+      snippet_type,
+      target_doc_id,
+      drive_url,
+      author,
+      published_date,
+      site_name,
+      doi,
+      canonical_url,
+      ocr_text,
+      page_number,
+      math_tex,
+      note,
+      tags
+    )
+    VALUES (
+      v_uid,
+      left(v_content_trim, 500),
+      left(trim(p_source_url), 2048),
+      left(trim(p_page_title), 1024),
+      left(v_domain, 512),
+      'text',
+      left(trim(p_target_doc_id), 256),
+      NULL,
+      nullif(left(trim(p_author), 1024), ''),
+      nullif(left(trim(p_published_date), 64), ''),
+      nullif(left(trim(p_site_name), 512), ''),
+      nullif(left(trim(p_doi), 256), ''),
+      nullif(left(trim(p_canonical_url), 2048), ''),
+      nullif(left(trim(p_ocr_text), 20000), ''),
+      nullif(left(trim(p_page_number), 32), ''),
+      nullif(left(trim(p_math_tex), 20000), ''),
+      nullif(left(trim(p_note), 2000), ''),
+      public.clean_snip_tags(p_tags)
+    )
+    RETURNING id INTO v_snip_id;
+  END IF;
+
+  RETURN jsonb_build_object('success', true, 'snip_id', v_snip_id);
+
+EXCEPTION
+  WHEN OTHERS THEN
+    RETURN jsonb_build_object('error', 'record_snip_failed', 'message', SQLERRM);
+END;
+$$;
+
+-- 5. record_image_snip_and_check_limit (image): same as supabase-snip-page-number.sql plus p_note and p_tags.
+CREATE OR REPLACE FUNCTION public.record_image_snip_and_check_limit(
+  p_source_url text DEFAULT '',
+  p_page_title text DEFAULT '',
+  p_domain text DEFAULT '',
+  p_drive_url text DEFAULT '',
+  p_target_doc_id text DEFAULT '',
+  p_author text DEFAULT '',
+  p_published_date text DEFAULT '',
+  p_site_name text DEFAULT '',
+  p_doi text DEFAULT '',
+  p_canonical_url text DEFAULT '',
+  p_ocr_text text DEFAULT '',
+  p_page_number text DEFAULT '',
+  p_note text DEFAULT '',
+  p_tags text[] DEFAULT '{}'
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid;
+  v_tier text;
+  v_period text;
+  v_count int;
+  v_limit int := 15;
+  v_snip_id uuid;
+BEGIN
+  v_uid := auth.uid();
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('error', 'not_authenticated');
+  END IF;
+
+  SELECT tier INTO v_tier FROM public.profiles WHERE id = v_uid;
+  v_tier := COALESCE(v_tier, 'free');
+
+  IF v_tier = 'free' THEN
+    v_period := to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM');
+    SELECT COALESCE(snip_count, 0) INTO v_count
+      FROM public.user_usage
+      WHERE user_id = v_uid AND period = v_period;
+    v_count := COALESCE(v_count, 0);
+    IF v_count >= v_limit THEN
+      RETURN jsonb_build_object('error', 'snip_limit_reached', 'limit', v_limit);
+    END IF;
+  END IF;
+
+  INSERT INTO public.snips_history (
+    user_id,
+    source_url,
+    page_title,
+    domain,
+    snippet_type,
+    drive_url,
+    target_doc_id,
+    author,
+    published_date,
+    site_name,
+    doi,
+    canonical_url,
+    ocr_text,
+    page_number,
+    note,
+    tags
+  )
+  VALUES (
+    v_uid,
+    left(p_source_url, 2048),
+    left(p_page_title, 1024),
+    left(p_domain, 512),
+    'image',
+    left(p_drive_url, 2048),
+    left(p_target_doc_id, 256),
+    nullif(left(trim(p_author), 1024), ''),
+    nullif(left(trim(p_published_date), 64), ''),
+    nullif(left(trim(p_site_name), 512), ''),
+    nullif(left(trim(p_doi), 256), ''),
+    nullif(left(trim(p_canonical_url), 2048), ''),
+    nullif(left(trim(p_ocr_text), 20000), ''),
+    nullif(left(trim(p_page_number), 32), ''),
+    nullif(left(trim(p_note), 2000), ''),
+    public.clean_snip_tags(p_tags)
+  )
+  RETURNING id INTO v_snip_id;
+
+  v_period := to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM');
+  INSERT INTO public.user_usage (user_id, period, snip_count)
+  VALUES (v_uid, v_period, 1)
+  ON CONFLICT (user_id, period)
+  DO UPDATE SET snip_count = public.user_usage.snip_count + 1;
+
+  RETURN jsonb_build_object('success', true, 'snip_id', v_snip_id);
+
+EXCEPTION
+  WHEN OTHERS THEN
+    RETURN jsonb_build_object('error', 'record_snip_failed', 'message', SQLERRM);
+END;
+$$;
@@ -0,0 +1,185 @@
+-- Citation metadata on every snip (author, publish date, site name, DOI, canonical URL) for Format References.
+-- Run after supabase-snip-limit-text-plug-excluded.sql and supabase-snip-return-id.sql.
+
+-- 1. Columns (all optional; filled from citation_* / Dublin Core / JSON-LD / OpenGraph tags on the source page)
+ALTER TABLE public.snips_history ADD COLUMN IF NOT EXISTS author text;
+ALTER TABLE public.snips_history ADD COLUMN IF NOT EXISTS published_date text;
+ALTER TABLE public.snips_history ADD COLUMN IF NOT EXISTS site_name text;
+ALTER TABLE public.snips_history ADD COLUMN IF NOT EXISTS doi text;
+ALTER TABLE public.snips_history ADD COLUMN IF NOT EXISTS canonical_url text;
+
+-- 2. Drop the previous signatures so PostgREST does not see two overloads of each RPC.
+DROP FUNCTION IF EXISTS public.record_snip_and_check_limit(text, text, text, text, text);
+DROP FUNCTION IF EXISTS public.record_image_snip_and_check_limit(text, text, text, text, text);
+
+-- 3. record_snip_and_check_limit (text): same behaviour as supabase-snip-limit-text-plug-excluded.sql
+-- (no usage limit) plus citation metadata columns.
+CREATE OR REPLACE FUNCTION public.record_snip_and_check_limit(
+  p_content text DEFAULT '',
+  p_source_url text DEFAULT '',
+  p_target_doc_id text DEFAULT '',
+  p_page_title text DEFAULT '',
+  p_domain text DEFAULT '',
+  p_author text DEFAULT '',
+  p_published_date text DEFAULT '',
+  p_site_name text DEFAULT '',
+  p_doi text DEFAULT '',
+  p_canonical_url text DEFAULT ''
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid;
+  v_content_trim text;
+  v_domain text;
+  v_snip_id uuid;
+BEGIN
+  v_uid := auth.uid();
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('error', 'not_authenticated');
+  END IF;
+
+  -- Derive domain from URL if not provided
+  v_content_trim := trim(p_content);
+  v_domain := nullif(trim(p_domain), '');
+  IF v_domain IS NULL AND trim(p_source_url) <> '' THEN
+    v_domain := regexp_replace(
+      split_part(split_part(trim(p_source_url), '//', 2), '/', 1),
+      '^www\.', ''
+    );
+  END IF;
+
+  IF length(v_content_trim) > 0 THEN
+    INSERT INTO public.snips_history (
+      user_id,
+      content,
+      source_url,
+      page_title,
+      domain,
+      snippet_type,
+      target_doc_id,
+      drive_url,
+      author,
+      published_date,
+      site_name,
+      doi,
+      canonical_url
+    )
+    VALUES (
+      v_uid,
+      left(v_content_trim, 500),
+      left(trim(p_source_url), 2048),
+      left(trim(p_page_title), 1024),
+      left(v_domain, 512),
+      'text',
+      left(trim(p_target_doc_id), 256),
+      NULL,
+      nullif(left(trim(p_author), 1024), ''),
+      nullif(left(trim(p_published_date), 64), ''),
+      nullif(left(trim(p_site_name), 512), ''),
+      nullif(left(trim(p_doi), 256), ''),
+      nullif(left(trim(p_canonical_url), 2048), '')
+    )
+    RETURNING id INTO v_snip_id;
+  END IF;
+
+  RETURN jsonb_build_object('success', true, 'snip_id', v_snip_id);
+
+EXCEPTION
+  WHEN OTHERS THEN
+    RETURN jsonb_build_object('error', 'record_snip_failed', 'message', SQLERRM);
+END;
+$$;
+
+-- 4. record_image_snip_and_check_limit (image): same behaviour as supabase-snip-return-id.sql
+-- (free-tier monthly limit, returns snip_id) plus citation metadata columns.
+CREATE OR REPLACE FUNCTION public.record_image_snip_and_check_limit(
+  p_source_url text DEFAULT '',
+  p_page_title text DEFAULT '',
+  p_domain text DEFAULT '',
+  p_drive_url text DEFAULT '',
+  p_target_doc_id text DEFAULT '',
+  p_author text DEFAULT '',
+  p_published_date text DEFAULT '',
+  p_site_name text DEFAULT '',
+  p_doi text DEFAULT '',
+  p_canonical_url text DEFAULT ''
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid;
+  v_tier text;
+  v_period text;
+  v_count int;
+  v_limit int := 15;
+  v_snip_id uuid;
+BEGIN
+  v_uid := auth.uid();
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('error', 'not_authenticated');
+  END IF;
+
+  SELECT tier INTO v_tier FROM public.profiles WHERE id = v_uid;
+  v_tier := COALESCE(v_tier, 'free');
+
+  IF v_tier = 'free' THEN
+    v_period := to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM');
+    SELECT COALESCE(snip_count, 0) INTO v_count
+      FROM public.user_usage
+      WHERE user_id = v_uid AND period = v_period;
+    v_count := COALESCE(v_count, 0);
+    IF v_count >= v_limit THEN
+      RETURN jsonb_build_object('error', 'snip_limit_reached', 'limit', v_limit);
+    END IF;
+  END IF;
+
+  INSERT INTO public.snips_history (
+    user_id,
+    source_url,
+    page_title,
+    domain,
+    snippet_type,
+    drive_url,
+    target_doc_id,
+    author,
+    published_date,
+    site_name,
+    doi,
+    canonical_url
+  )
+  VALUES (
+    v_uid,
+    left(p_source_url, 2048),
+    left(p_page_title, 1024),
+    left(p_domain, 512),
+    'image',
+    left(p_drive_url, 2048),
+    left(p_target_doc_id, 256),
+    nullif(left(trim(p_author), 1024), ''),
+    nullif(left(trim(p_published_date), 64), ''),
+    nullif(left(trim(p_site_name), 512), ''),
+    nullif(left(trim(p_doi), 256), ''),
+    nullif(left(trim(p_canonical_url), 2048), '')
+  )
+  RETURNING id INTO v_snip_id;
+
+  v_period := to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM');
+  INSERT INTO public.user_usage (user_id, period, snip_count)
+  VALUES (v_uid, v_period, 1)
+  ON CONFLICT (user_id, period)
+  DO UPDATE SET snip_count = public.user_usage.snip_count + 1;
+
+  RETURN jsonb_build_object('success', true, 'snip_id', v_snip_id);
+
+EXCEPTION
+  WHEN OTHERS THEN
+    RETURN jsonb_build_object('error', 'record_snip_failed', 'message', SQLERRM);
+END;
+$$;
@@ -0,0 +1,99 @@
+-- TeX source of formulas (MathJax, KaTeX, MathML) in Text Snips, one per line, kept for re-use from Snip History.
+-- Run after supabase-snip-page-number.sql.
+
+-- 1. Column (NULL when the snip has no formulas)
+ALTER TABLE public.snips_history ADD COLUMN IF NOT EXISTS math_tex text;
+
+-- 2. Drop the previous signature so PostgREST does not see two overloads of the RPC.
+DROP FUNCTION IF EXISTS public.record_snip_and_check_limit(text, text, text, text, text, text, text, text, text, text, text, text);
+
+-- 3. record_snip_and_check_limit (text): same as supabase-snip-page-number.sql plus p_math_tex.
+-- Image Snips have no formulas; record_image_snip_and_check_limit is unchanged.
+CREATE OR REPLACE FUNCTION public.record_snip_and_check_limit(
+  p_content text DEFAULT '',
+  p_source_url text DEFAULT '',
+  p_target_doc_id text DEFAULT '',
+  p_page_title text DEFAULT '',
+  p_domain text DEFAULT '',
+  p_author text DEFAULT '',
+  p_published_date text DEFAULT '',
+  p_site_name text DEFAULT '',
+  p_doi text DEFAULT '',
+  p_canonical_url text DEFAULT '',
+  p_ocr_text text DEFAULT '',
+  p_page_number text DEFAULT '',
+  p_math_tex text DEFAULT ''
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_uid uuid;
+  v_content_trim text;
+  v_domain text;
+  v_snip_id uuid;
+BEGIN
+  v_uid := auth.uid();
+  IF v_uid IS NULL THEN
+    RETURN jsonb_build_object('error', 'not_authenticated');
+  END IF;
+
+  -- Derive domain from URL if not provided
+  v_content_trim := trim(p_content);
+  v_domain := nullif(trim(p_domain), '');
+  IF v_domain IS NULL AND trim(p_source_url) <> '' THEN
+    v_domain := regexp_replace(
+      split_part(split_part(trim(p_source_url), '//', 2), '/', 1),
+      '^www\.', ''
+    );
+  END IF;
+
+  IF length(v_content_trim) > 0 THEN
+    INSERT INTO public.snips_history (
+      user_id,
+      content,
+      source_url,
+      page_title,
+      domain,
+      snippet_type,
+      target_doc_id,
+      drive_url,
+      author,
+      published_date,
+      site_name,
+      doi,
+      canonical_url,
+      ocr_text,
+      page_number,
+      math_tex
+    )
+    VALUES (
+      v_uid,
+      left(v_content_trim, 500),
+      left(trim(p_source_url), 2048),
+      left(trim(p_page_title), 1024),
+      left(v_domain, 512),
+      'text',
+      left(trim(p_target_doc_id), 256),
+      NULL,
+      nullif(left(trim(p_author), 1024), ''),
+      nullif(left(trim(p_published_date), 64), ''),
+      nullif(left(trim(p_site_name), 512), ''),
+      nullif(left(trim(p_doi), 256), ''),
+      nullif(left(trim(p_canonical_url), 2048), ''),
+      nullif(left(trim(p_ocr_text), 20000), ''),
+      nullif(left(trim(p_page_number), 32), ''),
+      nullif(left(trim(p_math_tex), 20000), '')
+    )
+    RETURNING id INTO v_snip_id;
+  END IF;
+
+  RETURN jsonb_build_object('success', true, 'snip_id', v_snip_id);
+
+EXCEPTION
+  WHEN OTHERS THEN
+    RETURN jsonb_build_object('error', 'record_snip_failed', 'message', SQLERRM);
+END;
+$$;
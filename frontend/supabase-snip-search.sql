@@ -0,0 +1,122 @@
+-- Snip History search: full-text index over snips_history and the search_snips RPC (filters + pages),
+-- plus snip_search_facets for the filter lists. Run after supabase-snip-annotations.sql.
+-- Both functions run as the caller (SECURITY INVOKER), so the "Pro users can read own snips" policy applies.
+
+-- 1. Search document: titles and domains rank highest, then the snip text and note, then OCR text and TeX.
+-- 'simple' (no stemming) so URLs, names and non-English text match as typed.
+ALTER TABLE public.snips_history ADD COLUMN IF NOT EXISTS search_tsv tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', coalesce(page_title, '')), 'A')
+    || setweight(to_tsvector('simple', coalesce(domain, '')), 'A')
+    || setweight(to_tsvector('simple', coalesce(content, '')), 'B')
+    || setweight(to_tsvector('simple', coalesce(note, '')), 'B')
+    || setweight(to_tsvector('simple', coalesce(ocr_text, '')), 'C')
+    || setweight(to_tsvector('simple', coalesce(math_tex, '')), 'D')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS snips_history_search_tsv_idx ON public.snips_history USING gin (search_tsv);
+CREATE INDEX IF NOT EXISTS snips_history_user_created_idx ON public.snips_history (user_id, created_at DESC, id DESC);
+
+-- 2. Query text to tsquery. Plain words match as prefixes ("neur net" finds "neural networks") so results
+-- follow the search box as the user types; quotes, "or" and -word use web search syntax. NULL when empty.
+CREATE OR REPLACE FUNCTION public.snip_search_query(p_query text)
+RETURNS tsquery
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN trim(coalesce(p_query, '')) = '' THEN NULL
+    WHEN p_query ~* '"|(^|\s)-\S|\sor\s' THEN websearch_to_tsquery('simple', p_query)
+    ELSE to_tsquery('simple', nullif(array_to_string(array(
+      SELECT quote_literal(w) || ':*'
+      FROM regexp_split_to_table(lower(trim(p_query)), '[^[:alnum:]_]+') AS w
+      WHERE w <> ''
+    ), ' & '), ''))
+  END;
+$$;
+
+-- 3. search_snips: one page of the user's snips matching the query and filters.
+-- Best matches first when there is a query, newest first otherwise. p_doc_id NULL searches all documents;
+-- p_type 'text' | 'image'; p_from / p_to bound created_at (p_to exclusive); p_tag is one tag (lower-case).
+CREATE OR REPLACE FUNCTION public.search_snips(
+  p_query text DEFAULT '',
+  p_doc_id text DEFAULT NULL,
+  p_domain text DEFAULT NULL,
+  p_type text DEFAULT NULL,
+  p_from timestamptz DEFAULT NULL,
+  p_to timestamptz DEFAULT NULL,
+  p_tag text DEFAULT NULL,
+  p_limit int DEFAULT 30,
+  p_offset int DEFAULT 0
+)
+RETURNS TABLE (
+  id uuid,
+  content text,
+  source_url text,
+  page_title text,
+  domain text,
+  snippet_type text,
+  drive_url text,
+  target_doc_id text,
+  created_at timestamptz,
+  author text,
+  published_date text,
+  site_name text,
+  doi text,
+  canonical_url text,
+  ocr_text text,
+  page_number text,
+  math_tex text,
+  note text,
+  tags text[],
+  rank real
+)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+SET search_path = public
+AS $$
+  WITH q AS (SELECT public.snip_search_query(p_query) AS tsq)
+  SELECT
+    s.id, s.content, s.source_url, s.page_title, s.domain, s.snippet_type, s.drive_url, s.target_doc_id,
+    s.created_at, s.author, s.published_date, s.site_name, s.doi, s.canonical_url, s.ocr_text, s.page_number,
+    s.math_tex, s.note, s.tags,
+    CASE WHEN q.tsq IS NULL THEN 0 ELSE ts_rank(s.search_tsv, q.tsq) END::real AS rank
+  FROM public.snips_history s, q
+  WHERE s.user_id = auth.uid()
+    AND (q.tsq IS NULL OR s.search_tsv @@ q.tsq OR s.source_url ILIKE '%' || trim(p_query) || '%')
+    AND (nullif(trim(p_doc_id), '') IS NULL OR s.target_doc_id = trim(p_doc_id))
+    AND (nullif(trim(p_domain), '') IS NULL OR s.domain = trim(p_domain))
+    AND (nullif(trim(p_type), '') IS NULL OR s.snippet_type = trim(p_type))
+    AND (p_from IS NULL OR s.created_at >= p_from)
+    AND (p_to IS NULL OR s.created_at < p_to)
+    AND (nullif(trim(p_tag), '') IS NULL OR s.tags @> ARRAY[lower(trim(p_tag))])
+  ORDER BY rank DESC, s.created_at DESC, s.id DESC
+  LIMIT least(greatest(coalesce(p_limit, 30), 1), 100)
+  OFFSET greatest(coalesce(p_offset, 0), 0);
+$$;
+
+-- 4. snip_search_facets: domains and tags (with counts) for the filter lists, for one document or all.
+CREATE OR REPLACE FUNCTION public.snip_search_facets(p_doc_id text DEFAULT NULL)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+SET search_path = public
+AS $$
+  WITH mine AS (
+    SELECT domain, tags FROM public.snips_history
+    WHERE user_id = auth.uid()
+      AND (nullif(trim(p_doc_id), '') IS NULL OR target_doc_id = trim(p_doc_id))
+  )
+  SELECT jsonb_build_object(
+    'domains', coalesce((
+      SELECT jsonb_agg(jsonb_build_object('domain', domain, 'count', n) ORDER BY n DESC, domain)
+      FROM (SELECT domain, count(*) AS n FROM mine WHERE coalesce(domain, '') <> '' GROUP BY domain) d
+    ), '[]'::jsonb),
+    'tags', coalesce((
+      SELECT jsonb_agg(jsonb_build_object('tag', tag, 'count', n) ORDER BY n DESC, tag)
+      FROM (SELECT tag, count(*) AS n FROM mine, unnest(mine.tags) AS tag GROUP BY tag) t
+    ), '[]'::jsonb)
+  );
+$$;
@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+import { buildExportEntries, toBibTeX } from '../src/lib/citationExport.js';
+
+const row = (id, fields) => ({ id, page_title: 'Deep Learning', domain: 'example.com', created_at: '2024-01-01T00:00:00Z', ...fields });
+
+describe('toBibTeX', () => {
+  it('escapes organisation authors inside their protective braces', () => {
+    const bib = toBibTeX([row('1', { author: 'R_D; Jane Doe', source_url: 'https://example.com/a' })]);
+    expect(bib).toContain('  author = {{R\\_D} and Doe, Jane},\n');
+  });
+
+  it('escapes personal names', () => {
+    const bib = toBibTeX([row('1', { author: 'Doe, Jane_X', source_url: 'https://example.com/a' })]);
+    expect(bib).toContain('  author = {Doe, Jane\\_X},\n');
+  });
+});
+
+describe('buildExportEntries', () => {
+  const a = row('a', { author: 'John Doe', published_date: '2021-02-03', source_url: 'https://zzz.example.com/a', created_at: '2024-01-01T00:00:00Z' });
+  const b = row('b', { author: 'Jane Doe', published_date: '2021-06-01', source_url: 'https://aaa.example.com/b', created_at: '2024-02-01T00:00:00Z' });
+  const c = row('c', { author: 'Ann Doe', published_date: '2021-09-09', source_url: 'https://mmm.example.com/c', created_at: '2024-03-01T00:00:00Z' });
+  const keysById = (snips, keySnips) => Object.fromEntries(buildExportEntries(snips, keySnips).map((e) => [e.row.id, e.key]));
+
+  it('suffixes colliding keys in the order the sources were first snipped', () => {
+    expect(keysById([b, a])).toEqual({ a: 'doe2021deep', b: 'doe2021deepa' });
+  });
+
+  it('keeps the keys of exported sources when a newer source is added', () => {
+    const before = keysById([a, b]);
+    const after = keysById([a, b, c]);
+    expect(after).toMatchObject(before);
+    expect(after.c).toBe('doe2021deepb');
+  });
+
+  it('gives a filtered export the keys of the whole history', () => {
+    expect(keysById([c, b], [a, b, c])).toEqual({ b: 'doe2021deepa', c: 'doe2021deepb' });
+    expect(toBibTeX([b], [a, b, c])).toMatch(/^@misc\{doe2021deepa,\n/);
+  });
+});
@@ -0,0 +1,85 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { resolveCursorInsertIndex } from '../src/background/docsCursor.js';
+import { insertHighlightAtPosition } from '../src/lib/docsInsert.js';
+import { TEST_TOKEN, installFakeGoogle, signIn } from './fakes/fakeFetch.js';
+
+const DOC_TAB = { id: 5, windowId: 2, active: true };
+/** Index of "after" in the first paragraph. */
+const CURSOR = 1 + 'Before the cursor '.length;
+
+describe('insert at the live cursor', () => {
+  let doc;
+  /** The marker the bridge was asked to type. */
+  let marker;
+  /** Type text at index, as Docs saves what the bridge typed. */
+  const typeAt = (index, text) => doc.batchUpdate([{ insertText: { location: { index }, text } }]);
+
+  beforeEach(async () => {
+    const google = installFakeGoogle();
+    doc = google.docs.addDocument({ documentId: 'doc1', body: ['Before the cursor after it.', 'Next paragraph.'] });
+    await signIn();
+    chrome.tabs.query.mockResolvedValue([DOC_TAB]);
+    chrome.tabs.sendMessage.mockImplementation(async (tabId, msg) => {
+      marker = msg.marker;
+      typeAt(CURSOR, marker);
+      return { ok: true };
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('returns the cursor\'s own index and splits its paragraph there', async () => {
+    expect(await resolveCursorInsertIndex('doc1')).toBe(CURSOR);
+    expect(doc.text()).not.toContain('docsourced');
+    expect(doc.paragraphs().map((p) => p.text)).toEqual(['Before the cursor ', 'after it.', 'Next paragraph.']);
+
+    await insertHighlightAtPosition('doc1', TEST_TOKEN, { selectedText: 'Quote', pageUrl: 'https://example.com/', pageTitle: 'Page' }, CURSOR);
+    expect(doc.paragraphs().map((p) => p.text)).toEqual(['Before the cursor ', '', 'Quote', 'Source: Page', 'after it.', 'Next paragraph.']);
+  });
+
+  it('leaves the paragraph whole when the cursor is at its end', async () => {
+    const end = 1 + 'Before the cursor after it.'.length;
+    chrome.tabs.sendMessage.mockImplementation(async (tabId, msg) => {
+      typeAt(end, msg.marker);
+      return { ok: true };
+    });
+    expect(await resolveCursorInsertIndex('doc1')).toBe(end);
+    expect(doc.paragraphs().map((p) => p.text)).toEqual(['Before the cursor after it.', 'Next paragraph.']);
+  });
+
+  it('removes the marker when the tab closes after it was typed', async () => {
+    chrome.tabs.sendMessage.mockImplementation(async (tabId, msg) => {
+      typeAt(CURSOR, msg.marker);
+      throw new Error('The message port closed before a response was received.');
+    });
+    expect(await resolveCursorInsertIndex('doc1')).toBeNull();
+    expect(doc.text()).not.toContain('docsourced');
+  });
+
+  it('removes a marker Docs saves only after the lookup gave up', async () => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+    chrome.tabs.sendMessage.mockImplementation(async (tabId, msg) => {
+      marker = msg.marker;
+      return { ok: true };
+    });
+    const pending = resolveCursorInsertIndex('doc1');
+    await vi.advanceTimersByTimeAsync(9000);
+    expect(await pending).toBeNull();
+
+    typeAt(CURSOR, marker);
+    await vi.advanceTimersByTimeAsync(15000);
+    expect(doc.text()).not.toContain('docsourced');
+    expect(doc.paragraphs().map((p) => p.text)).toEqual(['Before the cursor after it.', 'Next paragraph.']);
+  });
+
+  it('stops looking when the doc tab is closed', async () => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+    chrome.tabs.sendMessage.mockResolvedValue({ ok: true });
+    chrome.tabs.get.mockRejectedValue(new Error('No tab with id: 5.'));
+    const pending = resolveCursorInsertIndex('doc1');
+    await vi.advanceTimersByTimeAsync(200);
+    expect(await pending).toBeNull();
+  });
+});
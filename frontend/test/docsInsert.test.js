@@ -0,0 +1,208 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import {
+  deleteInsertRange,
+  getDocumentOutline,
+  getDocumentText,
+  insertHighlightAtPosition,
+  insertHighlightToDoc,
+  insertImageWithSource,
+  removeTextMarker,
+} from '../src/lib/docsInsert.js';
+import { flattenOutline } from '../src/lib/docsOutline.js';
+import { uploadImageToDrive } from '../src/background/googleDrive.js';
+import { para, table } from './fakes/fakeDocs.js';
+import { TEST_TOKEN, installFakeGoogle } from './fakes/fakeFetch.js';
+
+const snip = (selectedText, extra = {}) => ({
+  selectedText,
+  pageUrl: 'https://example.com/article',
+  pageTitle: 'Example Article',
+  snipId: 'snip1',
+  ...extra,
+});
+
+describe('docsInsert', () => {
+  let google;
+  beforeEach(() => {
+    google = installFakeGoogle();
+  });
+
+  it('appends a snip with a linked source line and a SNIP_REF_ named range over it', async () => {
+    const doc = google.docs.addDocument({ documentId: 'doc1', body: ['Intro'] });
+    const range = await insertHighlightToDoc('doc1', TEST_TOKEN, snip('A quoted line'));
+
+    expect(doc.paragraphs().map((p) => p.text)).toEqual(['Intro', 'A quoted line', 'Source: Example Article']);
+    const titleAt = doc.text().indexOf('Example Article');
+    expect(doc.textStyleAt(titleAt)).toMatchObject({ link: { url: 'https://example.com/article' } });
+    expect(doc.textStyleAt(titleAt - 1).link).toBeUndefined();
+    expect(doc.namedRanges('SNIP_REF_snip1')).toMatchObject([{ text: '\nSource: Example Article' }]);
+    expect(doc.text().slice(range.startIndex, range.endIndex)).toBe('\nA quoted line\nSource: Example Article');
+  });
+
+  it('turns bullet and numbered lines into lists', async () => {
+    const doc = google.docs.addDocument({ documentId: 'doc1', body: ['Intro'] });
+    await insertHighlightToDoc('doc1', TEST_TOKEN, snip('• first\n• second\n1. one\n2. two'));
+
+    const byText = Object.fromEntries(doc.paragraphs().map((p) => [p.text, p.bullet?.preset ?? null]));
+    expect(byText).toMatchObject({
+      first: 'BULLET_DISC_CIRCLE_SQUARE',
+      second: 'BULLET_DISC_CIRCLE_SQUARE',
+      one: 'NUMBERED_DECIMAL_ALPHA_ROMAN',
+      two: 'NUMBERED_DECIMAL_ALPHA_ROMAN',
+      'Source: Example Article': null,
+    });
+  });
+
+  it('inserts at the end of a section as normal text and leaves the heading alone', async () => {
+    const doc = google.docs.addDocument({
+      documentId: 'doc1',
+      body: [para('Methods', 'HEADING_1'), 'We measured things.', para('Results', 'HEADING_1'), 'It worked.'],
+    });
+    const outline = await getDocumentOutline('doc1', TEST_TOKEN);
+    const methods = outline.tabs[0].headings[0];
+    const range = await insertHighlightAtPosition('doc1', TEST_TOKEN, snip('New evidence'), methods.end);
+
+    expect(doc.paragraphs().map((p) => [p.text, p.style.namedStyleType])).toEqual([
+      ['Methods', 'HEADING_1'],
+      ['We measured things.', 'NORMAL_TEXT'],
+      ['', 'NORMAL_TEXT'],
+      ['New evidence', 'NORMAL_TEXT'],
+      ['Source: Example Article', 'NORMAL_TEXT'],
+      ['Results', 'HEADING_1'],
+      ['It worked.', 'NORMAL_TEXT'],
+    ]);
+    expect(doc.text().slice(range.startIndex, range.endIndex)).toBe('\n\nNew evidence\nSource: Example Article');
+    expect(range).toMatchObject({ tabId: null, beforeParagraph: false });
+  });
+
+  it('inserts at the start of a section without turning the snip into a heading', async () => {
+    const doc = google.docs.addDocument({ documentId: 'doc1', body: [para('Methods', 'HEADING_2'), 'Body'] });
+    const outline = await getDocumentOutline('doc1', TEST_TOKEN);
+    await insertHighlightAtPosition('doc1', TEST_TOKEN, snip('Quote'), outline.tabs[0].headings[0].start);
+
+    expect(doc.paragraphs().map((p) => [p.text, p.style.namedStyleType])).toEqual([
+      ['Methods', 'HEADING_2'],
+      ['', 'NORMAL_TEXT'],
+      ['Quote', 'NORMAL_TEXT'],
+      ['Source: Example Article', 'NORMAL_TEXT'],
+      ['Body', 'NORMAL_TEXT'],
+    ]);
+  });
+
+  it('opens a paragraph for the beginning of the document and reports it in the range', async () => {
+    const doc = google.docs.addDocument({ documentId: 'doc1', body: [para('Title heading', 'HEADING_1'), 'Body'] });
+    const outline = await getDocumentOutline('doc1', TEST_TOKEN);
+    const range = await insertHighlightAtPosition('doc1', TEST_TOKEN, snip('First!'), outline.tabs[0].start);
+
+    expect(doc.paragraphs().slice(0, 4).map((p) => [p.text, p.style.namedStyleType])).toEqual([
+      ['', 'NORMAL_TEXT'],
+      ['', 'NORMAL_TEXT'],
+      ['First!', 'NORMAL_TEXT'],
+      ['Source: Example Article', 'NORMAL_TEXT'],
+    ]);
+    expect(doc.paragraphs()[4]).toMatchObject({ text: 'Title heading', style: { namedStyleType: 'HEADING_1' } });
+    expect(range).toMatchObject({ startIndex: 1, beforeParagraph: true });
+    expect(range.endIndex).toBe(doc.paragraphs()[4].startIndex);
+  });
+
+  it('writes into the chosen document tab only', async () => {
+    const doc = google.docs.addDocument({
+      documentId: 'doc1',
+      tabs: [
+        { tabId: 't.0', title: 'Draft', body: ['Draft text'] },
+        { tabId: 't.1', title: 'Research', body: [para('Sources', 'HEADING_1'), 'Notes'] },
+      ],
+    });
+    const outline = await getDocumentOutline('doc1', TEST_TOKEN);
+    expect(outline.tabs.map((t) => [t.tabId, t.title])).toEqual([[null, 'Draft'], ['t.1', 'Research']]);
+
+    const range = await insertHighlightAtPosition('doc1', TEST_TOKEN, snip('Tabbed'), outline.tabs[1].end);
+    expect(range.tabId).toBe('t.1');
+    expect(doc.paragraphs('t.1').map((p) => p.text)).toContain('Tabbed');
+    expect(doc.text('t.0')).toBe('\uFFFCDraft text\n');
+    expect(doc.namedRanges('SNIP_REF_snip1', 't.1')).toHaveLength(1);
+    expect((await getDocumentText('doc1', TEST_TOKEN, 't.1')).text).toBe(doc.text('t.1'));
+  });
+
+  it('puts the snip note under the source line', async () => {
+    const doc = google.docs.addDocument({ documentId: 'doc1', body: ['Intro'] });
+    const range = await insertHighlightToDoc('doc1', TEST_TOKEN, snip('Quote', { note: 'check this', noteInDoc: true }));
+
+    const last = doc.paragraphs().at(-1);
+    expect(last.text).toMatch(/^Note:.*check this/);
+    expect(doc.textStyleAt(last.startIndex)).toMatchObject({ bold: true, italic: true });
+    expect(doc.namedRanges('SNIP_REF_snip1')).toMatchObject([{ text: '\nSource: Example Article' }]);
+    expect(range.endIndex).toBe(doc.endIndex() - 1);
+  });
+
+  it('lists headings with points after a section-ending table', async () => {
+    google.docs.addDocument({
+      documentId: 'doc1',
+      body: [para('Data', 'HEADING_1'), 'Intro', table(2, 2), para('Next', 'HEADING_1'), 'More'],
+    });
+    const outline = await getDocumentOutline('doc1', TEST_TOKEN);
+    const [data, next] = outline.tabs[0].headings;
+    expect([data.text, next.text]).toEqual(['Data', 'Next']);
+    expect(data.end).toMatchObject({ beforeParagraph: true });
+    expect(flattenOutline(outline).map((s) => s.label)).toEqual([
+      'At the beginning',
+      'End of section: Data',
+      'End of section: Next',
+      'At the end',
+    ]);
+  });
+
+  it('reads the body aligned to document indexes', async () => {
+    const doc = google.docs.addDocument({ documentId: 'doc1', body: ['One', table(1, 1), 'Two'] });
+    const { text, endIndex } = await getDocumentText('doc1', TEST_TOKEN);
+    expect(text).toBe(doc.text());
+    expect(endIndex).toBe(doc.endIndex());
+  });
+
+  it('removes the cursor marker everywhere and reports how many', async () => {
+    const doc = google.docs.addDocument({ documentId: 'doc1', body: ['a\u2063X\u2063b', 'c\u2063X\u2063'] });
+    expect(await removeTextMarker('doc1', TEST_TOKEN, '\u2063X\u2063')).toBe(2);
+    expect(doc.paragraphs().map((p) => p.text)).toEqual(['ab', 'c']);
+  });
+
+  it('refuses to delete a range that includes the final newline', async () => {
+    google.docs.addDocument({ documentId: 'doc1', body: ['abc'] });
+    const result = await deleteInsertRange('doc1', TEST_TOKEN, 2, 5);
+    expect(result.success).toBe(false);
+  });
+
+  it('throws SESSION_EXPIRED when the token is rejected', async () => {
+    google.docs.addDocument({ documentId: 'doc1', body: ['Intro'] });
+    await expect(insertHighlightToDoc('doc1', 'stale-token', snip('x'))).rejects.toThrow('SESSION_EXPIRED');
+  });
+
+  it('inserts an image uploaded to Drive once it is shared by link', async () => {
+    const doc = google.docs.addDocument({ documentId: 'doc1', body: ['Intro'] });
+    const blob = new Blob(['png-bytes'], { type: 'image/png' });
+    const { fileId, imageUrl } = await uploadImageToDrive(TEST_TOKEN, blob, 'shot.png');
+    expect(google.drive.isPublic(fileId)).toBe(true);
+
+    await insertImageWithSource('doc1', TEST_TOKEN, {
+      imageUrl,
+      imageWidthPt: 200,
+      imageHeightPt: 100,
+      pageUrl: 'https://example.com/a',
+      pageTitle: 'Chart',
+      snipId: 'img1',
+    });
+    expect(Object.values(doc.inlineObjects())).toHaveLength(1);
+    expect(doc.namedRanges('SNIP_REF_img1')).toMatchObject([{ text: '\nSource: Chart' }]);
+  });
+
+  it('fails the image insert when Docs cannot download a private Drive file', async () => {
+    google.docs.addDocument({ documentId: 'doc1', body: ['Intro'] });
+    const file = google.drive.addFile({ name: 'private.png', mimeType: 'image/png', media: 'x' });
+    await expect(insertImageWithSource('doc1', TEST_TOKEN, {
+      imageUrl: `https://drive.usercontent.google.com/download?export=download&confirm=t&id=${file.id}`,
+      imageWidthPt: 10,
+      imageHeightPt: 10,
+      pageUrl: 'https://example.com/a',
+      pageTitle: 'Chart',
+    })).rejects.toThrow(/Unable to download/);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildTabOutline,
+  findParagraphs,
+  flattenOutline,
+  isInsertTarget,
+  makeTarget,
+  targetBeforeParagraph,
+  targetIndex,
+  targetTabId,
+} from '../src/lib/docsOutline.js';
+import { FakeDocument, para, table } from './fakes/fakeDocs.js';
+
+/** body.content of a fake document, as the Docs API returns it. */
+function contentOf(body) {
+  return new FakeDocument({ documentId: 'd', body }).toJson().body.content;
+}
+
+describe('insert targets', () => {
+  it('stay plain numbers in the first tab and objects otherwise', () => {
+    expect(makeTarget(5)).toBe(5);
+    expect(makeTarget(5, 't.1')).toEqual({ index: 5, tabId: 't.1' });
+    const opened = makeTarget(1, null, true);
+    expect([targetIndex(opened), targetTabId(opened), targetBeforeParagraph(opened)]).toEqual([1, null, true]);
+  });
+
+  it('rejects the clipboard sentinel and junk', () => {
+    expect(isInsertTarget(1)).toBe(true);
+    expect(isInsertTarget({ index: 3, tabId: 't.2' })).toBe(true);
+    expect(isInsertTarget(-1)).toBe(false);
+    expect(isInsertTarget({ index: 'x' })).toBe(false);
+    expect(isInsertTarget(null)).toBe(false);
+  });
+});
+
+describe('buildTabOutline', () => {
+  const content = contentOf([
+    para('Report', 'TITLE'),
+    para('Intro', 'HEADING_1'),
+    'Opening paragraph.',
+    para('Background', 'HEADING_2'),
+    'History here.',
+    table(2, 2),
+    para('Results', 'HEADING_1'),
+    'Numbers.',
+  ]);
+
+  it('nests headings and ends each section at its last paragraph', () => {
+    const tab = buildTabOutline(content);
+    expect(tab.headings.map((h) => [h.text, h.children.map((c) => c.text)])).toEqual([
+      ['Intro', ['Background']],
+      ['Results', []],
+    ]);
+    const [intro, results] = tab.headings;
+    // Intro's section includes Background, which ends with a table: the point opens a paragraph after it.
+    expect(intro.end).toEqual(intro.children[0].end);
+    expect(targetBeforeParagraph(intro.end)).toBe(true);
+    expect(results.end).toBe(tab.end);
+    expect(tab.start).toEqual({ index: 1, tabId: null, beforeParagraph: true });
+  });
+
+  it('keeps every point before maxIndex', () => {
+    const tab = buildTabOutline(content, { maxIndex: 20 });
+    expect(flattenOutline({ tabs: [tab] }).every((s) => s.index <= 20)).toBe(true);
+  });
+
+  it('labels points with the tab title when there are several tabs', () => {
+    const outline = {
+      tabs: [
+        buildTabOutline(content, { title: 'Draft' }),
+        buildTabOutline(contentOf(['Scratch']), { tabId: 't.1', title: 'Notes' }),
+      ],
+    };
+    const labels = flattenOutline(outline, { withStarts: true }).map((s) => s.label);
+    expect(labels).toContain('Draft › Start of section: Background');
+    expect(labels.at(-1)).toBe('Notes › At the end');
+    expect(findParagraphs(outline, 'history')).toMatchObject([{ text: 'History here.', tabTitle: 'Draft' }]);
+  });
+});
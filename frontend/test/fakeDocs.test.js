@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { FakeDocument, applyFieldMask, para, parseFieldMask, table } from './fakes/fakeDocs.js';
+
+describe('fake Docs document model', () => {
+  it('splits a paragraph on an inserted newline and keeps the style on both halves', () => {
+    const doc = new FakeDocument({ documentId: 'd', body: [para('Methods', 'HEADING_1'), 'Body'] });
+    doc.batchUpdate([{ insertText: { location: { index: 4 }, text: '\nX' } }]);
+    expect(doc.paragraphs().map((p) => [p.text, p.style.namedStyleType])).toEqual([
+      ['Met', 'HEADING_1'],
+      ['Xhods', 'HEADING_1'],
+      ['Body', 'NORMAL_TEXT'],
+    ]);
+  });
+
+  it('keeps the first paragraph style when a deletion merges paragraphs', () => {
+    const doc = new FakeDocument({ documentId: 'd', body: [para('Title', 'HEADING_2'), 'Next'] });
+    doc.batchUpdate([{ deleteContentRange: { range: { startIndex: 6, endIndex: 7 } } }]);
+    expect(doc.paragraphs()).toMatchObject([{ text: 'TitleNext', style: { namedStyleType: 'HEADING_2' } }]);
+  });
+
+  it('moves and trims named ranges with edits and drops emptied ones', () => {
+    const doc = new FakeDocument({ documentId: 'd', body: ['abcdef'] });
+    doc.batchUpdate([
+      { createNamedRange: { name: 'A', range: { startIndex: 3, endIndex: 5 } } },
+      { createNamedRange: { name: 'B', range: { startIndex: 5, endIndex: 6 } } },
+      { insertText: { location: { index: 1 }, text: 'xy' } },
+    ]);
+    expect(doc.namedRanges('A')).toEqual([{ startIndex: 5, endIndex: 7, text: 'cd' }]);
+    doc.batchUpdate([{ deleteContentRange: { range: { startIndex: 7, endIndex: 8 } } }]);
+    expect(doc.namedRanges('B')).toEqual([]);
+  });
+
+  it('rejects the whole batch when one request is invalid', () => {
+    const doc = new FakeDocument({ documentId: 'd', body: ['abc'] });
+    expect(() => doc.batchUpdate([
+      { insertText: { location: { index: 1 }, text: 'x' } },
+      { deleteContentRange: { range: { startIndex: 1, endIndex: 99 } } },
+    ])).toThrow(/requests\[1\]\.deleteContentRange/);
+    expect(doc.text()).toBe('\uFFFCabc\n');
+  });
+
+  it('refuses to put text inside a table or delete part of it', () => {
+    const doc = new FakeDocument({ documentId: 'd', body: ['Intro', table(1, 1), 'After'] });
+    const tableStart = doc.paragraphs()[0].endIndex;
+    expect(() => doc.batchUpdate([{ insertText: { location: { index: tableStart + 1 }, text: 'x' } }])).toThrow(/paragraph/);
+    expect(() => doc.batchUpdate([{ deleteContentRange: { range: { startIndex: 2, endIndex: tableStart + 1 } } }])).toThrow(/table/);
+  });
+
+  it('answers documents.get with only the masked fields', () => {
+    const doc = new FakeDocument({ documentId: 'd', title: 'Notes', body: ['Hi'] });
+    const json = applyFieldMask(doc.toJson(), parseFieldMask('title,body.content(endIndex)'));
+    expect(json).toEqual({ title: 'Notes', body: { content: [{ endIndex: 1 }, { endIndex: 4 }] } });
+  });
+});
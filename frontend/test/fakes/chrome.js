@@ -0,0 +1,166 @@
+/**
+ * chrome.* for tests: storage areas that keep data in memory and fire onChanged like Chrome, and vi.fn
+ * stubs for the APIs the background and side panel call (tabs, scripting, notifications, identity, ...).
+ * A fresh mock is installed before every test by setup.js. APIs accept a callback or return a promise.
+ */
+
+import { vi } from 'vitest';
+
+/** A chrome.events.Event; dispatch() is for tests. */
+export function createEvent() {
+  const listeners = new Set();
+  return {
+    addListener: (fn) => listeners.add(fn),
+    removeListener: (fn) => listeners.delete(fn),
+    hasListener: (fn) => listeners.has(fn),
+    hasListeners: () => listeners.size > 0,
+    dispatch: (...args) => [...listeners].map((fn) => fn(...args)),
+  };
+}
+
+/** Resolve with value and call the callback (if any) like Chrome's dual callback/promise APIs. */
+function reply(value, callback) {
+  if (typeof callback === 'function') queueMicrotask(() => callback(value));
+  return Promise.resolve(value);
+}
+
+/**
+ * A chrome.storage.StorageArea backed by a plain object. Values are copied in and out (as Chrome serializes
+ * them) and every change is reported through onChanged with the area's name.
+ * @param {string} areaName - 'local' | 'sync' | 'session'
+ * @param {ReturnType<typeof createEvent>} onChanged - chrome.storage.onChanged
+ */
+export function createStorageArea(areaName, onChanged) {
+  let data = {};
+  const notify = (changes) => {
+    if (Object.keys(changes).length === 0) return;
+    queueMicrotask(() => {
+      onChanged.dispatch(changes, areaName);
+      area.onChanged.dispatch(changes);
+    });
+  };
+  const area = {
+    onChanged: createEvent(),
+    /** Everything stored, for assertions. */
+    dump: () => structuredClone(data),
+    get(keys, callback) {
+      if (typeof keys === 'function') return area.get(null, keys);
+      let result;
+      if (keys == null) result = structuredClone(data);
+      else if (typeof keys === 'string') result = keys in data ? { [keys]: structuredClone(data[keys]) } : {};
+      else if (Array.isArray(keys)) result = Object.fromEntries(keys.filter((k) => k in data).map((k) => [k, structuredClone(data[k])]));
+      else result = Object.fromEntries(Object.entries(keys).map(([k, d]) => [k, k in data ? structuredClone(data[k]) : d]));
+      return reply(result, callback);
+    },
+    set(items, callback) {
+      const changes = {};
+      for (const [k, v] of Object.entries(items)) {
+        if (v === undefined) continue;
+        changes[k] = { ...(k in data ? { oldValue: data[k] } : {}), newValue: structuredClone(v) };
+        data[k] = structuredClone(v);
+      }
+      notify(changes);
+      return reply(undefined, callback);
+    },
+    remove(keys, callback) {
+      const changes = {};
+      for (const k of Array.isArray(keys) ? keys : [keys]) {
+        if (!(k in data)) continue;
+        changes[k] = { oldValue: data[k] };
+        delete data[k];
+      }
+      notify(changes);
+      return reply(undefined, callback);
+    },
+    clear(callback) {
+      const changes = Object.fromEntries(Object.entries(data).map(([k, v]) => [k, { oldValue: v }]));
+      data = {};
+      notify(changes);
+      return reply(undefined, callback);
+    },
+  };
+  return area;
+}
+
+/**
+ * A new chrome object. Stubs resolve to empty results; override them per test with mockResolvedValue etc.
+ */
+export function createChromeMock() {
+  const onChanged = createEvent();
+  const runtime = {
+    id: 'test-extension',
+    lastError: undefined,
+    getManifest: () => ({ manifest_version: 3, name: 'DocSourced', version: '0.0.0-test', oauth2: { client_id: 'test-client', scopes: [] } }),
+    getURL: (path) => `chrome-extension://test-extension/${String(path).replace(/^\//, '')}`,
+    sendMessage: vi.fn((message, callback) => reply(undefined, callback)),
+    connect: vi.fn(() => ({ postMessage: vi.fn(), disconnect: vi.fn(), onMessage: createEvent(), onDisconnect: createEvent() })),
+    onMessage: createEvent(),
+    onConnect: createEvent(),
+    onInstalled: createEvent(),
+    onStartup: createEvent(),
+  };
+  return {
+    runtime,
+    storage: {
+      onChanged,
+      local: createStorageArea('local', onChanged),
+      sync: createStorageArea('sync', onChanged),
+      session: createStorageArea('session', onChanged),
+    },
+    tabs: {
+      query: vi.fn((query, callback) => reply([], callback)),
+      get: vi.fn((tabId, callback) => reply({ id: tabId, url: 'https://example.com/', title: 'Example' }, callback)),
+      update: vi.fn((tabId, props, callback) => reply({ id: tabId, ...props }, callback)),
+      create: vi.fn((props, callback) => reply({ id: 1000, ...props }, callback)),
+      sendMessage: vi.fn((tabId, message, options, callback) => reply(undefined, typeof options === 'function' ? options : callback)),
+      onUpdated: createEvent(),
+      onRemoved: createEvent(),
+      onActivated: createEvent(),
+    },
+    windows: {
+      update: vi.fn((windowId, props, callback) => reply({ id: windowId, ...props }, callback)),
+      getCurrent: vi.fn((callback) => reply({ id: 1, focused: true }, callback)),
+    },
+    scripting: {
+      executeScript: vi.fn((injection, callback) => reply([{ result: undefined }], callback)),
+    },
+    notifications: {
+      create: vi.fn((idOrOptions, options, callback) => reply(typeof idOrOptions === 'string' ? idOrOptions : 'notification', typeof options === 'function' ? options : callback)),
+      clear: vi.fn((id, callback) => reply(true, callback)),
+      onClicked: createEvent(),
+    },
+    identity: {
+      getAuthToken: vi.fn((details, callback) => reply({ token: undefined }, callback)),
+      removeCachedAuthToken: vi.fn((details, callback) => reply(undefined, callback)),
+      clearAllCachedAuthTokens: vi.fn((callback) => reply(undefined, callback)),
+      launchWebAuthFlow: vi.fn((details, callback) => reply(undefined, callback)),
+      getRedirectURL: (path = '') => `https://test-extension.chromiumapp.org/${path}`,
+    },
+    contextMenus: {
+      create: vi.fn((props, callback) => {
+        if (typeof callback === 'function') queueMicrotask(callback);
+        return props?.id;
+      }),
+      removeAll: vi.fn((callback) => reply(undefined, callback)),
+      onClicked: createEvent(),
+    },
+    commands: {
+      getAll: vi.fn((callback) => reply([], callback)),
+      onCommand: createEvent(),
+    },
+    alarms: {
+      create: vi.fn(),
+      clear: vi.fn((name, callback) => reply(true, callback)),
+      get: vi.fn((name, callback) => reply(undefined, callback)),
+      onAlarm: createEvent(),
+    },
+    action: {
+      setBadgeText: vi.fn((details, callback) => reply(undefined, callback)),
+      setBadgeBackgroundColor: vi.fn((details, callback) => reply(undefined, callback)),
+    },
+    sidePanel: {
+      open: vi.fn(() => Promise.resolve()),
+      setPanelBehavior: vi.fn(() => Promise.resolve()),
+    },
+  };
+}
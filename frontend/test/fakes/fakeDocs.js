@@ -0,0 +1,701 @@
+/**
+ * In-memory Google Docs API for tests: documents.get (with field masks and includeTabsContent) and
+ * documents.batchUpdate for the requests the extension sends. Indexes, paragraph splits and merges and
+ * named ranges follow edits the way the Docs API does, so the index arithmetic in lib/docsInsert.js and
+ * lib/formatReferences.js can be checked against the resulting document.
+ *
+ * Each document tab is one array of characters; body index i is chars[i]. Index 0 is the section break.
+ * Every paragraph ends with a '\n' character that carries its paragraph style and bullet. An inline image
+ * is one OBJECT character; a table is an opaque block of TABLE characters (text cannot go inside it).
+ *
+ * Where the real API leaves behaviour unspecified the fake follows the Docs editor:
+ * - inserted text takes the text style of the character before it (the one after it at the start of a
+ *   paragraph), except links, which are never extended;
+ * - a '\n' inserted inside a paragraph copies that paragraph's style and bullet to the new paragraph;
+ * - deleting across paragraphs keeps the style of the first one, unless the deletion starts at the
+ *   beginning of a paragraph (whole paragraphs removed), when the following paragraph keeps its own.
+ * Unsupported requests (insertTable, ...) fail the whole batch with a 400 naming the request.
+ */
+
+export const OBJECT = '\uFFFC';
+
+const NORMAL = { namedStyleType: 'NORMAL_TEXT' };
+
+/** Error answered as { error: { code, message, status } }. */
+export class DocsApiError extends Error {
+  constructor(code, message, status = 'INVALID_ARGUMENT') {
+    super(message);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const clone = (v) => (v === undefined ? undefined : structuredClone(v));
+
+/**
+ * Parse a fields mask ("title,body.content(startIndex,paragraph(elements))") into a tree:
+ * { [field]: subtree | null }, null meaning the whole value.
+ * @param {string} mask
+ * @returns {object | null}
+ */
+export function parseFieldMask(mask) {
+  if (!mask || mask.trim() === '*') return null;
+  let pos = 0;
+  const parseList = () => {
+    const tree = {};
+    while (pos < mask.length) {
+      let name = '';
+      while (pos < mask.length && !',()'.includes(mask[pos])) name += mask[pos++];
+      name = name.trim();
+      let sub = null;
+      if (mask[pos] === '(') {
+        pos++;
+        sub = parseList();
+        pos++; // ')'
+      }
+      if (name) {
+        const path = name.split('.');
+        let node = tree;
+        path.forEach((key, i) => {
+          const last = i === path.length - 1;
+          if (last) node[key] = sub && node[key] ? { ...node[key], ...sub } : sub;
+          else node = node[key] = node[key] || {};
+        });
+      }
+      if (mask[pos] === ',') {
+        pos++;
+        continue;
+      }
+      break;
+    }
+    return tree;
+  };
+  return parseList();
+}
+
+/**
+ * Keep only the masked fields of a response value.
+ * @param {unknown} value
+ * @param {object | null} tree - from parseFieldMask
+ */
+export function applyFieldMask(value, tree) {
+  if (tree == null || value == null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map((v) => applyFieldMask(v, tree));
+  if (tree['*'] !== undefined) return value;
+  const out = {};
+  for (const [key, sub] of Object.entries(tree)) {
+    if (value[key] !== undefined) out[key] = applyFieldMask(value[key], sub);
+  }
+  return out;
+}
+
+function styleKey(style) {
+  return JSON.stringify(Object.keys(style).sort().map((k) => [k, style[k]]));
+}
+
+function textChar(ch, style, para) {
+  return ch === '\n' ? { ch, kind: 'text', style: { ...style }, para: clone(para) } : { ch, kind: 'text', style: { ...style } };
+}
+
+/**
+ * A paragraph for a FakeDocument body: its text (no newline) and named style, bullet or text style.
+ * @param {string} text
+ * @param {string} [namedStyleType] - e.g. 'HEADING_1'
+ * @param {{ bullet?: boolean, textStyle?: object }} [options]
+ */
+export function para(text, namedStyleType = 'NORMAL_TEXT', { bullet = false, textStyle = {} } = {}) {
+  return { text, namedStyleType, bullet, textStyle };
+}
+
+/**
+ * A table block for a FakeDocument body (opaque: its cells are not modelled).
+ * @param {number} rows
+ * @param {number} columns
+ */
+export function table(rows, columns) {
+  return { table: { rows, columns } };
+}
+
+function buildChars(blocks) {
+  const chars = [{ ch: '', kind: 'sectionBreak', style: {} }];
+  let tableCount = 0;
+  const list = blocks && blocks.length > 0 ? blocks : [para('')];
+  for (const block of list) {
+    const b = typeof block === 'string' ? para(block) : block;
+    if (b.table) {
+      const length = 1 + b.table.rows * (1 + b.table.columns * 2);
+      const blockId = `table${++tableCount}`;
+      for (let i = 0; i < length; i++) {
+        chars.push({ ch: OBJECT, kind: 'table', style: {}, blockId, ...(i === 0 ? { table: { ...b.table } } : {}) });
+      }
+      continue;
+    }
+    for (const ch of b.text) chars.push({ ch, kind: 'text', style: { ...b.textStyle } });
+    chars.push({
+      ch: '\n',
+      kind: 'text',
+      style: { ...b.textStyle },
+      para: { style: { namedStyleType: b.namedStyleType }, ...(b.bullet ? { bullet: { listId: 'kix.list.seed' } } : {}) },
+    });
+  }
+  if (chars[chars.length - 1].kind === 'table') {
+    chars.push({ ch: '\n', kind: 'text', style: {}, para: { style: { ...NORMAL } } });
+  }
+  return chars;
+}
+
+/**
+ * One document: tabs (first tab is what requests without a tabId edit), named ranges and inline objects per tab.
+ */
+export class FakeDocument {
+  /**
+   * @param {{ documentId: string, title?: string, body?: Array<string | object>, tabs?: Array<{ tabId: string, title?: string, body?: Array<string | object>, childTabs?: Array<object> }> }} spec -
+   *   body: paragraphs (strings or para()) and table() blocks of a document without extra tabs; tabs: document tabs
+   */
+  constructor(spec) {
+    this.documentId = spec.documentId;
+    this.title = spec.title ?? 'Untitled document';
+    this.revision = 1;
+    this.counter = 0;
+    const addTabs = (list, parentTabId, level) =>
+      (list ?? []).map((t) => {
+        const tab = {
+          tabId: t.tabId,
+          title: t.title ?? '',
+          parentTabId,
+          nestingLevel: level,
+          chars: buildChars(t.body),
+          namedRanges: [],
+          inlineObjects: {},
+        };
+        tab.childTabs = addTabs(t.childTabs, t.tabId, level + 1);
+        return tab;
+      });
+    this.tabs = spec.tabs?.length
+      ? addTabs(spec.tabs, null, 0)
+      : addTabs([{ tabId: 't.0', title: this.title, body: spec.body }], null, 0);
+  }
+
+  /** Tabs in reading order (parents before children). */
+  allTabs() {
+    const out = [];
+    const walk = (list) => list.forEach((t) => {
+      out.push(t);
+      walk(t.childTabs);
+    });
+    walk(this.tabs);
+    return out;
+  }
+
+  tab(tabId = null) {
+    if (!tabId) return this.tabs[0];
+    const tab = this.allTabs().find((t) => t.tabId === tabId);
+    if (!tab) throw new DocsApiError(400, `The tab with ID ${tabId} could not be found.`);
+    return tab;
+  }
+
+  /**
+   * The tab's body as a string aligned to indexes (index 0 and non-text content are OBJECT).
+   * @param {string | null} [tabId]
+   */
+  text(tabId = null) {
+    return this.tab(tabId).chars.map((c) => (c.kind === 'text' ? c.ch : OBJECT)).join('');
+  }
+
+  /** End index of the tab's body (one past the final newline). */
+  endIndex(tabId = null) {
+    return this.tab(tabId).chars.length;
+  }
+
+  /**
+   * Paragraphs of a tab: { startIndex, endIndex, text (without its newline), style, bullet }.
+   * @param {string | null} [tabId]
+   */
+  paragraphs(tabId = null) {
+    const { chars } = this.tab(tabId);
+    const list = [];
+    let start = 1;
+    for (let i = 1; i < chars.length; i++) {
+      if (chars[i].kind === 'table') {
+        start = i + 1;
+        continue;
+      }
+      if (chars[i].ch === '\n') {
+        list.push({
+          startIndex: start,
+          endIndex: i + 1,
+          text: chars.slice(start, i).map((c) => (c.kind === 'text' ? c.ch : OBJECT)).join(''),
+          style: { ...chars[i].para.style },
+          bullet: chars[i].para.bullet ? { ...chars[i].para.bullet } : null,
+        });
+        start = i + 1;
+      }
+    }
+    return list;
+  }
+
+  /** Text style of the character at index. */
+  textStyleAt(index, tabId = null) {
+    return { ...this.tab(tabId).chars[index]?.style };
+  }
+
+  /**
+   * Named ranges with that name in a tab: [{ startIndex, endIndex, text }].
+   * @param {string} name
+   * @param {string | null} [tabId]
+   */
+  namedRanges(name, tabId = null) {
+    const tab = this.tab(tabId);
+    const text = this.text(tabId);
+    return tab.namedRanges
+      .filter((r) => r.name === name)
+      .flatMap((r) => r.ranges.map((x) => ({ ...x, text: text.slice(x.startIndex, x.endIndex) })));
+  }
+
+  /** Inline objects of a tab, by object id. */
+  inlineObjects(tabId = null) {
+    return clone(this.tab(tabId).inlineObjects);
+  }
+
+  // --- documents.get ---------------------------------------------------------
+
+  bodyJson(tab) {
+    const { chars } = tab;
+    const content = [{ endIndex: 1, sectionBreak: { sectionStyle: { sectionType: 'CONTINUOUS' } } }];
+    let i = 1;
+    while (i < chars.length) {
+      if (chars[i].kind === 'table') {
+        let j = i;
+        while (j < chars.length && chars[j].blockId === chars[i].blockId) j++;
+        content.push({
+          startIndex: i,
+          endIndex: j,
+          table: { rows: chars[i].table.rows, columns: chars[i].table.columns, tableRows: [] },
+        });
+        i = j;
+        continue;
+      }
+      let n = i;
+      while (chars[n].ch !== '\n') n++;
+      const elements = [];
+      let k = i;
+      while (k <= n) {
+        if (chars[k].kind === 'object') {
+          elements.push({ startIndex: k, endIndex: k + 1, inlineObjectElement: { inlineObjectId: chars[k].objectId, textStyle: { ...chars[k].style } } });
+          k++;
+          continue;
+        }
+        const key = styleKey(chars[k].style);
+        let m = k;
+        let run = '';
+        while (m <= n && chars[m].kind === 'text' && styleKey(chars[m].style) === key) run += chars[m++].ch;
+        elements.push({ startIndex: k, endIndex: m, textRun: { content: run, textStyle: { ...chars[k].style } } });
+        k = m;
+      }
+      content.push({
+        startIndex: i,
+        endIndex: n + 1,
+        paragraph: {
+          elements,
+          paragraphStyle: { ...chars[n].para.style },
+          ...(chars[n].para.bullet ? { bullet: { ...chars[n].para.bullet } } : {}),
+        },
+      });
+      i = n + 1;
+    }
+    return { content };
+  }
+
+  namedRangesJson(tab) {
+    const out = {};
+    for (const r of tab.namedRanges) {
+      out[r.name] = out[r.name] || { name: r.name, namedRanges: [] };
+      out[r.name].namedRanges.push({
+        namedRangeId: r.namedRangeId,
+        name: r.name,
+        ranges: r.ranges.map((x) => ({ startIndex: x.startIndex, endIndex: x.endIndex, ...(tab !== this.tabs[0] ? { tabId: tab.tabId } : {}) })),
+      });
+    }
+    return out;
+  }
+
+  /**
+   * The Document resource. Without includeTabsContent it has the first tab's body, named ranges and
+   * inline objects at the top level; with it, the tabs (and their child tabs) instead.
+   * @param {{ includeTabsContent?: boolean }} [options]
+   */
+  toJson({ includeTabsContent = false } = {}) {
+    const doc = { documentId: this.documentId, title: this.title, revisionId: `rev${this.revision}` };
+    if (!includeTabsContent) {
+      const first = this.tabs[0];
+      return {
+        ...doc,
+        body: this.bodyJson(first),
+        namedRanges: this.namedRangesJson(first),
+        inlineObjects: clone(first.inlineObjects),
+      };
+    }
+    const tabJson = (tab, index) => ({
+      tabProperties: {
+        tabId: tab.tabId,
+        title: tab.title,
+        index,
+        nestingLevel: tab.nestingLevel,
+        ...(tab.parentTabId ? { parentTabId: tab.parentTabId } : {}),
+      },
+      documentTab: {
+        body: this.bodyJson(tab),
+        namedRanges: this.namedRangesJson(tab),
+        inlineObjects: clone(tab.inlineObjects),
+      },
+      childTabs: tab.childTabs.map(tabJson),
+    });
+    return { ...doc, tabs: this.tabs.map(tabJson) };
+  }
+
+  // --- batchUpdate -----------------------------------------------------------
+
+  /**
+   * Apply requests atomically: on the first invalid request nothing is changed and a DocsApiError is thrown.
+   * @param {Array<object>} requests
+   * @param {{ canFetchImage?: (uri: string) => boolean }} [options]
+   * @returns {{ documentId: string, replies: Array<object>, writeControl: object }}
+   */
+  batchUpdate(requests, options = {}) {
+    if (!Array.isArray(requests) || requests.length === 0) {
+      throw new DocsApiError(400, 'Must specify at least one request.');
+    }
+    const saved = clone({ tabs: this.tabs, counter: this.counter });
+    const replies = [];
+    try {
+      requests.forEach((request, i) => {
+        const kinds = Object.keys(request);
+        if (kinds.length !== 1) throw new DocsApiError(400, `Invalid requests[${i}]: exactly one request kind is required.`);
+        const kind = kinds[0];
+        const handler = this[`req_${kind}`];
+        if (!handler) throw new DocsApiError(400, `Invalid requests[${i}].${kind}: not supported by the fake Docs API.`);
+        try {
+          replies.push(handler.call(this, request[kind], options) ?? {});
+        } catch (err) {
+          if (err instanceof DocsApiError) throw new DocsApiError(err.code, `Invalid requests[${i}].${kind}: ${err.message}`, err.status);
+          throw err;
+        }
+      });
+    } catch (err) {
+      this.tabs = saved.tabs;
+      this.counter = saved.counter;
+      throw err;
+    }
+    this.revision++;
+    return { documentId: this.documentId, replies, writeControl: { requiredRevisionId: `rev${this.revision}` } };
+  }
+
+  locate(location) {
+    if (!location || typeof location !== 'object') throw new DocsApiError(400, 'A location is required.');
+    if (location.segmentId) throw new DocsApiError(400, 'Only the body segment is modelled.');
+    return this.tab(location.tabId);
+  }
+
+  insertionPoint(req) {
+    if (req.endOfSegmentLocation) {
+      const tab = this.locate(req.endOfSegmentLocation);
+      return { tab, index: tab.chars.length - 1 };
+    }
+    const tab = this.locate(req.location);
+    const { index } = req.location;
+    if (!Number.isInteger(index)) throw new DocsApiError(400, 'Index must be an integer.');
+    if (index < 1 || index >= tab.chars.length) {
+      throw new DocsApiError(400, `Index ${index} must be less than the end index of the referenced segment, ${tab.chars.length}.`);
+    }
+    if (tab.chars[index].kind === 'table') {
+      throw new DocsApiError(400, 'The insertion index must be inside the bounds of an existing paragraph.');
+    }
+    return { tab, index };
+  }
+
+  checkRange(range, { allowFinalNewline = false } = {}) {
+    if (!range || typeof range !== 'object') throw new DocsApiError(400, 'A range is required.');
+    if (range.segmentId) throw new DocsApiError(400, 'Only the body segment is modelled.');
+    const tab = this.tab(range.tabId);
+    const { startIndex: s, endIndex: e } = range;
+    if (!Number.isInteger(s) || !Number.isInteger(e)) throw new DocsApiError(400, 'Range indexes must be integers.');
+    if (s < 1 || e <= s) throw new DocsApiError(400, `The range [${s}, ${e}) is empty or invalid.`);
+    const limit = allowFinalNewline ? tab.chars.length : tab.chars.length - 1;
+    if (e > limit) {
+      throw new DocsApiError(400, allowFinalNewline
+        ? `Index ${e} must be less than or equal to the end index of the referenced segment, ${tab.chars.length}.`
+        : 'The range cannot include the newline character at the end of the segment.');
+    }
+    return { tab, s, e };
+  }
+
+  /** Paragraph style and bullet of the paragraph containing index (held by its newline). */
+  paraAt(tab, index) {
+    let n = index;
+    while (n < tab.chars.length && tab.chars[n].ch !== '\n') n++;
+    return tab.chars[n]?.para ?? { style: { ...NORMAL } };
+  }
+
+  /** Indexes of the newlines of paragraphs overlapping [s, e). */
+  paragraphEnds(tab, s, e) {
+    const ends = [];
+    let n = s;
+    while (n < tab.chars.length) {
+      if (tab.chars[n].ch === '\n' && tab.chars[n].kind === 'text') {
+        ends.push(n);
+        if (n >= e - 1) break;
+      }
+      n++;
+    }
+    return ends;
+  }
+
+  inheritedStyle(tab, index) {
+    const prev = tab.chars[index - 1];
+    const source = prev && prev.kind === 'text' && prev.ch !== '\n' ? prev : tab.chars[index];
+    const { link: _link, ...style } = source?.style ?? {};
+    return style;
+  }
+
+  shiftNamedRangesForInsert(tab, index, length) {
+    for (const r of tab.namedRanges) {
+      for (const x of r.ranges) {
+        if (x.startIndex >= index) x.startIndex += length;
+        if (x.endIndex > index) x.endIndex += length;
+      }
+    }
+  }
+
+  insertChars(tab, index, newChars) {
+    tab.chars.splice(index, 0, ...newChars);
+    this.shiftNamedRangesForInsert(tab, index, newChars.length);
+  }
+
+  deleteChars(tab, s, e) {
+    const removed = tab.chars.slice(s, e);
+    const atParagraphStart = s === 1 || tab.chars[s - 1].ch === '\n' || tab.chars[s - 1].kind === 'table';
+    const firstPara = this.paraAt(tab, s);
+    const mergesParagraphs = removed.some((c) => c.ch === '\n' && c.kind === 'text');
+    tab.chars.splice(s, e - s);
+    for (const c of removed) {
+      if (c.kind === 'object') delete tab.inlineObjects[c.objectId];
+    }
+    if (mergesParagraphs && !atParagraphStart) {
+      let n = s;
+      while (tab.chars[n].ch !== '\n') n++;
+      tab.chars[n].para = clone(firstPara);
+    }
+    const len = e - s;
+    const adjust = (x) => (x < s ? x : x >= e ? x - len : s);
+    for (const r of tab.namedRanges) {
+      r.ranges = r.ranges
+        .map((x) => ({ ...x, startIndex: adjust(x.startIndex), endIndex: adjust(x.endIndex) }))
+        .filter((x) => x.endIndex > x.startIndex);
+    }
+    tab.namedRanges = tab.namedRanges.filter((r) => r.ranges.length > 0);
+  }
+
+  req_insertText(req) {
+    if (typeof req.text !== 'string') throw new DocsApiError(400, 'text is required.');
+    const { tab, index } = this.insertionPoint(req);
+    const style = this.inheritedStyle(tab, index);
+    const paraStyle = this.paraAt(tab, index);
+    const text = req.text.replace(/\r\n?/g, '\n');
+    this.insertChars(tab, index, [...text].map((ch) => textChar(ch, style, paraStyle)));
+    return {};
+  }
+
+  req_insertInlineImage(req, options) {
+    if (!req.uri) throw new DocsApiError(400, 'uri is required.');
+    if (options.canFetchImage && !options.canFetchImage(req.uri)) {
+      throw new DocsApiError(400, 'Unable to download all specified images.');
+    }
+    const { tab, index } = this.insertionPoint(req);
+    const objectId = `kix.obj${++this.counter}`;
+    tab.inlineObjects[objectId] = {
+      objectId,
+      inlineObjectProperties: {
+        embeddedObject: {
+          imageProperties: { contentUri: req.uri, sourceUri: req.uri },
+          size: clone(req.objectSize) ?? {},
+        },
+      },
+    };
+    this.insertChars(tab, index, [{ ch: OBJECT, kind: 'object', objectId, style: this.inheritedStyle(tab, index) }]);
+    return { insertInlineImage: { objectId } };
+  }
+
+  req_deleteContentRange(req) {
+    const { tab, s, e } = this.checkRange(req.range);
+    const first = tab.chars[s];
+    const last = tab.chars[e - 1];
+    if ((first.kind === 'table' && tab.chars[s - 1]?.blockId === first.blockId)
+      || (last.kind === 'table' && tab.chars[e]?.blockId === last.blockId)) {
+      throw new DocsApiError(400, 'Invalid deletion range. Cannot delete part of a table.');
+    }
+    if (tab.chars[e]?.kind === 'table' && tab.chars[s - 1]?.kind === 'table') {
+      throw new DocsApiError(400, 'Invalid deletion range. Cannot delete the paragraph between two tables.');
+    }
+    this.deleteChars(tab, s, e);
+    return {};
+  }
+
+  req_createNamedRange(req) {
+    if (!req.name || req.name.length > 256) throw new DocsApiError(400, 'name must be 1 to 256 characters.');
+    const { tab, s, e } = this.checkRange(req.range, { allowFinalNewline: true });
+    const namedRangeId = `kix.nr${++this.counter}`;
+    tab.namedRanges.push({ namedRangeId, name: req.name, ranges: [{ startIndex: s, endIndex: e }] });
+    return { createNamedRange: { namedRangeId } };
+  }
+
+  req_deleteNamedRange(req) {
+    if (!req.name && !req.namedRangeId) throw new DocsApiError(400, 'name or namedRangeId is required.');
+    let found = false;
+    for (const tab of this.allTabs()) {
+      const before = tab.namedRanges.length;
+      tab.namedRanges = tab.namedRanges.filter((r) => (req.namedRangeId ? r.namedRangeId !== req.namedRangeId : r.name !== req.name));
+      if (tab.namedRanges.length !== before) found = true;
+    }
+    if (req.namedRangeId && !found) throw new DocsApiError(400, `The named range with ID ${req.namedRangeId} could not be found.`);
+    return {};
+  }
+
+  req_updateTextStyle(req) {
+    if (!req.fields) throw new DocsApiError(400, 'fields is required.');
+    const { tab, s, e } = this.checkRange(req.range, { allowFinalNewline: true });
+    const fields = req.fields === '*' ? Object.keys(req.textStyle ?? {}) : req.fields.split(',').map((f) => f.trim());
+    for (let i = s; i < e; i++) {
+      const style = tab.chars[i].style;
+      for (const f of fields) {
+        if (req.textStyle?.[f] !== undefined) style[f] = clone(req.textStyle[f]);
+        else delete style[f];
+      }
+    }
+    return {};
+  }
+
+  req_updateParagraphStyle(req) {
+    if (!req.fields) throw new DocsApiError(400, 'fields is required.');
+    const { tab, s, e } = this.checkRange(req.range, { allowFinalNewline: true });
+    const fields = req.fields === '*' ? Object.keys(req.paragraphStyle ?? {}) : req.fields.split(',').map((f) => f.trim());
+    for (const n of this.paragraphEnds(tab, s, e)) {
+      const style = tab.chars[n].para.style;
+      for (const f of fields) {
+        if (req.paragraphStyle?.[f] !== undefined) style[f] = clone(req.paragraphStyle[f]);
+        else delete style[f];
+      }
+    }
+    return {};
+  }
+
+  req_createParagraphBullets(req) {
+    if (!req.bulletPreset) throw new DocsApiError(400, 'bulletPreset is required.');
+    const { tab, s, e } = this.checkRange(req.range, { allowFinalNewline: true });
+    const listId = `kix.list${++this.counter}`;
+    for (const n of this.paragraphEnds(tab, s, e)) {
+      tab.chars[n].para.bullet = { listId, preset: req.bulletPreset };
+    }
+    return {};
+  }
+
+  req_deleteParagraphBullets(req) {
+    const { tab, s, e } = this.checkRange(req.range, { allowFinalNewline: true });
+    for (const n of this.paragraphEnds(tab, s, e)) delete tab.chars[n].para.bullet;
+    return {};
+  }
+
+  req_replaceAllText(req) {
+    const find = req.containsText?.text;
+    if (!find) throw new DocsApiError(400, 'containsText.text is required.');
+    const matchCase = req.containsText.matchCase === true;
+    const replacement = String(req.replaceText ?? '');
+    let occurrencesChanged = 0;
+    for (const tab of this.allTabs()) {
+      const text = tab.chars.map((c) => (c.kind === 'text' ? c.ch : OBJECT)).join('');
+      const hay = matchCase ? text : text.toLowerCase();
+      const needle = matchCase ? find : find.toLowerCase();
+      const starts = [];
+      for (let at = hay.indexOf(needle); at !== -1; at = hay.indexOf(needle, at + needle.length)) starts.push(at);
+      for (const at of starts.reverse()) {
+        const style = { ...tab.chars[at].style };
+        const paraStyle = this.paraAt(tab, at);
+        this.deleteChars(tab, at, at + find.length);
+        if (replacement) this.insertChars(tab, at, [...replacement].map((ch) => textChar(ch, style, paraStyle)));
+      }
+      occurrencesChanged += starts.length;
+    }
+    return { replaceAllText: { occurrencesChanged } };
+  }
+}
+
+/**
+ * The Docs REST API over a set of FakeDocuments, for the fetch router (fakeFetch.js).
+ */
+export class FakeDocsApi {
+  /**
+   * @param {{ token?: string, canFetchImage?: (uri: string) => boolean }} [options] - token: the only accepted
+   *   OAuth token (others get 401); canFetchImage: whether insertInlineImage can download a URI
+   */
+  constructor({ token = 'test-token', canFetchImage } = {}) {
+    this.token = token;
+    this.canFetchImage = canFetchImage;
+    /** @type {Map<string, FakeDocument>} */
+    this.documents = new Map();
+    /** Every batchUpdate body received, in order: { documentId, requests }. */
+    this.batches = [];
+    /** Status codes to answer the next calls with, instead of handling them (e.g. [503]). */
+    this.failures = [];
+  }
+
+  /**
+   * @param {ConstructorParameters<typeof FakeDocument>[0]} spec
+   * @returns {FakeDocument}
+   */
+  addDocument(spec) {
+    const doc = new FakeDocument(spec);
+    this.documents.set(doc.documentId, doc);
+    return doc;
+  }
+
+  /** @param {string} documentId */
+  document(documentId) {
+    return this.documents.get(documentId);
+  }
+
+  /**
+   * Answer a request to https://docs.googleapis.com/v1/documents/…
+   * @param {{ method: string, url: URL, headers: Record<string, string>, body: unknown }} req
+   * @returns {Promise<{ status: number, json: unknown }>}
+   */
+  async handle({ method, url, headers, body }) {
+    if (this.failures.length > 0) {
+      const status = this.failures.shift();
+      return { status, json: { error: { code: status, message: `Simulated error ${status}`, status: 'UNAVAILABLE' } } };
+    }
+    if (headers.authorization !== `Bearer ${this.token}`) {
+      return { status: 401, json: { error: { code: 401, message: 'Request had invalid authentication credentials.', status: 'UNAUTHENTICATED' } } };
+    }
+    const match = url.pathname.match(/^\/v1\/documents\/([^/:]+)(:batchUpdate)?$/);
+    const doc = match && this.documents.get(decodeURIComponent(match[1]));
+    if (!doc) {
+      return { status: 404, json: { error: { code: 404, message: 'Requested entity was not found.', status: 'NOT_FOUND' } } };
+    }
+    try {
+      if (method === 'GET' && !match[2]) {
+        const json = doc.toJson({ includeTabsContent: url.searchParams.get('includeTabsContent') === 'true' });
+        return { status: 200, json: applyFieldMask(json, parseFieldMask(url.searchParams.get('fields'))) };
+      }
+      if (method === 'POST' && match[2]) {
+        const payload = typeof body === 'string' ? JSON.parse(body) : body;
+        this.batches.push({ documentId: doc.documentId, requests: clone(payload?.requests) });
+        return { status: 200, json: doc.batchUpdate(payload?.requests, { canFetchImage: this.canFetchImage }) };
+      }
+    } catch (err) {
+      if (err instanceof DocsApiError) {
+        return { status: err.code, json: { error: { code: err.code, message: err.message, status: err.status } } };
+      }
+      throw err;
+    }
+    return { status: 405, json: { error: { code: 405, message: `${method} not allowed here.`, status: 'METHOD_NOT_ALLOWED' } } };
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * In-memory Google Drive API for tests: multipart uploads, folder creation, "anyone with the link"
+ * permissions, file metadata and media downloads, and the Docs list query. Image URLs handed to the
+ * Docs API can be checked with canFetchImage, which (like Docs) only succeeds for publicly readable files.
+ */
+
+const DOC_MIME = 'application/vnd.google-apps.document';
+
+/** Drive file id in the URL forms the extension uses for inserted images, or null. */
+export function driveFileIdFromUrl(uri) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch {
+    return null;
+  }
+  if (url.hostname === 'drive.google.com' && url.pathname === '/uc') return url.searchParams.get('id');
+  if (url.hostname === 'drive.usercontent.google.com' && url.pathname === '/download') return url.searchParams.get('id');
+  const m = url.pathname.match(/^\/drive\/v3\/files\/([^/]+)$/);
+  if (url.hostname === 'www.googleapis.com' && m) return m[1];
+  return null;
+}
+
+/** Split a multipart/related body into its JSON metadata and media parts. */
+function parseMultipart(text, contentType) {
+  const boundary = /boundary=([^;]+)/.exec(contentType || '')?.[1];
+  if (!boundary) return null;
+  const parts = text.split(`--${boundary}`).slice(1, -1);
+  const parsed = parts.map((part) => {
+    const body = part.replace(/^\r\n/, '');
+    const split = body.indexOf('\r\n\r\n');
+    const headers = body.slice(0, split);
+    return {
+      contentType: /Content-Type:\s*([^\r\n;]+)/i.exec(headers)?.[1] ?? '',
+      data: body.slice(split + 4).replace(/\r\n$/, ''),
+    };
+  });
+  return { metadata: JSON.parse(parsed[0]?.data || '{}'), media: parsed[1] ?? null };
+}
+
+function pickFields(file, fields) {
+  const list = (fields || 'id,name,mimeType').split(',').map((f) => f.trim()).filter(Boolean);
+  return Object.fromEntries(list.filter((f) => file[f] !== undefined).map((f) => [f, file[f]]));
+}
+
+export class FakeDriveApi {
+  /**
+   * @param {{ token?: string }} [options] - token: the only accepted OAuth token (others get 401)
+   */
+  constructor({ token = 'test-token' } = {}) {
+    this.token = token;
+    /** @type {Map<string, { id: string, name: string, mimeType: string, parents: string[], permissions: Array<object>, media: string | null, modifiedTime: string, webContentLink?: string, webViewLink: string }>} */
+    this.files = new Map();
+    this.counter = 0;
+    /** Status codes to answer the next calls with, instead of handling them. */
+    this.failures = [];
+  }
+
+  /**
+   * Add a file directly (e.g. a Google Doc that the Docs fake also serves).
+   * @param {{ id?: string, name?: string, mimeType?: string, parents?: string[], media?: string | null, public?: boolean }} spec
+   */
+  addFile({ id, name = 'Untitled', mimeType = DOC_MIME, parents = [], media = null, public: isPublic = false } = {}) {
+    const fileId = id || `file${++this.counter}`;
+    const file = {
+      id: fileId,
+      name,
+      mimeType,
+      parents,
+      permissions: isPublic ? [{ id: 'anyoneWithLink', type: 'anyone', role: 'reader' }] : [],
+      media,
+      modifiedTime: new Date(Date.UTC(2026, 0, 1, 0, 0, this.counter)).toISOString(),
+      webViewLink: `https://drive.google.com/file/d/${fileId}/view`,
+      ...(mimeType === DOC_MIME || mimeType.endsWith('folder') ? {} : { webContentLink: `https://drive.google.com/uc?id=${fileId}&export=download` }),
+    };
+    this.files.set(fileId, file);
+    return file;
+  }
+
+  isPublic(fileId) {
+    return !!this.files.get(fileId)?.permissions.some((p) => p.type === 'anyone');
+  }
+
+  /**
+   * Whether the Docs API could download this image URL: Drive URLs need a public file; other URLs are assumed reachable.
+   * @param {string} uri
+   */
+  canFetchImage(uri) {
+    const fileId = driveFileIdFromUrl(uri);
+    return fileId ? this.isPublic(fileId) : /^https?:\/\//.test(uri);
+  }
+
+  /**
+   * Answer a request to www.googleapis.com/drive/v3 or /upload/drive/v3, or a drive.usercontent download.
+   * @param {{ method: string, url: URL, headers: Record<string, string>, body: unknown }} req
+   * @returns {Promise<{ status: number, json?: unknown, body?: Blob }>}
+   */
+  async handle({ method, url, headers, body }) {
+    if (this.failures.length > 0) {
+      const status = this.failures.shift();
+      return { status, json: { error: { code: status, message: `Simulated error ${status}` } } };
+    }
+    if (url.hostname === 'drive.usercontent.google.com') {
+      const file = this.files.get(url.searchParams.get('id'));
+      if (!file || !this.isPublic(file.id)) return { status: 403, json: { error: { code: 403, message: 'Forbidden' } } };
+      return { status: 200, body: new Blob([file.media ?? ''], { type: file.mimeType }) };
+    }
+    if (headers.authorization !== `Bearer ${this.token}`) {
+      return { status: 401, json: { error: { code: 401, message: 'Invalid Credentials' } } };
+    }
+    const path = url.pathname;
+    const fields = url.searchParams.get('fields');
+
+    if (method === 'POST' && path === '/upload/drive/v3/files') {
+      const text = body instanceof Blob ? await body.text() : String(body ?? '');
+      const parsed = parseMultipart(text, headers['content-type']);
+      if (!parsed?.media) return { status: 400, json: { error: { code: 400, message: 'Media part is required.' } } };
+      const file = this.addFile({
+        name: parsed.metadata.name,
+        mimeType: parsed.metadata.mimeType || parsed.media.contentType,
+        parents: parsed.metadata.parents ?? [],
+        media: parsed.media.data,
+      });
+      return { status: 200, json: pickFields(file, fields) };
+    }
+
+    if (method === 'POST' && path === '/drive/v3/files') {
+      const meta = typeof body === 'string' ? JSON.parse(body) : {};
+      const file = this.addFile({ name: meta.name, mimeType: meta.mimeType, parents: meta.parents ?? [] });
+      return { status: 200, json: pickFields(file, fields) };
+    }
+
+    const permissions = path.match(/^\/drive\/v3\/files\/([^/]+)\/permissions$/);
+    if (method === 'POST' && permissions) {
+      const file = this.files.get(permissions[1]);
+      if (!file) return { status: 404, json: { error: { code: 404, message: `File not found: ${permissions[1]}.` } } };
+      const perm = { id: 'anyoneWithLink', ...JSON.parse(String(body ?? '{}')) };
+      file.permissions.push(perm);
+      return { status: 200, json: perm };
+    }
+
+    const single = path.match(/^\/drive\/v3\/files\/([^/]+)$/);
+    if (method === 'GET' && single) {
+      const file = this.files.get(single[1]);
+      if (!file) return { status: 404, json: { error: { code: 404, message: `File not found: ${single[1]}.` } } };
+      if (url.searchParams.get('alt') === 'media') return { status: 200, body: new Blob([file.media ?? ''], { type: file.mimeType }) };
+      return { status: 200, json: pickFields(file, fields) };
+    }
+
+    if (method === 'GET' && path === '/drive/v3/files') {
+      const mime = /mimeType\s*=\s*'([^']+)'/.exec(url.searchParams.get('q') || '')?.[1];
+      const files = [...this.files.values()]
+        .filter((f) => !mime || f.mimeType === mime)
+        .sort((a, b) => b.modifiedTime.localeCompare(a.modifiedTime))
+        .map((f) => ({ id: f.id, name: f.name, modifiedTime: f.modifiedTime }));
+      return { status: 200, json: { files } };
+    }
+
+    return { status: 404, json: { error: { code: 404, message: `No fake Drive route for ${method} ${path}` } } };
+  }
+}
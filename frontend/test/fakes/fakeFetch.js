@@ -0,0 +1,72 @@
+/**
+ * Global fetch for tests, routed to the Docs and Drive fakes. Any other URL throws, so a test that
+ * reaches the network (or an unexpected API) fails instead of hanging.
+ */
+
+import { vi } from 'vitest';
+import { FakeDocsApi } from './fakeDocs.js';
+import { FakeDriveApi } from './fakeDrive.js';
+
+/** OAuth token the fakes accept; put it in storage with signIn() for code that goes through withTokenRetry. */
+export const TEST_TOKEN = 'test-token';
+
+function headerMap(headers) {
+  const out = {};
+  if (!headers) return out;
+  const entries = typeof headers.entries === 'function' && !Array.isArray(headers) ? headers.entries() : Object.entries(headers);
+  for (const [k, v] of entries) out[k.toLowerCase()] = String(v);
+  return out;
+}
+
+/**
+ * Fakes for Docs and Drive behind one fetch function.
+ * @returns {{ docs: FakeDocsApi, drive: FakeDriveApi, fetch: (input: string | URL | Request, init?: RequestInit) => Promise<Response>, calls: Array<{ method: string, url: string }>, offline: boolean }}
+ */
+export function createFakeGoogle() {
+  const drive = new FakeDriveApi({ token: TEST_TOKEN });
+  const docs = new FakeDocsApi({ token: TEST_TOKEN, canFetchImage: (uri) => drive.canFetchImage(uri) });
+  const google = {
+    docs,
+    drive,
+    /** Every request, in order. */
+    calls: [],
+    /** When true, every request fails like a dropped connection (TypeError: Failed to fetch). */
+    offline: false,
+    async fetch(input, init = {}) {
+      const url = new URL(typeof input === 'string' || input instanceof URL ? input : input.url);
+      const method = (init.method || 'GET').toUpperCase();
+      google.calls.push({ method, url: url.href });
+      if (google.offline) throw new TypeError('Failed to fetch');
+      const req = { method, url, headers: headerMap(init.headers), body: init.body };
+      let result;
+      if (url.hostname === 'docs.googleapis.com') result = await docs.handle(req);
+      else if (url.hostname === 'drive.usercontent.google.com' || (url.hostname === 'www.googleapis.com' && /^\/(upload\/)?drive\//.test(url.pathname))) {
+        result = await drive.handle(req);
+      } else {
+        throw new TypeError(`fakeFetch: no route for ${method} ${url.href}`);
+      }
+      if (result.body) return new Response(result.body, { status: result.status });
+      return new Response(JSON.stringify(result.json ?? {}), {
+        status: result.status,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    },
+  };
+  return google;
+}
+
+/**
+ * Create the fakes and make them the global fetch for the current test (undone by vi.unstubAllGlobals in setup.js).
+ */
+export function installFakeGoogle() {
+  const google = createFakeGoogle();
+  vi.stubGlobal('fetch', google.fetch);
+  return google;
+}
+
+/**
+ * Store the fakes' token where background/auth.js reads it (chrome.storage.local), as after "Connect Google Docs".
+ */
+export function signIn() {
+  return chrome.storage.local.set({ eznote_access_token: TEST_TOKEN });
+}
@@ -0,0 +1,127 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { getDocumentOutline, insertHighlightAtPosition, insertHighlightToDoc } from '../src/lib/docsInsert.js';
+import { formatReferences } from '../src/lib/formatReferences.js';
+import { para } from './fakes/fakeDocs.js';
+import { TEST_TOKEN, installFakeGoogle } from './fakes/fakeFetch.js';
+
+const META = {
+  s1: { id: 's1', page_title: 'First Page', domain: 'one.com', source_url: 'https://one.com/a' },
+  s2: { id: 's2', page_title: 'Second Page', domain: 'two.org', source_url: 'https://two.org/b' },
+  s3: { id: 's3', page_title: 'First Page', domain: 'one.com', source_url: 'https://one.com/a' },
+  s4: { id: 's4', page_title: 'Third Page', domain: 'three.net', source_url: 'https://three.net/c' },
+  s5: { id: 's5', page_title: 'Paper', domain: 'five.io', source_url: 'https://five.io/p', created_at: '2024-03-01T10:00:00Z' },
+  s6: { id: 's6', page_title: 'Paper', domain: 'five.io', source_url: 'https://five.io/p', created_at: '2024-05-20T10:00:00Z' },
+};
+
+const fetchSnipsMetadata = async (ids) => ids.map((id) => META[id]).filter(Boolean);
+
+/** Plug a snip at the end of the document, or at "At the end" of the section picker (above the Sources section). */
+async function plug(snipId, selectedText, { viaOutline = false } = {}) {
+  const meta = META[snipId];
+  const data = { selectedText, pageUrl: meta.source_url, pageTitle: meta.page_title, snipId };
+  if (!viaOutline) return insertHighlightToDoc('doc1', TEST_TOKEN, data);
+  const outline = await getDocumentOutline('doc1', TEST_TOKEN);
+  return insertHighlightAtPosition('doc1', TEST_TOKEN, data, outline.tabs[0].end);
+}
+
+describe('formatReferences', () => {
+  let doc;
+  beforeEach(() => {
+    const google = installFakeGoogle();
+    doc = google.docs.addDocument({ documentId: 'doc1', body: ['Essay'] });
+  });
+
+  it('replaces source lines with numbered markers and appends one entry per source', async () => {
+    await plug('s1', 'Alpha');
+    await plug('s2', 'Beta');
+    await plug('s3', 'Gamma');
+
+    const result = await formatReferences('doc1', TEST_TOKEN, fetchSnipsMetadata);
+    expect(result).toMatchObject({ success: true, refsCount: 2 });
+
+    expect(doc.paragraphs().map((p) => p.text)).toEqual([
+      'Essay',
+      'Alpha [1]',
+      'Beta [2]',
+      'Gamma [1]',
+      '',
+      'Sources',
+      '',
+      '1. First Page (one.com)',
+      '2. Second Page (two.org)',
+      '',
+    ]);
+    const text = doc.text();
+    expect(doc.textStyleAt(text.indexOf('[2]'))).toMatchObject({ baselineOffset: 'SUPERSCRIPT' });
+    expect(doc.textStyleAt(text.indexOf('Sources')).baselineOffset ?? 'NONE').toBe('NONE');
+    expect(['s1', 's2', 's3'].flatMap((id) => doc.namedRanges('SNIP_REF_' + id))).toEqual([]);
+  });
+
+  it('keeps existing entries and numbers new sources after them on a second run', async () => {
+    await plug('s1', 'Alpha');
+    await formatReferences('doc1', TEST_TOKEN, fetchSnipsMetadata);
+    await plug('s4', 'Delta', { viaOutline: true });
+    await plug('s3', 'Gamma', { viaOutline: true });
+
+    const result = await formatReferences('doc1', TEST_TOKEN, fetchSnipsMetadata);
+    expect(result.refsCount).toBe(2);
+    const lines = doc.paragraphs().map((p) => p.text);
+    expect(lines.filter((l) => l === 'Sources')).toHaveLength(1);
+    expect(lines).toContain('Delta [2]');
+    expect(lines).toContain('Gamma [1]');
+    expect(lines.slice(lines.indexOf('Sources') + 2, -1)).toEqual(['1. First Page (one.com)', '2. Third Page (three.net)']);
+  });
+
+  it('reuses the entry of a source snipped again after an earlier run, whatever its access date', async () => {
+    await plug('s5', 'Alpha');
+    await formatReferences('doc1', TEST_TOKEN, fetchSnipsMetadata, { style: 'mla' });
+    await plug('s6', 'Beta', { viaOutline: true });
+    await formatReferences('doc1', TEST_TOKEN, fetchSnipsMetadata, { style: 'mla' });
+
+    const lines = doc.paragraphs().map((p) => p.text);
+    expect(lines.slice(lines.indexOf('Works Cited') + 2, -1)).toEqual(['"Paper." five.io, five.io/p. Accessed 1 Mar. 2024.']);
+    expect(lines).toContain('Alpha\u00A0("Paper")');
+    expect(lines).toContain('Beta\u00A0("Paper")');
+  });
+
+  it('leaves the document as it was when run twice, and rewrites markers and entries when the style changes', async () => {
+    await plug('s5', 'Alpha');
+    await plug('s2', 'Beta');
+    await formatReferences('doc1', TEST_TOKEN, fetchSnipsMetadata);
+    const once = doc.text();
+    await formatReferences('doc1', TEST_TOKEN, fetchSnipsMetadata);
+    expect(doc.text()).toBe(once);
+
+    const result = await formatReferences('doc1', TEST_TOKEN, fetchSnipsMetadata, { style: 'ieee' });
+    expect(result.refsCount).toBe(2);
+    const lines = doc.paragraphs().map((p) => p.text);
+    expect(lines.slice(1, 3)).toEqual(['Alpha\u00A0[1]', 'Beta\u00A0[2]']);
+    expect(lines.filter((l) => l === 'Sources' || l === 'References')).toEqual(['References']);
+    expect(lines.slice(lines.indexOf('References') + 2, -1)).toEqual([
+      '[1] "Paper," five.io. Accessed: Mar. 1, 2024. [Online]. Available: https://five.io/p',
+      expect.stringMatching(/^\[2\] "Second Page," two\.org\. Accessed: .* Available: https:\/\/two\.org\/b$/),
+    ]);
+    expect(doc.textStyleAt(doc.text().indexOf('[1]')).baselineOffset ?? 'NONE').toBe('NONE');
+    expect(doc.namedRanges('SNIP_CITE_s5')).toMatchObject([{ text: '\u00A0[1]' }]);
+  });
+
+  it('keeps the writer\'s own References and Sources headings and the text under them', async () => {
+    const google = installFakeGoogle();
+    const body = ['Essay', '', para('References', 'HEADING_2'), '', 'Works I still need to read.', '', 'Sources', '', 'My own notes on sources.', 'The end.'];
+    doc = google.docs.addDocument({ documentId: 'doc1', body });
+    await plug('s1', 'Alpha');
+    await formatReferences('doc1', TEST_TOKEN, fetchSnipsMetadata, { style: 'ieee' });
+    await formatReferences('doc1', TEST_TOKEN, fetchSnipsMetadata, { style: 'ieee' });
+
+    const lines = doc.paragraphs().map((p) => p.text);
+    expect(lines.slice(0, 10)).toEqual(body.map((p) => p.text ?? p));
+    expect(lines.slice(10)).toEqual(['Alpha\u00A0[1]', '', 'References', '', expect.stringMatching(/^\[1\] "First Page,"/), '']);
+    expect(doc.namedRanges('SNIP_BIBLIOGRAPHY')).toHaveLength(1);
+  });
+
+  it('does nothing when the document has no snip references', async () => {
+    const result = await formatReferences('doc1', TEST_TOKEN, fetchSnipsMetadata);
+    expect(result).toMatchObject({ success: true, refsCount: 0 });
+    expect(doc.text()).toBe('\uFFFCEssay\n');
+  });
+});
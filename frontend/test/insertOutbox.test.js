@@ -0,0 +1,83 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { getDocumentOutline } from '../src/lib/docsInsert.js';
+import { flattenOutline } from '../src/lib/docsOutline.js';
+import { para } from './fakes/fakeDocs.js';
+import { TEST_TOKEN, installFakeGoogle, signIn } from './fakes/fakeFetch.js';
+
+const selection = (selectedText) => ({ selectedText, pageUrl: 'https://example.com/a', pageTitle: 'Page A' });
+
+describe('insert outbox', () => {
+  let google;
+  let doc;
+  let outbox;
+  let plug;
+  beforeEach(async () => {
+    google = installFakeGoogle();
+    doc = google.docs.addDocument({ documentId: 'doc1', body: [para('Methods', 'HEADING_1'), 'We measured things.', para('Results', 'HEADING_1'), 'It worked.'] });
+    await signIn();
+    await chrome.storage.local.set({ eznote_selected_document_id: 'doc1' });
+    vi.resetModules();
+    vi.doMock('../src/background/snipUsage.js', () => ({
+      recordSnipAndCheckLimit: vi.fn(async () => ({ snip_id: 's1' })),
+      recordImageSnipAndCheckLimit: vi.fn(async () => ({ snip_id: 's2' })),
+      getSnipsMetadata: vi.fn(async () => []),
+      getSnipUsage: vi.fn(async () => ({ used: 0, limit: 15, allowed: true })),
+    }));
+    outbox = await import('../src/background/insertOutbox.js');
+    plug = await import('../src/background/plugHighlightIntoDoc.js');
+  });
+
+  it('sends a queued section insert to where the section is when it is retried', async () => {
+    const methods = flattenOutline(await getDocumentOutline('doc1', TEST_TOKEN)).find((s) => s.label === 'End of section: Methods');
+    google.offline = true;
+    expect(await plug.plugHighlightAtSection(selection('Quoted'), methods.target, methods.label)).toEqual({ success: true, queued: true });
+    google.offline = false;
+
+    // The document changes before the retry: a paragraph is added above the section.
+    await fetch('https://docs.googleapis.com/v1/documents/doc1:batchUpdate', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${TEST_TOKEN}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ requests: [{ insertText: { location: { index: 1 }, text: 'A new introduction.\n' } }] }),
+    });
+    await outbox.processOutbox({ force: true });
+
+    expect(doc.paragraphs().map((p) => p.text)).toEqual([
+      'A new introduction.', 'Methods', 'We measured things.', '', 'Quoted', 'Source: Page A', 'Results', 'It worked.',
+    ]);
+    expect(await outbox.getOutboxItems()).toEqual([]);
+  });
+
+  it('does not insert a snip twice when the answer to its insert was lost', async () => {
+    expect(await outbox.enqueueInsert({ kind: 'text', documentId: 'doc1', data: selection('Quoted'), snipId: 's1' })).toBe(true);
+    // The insert reaches the document, but its answer is a 503.
+    let dropAnswer = true;
+    vi.stubGlobal('fetch', async (input, init = {}) => {
+      const res = await google.fetch(input, init);
+      if (!dropAnswer || init.method !== 'POST') return res;
+      dropAnswer = false;
+      return new Response(JSON.stringify({ error: { code: 503, message: 'Backend Error' } }), { status: 503 });
+    });
+    await outbox.processOutbox({ force: true });
+    expect(await outbox.getOutboxItems()).toMatchObject([{ status: 'pending', lastError: 'Backend Error' }]);
+
+    await outbox.processOutbox({ force: true });
+    expect(doc.paragraphs().map((p) => p.text)).toEqual([
+      'Methods', 'We measured things.', 'Results', 'It worked.', '', 'Quoted', 'Source: Page A',
+    ]);
+    expect(doc.namedRanges('SNIP_REF_s1')).toHaveLength(1);
+    expect(await outbox.getOutboxItems()).toEqual([]);
+  });
+
+  it('refuses new inserts when it is full instead of dropping the oldest', async () => {
+    for (let i = 0; i < 25; i++) {
+      expect(await outbox.enqueueInsert({ kind: 'text', documentId: 'doc1', data: selection(`Snip ${i}`) })).toBe(true);
+    }
+    expect(await outbox.enqueueInsert({ kind: 'text', documentId: 'doc1', data: selection('One too many') })).toBe(false);
+    const items = await outbox.getOutboxItems();
+    expect(items).toHaveLength(25);
+    expect(items[0].label).toBe('Snip 0');
+
+    google.offline = true;
+    expect(await plug.plugHighlightAtSection(selection('Lost?'), 5, 'At the end')).toEqual({ success: false, error: outbox.OUTBOX_FULL_MESSAGE });
+  });
+});
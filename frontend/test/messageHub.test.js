@@ -0,0 +1,80 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { MESSAGE_ERROR } from '../src/lib/messageProtocol.js';
+import { installFakeGoogle, signIn } from './fakes/fakeFetch.js';
+
+/** The background modules read chrome.storage when they load, so each test imports them against its own chrome mock. */
+async function loadHub() {
+  vi.resetModules();
+  return import('../src/background/messageHub.js');
+}
+
+describe('messageHub', () => {
+  let hub;
+  beforeEach(async () => {
+    installFakeGoogle();
+    hub = await loadHub();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('answers unknown types with a structured error right away', () => {
+    const sendResponse = vi.fn();
+    expect(hub.onRuntimeMessage({ type: 'MAKE_COFFEE' }, {}, sendResponse)).toBe(false);
+    expect(sendResponse).toHaveBeenCalledWith({
+      success: false,
+      code: MESSAGE_ERROR.UNKNOWN_TYPE,
+      error: 'Unknown message type: MAKE_COFFEE',
+    });
+  });
+
+  it('leaves messages for other pages and listeners alone', () => {
+    const sendResponse = vi.fn();
+    expect(hub.onRuntimeMessage({ type: 'OCR_IMAGE', target: 'offscreen' }, {}, sendResponse)).toBe(false);
+    expect(hub.onRuntimeMessage({ type: 'SNIP_COPY_TO_CLIPBOARD_RESULT', success: true }, {}, sendResponse)).toBe(false);
+    expect(sendResponse).not.toHaveBeenCalled();
+  });
+
+  it('refuses a malformed payload without running the handler', async () => {
+    const response = await hub.dispatchMessage({ type: 'OUTBOX_DISCARD', itemId: 42 });
+    expect(response).toMatchObject({ success: false, code: MESSAGE_ERROR.INVALID_REQUEST });
+    expect(response.error).toMatch(/itemId must be a non-empty string/);
+  });
+
+  it('sends the handler result through sendResponse', async () => {
+    const sendResponse = vi.fn();
+    expect(hub.onRuntimeMessage({ type: 'GET_UNDO_STATE' }, {}, sendResponse)).toBe(true);
+    await vi.waitFor(() => expect(sendResponse).toHaveBeenCalled());
+    expect(sendResponse).toHaveBeenCalledWith({ available: false, redoAvailable: false, inserts: [] });
+  });
+
+  it('turns a handler that throws into HANDLER_FAILED', async () => {
+    const response = await hub.dispatchMessage({ type: 'DOCS_LIST' });
+    expect(response).toMatchObject({ success: false, code: MESSAGE_ERROR.HANDLER_FAILED });
+  });
+
+  it('answers MESSAGE_TIMEOUT when the handler outlives its type timeout', async () => {
+    await signIn();
+    vi.stubGlobal('fetch', () => new Promise(() => {}));
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+    const pending = hub.dispatchMessage({ type: 'DOCS_LIST' });
+    await vi.advanceTimersByTimeAsync(24999);
+    let settled = false;
+    pending.then(() => (settled = true));
+    await Promise.resolve();
+    expect(settled).toBe(false);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(await pending).toMatchObject({ success: false, code: MESSAGE_ERROR.TIMEOUT });
+  });
+
+  it('runs a handler end to end against the fake Docs API', async () => {
+    await signIn();
+    const google = installFakeGoogle();
+    google.docs.addDocument({ documentId: 'doc1', body: ['Intro'] });
+    await chrome.storage.local.set({ eznote_selected_document_id: 'doc1' });
+    const response = await hub.dispatchMessage({ type: 'DOCS_GET_OUTLINE' });
+    expect(response.success).toBe(true);
+    expect(response.outline.tabs).toHaveLength(1);
+  });
+});
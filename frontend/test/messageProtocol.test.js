@@ -0,0 +1,89 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_TIMEOUT_MS,
+  MESSAGES,
+  MESSAGE_ERROR,
+  expectsReply,
+  isMessageError,
+  messageError,
+  messageTimeout,
+  s,
+  validateRequest,
+  validateResponse,
+} from '../src/lib/messageProtocol.js';
+
+describe('schemas', () => {
+  it('reports the path and value of what is wrong', () => {
+    const schema = s.object({ a: s.object({ b: s.array(s.integer()) }), c: s.optional(s.string()) });
+    expect(schema.check({ a: { b: [1, 2] } }, '')).toBeNull();
+    expect(schema.check({ a: { b: [1, 'x'] } }, '')).toBe('a.b[1] must be an integer (got "x")');
+    expect(schema.check({ a: { b: [] }, c: 3 }, '')).toBe('c must be a string (got number)');
+    expect(schema.check({}, '')).toBe('a is required');
+    expect(schema.check([], '')).toBe('payload must be an object (got an array)');
+  });
+
+  it('treats null like a missing field and allows extra keys', () => {
+    const schema = s.object({ name: s.optional(s.string()), id: s.string({ nonEmpty: true }) });
+    expect(schema.check({ id: 'x', name: null, extra: 1 }, '')).toBeNull();
+    expect(schema.check({ id: '  ' }, '')).toBe('id must be a non-empty string (got "  ")');
+    expect(schema.check({ id: null }, '')).toBe('id is required');
+  });
+
+  it('accepts any member of a union', () => {
+    const schema = s.union(s.literal(-1), s.insertTarget());
+    expect(schema.check(-1, 'insertIndex')).toBeNull();
+    expect(schema.check({ index: 12, tabId: 't.1' }, 'insertIndex')).toBeNull();
+    expect(schema.check(-2, 'insertIndex')).toMatch(/^insertIndex must be -1/);
+  });
+});
+
+describe('message registry', () => {
+  it('refuses unknown types', () => {
+    expect(validateRequest({ type: 'NOPE' })).toEqual({
+      success: false,
+      code: MESSAGE_ERROR.UNKNOWN_TYPE,
+      error: 'Unknown message type: NOPE',
+    });
+    expect(validateRequest(null)).toMatchObject({ code: MESSAGE_ERROR.UNKNOWN_TYPE });
+    expect(validateRequest({ type: 'toString' })).toMatchObject({ code: MESSAGE_ERROR.UNKNOWN_TYPE });
+  });
+
+  it('checks request payloads', () => {
+    expect(validateRequest({ type: 'GET_UNDO_STATE' })).toBeNull();
+    expect(validateRequest({ type: 'REVERT_INSERT' })).toMatchObject({
+      code: MESSAGE_ERROR.INVALID_REQUEST,
+      error: 'Invalid REVERT_INSERT request: entryId is required',
+    });
+    expect(validateRequest({ type: 'PLUG_IT_IN_AT_SECTION', selectionData: { selectedText: 'x' }, insertIndex: 0 })).toMatchObject({
+      code: MESSAGE_ERROR.INVALID_REQUEST,
+    });
+    expect(validateRequest({ type: 'PLUG_IT_IN_AT_SECTION', selectionData: { selectedText: 'x' }, insertIndex: { index: 5 } })).toBeNull();
+    expect(validateRequest({ type: 'SNIP_BOUNDS', bounds: { x: 0, y: 0, width: 10 } })).toMatchObject({
+      error: 'Invalid SNIP_BOUNDS request: bounds.height is required',
+    });
+  });
+
+  it('checks responses but lets structured errors through', () => {
+    expect(validateResponse('GET_UNDO_STATE', { available: false, redoAvailable: false, inserts: [] })).toBeNull();
+    expect(validateResponse('GET_UNDO_STATE', { available: false })).toMatchObject({
+      code: MESSAGE_ERROR.INVALID_RESPONSE,
+      error: 'Invalid GET_UNDO_STATE response: response.redoAvailable is required',
+    });
+    expect(validateResponse('GET_UNDO_STATE', messageError(MESSAGE_ERROR.TIMEOUT, 'slow'))).toBeNull();
+    expect(validateResponse('GET_DOC_PREVIEW', undefined)).toBeNull();
+  });
+
+  it('has a timeout per type, falling back to the default', () => {
+    expect(messageTimeout('DOCS_LIST')).toBe(DEFAULT_TIMEOUT_MS);
+    expect(messageTimeout('FORMAT_REFERENCES')).toBe(90000);
+    expect(messageTimeout('SNIP_BOUNDS')).toBe(0);
+    expect(expectsReply('GET_DOC_PREVIEW')).toBe(false);
+    expect(expectsReply('GET_OUTBOX')).toBe(true);
+  });
+
+  it('declares a response for every type that answers', () => {
+    const missing = Object.entries(MESSAGES).filter(([, def]) => def.reply !== false && !def.response);
+    expect(missing.map(([type]) => type)).toEqual([]);
+    expect(isMessageError({ success: false, error: 'x' })).toBe(false);
+  });
+});
@@ -0,0 +1,150 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { cancelOperation, onOperationPortConnect, runOperation } from '../src/background/operations.js';
+import { insertHighlightToDoc } from '../src/lib/docsInsert.js';
+import { formatReferences } from '../src/lib/formatReferences.js';
+import { MESSAGE_ERROR, OPERATION_CANCELLED, OPERATION_PORT } from '../src/lib/messageProtocol.js';
+import { connectOperations } from '../src/popup/operations.js';
+import { createEvent } from './fakes/chrome.js';
+import { TEST_TOKEN, installFakeGoogle, signIn } from './fakes/fakeFetch.js';
+
+/** A chrome.runtime.Port as the background sees it; disconnect() ends it like a closed side panel. */
+function createPort(name = OPERATION_PORT) {
+  const port = {
+    name,
+    sender: { url: 'chrome-extension://test-extension/index.html' },
+    posted: [],
+    postMessage: (msg) => port.posted.push(msg),
+    onMessage: createEvent(),
+    onDisconnect: createEvent(),
+    disconnect: () => port.onDisconnect.dispatch(port),
+  };
+  return port;
+}
+
+const updates = (port) => port.posted.filter((m) => m.kind === 'operation').map((m) => m.operation);
+
+/** fetchSnipsMetadata that waits until release() is called. */
+function heldMetadata() {
+  let release;
+  const gate = new Promise((resolve) => (release = resolve));
+  const fetchSnipsMetadata = vi.fn(async (ids) => {
+    await gate;
+    return ids.map((id) => ({ id, page_title: 'Page', domain: 'example.com', source_url: 'https://example.com/' }));
+  });
+  return { fetchSnipsMetadata, release };
+}
+
+describe('operations', () => {
+  let doc;
+  let port;
+  beforeEach(async () => {
+    const google = installFakeGoogle();
+    doc = google.docs.addDocument({ documentId: 'doc1', body: ['Essay'] });
+    await insertHighlightToDoc('doc1', TEST_TOKEN, { selectedText: 'Quote', pageUrl: 'https://example.com/', pageTitle: 'Page', snipId: 's1' });
+    port = createPort();
+    onOperationPortConnect(port, vi.fn());
+  });
+
+  it('reports every stage of Format References to connected ports, then the outcome', async () => {
+    const result = await runOperation('FORMAT_REFERENCES', (op) =>
+      formatReferences('doc1', TEST_TOKEN, async () => [], { signal: op.signal, onProgress: (stage) => op.progress(stage) }));
+    expect(result.success).toBe(true);
+    const seen = updates(port);
+    expect(seen.map((o) => o.stage)).toEqual([null, 'reading', 'citations', 'writing', 'verifying', 'verifying']);
+    expect(seen.at(-1)).toMatchObject({ type: 'FORMAT_REFERENCES', status: 'done', fraction: 1 });
+    expect(seen[2]).toMatchObject({ label: 'Looking up sources', fraction: 0.375 });
+  });
+
+  it('stops before writing when cancelled and leaves the document alone', async () => {
+    const before = doc.text();
+    const { fetchSnipsMetadata, release } = heldMetadata();
+    const pending = runOperation('FORMAT_REFERENCES', (op) =>
+      formatReferences('doc1', TEST_TOKEN, fetchSnipsMetadata, { signal: op.signal, onProgress: (stage) => op.progress(stage) }));
+    await vi.waitFor(() => expect(fetchSnipsMetadata).toHaveBeenCalled());
+
+    port.onMessage.dispatch({ kind: 'cancel', operationId: updates(port)[0].id });
+    release();
+    await expect(pending).rejects.toThrow(OPERATION_CANCELLED);
+    expect(doc.text()).toBe(before);
+    expect(updates(port).at(-1)).toMatchObject({ status: 'cancelled', stage: 'citations' });
+  });
+
+  it('ignores cancel once the operation is past the point of no return', async () => {
+    let id;
+    const result = await runOperation('IMAGE_SNIP', async (op) => {
+      id = op.id;
+      op.progress('uploading');
+      op.progress('inserting', { cancellable: false });
+      expect(cancelOperation(op.id)).toBe(false);
+      op.throwIfCancelled();
+      return 'inserted';
+    });
+    expect(result).toBe('inserted');
+    expect(updates(port).find((o) => o.id === id && o.stage === 'inserting')).toMatchObject({ cancellable: false });
+    expect(cancelOperation(id)).toBe(false);
+  });
+
+  it('tells a port that connects late about operations already running', async () => {
+    let finish;
+    const pending = runOperation('IMAGE_SNIP', (op) => {
+      op.progress('capturing');
+      return new Promise((resolve) => (finish = resolve));
+    });
+    const late = createPort();
+    onOperationPortConnect(late, vi.fn());
+    expect(updates(late)).toMatchObject([{ type: 'IMAGE_SNIP', stage: 'capturing', status: 'running' }]);
+    finish();
+    await pending;
+  });
+
+  it('stops sending to a port once it disconnects and ignores other ports', async () => {
+    const other = createPort('something_else');
+    onOperationPortConnect(other, vi.fn());
+    port.disconnect();
+    await runOperation('IMAGE_SNIP', async (op) => op.progress('capturing'));
+    expect(updates(port)).toEqual([]);
+    expect(other.posted).toEqual([]);
+  });
+});
+
+describe('operation port requests', () => {
+  let port;
+  beforeEach(async () => {
+    const google = installFakeGoogle();
+    google.docs.addDocument({ documentId: 'doc1', body: ['Essay'] });
+    await insertHighlightToDoc('doc1', TEST_TOKEN, { selectedText: 'Quote', pageUrl: 'https://example.com/', pageTitle: 'Page', snipId: 's1' });
+    await signIn();
+    await chrome.storage.local.set({ eznote_selected_document_id: 'doc1' });
+    vi.resetModules();
+    const { onRuntimeConnect } = await import('../src/background/messageHub.js');
+    port = createPort();
+    onRuntimeConnect(port);
+  });
+
+  it('runs Format References over the port and answers with its result and request id', async () => {
+    port.onMessage.dispatch({ kind: 'start', requestId: 'r1', message: { type: 'FORMAT_REFERENCES' } });
+    await vi.waitFor(() => expect(port.posted.some((m) => m.kind === 'result')).toBe(true));
+    expect(port.posted.find((m) => m.kind === 'result')).toMatchObject({ requestId: 'r1', response: { success: true } });
+    expect(updates(port).every((o) => o.requestId === 'r1')).toBe(true);
+  });
+
+  it('refuses message types that are not operations', async () => {
+    port.onMessage.dispatch({ kind: 'start', requestId: 'r2', message: { type: 'GET_UNDO_STATE' } });
+    expect(port.posted).toEqual([
+      { kind: 'result', requestId: 'r2', response: expect.objectContaining({ code: MESSAGE_ERROR.INVALID_REQUEST }) },
+    ]);
+  });
+});
+
+describe('side panel operation channel', () => {
+  it('settles runs still in flight when the side panel disconnects', async () => {
+    const channel = connectOperations(() => {});
+    const port = chrome.runtime.connect.mock.results[0].value;
+    const running = channel.run({ type: 'FORMAT_REFERENCES' });
+    expect(port.postMessage).toHaveBeenCalledWith(expect.objectContaining({ kind: 'start', message: { type: 'FORMAT_REFERENCES' } }));
+
+    channel.disconnect();
+    expect(await running).toMatchObject({ success: false, code: MESSAGE_ERROR.HANDLER_FAILED });
+    expect(port.disconnect).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,15 @@
+/**
+ * Runs before every test file: a fresh chrome mock per test, and globals (fetch) restored afterwards.
+ */
+
+import { afterEach, beforeEach, vi } from 'vitest';
+import { createChromeMock } from './fakes/chrome.js';
+
+beforeEach(() => {
+  vi.stubGlobal('chrome', createChromeMock());
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
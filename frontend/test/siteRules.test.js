@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import {
+  MAX_SITE_RULES,
+  SITE_RULES_KEY,
+  addSiteRule,
+  findOutlineHeading,
+  findSiteRule,
+  getSiteRules,
+  normalizeSitePattern,
+  removeSiteRule,
+  sitePatternMatches,
+  updateSiteRule,
+} from '../src/lib/siteRules.js';
+import { buildTabOutline } from '../src/lib/docsOutline.js';
+
+describe('site patterns', () => {
+  it('normalizes what users type', () => {
+    expect(normalizeSitePattern('https://www.ArXiv.org/')).toBe('arxiv.org');
+    expect(normalizeSitePattern('*.nature.com/articles/*')).toBe('nature.com/articles');
+    expect(normalizeSitePattern('example.com:8080/docs?x=1')).toBe('example.com/docs');
+    expect(normalizeSitePattern('not a site')).toBe('');
+  });
+
+  it('matches subdomains and path prefixes, not lookalike domains', () => {
+    expect(sitePatternMatches('arxiv.org', 'https://export.arxiv.org/abs/1')).toBe(true);
+    expect(sitePatternMatches('arxiv.org', 'https://notarxiv.org/')).toBe(false);
+    expect(sitePatternMatches('arxiv.org/abs', 'https://arxiv.org/abs/2101.1')).toBe(true);
+    expect(sitePatternMatches('arxiv.org/abs', 'https://arxiv.org/absolute')).toBe(false);
+    expect(sitePatternMatches('*.gov/data*', 'https://www.census.gov/data-tools')).toBe(true);
+    expect(sitePatternMatches('arxiv.org', 'chrome://extensions')).toBe(false);
+  });
+
+  it('picks the most specific rule', () => {
+    const rules = [
+      { id: 'a', pattern: 'nature.com', documentId: 'd1' },
+      { id: 'b', pattern: 'nature.com/articles', documentId: 'd2' },
+    ];
+    expect(findSiteRule(rules, 'https://www.nature.com/articles/x')?.id).toBe('b');
+    expect(findSiteRule(rules, 'https://www.nature.com/news')?.id).toBe('a');
+    expect(findSiteRule(rules, 'https://example.com/')).toBeNull();
+  });
+
+  it('finds a heading by text in any tab', () => {
+    const heading = (text, start, end) => ({
+      startIndex: start,
+      endIndex: end,
+      paragraph: { paragraphStyle: { namedStyleType: 'HEADING_2' }, elements: [{ textRun: { content: text + '\n' } }] },
+    });
+    const outline = {
+      tabs: [
+        buildTabOutline([heading('Intro', 1, 7)]),
+        buildTabOutline([heading('Related  Work', 1, 15)], { tabId: 't.1', title: 'Notes' }),
+      ],
+    };
+    expect(findOutlineHeading(outline, 'related work')).toMatchObject({ heading: { text: 'Related Work' }, tab: { tabId: 't.1' } });
+    expect(findOutlineHeading(outline, 'Missing')).toBeNull();
+  });
+});
+
+describe('site rules storage', () => {
+  it('adds, replaces, updates and removes rules in chrome.storage.sync', async () => {
+    const { rule } = await addSiteRule({ pattern: 'https://arxiv.org/', documentId: 'd1', documentName: 'Lit review', heading: 'Papers' });
+    expect(rule).toMatchObject({ pattern: 'arxiv.org', documentId: 'd1', heading: 'Papers' });
+
+    const { rule: replaced } = await addSiteRule({ pattern: 'arxiv.org', documentId: 'd2' });
+    expect((await getSiteRules()).map((r) => r.id)).toEqual([replaced.id]);
+
+    await updateSiteRule(replaced.id, { heading: 'Preprints' });
+    expect(chrome.storage.sync.dump()[SITE_RULES_KEY]).toMatchObject([{ documentId: 'd2', heading: 'Preprints' }]);
+
+    await removeSiteRule(replaced.id);
+    expect(await getSiteRules()).toEqual([]);
+  });
+
+  it('rejects bad input and too many rules', async () => {
+    expect(await addSiteRule({ pattern: '???', documentId: 'd1' })).toEqual({ error: 'invalid_pattern' });
+    expect(await addSiteRule({ pattern: 'a.com', documentId: '' })).toEqual({ error: 'missing_document' });
+    for (let i = 0; i < MAX_SITE_RULES; i++) await addSiteRule({ pattern: `site${i}.com`, documentId: 'd1' });
+    expect(await addSiteRule({ pattern: 'one-more.com', documentId: 'd1' })).toEqual({ error: 'too_many_rules' });
+  });
+});
@@ -0,0 +1,190 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { getDocumentOutline, insertSnipBatch } from '../src/lib/docsInsert.js';
+import { flattenOutline } from '../src/lib/docsOutline.js';
+import { moveTrayItem, resolveTraySection } from '../src/lib/snipTray.js';
+import { uploadImageToDrive } from '../src/background/googleDrive.js';
+import { para } from './fakes/fakeDocs.js';
+import { TEST_TOKEN, installFakeGoogle, signIn } from './fakes/fakeFetch.js';
+
+const text = (selectedText, snipId, extra = {}) => ({
+  selectedText,
+  pageUrl: `https://example.com/${snipId}`,
+  pageTitle: `Page ${snipId}`,
+  snipId,
+  ...extra,
+});
+
+const body = [para('Methods', 'HEADING_1'), 'We measured things.', para('Results', 'HEADING_1'), 'It worked.'];
+
+const batchUpdates = (google) => google.calls.filter((c) => c.method === 'POST' && c.url.endsWith(':batchUpdate'));
+
+describe('insertSnipBatch', () => {
+  let google;
+  let doc;
+  let sections;
+  beforeEach(async () => {
+    google = installFakeGoogle();
+    doc = google.docs.addDocument({ documentId: 'doc1', body });
+    sections = Object.fromEntries(flattenOutline(await getDocumentOutline('doc1', TEST_TOKEN)).map((s) => [s.label, s.target]));
+  });
+
+  it('inserts every snip at its section in one batchUpdate, with a SNIP_REF_ range each', async () => {
+    const blob = new Blob(['png'], { type: 'image/png' });
+    const { imageUrl } = await uploadImageToDrive(TEST_TOKEN, blob, 'snip.png', null);
+    google.calls.length = 0;
+
+    const ranges = await insertSnipBatch('doc1', TEST_TOKEN, [
+      { kind: 'text', data: text('First result', 's1'), target: sections['End of section: Results'] },
+      { kind: 'text', data: text('A method', 's2', { note: 'check this', noteInDoc: true }), target: sections['End of section: Methods'] },
+      { kind: 'image', data: { imageUrl, imageWidthPt: 100, imageHeightPt: 50, pageUrl: 'https://example.com/s3', pageTitle: 'Page s3', snipId: 's3' }, target: sections['End of section: Results'] },
+    ]);
+
+    expect(batchUpdates(google)).toHaveLength(1);
+    expect(doc.paragraphs().map((p) => p.text)).toEqual([
+      'Methods', 'We measured things.', '', 'A method', 'Source: Page s2', 'Note: check this',
+      'Results', 'It worked.', '', 'First result', 'Source: Page s1', '\ufffc', 'Source: Page s3',
+    ]);
+    for (const id of ['s1', 's2', 's3']) {
+      expect(doc.namedRanges(`SNIP_REF_${id}`)).toMatchObject([{ text: `\nSource: Page ${id}` }]);
+    }
+    // Ranges are in list order and point at each snip as the document is after the batch.
+    expect(ranges.map((r) => r.snipId)).toEqual(['s1', 's2', 's3']);
+    expect(doc.text().slice(ranges[0].startIndex, ranges[0].endIndex)).toBe('\n\nFirst result\nSource: Page s1');
+    expect(doc.text().slice(ranges[1].startIndex, ranges[1].endIndex)).toBe('\n\nA method\nSource: Page s2\nNote: check this');
+    expect(doc.text().slice(ranges[2].startIndex, ranges[2].endIndex)).toBe('\n\ufffc\nSource: Page s3');
+  });
+
+  it('changes nothing when one of the snips is refused', async () => {
+    const before = doc.text();
+    await expect(insertSnipBatch('doc1', TEST_TOKEN, [
+      { kind: 'text', data: text('Fine', 's1'), target: sections['At the end'] },
+      { kind: 'image', data: { imageUrl: 'https://drive.google.com/uc?export=view&id=missing', imageWidthPt: 10, imageHeightPt: 10, pageUrl: '', pageTitle: 'x', snipId: 's2' }, target: sections['At the end'] },
+    ])).rejects.toThrow();
+    expect(doc.text()).toBe(before);
+    expect(doc.namedRanges('SNIP_REF_s1')).toEqual([]);
+  });
+});
+
+describe('snip tray helpers', () => {
+  it('moves an item up or down and leaves the ends alone', () => {
+    const items = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+    expect(moveTrayItem(items, 'c', -1).map((i) => i.id)).toEqual(['a', 'c', 'b']);
+    expect(moveTrayItem(items, 'a', 1).map((i) => i.id)).toEqual(['b', 'a', 'c']);
+    expect(moveTrayItem(items, 'a', -1)).toBe(items);
+    expect(moveTrayItem(items, 'zzz', 1)).toBe(items);
+  });
+
+  it('finds a section again by label and falls back to the end of the document', async () => {
+    installFakeGoogle().docs.addDocument({ documentId: 'doc1', body });
+    const outline = await getDocumentOutline('doc1', TEST_TOKEN);
+    expect(resolveTraySection(outline, { label: 'Start of section: Results', target: 1 })).toEqual({
+      label: 'Start of section: Results',
+      target: outline.tabs[0].headings[1].start,
+    });
+    expect(resolveTraySection(outline, { label: 'End of section: Gone', target: 5 }).target).toEqual(outline.tabs[0].end);
+    expect(resolveTraySection(outline, null).target).toEqual(outline.tabs[0].end);
+  });
+});
+
+describe('snip tray', () => {
+  let doc;
+  let hub;
+  beforeEach(async () => {
+    const google = installFakeGoogle();
+    doc = google.docs.addDocument({ documentId: 'doc1', body });
+    await signIn();
+    await chrome.storage.local.set({ eznote_selected_document_id: 'doc1' });
+    vi.resetModules();
+    let n = 0;
+    vi.doMock('../src/background/snipUsage.js', () => ({
+      recordSnipAndCheckLimit: vi.fn(async () => ({ snip_id: `rec${++n}` })),
+      recordImageSnipAndCheckLimit: vi.fn(async () => ({ error: 'snip_limit_reached' })),
+      getSnipsMetadata: vi.fn(async () => []),
+      getSnipUsage: vi.fn(async () => ({ used: 0, limit: 15, allowed: true })),
+    }));
+    hub = await import('../src/background/messageHub.js');
+  });
+
+  const send = (msg) => hub.dispatchMessage(msg);
+  const tray = async () => (await send({ type: 'GET_SNIP_TRAY' })).items;
+
+  it('stages text snips, keeps edits and order, and inserts them together', async () => {
+    await send({ type: 'SNIP_TRAY_ADD_TEXT', selectionData: text('Second', 'x') });
+    await send({ type: 'SNIP_TRAY_ADD_TEXT', selectionData: text('First', 'y') });
+    let items = await tray();
+    await send({ type: 'SNIP_TRAY_MOVE', itemId: items[1].id, delta: -1 });
+    items = await tray();
+    expect(items.map((i) => i.data.selectedText)).toEqual(['First', 'Second']);
+
+    const outline = await getDocumentOutline('doc1', TEST_TOKEN);
+    const methods = flattenOutline(outline).find((s) => s.label === 'End of section: Methods');
+    await send({ type: 'SNIP_TRAY_UPDATE', itemId: items[0].id, section: { label: methods.label, target: methods.target } });
+    await send({ type: 'SNIP_TRAY_UPDATE', itemId: items[1].id, text: 'Second, edited', note: 'mine' });
+
+    const result = await send({ type: 'SNIP_TRAY_COMMIT' });
+    expect(result).toMatchObject({ success: true, inserted: 2, remaining: 0 });
+    expect(doc.paragraphs().map((p) => p.text)).toEqual([
+      'Methods', 'We measured things.', '', 'First', 'Source: Page y',
+      'Results', 'It worked.', '', 'Second, edited', 'Source: Page x',
+    ]);
+    expect(doc.namedRanges('SNIP_REF_rec1')).toHaveLength(1);
+    expect(doc.namedRanges('SNIP_REF_rec2')).toHaveLength(1);
+    expect(await tray()).toEqual([]);
+
+    // Each snip is its own insert in the history.
+    expect(await send({ type: 'UNDO_LAST_INSERT' })).toEqual({ success: true });
+    expect(await send({ type: 'UNDO_LAST_INSERT' })).toEqual({ success: true });
+    expect(doc.paragraphs().map((p) => p.text)).toEqual(['Methods', 'We measured things.', 'Results', 'It worked.']);
+  });
+
+  it('undoes one snip of a committed tray without touching the others', async () => {
+    const outline = await getDocumentOutline('doc1', TEST_TOKEN);
+    const at = (label) => {
+      const s = flattenOutline(outline, { withStarts: true }).find((x) => x.label === label);
+      return { label: s.label, target: s.target };
+    };
+    // An older insert, recorded before the tray goes in.
+    await send({ type: 'PLUG_IT_IN_AT_SECTION', selectionData: text('Older', 'o'), insertIndex: outline.tabs[0].end, sectionLabel: 'At the end' });
+    await send({ type: 'SNIP_TRAY_ADD_TEXT', selectionData: text('One', 'a'), section: at('End of section: Results') });
+    await send({ type: 'SNIP_TRAY_ADD_TEXT', selectionData: text('Two', 'b'), section: at('End of section: Methods') });
+    await send({ type: 'SNIP_TRAY_ADD_TEXT', selectionData: text('Three', 'c'), section: at('Start of section: Results') });
+    expect(await send({ type: 'SNIP_TRAY_COMMIT' })).toMatchObject({ success: true, inserted: 3 });
+    expect(doc.paragraphs().map((p) => p.text)).toEqual([
+      'Methods', 'We measured things.', '', 'Two', 'Source: Page b',
+      'Results', '', 'Three', 'Source: Page c', 'It worked.', '', 'Older', 'Source: Page o', '', 'One', 'Source: Page a',
+    ]);
+
+    const { getInsertHistory, undoInsert } = await import('../src/background/undoInsertStack.js');
+    const { inserts } = await getInsertHistory('doc1');
+    expect(inserts.map((i) => i.label)).toEqual(['Three', 'Two', 'One', 'Older']);
+    expect(await undoInsert('doc1', inserts[1].id)).toEqual({ success: true });
+    expect(doc.paragraphs().map((p) => p.text)).toEqual([
+      'Methods', 'We measured things.',
+      'Results', '', 'Three', 'Source: Page c', 'It worked.', '', 'Older', 'Source: Page o', '', 'One', 'Source: Page a',
+    ]);
+    expect(await undoInsert('doc1', inserts[0].id)).toEqual({ success: true });
+    expect(doc.paragraphs().map((p) => p.text)).toEqual([
+      'Methods', 'We measured things.', 'Results', 'It worked.', '', 'Older', 'Source: Page o', '', 'One', 'Source: Page a',
+    ]);
+    // The rest still undo from where their entries say they are.
+    expect(await undoInsert('doc1')).toEqual({ success: true });
+    expect(await undoInsert('doc1')).toEqual({ success: true });
+    expect(doc.paragraphs().map((p) => p.text)).toEqual(['Methods', 'We measured things.', 'Results', 'It worked.']);
+  });
+
+  it('keeps snips that could not be recorded in the tray', async () => {
+    await send({ type: 'SNIP_TRAY_ADD_TEXT', selectionData: text('Quote', 'q') });
+    const { addToSnipTray } = await import('../src/background/snipTray.js');
+    await addToSnipTray({
+      kind: 'image',
+      data: { imageUrl: 'https://drive.google.com/uc?export=view&id=1', imageWidthPt: 10, imageHeightPt: 10, pageUrl: '', pageTitle: 'Shot' },
+      record: { type: 'image', params: { page_title: 'Shot' } },
+    });
+
+    const result = await send({ type: 'SNIP_TRAY_COMMIT' });
+    expect(result).toMatchObject({ success: true, inserted: 1, remaining: 1 });
+    expect(result.error).toMatch(/limit/);
+    expect((await tray()).map((i) => i.kind)).toEqual(['image']);
+    expect(doc.paragraphs().map((p) => p.text)).toContain('Quote');
+  });
+});
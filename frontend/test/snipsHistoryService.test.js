@@ -0,0 +1,26 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+describe('reading every result of a snip search', () => {
+  let rpc;
+  let service;
+  beforeEach(async () => {
+    const rows = Array.from({ length: 230 }, (_, i) => ({ id: `s${i}`, target_doc_id: null }));
+    rpc = vi.fn(async (name, params) => ({ data: rows.slice(params.p_offset, params.p_offset + params.p_limit), error: null }));
+    vi.resetModules();
+    vi.doMock('../src/config/supabase-config.js', () => ({ isSupabaseConfigured: true, supabaseClient: { rpc } }));
+    vi.doMock('../src/lib/connectedDocsService.js', () => ({ getConnectedDocs: vi.fn(async () => []) }));
+    service = await import('../src/lib/snipsHistoryService.js');
+  });
+
+  it('pages through the search until the last page, keeping its filters', async () => {
+    const all = await service.searchAllSnips({ query: 'climate', projectId: 'p1' });
+    expect(all.map((s) => s.id)).toEqual(Array.from({ length: 230 }, (_, i) => `s${i}`));
+    expect(rpc.mock.calls.map(([, p]) => [p.p_offset, p.p_limit])).toEqual([[0, 100], [100, 100], [200, 100]]);
+    expect(rpc.mock.calls.every(([name, p]) => name === 'search_snips' && p.p_query === 'climate' && p.p_project_id === 'p1')).toBe(true);
+  });
+
+  it('passes a search error on', async () => {
+    rpc.mockResolvedValueOnce({ data: null, error: { message: 'boom' } });
+    await expect(service.searchAllSnips()).rejects.toThrow('boom');
+  });
+});
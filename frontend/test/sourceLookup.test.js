@@ -0,0 +1,163 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { getDocumentSnipRefs, insertHighlightToDoc } from '../src/lib/docsInsert.js';
+import { formatReferences } from '../src/lib/formatReferences.js';
+import { createTextAnchor, pdfPageUrl, snipTextAnchor, textFragmentUrl } from '../src/lib/textAnchor.js';
+import { documentIdFromDocsUrl, findSnipRefForText } from '../src/background/sourceLookup.js';
+import { para } from './fakes/fakeDocs.js';
+import { TEST_TOKEN, installFakeGoogle, signIn } from './fakes/fakeFetch.js';
+
+describe('text anchors', () => {
+  it('keeps a short quote whole with a few words of context', () => {
+    expect(createTextAnchor('  the  quick\nfox ', 'Once upon a time, ', ' jumped over the dog.')).toEqual({
+      start: 'the quick fox',
+      end: '',
+      prefix: 'upon a time,',
+      suffix: 'jumped over the',
+    });
+  });
+
+  it('moves words cut by the selection into the context', () => {
+    expect(createTextAnchor('own fox jum', 'the quick br', 'ped over')).toMatchObject({
+      start: 'fox',
+      prefix: 'the quick brown',
+      suffix: 'jumped over',
+    });
+  });
+
+  it('anchors a long quote by its first and last words', () => {
+    const quote = 'one two three four five six seven eight nine ten eleven twelve thirteen fourteen fifteen sixteen';
+    expect(createTextAnchor(quote)).toEqual({
+      start: 'one two three four five',
+      end: 'twelve thirteen fourteen fifteen sixteen',
+      prefix: '',
+      suffix: '',
+    });
+    expect(createTextAnchor('   ')).toBeNull();
+  });
+
+  it('builds a text fragment URL, keeping the page fragment and escaping dashes', () => {
+    const anchor = { start: 'well-known fact', end: '', prefix: 'a', suffix: 'b & c' };
+    expect(textFragmentUrl('https://example.com/a#intro', anchor))
+      .toBe('https://example.com/a#intro:~:text=a-,well%2Dknown%20fact,-b%20%26%20c');
+    expect(textFragmentUrl('https://example.com/a#:~:text=old', { start: 'new', end: 'end', prefix: '', suffix: '' }))
+      .toBe('https://example.com/a#:~:text=new,end');
+    expect(textFragmentUrl('https://example.com/', null)).toBe('https://example.com/');
+  });
+
+  it('falls back to the first line of the saved text for snips without an anchor', () => {
+    expect(snipTextAnchor({ text_anchor: null, content: '\nA saved quote\nVideo at 1:02' })).toMatchObject({ start: 'A saved quote' });
+    expect(snipTextAnchor({ text_anchor: { start: 'kept', prefix: 'p' }, content: 'other' })).toEqual({ start: 'kept', end: '', prefix: 'p', suffix: '' });
+    expect(pdfPageUrl('https://example.com/paper.pdf#x', 'xii')).toBe('https://example.com/paper.pdf#x');
+    expect(pdfPageUrl('https://example.com/paper.pdf', '12-13')).toBe('https://example.com/paper.pdf#page=12');
+  });
+});
+
+describe('finding the snip of a passage in the doc', () => {
+  let text;
+  let refs;
+  beforeEach(async () => {
+    const google = installFakeGoogle();
+    // The writer's text ends with a blank line: snips appended at the end of the doc have none before them.
+    google.docs.addDocument({ documentId: 'doc1', body: [para('Notes', 'HEADING_1'), 'My own paragraph.', ''] });
+    const snip = (selectedText, snipId, extra = {}) =>
+      insertHighlightToDoc('doc1', TEST_TOKEN, { selectedText, pageUrl: `https://example.com/${snipId}`, pageTitle: `Page ${snipId}`, snipId, ...extra });
+    await snip('First quoted line\nand its second line', 's1', { note: 'why it matters', noteInDoc: true });
+    await snip('Another quote', 's2');
+    ({ text, refs } = await getDocumentSnipRefs('doc1', TEST_TOKEN));
+  });
+
+  it('reads the SNIP_REF_ ranges over the source lines', () => {
+    expect(refs.map((r) => [r.snipId, text.slice(r.startIndex, r.endIndex)])).toEqual([
+      ['s1', '\nSource: Page s1'],
+      ['s2', '\nSource: Page s2'],
+    ]);
+  });
+
+  it('maps the quote, its source line and its note to the snip', () => {
+    expect(findSnipRefForText(text, refs, 'its second line')?.snipId).toBe('s1');
+    expect(findSnipRefForText(text, refs, 'First quoted line and its')?.snipId).toBe('s1');
+    expect(findSnipRefForText(text, refs, 'Source: Page s1')?.snipId).toBe('s1');
+    expect(findSnipRefForText(text, refs, 'why it matters')?.snipId).toBe('s1');
+    expect(findSnipRefForText(text, refs, 'Another quote')?.snipId).toBe('s2');
+  });
+
+  it('finds nothing for the writer\'s own text', () => {
+    expect(findSnipRefForText(text, refs, 'My own paragraph.')).toBeNull();
+    expect(findSnipRefForText(text, refs, 'Notes')).toBeNull();
+    expect(findSnipRefForText(text, refs, 'not in the doc')).toBeNull();
+  });
+
+  it('still finds the snip once Format References has replaced its source line', async () => {
+    const meta = (id) => ({ id, page_title: `Page ${id}`, domain: 'example.com', source_url: `https://example.com/${id}` });
+    await formatReferences('doc1', TEST_TOKEN, async (ids) => ids.map(meta));
+    ({ text, refs } = await getDocumentSnipRefs('doc1', TEST_TOKEN));
+    expect(text).not.toContain('Source: Page');
+    expect(refs.map((r) => r.snipId).sort()).toEqual(['s1', 's2']);
+    expect(findSnipRefForText(text, refs, 'its second line')?.snipId).toBe('s1');
+    expect(findSnipRefForText(text, refs, 'why it matters')?.snipId).toBe('s1');
+    expect(findSnipRefForText(text, refs, 'Another quote')?.snipId).toBe('s2');
+    expect(findSnipRefForText(text, refs, 'My own paragraph.')).toBeNull();
+  });
+
+  it('reads the document id of a Docs tab', () => {
+    expect(documentIdFromDocsUrl('https://docs.google.com/document/d/abc_123-X/edit#heading=h.1')).toBe('abc_123-X');
+    expect(documentIdFromDocsUrl('https://docs.google.com/document/u/1/d/abc/edit')).toBe('abc');
+    expect(documentIdFromDocsUrl('https://docs.google.com/spreadsheets/d/abc/edit')).toBeNull();
+  });
+});
+
+describe('open source at highlight', () => {
+  const docsTab = { tab: { id: 7, url: 'https://docs.google.com/document/d/doc1/edit' } };
+  let hub;
+  let source;
+  beforeEach(async () => {
+    const google = installFakeGoogle();
+    google.docs.addDocument({ documentId: 'doc1', body: ['Essay', ''] });
+    await insertHighlightToDoc('doc1', TEST_TOKEN, { selectedText: 'A quoted line', pageUrl: 'https://example.com/a', pageTitle: 'Page', snipId: 's1' });
+    await signIn();
+    source = {
+      id: 's1',
+      snippet_type: 'text',
+      content: 'A quoted line',
+      source_url: 'https://example.com/a',
+      page_number: null,
+      text_anchor: { start: 'A quoted line', end: '', prefix: 'said:', suffix: 'and more' },
+    };
+    vi.resetModules();
+    vi.doMock('../src/background/snipUsage.js', () => ({
+      recordSnipAndCheckLimit: vi.fn(async () => ({ success: true, snip_id: null })),
+      recordImageSnipAndCheckLimit: vi.fn(async () => ({ success: true, snip_id: null })),
+      getSnipsMetadata: vi.fn(async () => []),
+      getSnipUsage: vi.fn(async () => ({ used: 0, limit: 15, allowed: true })),
+      getSnipSource: vi.fn(async (id) => (id === source.id ? { snip: source } : {})),
+    }));
+    hub = await import('../src/background/messageHub.js');
+  });
+
+  it('answers the Docs tab with the snip of the selected text', async () => {
+    expect(await hub.dispatchMessage({ type: 'FIND_SNIP_AT_SELECTION', text: 'quoted line' }, docsTab)).toEqual({ success: true, snipId: 's1' });
+    expect(await hub.dispatchMessage({ type: 'FIND_SNIP_AT_SELECTION', text: 'Essay' }, docsTab)).toEqual({ success: true, snipId: null });
+    expect(await hub.dispatchMessage({ type: 'FIND_SNIP_AT_SELECTION', text: 'quoted line' }, { tab: { id: 8, url: 'https://example.com/' } }))
+      .toMatchObject({ success: false });
+  });
+
+  it('opens the page with a text fragment, then highlights the passage once it has loaded', async () => {
+    chrome.scripting.executeScript.mockResolvedValue([{ result: true }]);
+    const pending = hub.dispatchMessage({ type: 'OPEN_SNIP_SOURCE', snipId: 's1' });
+    await vi.waitFor(() => expect(chrome.tabs.onUpdated.hasListeners()).toBe(true));
+    expect(chrome.tabs.create).toHaveBeenCalledWith({ url: 'https://example.com/a#:~:text=said%3A-,A%20quoted%20line,-and%20more' });
+    expect(chrome.scripting.executeScript).not.toHaveBeenCalled();
+
+    chrome.tabs.onUpdated.dispatch(1000, { status: 'complete' });
+    expect(await pending).toEqual({ success: true, found: true });
+    expect(chrome.scripting.executeScript).toHaveBeenCalledWith(expect.objectContaining({ target: { tabId: 1000 }, args: [source.text_anchor] }));
+    expect(chrome.tabs.onUpdated.hasListeners()).toBe(false);
+  });
+
+  it('opens a PDF at the snip\'s page and says when a snip is not in the history', async () => {
+    source.page_number = '4';
+    expect(await hub.dispatchMessage({ type: 'OPEN_SNIP_SOURCE', snipId: 's1' })).toEqual({ success: true });
+    expect(chrome.tabs.create).toHaveBeenCalledWith({ url: 'https://example.com/a#page=4' });
+    expect(await hub.dispatchMessage({ type: 'OPEN_SNIP_SOURCE', snipId: 'gone' })).toMatchObject({ success: false, error: expect.stringMatching(/not in your Snip History/) });
+  });
+});
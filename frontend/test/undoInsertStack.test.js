@@ -0,0 +1,128 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { getInsertHistory, pushUndoInsert, redoInsert, undoInsert } from '../src/background/undoInsertStack.js';
+import { getDocumentOutline, insertHighlightAtPosition, insertHighlightToDoc } from '../src/lib/docsInsert.js';
+import { para } from './fakes/fakeDocs.js';
+import { TEST_TOKEN, installFakeGoogle, signIn } from './fakes/fakeFetch.js';
+
+const payload = (selectedText, snipId) => ({
+  selectedText,
+  pageUrl: `https://example.com/${snipId}`,
+  pageTitle: `Page ${snipId}`,
+  snipId,
+});
+
+/** Plug a snip where the side panel would and record it, like plugHighlightIntoDoc. */
+async function plugAt(target, data) {
+  const range = await insertHighlightAtPosition('doc1', TEST_TOKEN, data, target);
+  await pushUndoInsert({ documentId: 'doc1', ...range, kind: 'text', payload: data });
+  return range;
+}
+
+const snapshotOf = (doc) => ({
+  text: doc.text(),
+  paragraphs: doc.paragraphs().map((p) => [p.text, p.style.namedStyleType, p.bullet?.preset ?? null]),
+});
+
+describe('undoInsertStack', () => {
+  let doc;
+  beforeEach(async () => {
+    const google = installFakeGoogle();
+    doc = google.docs.addDocument({
+      documentId: 'doc1',
+      body: [para('Methods', 'HEADING_1'), 'We measured things.', para('Results', 'HEADING_1'), 'It worked.'],
+    });
+    await signIn();
+  });
+
+  it('undo removes exactly the insert and redo puts it back', async () => {
+    const before = snapshotOf(doc);
+    const outline = await getDocumentOutline('doc1', TEST_TOKEN);
+    await plugAt(outline.tabs[0].headings[0].end, payload('• one\n• two', 's1'));
+    const after = snapshotOf(doc);
+
+    expect(await undoInsert('doc1')).toEqual({ success: true });
+    expect(snapshotOf(doc)).toEqual(before);
+    expect(doc.namedRanges('SNIP_REF_s1')).toEqual([]);
+
+    expect(await redoInsert('doc1')).toEqual({ success: true });
+    expect(snapshotOf(doc)).toEqual(after);
+    expect(doc.namedRanges('SNIP_REF_s1')).toHaveLength(1);
+  });
+
+  it('undoing a snip inserted again from Snip History keeps the first copy\'s range', async () => {
+    const outline = await getDocumentOutline('doc1', TEST_TOKEN);
+    await plugAt(outline.tabs[0].headings[0].end, payload('Quoted once', 's1'));
+    const first = doc.namedRanges('SNIP_REF_s1');
+
+    vi.resetModules();
+    const hub = await import('../src/background/messageHub.js');
+    const undo = await import('../src/background/undoInsertStack.js');
+    await chrome.storage.local.set({ eznote_selected_document_id: 'doc1' });
+    const snip = { id: 's1', snippet_type: 'text', content: 'Quoted once', source_url: 'https://example.com/s1', page_title: 'Page s1' };
+    const end = (await getDocumentOutline('doc1', TEST_TOKEN)).tabs[0].end;
+    expect(await hub.dispatchMessage({ type: 'REINSERT_SNIP_AT_SECTION', snip, insertIndex: end })).toEqual({ success: true });
+    expect(doc.namedRanges('SNIP_REF_s1')).toHaveLength(2);
+
+    expect(await undo.undoInsert('doc1')).toEqual({ success: true });
+    expect(doc.namedRanges('SNIP_REF_s1')).toEqual(first);
+    expect(doc.paragraphs().map((p) => p.text).filter((t) => t === 'Quoted once')).toHaveLength(1);
+  });
+
+  it('undoes an insert appended at the end of the document', async () => {
+    const before = snapshotOf(doc);
+    const data = payload('Appended', 's1');
+    const range = await insertHighlightToDoc('doc1', TEST_TOKEN, data);
+    await pushUndoInsert({ documentId: 'doc1', ...range, kind: 'text', payload: data });
+
+    expect(await undoInsert('doc1')).toEqual({ success: true });
+    expect(snapshotOf(doc)).toEqual(before);
+  });
+
+  it('refuses to undo an insert the user has edited and drops it from the history', async () => {
+    const outline = await getDocumentOutline('doc1', TEST_TOKEN);
+    await plugAt(outline.tabs[0].end, payload('Original quote', 's1'));
+    const at = doc.text().indexOf('Original');
+    doc.batchUpdate([{ insertText: { location: { index: at }, text: 'Edited ' } }]);
+    const edited = doc.text();
+
+    const result = await undoInsert('doc1');
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/edited or moved/);
+    expect(doc.text()).toBe(edited);
+    expect((await getInsertHistory('doc1')).inserts).toEqual([]);
+  });
+
+  it('finds the insert after the user typed above it', async () => {
+    const before = snapshotOf(doc);
+    const outline = await getDocumentOutline('doc1', TEST_TOKEN);
+    await plugAt(outline.tabs[0].end, payload('Late quote', 's1'));
+    doc.batchUpdate([{ insertText: { location: { index: 2 }, text: 'xx' } }]);
+
+    expect(await undoInsert('doc1')).toEqual({ success: true });
+    expect(snapshotOf(doc).paragraphs).toEqual([['Mxxethods', 'HEADING_1', null], ...before.paragraphs.slice(1)]);
+  });
+
+  it('shifts older inserts when a later one lands above them', async () => {
+    const before = snapshotOf(doc);
+    let outline = await getDocumentOutline('doc1', TEST_TOKEN);
+    await plugAt(outline.tabs[0].end, payload('Bottom quote', 's1'));
+    outline = await getDocumentOutline('doc1', TEST_TOKEN);
+    await plugAt(outline.tabs[0].headings[0].end, payload('Top quote', 's2'));
+    const [top, bottom] = (await getInsertHistory('doc1')).inserts;
+    expect([top.label, bottom.label]).toEqual(['Top quote', 'Bottom quote']);
+
+    expect(await undoInsert('doc1', bottom.id)).toEqual({ success: true });
+    expect(doc.text()).toContain('Top quote');
+    expect(doc.text()).not.toContain('Bottom quote');
+
+    expect(await undoInsert('doc1', top.id)).toEqual({ success: true });
+    expect(snapshotOf(doc)).toEqual(before);
+  });
+
+  it('keeps the history in chrome.storage.local', async () => {
+    const outline = await getDocumentOutline('doc1', TEST_TOKEN);
+    await plugAt(outline.tabs[0].end, payload('Stored', 's1'));
+    const stored = chrome.storage.local.dump().eznote_insert_history;
+    expect(stored.doc1.undo).toMatchObject([{ snipId: 's1', kind: 'text', snapshot: '\n\nStored\nSource: Page s1' }]);
+  });
+});
@@ -63,9 +63,40 @@ export default defineConfig(({ mode }) => {
             rename: 'snipOverlay.js',
           },
           {
-            src: 'src/content/docsDocPaste.js',
+            src: 'src/content/docsCursorBridge.js',
             dest: '.',
-            rename: 'docsDocPaste.js',
+            rename: 'docsCursorBridge.js',
+          },
+          {
+            src: 'src/content/docsSourceLink.js',
+            dest: '.',
+            rename: 'docsSourceLink.js',
+          },
+          // Image Snip OCR (offscreen.html): engine, worker, WASM core and English model, all served locally.
+          {
+            src: 'node_modules/tesseract.js/dist/{tesseract,worker}.min.js',
+            dest: 'ocr',
+          },
+          {
+            src: 'node_modules/tesseract.js-core/tesseract-core*-lstm.wasm.js',
+            dest: 'ocr/core',
+          },
+          {
+            src: 'node_modules/@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz',
+            dest: 'ocr/lang',
+          },
+          // PDF viewer (pdf-viewer.html): character maps, standard fonts and image decoders for PDF.js.
+          {
+            src: 'node_modules/pdfjs-dist/cmaps/*',
+            dest: 'pdfjs/cmaps',
+          },
+          {
+            src: 'node_modules/pdfjs-dist/standard_fonts/*',
+            dest: 'pdfjs/standard_fonts',
+          },
+          {
+            src: 'node_modules/pdfjs-dist/wasm/*',
+            dest: 'pdfjs/wasm',
           },
         ],
       }),
@@ -75,6 +106,7 @@ export default defineConfig(({ mode }) => {
       rollupOptions: {
         input: {
           main: './index.html',
+          pdfViewer: './pdf-viewer.html',
         },
       },
     },
@@ -0,0 +1,10 @@
+import { defineConfig } from 'vitest/config';
+
+// Unit and flow tests run in Node against the fakes in test/fakes (Docs, Drive, chrome.*); no browser needed.
+export default defineConfig({
+  test: {
+    environment: 'node',
+    include: ['test/**/*.test.js'],
+    setupFiles: ['test/setup.js'],
+  },
+});